@@ -95,12 +95,36 @@ run_all_tests() {
   return 0
 }
 
+# Function to check the vars a deployed environment can't run without
+check_required_vars() {
+  local config_path=$1
+  local env=$2
+
+  # Telnyx webhooks are rejected without TELNYX_PUBLIC_KEY unless ENVIRONMENT is development
+  local missing=$(awk -v section="[env.$env.vars]" '
+    $0 == section { in_section = 1; next }
+    /^\[/ { in_section = 0 }
+    in_section && $1 == "TELNYX_PUBLIC_KEY" && $3 != "\"\"" { found = 1 }
+    END { if (!found) print "TELNYX_PUBLIC_KEY" }
+  ' "$config_path")
+
+  if [ -n "$missing" ]; then
+    echo -e "${RED}✗ $missing is not set in [env.$env.vars] of $config_path${NC}"
+    return 1
+  fi
+  return 0
+}
+
 # Function to deploy a worker
 deploy_worker() {
   local config_path=$1
   local api_config=$2
   local env=$3
 
+  if [ -n "$env" ] && ! check_required_vars "$config_path" "$env"; then
+    return 1
+  fi
+
   echo -e "${BLUE}Deploying worker with config path: $config_path and API config: $api_config${NC}"
   echo -e "${BLUE}Environment: $env${NC}"
   
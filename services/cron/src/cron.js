@@ -1,9 +1,9 @@
 /**
  * SendFax Pro - Cron Service
- * Handles scheduled tasks for fax status polling, cleanup, and maintenance
+ * Handles scheduled tasks for fax status polling, scheduled fax dispatch, credit hold expiry, cleanup, and maintenance
  */
 
-import { Logger, NotifyreApiUtils, NOTIFYRE_STATUS_MAP, DatabaseUtils, mapNotifyreStatus } from './utils.js';
+import { Logger, NotifyreApiUtils } from './utils.js';
 
 export default {
 	/**
@@ -29,6 +29,12 @@ export default {
 				// Every minute - fetch faxes from last 12 hours and update Supabase
 				// Note: Consider changing to "* * * * *" (every minute) to avoid rate limiting
 				await handleFaxStatusPolling(env, logger);
+				// Send scheduled faxes whose send_at has passed
+				await handleScheduledFaxDispatch(env, logger);
+				// Expire credit holds of faxes that never reported a final status
+				await handleCreditHoldExpiry(env, logger);
+				// Retry developer webhook deliveries that are due
+				await handleWebhookDeliveryDispatch(env, logger);
 			} else if (cronExpression === '0 0 * * *') {
 				// Daily at midnight - reset monthly credits for annual subscriptions
 				await handleMonthlyCreditReset(env, logger);
@@ -78,9 +84,49 @@ export default {
 			if (url.pathname === '/trigger/fax-polling') {
 				// Manual trigger for fax status polling
 				logger.log('INFO', 'Manual fax polling trigger received');
-				await handleFaxStatusPolling(env, logger);
+				const result = await handleFaxStatusPolling(env, logger);
 				return new Response(JSON.stringify({
 					message: 'Fax status polling completed',
+					result,
+					timestamp: new Date().toISOString()
+				}), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (url.pathname === '/trigger/dispatch-scheduled-faxes') {
+				// Manual trigger for scheduled fax dispatch
+				logger.log('INFO', 'Manual scheduled fax dispatch trigger received');
+				const result = await handleScheduledFaxDispatch(env, logger);
+				return new Response(JSON.stringify({
+					message: 'Scheduled fax dispatch completed',
+					result,
+					timestamp: new Date().toISOString()
+				}), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (url.pathname === '/trigger/dispatch-webhooks') {
+				// Manual trigger for developer webhook retries
+				logger.log('INFO', 'Manual webhook delivery dispatch trigger received');
+				const result = await handleWebhookDeliveryDispatch(env, logger);
+				return new Response(JSON.stringify({
+					message: 'Webhook delivery dispatch completed',
+					result,
+					timestamp: new Date().toISOString()
+				}), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (url.pathname === '/trigger/expire-credit-holds') {
+				// Manual trigger for credit hold expiry
+				logger.log('INFO', 'Manual credit hold expiry trigger received');
+				const result = await handleCreditHoldExpiry(env, logger);
+				return new Response(JSON.stringify({
+					message: 'Credit hold expiry completed',
+					result,
 					timestamp: new Date().toISOString()
 				}), {
 					headers: { 'Content-Type': 'application/json' }
@@ -146,9 +192,13 @@ export default {
 	}
 };
 /**
- * Handle fax status polling - get faxes from last 12 hours and update Supabase
+ * Handle fax status polling - get faxes from last 12 hours and apply their statuses
+ * The fax service applies them (status transitions, credit settlement, notifications) the
+ * same way as Notifyre webhooks; this job only fetches them and hands them over through
+ * the FAX_SERVICE binding.
  * @param {object} env - Environment variables
  * @param {Logger} logger - Logger instance
+ * @returns {object|null} Polling summary from the fax service
  */
 async function handleFaxStatusPolling(env, logger) {
 	logger.log('INFO', 'Starting fax status polling for last 12 hours');
@@ -158,7 +208,12 @@ async function handleFaxStatusPolling(env, logger) {
 		const apiKey = env.NOTIFYRE_API_KEY;
 		if (!apiKey) {
 			logger.log('ERROR', 'NOTIFYRE_API_KEY not configured');
-			return;
+			return null;
+		}
+
+		if (!env.FAX_SERVICE) {
+			logger.log('ERROR', 'FAX_SERVICE binding not configured for fax status polling');
+			return null;
 		}
 
 		// Get faxes from last 12 hours from Notifyre API
@@ -166,77 +221,180 @@ async function handleFaxStatusPolling(env, logger) {
 		
 		if (faxesFromNotifyre.length === 0) {
 			logger.log('INFO', 'No faxes found from last 12 hours');
-			return;
+			return null;
 		}
 
 		logger.log('INFO', 'Processing fax status updates from Notifyre', {
 			faxCount: faxesFromNotifyre.length
 		});
 
-		let updated = 0;
-		let errors = 0;
+		const result = await env.FAX_SERVICE.applyPolledFaxStatuses(buildFaxServiceCallerEnv(env), faxesFromNotifyre);
 
-		// Process each fax from Notifyre
-		for (const faxDetails of faxesFromNotifyre) {
-			try {
-							// Map status and prepare update data
-			const mappedStatus = mapNotifyreStatus(faxDetails.status, logger);
-				
-				const updateData = {
-					status: mappedStatus,
-					original_status: faxDetails.status,
-					pages: faxDetails.pages || 1,
-					cost: faxDetails.cost || null,
-					error_message: faxDetails.failedMessage || faxDetails.errorMessage || null,
-					completed_at: faxDetails.completedAt || null,
-					metadata: {
-						...faxDetails,
-						pollingTimestamp: new Date().toISOString(),
-						source: 'cron-polling'
-					}
-				};
-
-				// Update in database by notifyre_fax_id
-				const updatedRecord = await DatabaseUtils.updateFaxRecord(
-					faxDetails.id, 
-					updateData, 
-					env, 
-					logger
-				);
-
-				if (updatedRecord) {
-					updated++;
-					logger.log('DEBUG', 'Updated fax status', {
-						faxId: faxDetails.id,
-						newStatus: mappedStatus,
-						pages: faxDetails.pages,
-						cost: faxDetails.cost
-					});
-				}
+		logger.log('INFO', 'Fax status polling completed', result?.data || {});
+		return result?.data || null;
 
-			} catch (error) {
-				errors++;
-				logger.log('ERROR', 'Failed to update fax status', {
-					faxId: faxDetails.id,
-					error: error.message
-				});
-			}
+	} catch (error) {
+		logger.log('ERROR', 'Error in fax status polling', {
+			error: error.message,
+			stack: error.stack
+		});
+		return null;
+	}
+}
 
-			// Add small delay to avoid rate limiting
-			await new Promise(resolve => setTimeout(resolve, 100));
+/**
+ * Settings and secrets the fax service reads from caller_env.
+ * The fax service normally receives these from the API gateway; the RPCs called from here
+ * dispatch faxes and settle their statuses (provider failover, retries, credit charges,
+ * status emails and push notifications), so anything missing silently falls back to defaults.
+ */
+const FAX_SERVICE_CALLER_ENV_KEYS = [
+	'ENVIRONMENT',
+	'SUPABASE_URL',
+	'SUPABASE_SERVICE_ROLE_KEY',
+	// Providers
+	'FAX_PROVIDER',
+	'FAX_PROVIDER_CHAIN',
+	'NOTIFYRE_API_KEY',
+	'NOTIFYRE_WEBHOOK_SECRET',
+	'TELNYX_API_KEY',
+	'TELNYX_CONNECTION_ID',
+	'TELNYX_SENDER_ID',
+	// Retries and credits
+	'FAX_RETRY_MAX_ATTEMPTS',
+	'FAX_RETRY_BACKOFF_MINUTES',
+	'FAX_RETRY_STATUSES',
+	'FAX_CREDIT_HOLD_TTL_HOURS',
+	'FAX_LOW_CREDITS_THRESHOLD',
+	// Notifications
+	'RESEND_API_KEY',
+	'FAX_EMAIL_FROM',
+	'ONESIGNAL_APP_ID',
+	'ONESIGNAL_REST_API_KEY'
+];
+
+/**
+ * Build the caller_env passed to fax service RPC methods
+ * @param {object} env - Environment variables
+ * @returns {string} JSON-encoded caller environment
+ */
+function buildFaxServiceCallerEnv(env) {
+	const callerEnv = {};
+	for (const key of FAX_SERVICE_CALLER_ENV_KEYS) {
+		if (env[key] !== undefined) {
+			callerEnv[key] = env[key];
 		}
+	}
+	return JSON.stringify(callerEnv);
+}
 
-		logger.log('INFO', 'Fax status polling completed', {
-			totalProcessed: faxesFromNotifyre.length,
-			updated,
-			errors
+/**
+ * Handle scheduled fax dispatch - send faxes whose send_at time has passed
+ * The fax service does the work (credit re-check, provider workflow, cancellation
+ * handling); this job only triggers it through the FAX_SERVICE binding.
+ * @param {object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {object|null} Dispatch summary from the fax service
+ */
+async function handleScheduledFaxDispatch(env, logger) {
+	logger.log('INFO', 'Starting scheduled fax dispatch');
+
+	try {
+		if (!env.FAX_SERVICE) {
+			logger.log('ERROR', 'FAX_SERVICE binding not configured for scheduled fax dispatch');
+			return null;
+		}
+
+		const result = await env.FAX_SERVICE.dispatchScheduledFaxes(buildFaxServiceCallerEnv(env));
+
+		logger.log('INFO', 'Scheduled fax dispatch completed', result?.data || {});
+		return result?.data || null;
+
+	} catch (error) {
+		logger.log('ERROR', 'Error in scheduled fax dispatch', {
+			error: error.message,
+			stack: error.stack
 		});
+		return null;
+	}
+}
+
+/**
+ * Handle developer webhook retries - resend deliveries whose next attempt is due
+ * Deliveries are first attempted by the fax service when the event happens; this job
+ * only triggers the retries through the FAX_SERVICE binding.
+ * @param {object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {object|null} Dispatch summary from the fax service
+ */
+async function handleWebhookDeliveryDispatch(env, logger) {
+	logger.log('INFO', 'Starting webhook delivery dispatch');
+
+	try {
+		if (!env.FAX_SERVICE) {
+			logger.log('ERROR', 'FAX_SERVICE binding not configured for webhook delivery dispatch');
+			return null;
+		}
+
+		const result = await env.FAX_SERVICE.dispatchWebhookDeliveries(buildFaxServiceCallerEnv(env));
+
+		logger.log('INFO', 'Webhook delivery dispatch completed', result?.data || {});
+		return result?.data || null;
 
 	} catch (error) {
-		logger.log('ERROR', 'Error in fax status polling', {
+		logger.log('ERROR', 'Error in webhook delivery dispatch', {
+			error: error.message,
+			stack: error.stack
+		});
+		return null;
+	}
+}
+
+/**
+ * Handle credit hold expiry - release credits reserved by faxes that were never settled
+ * Holds are captured or released by the fax service webhooks; a hold still open after
+ * its expires_at (e.g. a webhook that never arrived) is marked expired so it stops
+ * reducing the user's balance.
+ * @param {object} env - Environment variables
+ * @param {Logger} logger - Logger instance
+ * @returns {object|null} Number of holds expired
+ */
+async function handleCreditHoldExpiry(env, logger) {
+	try {
+		if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+			logger.log('ERROR', 'Supabase not configured for credit hold expiry');
+			return null;
+		}
+
+		const { createClient } = await import('@supabase/supabase-js');
+		const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
+			auth: {
+				autoRefreshToken: false,
+				persistSession: false
+			}
+		});
+
+		const { data: expiredCount, error } = await supabase.rpc('expire_credit_holds');
+
+		if (error) {
+			logger.log('ERROR', 'Failed to expire credit holds', {
+				error: error.message
+			});
+			return null;
+		}
+
+		if (expiredCount > 0) {
+			logger.log('INFO', 'Expired stale credit holds', { expiredCount });
+		}
+
+		return { expiredCount: expiredCount || 0 };
+
+	} catch (error) {
+		logger.log('ERROR', 'Error in credit hold expiry', {
 			error: error.message,
 			stack: error.stack
 		});
+		return null;
 	}
 }
 
@@ -168,181 +168,3 @@ export class NotifyreApiUtils {
 		}
 	}
 }
-
-/**
- * Status mapping from Notifyre to internal status
- */
-export const NOTIFYRE_STATUS_MAP = {
-	// Initial/Processing States
-	'Preparing': 'queued',
-	'preparing': 'queued',
-	'Queued': 'queued',
-	'queued': 'queued',
-	'In Progress': 'processing',
-	'in progress': 'processing',
-	'Processing': 'processing',
-	'processing': 'processing',
-	'Sending': 'sending',
-	'sending': 'sending',
-	
-	// Success States
-	'Successful': 'delivered',
-	'successful': 'delivered',
-	'Delivered': 'delivered',
-	'delivered': 'delivered',
-	'Sent': 'delivered', // Additional mapping for fax.sent events
-	'sent': 'delivered',
-	
-	// Receiving States
-	'Receiving': 'receiving',
-	'receiving': 'receiving',
-	'Received': 'delivered', // For received faxes
-	'received': 'delivered',
-	
-	// Failure States
-	'Failed': 'failed',
-	'failed': 'failed',
-	'Failed - Busy': 'busy',
-	'failed - busy': 'busy',
-	'Failed - No Answer': 'no-answer',
-	'failed - no answer': 'no-answer',
-	'Failed - Check number and try again': 'failed',
-	'failed - check number and try again': 'failed',
-	'Failed - Connection not a Fax Machine': 'failed',
-	'failed - connection not a fax machine': 'failed',
-	
-	// Cancellation
-	'Cancelled': 'cancelled',
-	'cancelled': 'cancelled',
-	
-	// Additional status codes that may appear in webhooks
-	'Retry': 'retrying',
-	'retry': 'retrying',
-	'Completed': 'delivered',
-	'completed': 'delivered',
-	'Error': 'failed',
-	'error': 'failed',
-	'Timeout': 'failed',
-	'timeout': 'failed',
-	'Rejected': 'failed',
-	'rejected': 'failed',
-	'Aborted': 'cancelled',
-	'aborted': 'cancelled'
-};
-
-/**
- * Safely map Notifyre status to internal status with fallback
- * @param {string} notifyreStatus - Status from Notifyre API
- * @param {Logger} logger - Logger instance
- * @returns {string} Mapped internal status
- */
-export function mapNotifyreStatus(notifyreStatus, logger) {
-	if (!notifyreStatus) {
-		logger.log('WARN', 'Empty status received from Notifyre API');
-		return 'failed';
-	}
-
-	const mappedStatus = NOTIFYRE_STATUS_MAP[notifyreStatus];
-	
-	if (!mappedStatus) {
-		logger.log('WARN', 'Unknown status from Notifyre API', {
-			notifyreStatus,
-			availableMappings: Object.keys(NOTIFYRE_STATUS_MAP)
-		});
-		// Default to 'failed' for unknown statuses to avoid database enum errors
-		return 'failed';
-	}
-
-	logger.log('DEBUG', 'Mapped Notifyre status', {
-		notifyreStatus,
-		mappedStatus
-	});
-
-	return mappedStatus;
-}
-
-/**
- * Database utilities for cron jobs
- */
-export class DatabaseUtils {
-	/**
-	 * Create Supabase admin client
-	 * @param {object} env - Environment variables
-	 * @param {Logger} logger - Logger instance
-	 * @returns {object} Supabase client
-	 */
-	static getSupabaseAdminClient(env, logger) {
-		const { createClient } = require('@supabase/supabase-js');
-		
-		if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
-			logger.log('ERROR', 'Missing Supabase configuration');
-			throw new Error('Supabase configuration missing');
-		}
-
-		return createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
-			auth: {
-				autoRefreshToken: false,
-				persistSession: false
-			}
-		});
-	}
-
-	/**
-	 * Update fax record in database
-	 * @param {string} faxId - Fax ID
-	 * @param {object} updateData - Data to update
-	 * @param {object} env - Environment variables
-	 * @param {Logger} logger - Logger instance
-	 * @returns {Promise<object|null>} Updated record or null
-	 */
-	static async updateFaxRecord(faxId, updateData, env, logger) {
-		try {
-			const supabase = DatabaseUtils.getSupabaseAdminClient(env, logger);
-
-			logger.log('DEBUG', 'Updating fax record', {
-				faxId,
-				updateFields: Object.keys(updateData)
-			});
-
-			const { data, error } = await supabase
-				.from('faxes')
-				.update({
-					...updateData,
-					updated_at: new Date().toISOString()
-				})
-				.eq('notifyre_fax_id', faxId)
-				.select()
-				.single();
-
-			if (error) {
-				logger.log('ERROR', 'Failed to update fax record', {
-					faxId,
-					error: error.message
-				});
-				return null;
-			}
-
-			// Check if any record was found and updated
-			if (!data) {
-				logger.log('WARN', 'Fax record not found in database, skipping update', {
-					faxId,
-					message: 'This fax may not have been sent through our system'
-				});
-				return null;
-			}
-
-			logger.log('DEBUG', 'Successfully updated fax record', {
-				faxId,
-				recordId: data.id
-			});
-
-			return data;
-		} catch (error) {
-			logger.log('ERROR', 'Error updating fax record', {
-				faxId,
-				error: error.message
-			});
-			return null;
-		}
-	}
-} 
@@ -3,7 +3,8 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { Logger, NotifyreApiUtils, DatabaseUtils, NOTIFYRE_STATUS_MAP } from '../src/utils.js';
+import { Logger, NotifyreApiUtils } from '../src/utils.js';
+import cron from '../src/cron.js';
 
 // Mock environment
 const mockEnv = {
@@ -144,11 +145,42 @@ describe('Cron Service - Fax Status Polling', () => {
 		expect(toTimeDiff).toBeLessThan(60000); // Less than 1 minute difference
 	});
 
-	it('should map Notifyre status to internal status correctly', () => {
-		expect(NOTIFYRE_STATUS_MAP['Successful']).toBe('delivered');
-		expect(NOTIFYRE_STATUS_MAP['Failed']).toBe('failed');
-		expect(NOTIFYRE_STATUS_MAP['Queued']).toBe('queued');
-		expect(NOTIFYRE_STATUS_MAP['Sending']).toBe('sending');
-		expect(NOTIFYRE_STATUS_MAP['Processing']).toBe('processing');
+	it('should hand polled faxes to the fax service instead of updating them itself', async () => {
+		const mockFaxes = [{ id: 'fax_123', status: 'Successful', pages: 2 }];
+		global.fetch.mockResolvedValueOnce({
+			ok: true,
+			json: () => Promise.resolve({ data: mockFaxes })
+		});
+		const FAX_SERVICE = {
+			applyPolledFaxStatuses: vi.fn().mockResolvedValue({ statusCode: 200, data: { polled: 1, updated: 1, unchanged: 0, notFound: 0, errors: 0 } })
+		};
+
+		const response = await cron.fetch(new Request('https://cron.example.com/trigger/fax-polling'), { ...mockEnv, FAX_SERVICE }, {});
+		const body = await response.json();
+
+		expect(FAX_SERVICE.applyPolledFaxStatuses).toHaveBeenCalledWith(expect.any(String), mockFaxes);
+		expect(JSON.parse(FAX_SERVICE.applyPolledFaxStatuses.mock.calls[0][0])).toEqual(expect.objectContaining({ SUPABASE_URL: mockEnv.SUPABASE_URL }));
+		expect(body.result).toEqual(expect.objectContaining({ updated: 1 }));
+	});
+
+	it('should forward the settings the fax service reads when dispatching scheduled faxes', async () => {
+		const settings = {
+			FAX_PROVIDER_CHAIN: 'telnyx,notifyre',
+			FAX_RETRY_MAX_ATTEMPTS: '3',
+			FAX_RETRY_BACKOFF_MINUTES: '5,15',
+			FAX_LOW_CREDITS_THRESHOLD: '20',
+			RESEND_API_KEY: 're_test',
+			FAX_EMAIL_FROM: 'SendFax Pro <fax@sendfax.pro>',
+			NOTIFYRE_WEBHOOK_SECRET: 'notifyre-secret'
+		};
+		const FAX_SERVICE = {
+			dispatchScheduledFaxes: vi.fn().mockResolvedValue({ statusCode: 200, data: { due: 0, dispatched: 0, failed: 0, skipped: 0 } })
+		};
+
+		await cron.fetch(new Request('https://cron.example.com/trigger/dispatch-scheduled-faxes'), { ...mockEnv, ...settings, UNRELATED_SECRET: 'x', FAX_SERVICE }, {});
+
+		const callerEnv = JSON.parse(FAX_SERVICE.dispatchScheduledFaxes.mock.calls[0][0]);
+		expect(callerEnv).toEqual(expect.objectContaining(settings));
+		expect(callerEnv).not.toHaveProperty('UNRELATED_SECRET');
 	});
 }); 
@@ -0,0 +1,199 @@
+/**
+ * Transmission confirmation report
+ *
+ * Proof of delivery for faxes that finished as delivered or failed: a one-page PDF with
+ * the transmission details and, when the fax's documents are stored, a thumbnail of the
+ * first transmitted page. Reports are stored in R2 next to the fax media.
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { toDrawableText, wrapText } from './pdf-text.js';
+
+// US Letter in PDF points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+
+const THUMBNAIL_WIDTH = 170;
+const FIELD_SIZE = 11;
+
+const COLORS = {
+	text: rgb(0.1, 0.1, 0.1),
+	muted: rgb(0.4, 0.4, 0.4),
+	rule: rgb(0.75, 0.75, 0.75),
+	delivered: rgb(0.1, 0.45, 0.2),
+	failed: rgb(0.7, 0.1, 0.1)
+};
+
+export const CONFIRMATION_REPORT_FILENAME = 'confirmation_report.pdf';
+
+/**
+ * R2 key of a fax's confirmation report
+ * @param {string} faxId - Fax record ID
+ * @returns {string} Object key
+ */
+export function getConfirmationReportKey(faxId) {
+	return `fax/${faxId}/${CONFIRMATION_REPORT_FILENAME}`;
+}
+
+/**
+ * Format a timestamp for the report
+ * @param {string|Date|null} value - Timestamp
+ * @param {string} [timeZone] - IANA timezone (defaults to UTC)
+ * @returns {string|null} Formatted timestamp
+ */
+function formatTimestamp(value, timeZone = 'UTC') {
+	if (!value) {
+		return null;
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		return null;
+	}
+	return date.toLocaleString('en-US', {
+		year: 'numeric',
+		month: 'short',
+		day: 'numeric',
+		hour: '2-digit',
+		minute: '2-digit',
+		second: '2-digit',
+		timeZone,
+		timeZoneName: 'short'
+	});
+}
+
+/**
+ * Format a call duration
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string|null} e.g. "2 min 05 s"
+ */
+function formatDuration(seconds) {
+	if (!Number.isFinite(seconds) || seconds < 0) {
+		return null;
+	}
+	const minutes = Math.floor(seconds / 60);
+	const rest = String(Math.round(seconds % 60)).padStart(2, '0');
+	return minutes > 0 ? `${minutes} min ${rest} s` : `${Math.round(seconds)} s`;
+}
+
+/**
+ * Render a confirmation report
+ * @param {Object} details - Report content
+ * @param {string} details.result - 'delivered' or 'failed'
+ * @param {string} [details.failureReason] - Why the fax failed
+ * @param {string} details.faxId - Fax record ID
+ * @param {string} [details.providerFaxId] - Provider fax ID
+ * @param {string} [details.provider] - Provider name
+ * @param {string} [details.sender] - Sender fax number
+ * @param {string} [details.recipient] - Recipient fax number
+ * @param {string} [details.subject] - Subject line
+ * @param {string} [details.submittedAt] - When the fax was submitted
+ * @param {string} [details.sentAt] - When transmission started
+ * @param {string} [details.completedAt] - When the fax finished
+ * @param {number} [details.pages] - Pages transmitted
+ * @param {number} [details.durationSeconds] - Call duration reported by the provider
+ * @param {Uint8Array|ArrayBuffer} [details.firstPage] - PDF whose first page is shown as a thumbnail
+ * @param {Date} [details.generatedAt] - Report date (defaults to now)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function generateConfirmationReport(details) {
+	const delivered = details.result === 'delivered';
+
+	const pdf = await PDFDocument.create();
+	pdf.setTitle('Fax transmission confirmation');
+	pdf.setCreator('SendFax Pro');
+
+	const page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+	const regular = await pdf.embedFont(StandardFonts.Helvetica);
+	const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+	const contentWidth = PAGE_WIDTH - MARGIN * 2;
+
+	let y = PAGE_HEIGHT - MARGIN - 24;
+	page.drawText('Transmission Confirmation', { x: MARGIN, y, size: 24, font: bold, color: COLORS.text });
+	y -= 16;
+	page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_WIDTH - MARGIN, y }, thickness: 1, color: COLORS.rule });
+	y -= 36;
+
+	page.drawText(delivered ? 'RESULT: DELIVERED' : 'RESULT: FAILED', {
+		x: MARGIN,
+		y,
+		size: 16,
+		font: bold,
+		color: delivered ? COLORS.delivered : COLORS.failed
+	});
+	y -= 32;
+
+	const fields = [
+		['From', details.sender],
+		['To', details.recipient],
+		['Subject', details.subject],
+		['Submitted', formatTimestamp(details.submittedAt)],
+		['Sent', formatTimestamp(details.sentAt)],
+		['Completed', formatTimestamp(details.completedAt)],
+		['Pages', Number.isInteger(details.pages) && details.pages > 0 ? String(details.pages) : null],
+		['Duration', formatDuration(details.durationSeconds)],
+		['Provider', details.provider],
+		['Provider fax ID', details.providerFaxId],
+		['Fax ID', details.faxId],
+		['Failure reason', delivered ? null : details.failureReason]
+	].filter(([, value]) => value);
+
+	const labelWidth = Math.max(...fields.map(([label]) => bold.widthOfTextAtSize(`${label}:`, FIELD_SIZE))) + 16;
+	const lineHeight = FIELD_SIZE * 1.7;
+
+	for (const [label, value] of fields) {
+		page.drawText(`${label}:`, { x: MARGIN, y, size: FIELD_SIZE, font: bold, color: COLORS.text });
+		for (const line of wrapText(toDrawableText(value), regular, FIELD_SIZE, contentWidth - labelWidth)) {
+			page.drawText(line, { x: MARGIN + labelWidth, y, size: FIELD_SIZE, font: regular, color: COLORS.text });
+			y -= lineHeight;
+		}
+	}
+
+	if (details.firstPage) {
+		y = await drawThumbnail(pdf, page, details.firstPage, y - 16, regular);
+	}
+
+	page.drawText(`Report generated ${formatTimestamp(details.generatedAt || new Date())}`, {
+		x: MARGIN,
+		y: MARGIN / 2,
+		size: 8,
+		font: regular,
+		color: COLORS.muted
+	});
+
+	return await pdf.save();
+}
+
+/**
+ * Draw page one of a document as a thumbnail; documents that can't be read are skipped
+ * @param {PDFDocument} pdf - Report document
+ * @param {PDFPage} page - Report page
+ * @param {Uint8Array|ArrayBuffer} documentBytes - PDF to take the first page from
+ * @param {number} top - Top of the thumbnail area
+ * @param {PDFFont} font - Caption font
+ * @returns {Promise<number>} Y position below the thumbnail
+ */
+async function drawThumbnail(pdf, page, documentBytes, top, font) {
+	let embeddedPage;
+	try {
+		[embeddedPage] = await pdf.embedPdf(documentBytes, [0]);
+	} catch {
+		return top;
+	}
+
+	const available = top - MARGIN - 24;
+	const scale = Math.min(THUMBNAIL_WIDTH / embeddedPage.width, available / embeddedPage.height);
+	if (!(scale > 0)) {
+		return top;
+	}
+
+	const width = embeddedPage.width * scale;
+	const height = embeddedPage.height * scale;
+
+	page.drawText('Page 1', { x: MARGIN, y: top - 10, size: 9, font, color: COLORS.muted });
+	const y = top - 18 - height;
+	page.drawPage(embeddedPage, { x: MARGIN, y, width, height });
+	page.drawRectangle({ x: MARGIN, y, width, height, borderColor: COLORS.rule, borderWidth: 0.5 });
+
+	return y;
+}
@@ -0,0 +1,221 @@
+/**
+ * Cover page generator
+ *
+ * Notifyre renders cover pages from its own templates (TemplateName), Telnyx only
+ * transmits the documents it is given. To make cover pages look the same on every
+ * provider, the fax service renders one itself and sends it as the first document.
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { toDrawableText, wrapText } from './pdf-text.js';
+
+// US Letter in PDF points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+
+const COLORS = {
+	text: rgb(0.1, 0.1, 0.1),
+	muted: rgb(0.4, 0.4, 0.4),
+	rule: rgb(0.75, 0.75, 0.75),
+	band: rgb(0.12, 0.23, 0.4),
+	bandText: rgb(1, 1, 1)
+};
+
+export const DEFAULT_COVER_PAGE_TEMPLATE = 'standard';
+
+// File name of the generated cover page; stored cover pages keep it in their R2 key
+export const COVER_PAGE_FILENAME = 'cover_page.pdf';
+
+export const COVER_PAGE_TEMPLATES = {
+	standard: {
+		name: 'Standard',
+		description: 'Large FAX heading with sender, recipient and message',
+		title: 'FAX',
+		titleSize: 48,
+		band: false,
+		fieldSize: 12,
+		messageSize: 11,
+		footer: null
+	},
+	business: {
+		name: 'Business',
+		description: 'Header band with a confidentiality notice',
+		title: 'FACSIMILE',
+		titleSize: 32,
+		band: true,
+		fieldSize: 12,
+		messageSize: 11,
+		footer: 'CONFIDENTIAL: This fax is intended only for the named recipient. If you received it in error, please notify the sender and destroy it.'
+	},
+	minimal: {
+		name: 'Minimal',
+		description: 'Compact details with no heading decoration',
+		title: 'Fax',
+		titleSize: 24,
+		band: false,
+		fieldSize: 10,
+		messageSize: 10,
+		footer: null
+	}
+};
+
+/**
+ * Pick a template from a client supplied coverPage value
+ * @param {string} coverPage - Template ID (Notifyre template names fall back to the default)
+ * @returns {string} Template ID
+ */
+export function resolveCoverPageTemplate(coverPage) {
+	const templateId = typeof coverPage === 'string' ? coverPage.trim().toLowerCase() : '';
+	return COVER_PAGE_TEMPLATES[templateId] ? templateId : DEFAULT_COVER_PAGE_TEMPLATE;
+}
+
+/**
+ * Templates in the shape returned by the cover pages endpoint
+ * @returns {Array<Object>} Template summaries
+ */
+export function listCoverPageTemplates() {
+	return Object.entries(COVER_PAGE_TEMPLATES).map(([id, template]) => ({
+		id,
+		name: template.name,
+		description: template.description,
+		isDefault: id === DEFAULT_COVER_PAGE_TEMPLATE
+	}));
+}
+
+/**
+ * Format the fax date for display
+ * @param {Date} date - Date to show
+ * @param {string} [timeZone] - IANA timezone (defaults to UTC)
+ * @returns {string} Formatted date
+ */
+function formatCoverDate(date, timeZone) {
+	return date.toLocaleDateString('en-US', {
+		year: 'numeric',
+		month: 'long',
+		day: 'numeric',
+		timeZone: timeZone || 'UTC'
+	});
+}
+
+/**
+ * Render a single cover page
+ * @param {Object} details - Cover page content
+ * @param {string} [details.template] - Template ID (see COVER_PAGE_TEMPLATES)
+ * @param {string} [details.sender] - Sender fax number
+ * @param {string} [details.recipient] - Recipient fax number
+ * @param {string} [details.subject] - Subject line
+ * @param {string} [details.message] - Free-form message
+ * @param {number} [details.pageCount] - Document pages, not counting the cover page
+ * @param {Date} [details.date] - Fax date (defaults to now)
+ * @param {string} [details.timeZone] - Timezone used to print the date
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function generateCoverPage(details = {}) {
+	const template = COVER_PAGE_TEMPLATES[resolveCoverPageTemplate(details.template)];
+
+	const pdf = await PDFDocument.create();
+	pdf.setTitle('Fax cover page');
+	pdf.setCreator('SendFax Pro');
+
+	const page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+	const regular = await pdf.embedFont(StandardFonts.Helvetica);
+	const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+	const contentWidth = PAGE_WIDTH - MARGIN * 2;
+
+	let y = PAGE_HEIGHT - MARGIN;
+
+	if (template.band) {
+		const bandHeight = template.titleSize + 48;
+		page.drawRectangle({ x: 0, y: PAGE_HEIGHT - bandHeight, width: PAGE_WIDTH, height: bandHeight, color: COLORS.band });
+		page.drawText(template.title, {
+			x: MARGIN,
+			y: PAGE_HEIGHT - bandHeight + 24,
+			size: template.titleSize,
+			font: bold,
+			color: COLORS.bandText
+		});
+		y = PAGE_HEIGHT - bandHeight - 40;
+	} else {
+		y -= template.titleSize;
+		page.drawText(template.title, { x: MARGIN, y, size: template.titleSize, font: bold, color: COLORS.text });
+		y -= 16;
+		page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_WIDTH - MARGIN, y }, thickness: 1, color: COLORS.rule });
+		y -= 32;
+	}
+
+	const pageCount = Number.isInteger(details.pageCount) && details.pageCount > 0 ? details.pageCount : null;
+	const fields = [
+		['Date', formatCoverDate(details.date || new Date(), details.timeZone)],
+		['To', details.recipient],
+		['From', details.sender],
+		['Subject', details.subject],
+		['Pages', pageCount ? `${pageCount + 1} (including cover page)` : null]
+	].filter(([, value]) => value);
+
+	const labelWidth = Math.max(...fields.map(([label]) => bold.widthOfTextAtSize(`${label}:`, template.fieldSize))) + 16;
+	const lineHeight = template.fieldSize * 1.8;
+
+	for (const [label, value] of fields) {
+		page.drawText(`${label}:`, { x: MARGIN, y, size: template.fieldSize, font: bold, color: COLORS.text });
+		const valueLines = wrapText(toDrawableText(value), regular, template.fieldSize, contentWidth - labelWidth);
+		for (const line of valueLines) {
+			page.drawText(line, { x: MARGIN + labelWidth, y, size: template.fieldSize, font: regular, color: COLORS.text });
+			y -= lineHeight;
+		}
+	}
+
+	const footerLines = template.footer ? wrapText(template.footer, regular, 8, contentWidth) : [];
+	const bottom = MARGIN + footerLines.length * 11 + (footerLines.length ? 16 : 0);
+
+	if (details.message) {
+		y -= lineHeight / 2;
+		page.drawLine({ start: { x: MARGIN, y: y + template.fieldSize }, end: { x: PAGE_WIDTH - MARGIN, y: y + template.fieldSize }, thickness: 0.5, color: COLORS.rule });
+		y -= template.fieldSize;
+
+		const messageLineHeight = template.messageSize * 1.4;
+		const messageLines = wrapText(toDrawableText(details.message), regular, template.messageSize, contentWidth);
+		const maxLines = Math.max(Math.floor((y - bottom) / messageLineHeight), 0);
+
+		// Long messages are cut off rather than spilling onto a second cover page
+		const visibleLines = messageLines.length > maxLines
+			? [...messageLines.slice(0, Math.max(maxLines - 1, 0)), '[message truncated]']
+			: messageLines;
+
+		for (const line of visibleLines) {
+			page.drawText(line, { x: MARGIN, y, size: template.messageSize, font: regular, color: COLORS.text });
+			y -= messageLineHeight;
+		}
+	}
+
+	footerLines.forEach((line, index) => {
+		page.drawText(line, { x: MARGIN, y: MARGIN + (footerLines.length - 1 - index) * 11, size: 8, font: regular, color: COLORS.muted });
+	});
+
+	return await pdf.save();
+}
+
+/**
+ * R2 key of a stored fax document
+ * Generated cover pages are stored under their own name, so a resend can leave the old
+ * cover page out and generate one for the new fax.
+ * @param {string} faxId - Fax the document belongs to
+ * @param {File|Object} file - Document (the cover page is named COVER_PAGE_FILENAME)
+ * @param {number} index - Position of the document
+ * @returns {string} R2 key
+ */
+export function getFaxDocumentKey(faxId, file, index) {
+	const timestamp = Date.now();
+	return file?.name === COVER_PAGE_FILENAME
+		? `fax/${faxId}/cover_page_${timestamp}.pdf`
+		: `fax/${faxId}/document_${index + 1}_${timestamp}.pdf`;
+}
+
+/**
+ * Whether a stored fax document is a generated cover page
+ * @param {Object} document - Stored document ({ key, url })
+ * @returns {boolean} True for cover pages named or keyed as such
+ */
+export function isCoverPageDocument(document) {
+	return document?.name === COVER_PAGE_FILENAME || /\/cover_page_\d+\.pdf$/.test(document?.key || document?.url || '');
+}
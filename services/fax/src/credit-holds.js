@@ -0,0 +1,46 @@
+/**
+ * Credit holds (reservations)
+ *
+ * A submitted fax reserves its credit cost until the provider reports how it ended:
+ * delivered faxes turn the hold into a charge for the pages actually delivered, failed
+ * and cancelled faxes release it. Holds nobody settles expire FAX_CREDIT_HOLD_TTL_HOURS
+ * (default 24) after the fax was due to be sent and are swept by the cron service.
+ */
+
+import { readPositiveNumber } from './utils.js';
+
+export const DEFAULT_CREDIT_HOLD_TTL_HOURS = 24;
+
+// Final outcomes that release a hold without charging it
+export const RELEASING_STATUSES = ['failed', 'busy', 'no-answer', 'cancelled'];
+
+/**
+ * Work out when a new hold expires
+ * @param {Object} env - Caller environment
+ * @param {string|null} [sendAt] - Scheduled send time (ISO string); defaults to now
+ * @param {Date} [now] - Current time
+ * @returns {string} Expiry time (ISO string)
+ */
+export function getCreditHoldExpiry(env = {}, sendAt = null, now = new Date()) {
+	const ttlHours = readPositiveNumber(env.FAX_CREDIT_HOLD_TTL_HOURS, DEFAULT_CREDIT_HOLD_TTL_HOURS);
+	const start = sendAt ? Math.max(new Date(sendAt).getTime(), now.getTime()) : now.getTime();
+	return new Date(start + ttlHours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Credits to charge when a held fax is delivered
+ * The charge is pro rata to the delivered pages and never more than was held, since
+ * providers may count pages we don't bill for (e.g. a generated cover page).
+ * @param {Object} hold - Credit hold record
+ * @param {number|null} deliveredPages - Pages the provider reports as delivered, if known
+ * @returns {number} Credits to charge
+ */
+export function calculateCapturedCredits(hold, deliveredPages) {
+	const heldCredits = hold.credits || 0;
+	if (!deliveredPages || deliveredPages < 0 || !hold.pages) {
+		return heldCredits;
+	}
+
+	const creditPerPage = heldCredits / hold.pages;
+	return Math.min(Math.ceil(creditPerPage * deliveredPages), heldCredits);
+}
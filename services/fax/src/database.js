@@ -3,6 +3,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { POLLING_SNAPSHOT_EVENT } from './fax-timeline.js';
 
 export class DatabaseUtils {
 	/**
@@ -53,7 +54,17 @@ export class DatabaseUtils {
 				error_message: faxData.errorMessage || null,
 				metadata: metadata,
 				provider_fax_id: faxData.providerFaxId || faxData.id || null,
-				is_from_mobile_app: isFromMobileApp
+				is_from_mobile_app: isFromMobileApp,
+				batch_id: faxData.batch_id || null,
+				scheduled_at: faxData.scheduled_at || null,
+				api_provider: faxData.apiProvider || null,
+				original_fax_id: faxData.original_fax_id || null,
+				attempt_number: faxData.attempt_number || 1,
+				document_hash: faxData.documentHash || null,
+				credit_hold_id: faxData.creditHoldId || null,
+				resent_from_fax_id: faxData.resentFromFaxId || null,
+				tags: faxData.tags || [],
+				email_reply_to: faxData.emailReplyTo || null
 			};
 
 			const { data: recordedFaxData, error } = await supabase
@@ -154,6 +165,136 @@ export class DatabaseUtils {
 		}
 	}
 
+	/**
+	 * Update a fax only if its status is still the one the update was checked against
+	 * @param {string} recordId - Fax record ID
+	 * @param {string|null} expectedStatus - Status the fax had when the update was decided
+	 * @param {Object} updateData - Fields to update, including the new status
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Updated fax, or null if another update got there first
+	 * @throws {Error} When the update fails, so a webhook is answered with an error and retried
+	 *         instead of being acknowledged as a concurrent change
+	 */
+	static async transitionFaxRecord(recordId, expectedStatus, updateData, env, logger) {
+		const supabase = this.getSupabaseAdminClient(env);
+
+		let query = supabase
+			.from('faxes')
+			.update({
+				...updateData,
+				updated_at: new Date().toISOString()
+			})
+			.eq('id', recordId);
+
+		query = expectedStatus ? query.eq('status', expectedStatus) : query.is('status', null);
+
+		const { data, error } = await query.select().maybeSingle();
+
+		if (error) {
+			logger.log('ERROR', 'Failed to update fax status', {
+				error: error.message,
+				recordId,
+				expectedStatus,
+				status: updateData.status
+			});
+			throw new Error(`Failed to update fax status: ${error.message}`);
+		}
+
+		if (!data) {
+			logger.log('INFO', 'Fax status changed concurrently, update skipped', {
+				recordId,
+				expectedStatus,
+				status: updateData.status
+			});
+		}
+
+		return data;
+	}
+
+	static async getFaxRecord(faxId, env, logger, idType = 'id') {
+		try {
+			if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+				logger.log('WARN', 'Supabase not configured, cannot fetch fax record');
+				return null;
+			}
+
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('faxes')
+				.select('*')
+				.eq(idType, faxId)
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch fax record from database', {
+					error: error.message,
+					code: error.code,
+					faxId,
+					idType
+				});
+				return null;
+			}
+
+			return data;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching fax record from database', {
+				error: error.message,
+				faxId,
+				idType
+			});
+			return null;
+		}
+	}
+
+	static async deleteFaxRecord(faxId, env, logger, idType = 'id') {
+		try {
+			if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+				logger.log('WARN', 'Supabase not configured, skipping fax record delete');
+				return false;
+			}
+
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { error } = await supabase
+				.from('faxes')
+				.delete()
+				.eq(idType, faxId);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to delete fax record from database', {
+					error: error.message,
+					code: error.code,
+					faxId,
+					idType
+				});
+				return false;
+			}
+
+			logger.log('INFO', 'Fax record deleted from database', { faxId, idType });
+			return true;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error deleting fax record from database', {
+				error: error.message,
+				faxId,
+				idType
+			});
+			return false;
+		}
+	}
+
+	/**
+	 * List a user's faxes, newest first, one page at a time
+	 * @param {string} userId - User ID
+	 * @param {Object} options - Filters from parseHistoryQuery (limit, cursor, statuses, fromDate, toDate,
+	 *                           recipient, provider, tag, search)
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object>} { faxes, hasMore } or { error, message }
+	 */
 	static async listUserFaxes(userId, options, env, logger) {
 		try {
 			if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
@@ -164,18 +305,23 @@ export class DatabaseUtils {
 				};
 			}
 
-			const { limit = 50, offset = 0, status, fromDate, toDate } = options;
+			const { limit = 50, cursor, statuses, fromDate, toDate, recipient, provider, tag, search } = options;
 			const supabase = this.getSupabaseAdminClient(env);
 
+			// One extra row tells us whether there is another page
 			let query = supabase
 				.from('faxes')
 				.select('*')
 				.eq('user_id', userId)
 				.order('created_at', { ascending: false })
-				.range(offset, offset + limit - 1);
+				.order('id', { ascending: false })
+				.limit(limit + 1);
 
-			if (status) {
-				query = query.eq('status', status);
+			if (cursor) {
+				query = query.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`);
+			}
+			if (statuses?.length) {
+				query = query.in('status', statuses);
 			}
 			if (fromDate) {
 				query = query.gte('created_at', fromDate);
@@ -183,8 +329,22 @@ export class DatabaseUtils {
 			if (toDate) {
 				query = query.lte('created_at', toDate);
 			}
+			if (recipient) {
+				query = query.contains('recipients', [recipient]);
+			}
+			if (provider) {
+				query = query.eq('api_provider', provider);
+			}
+			if (tag) {
+				query = query.contains('tags', [tag]);
+			}
+			if (search) {
+				// search_text is subject + recipients, lower-cased (see the fax history migration)
+				const pattern = search.toLowerCase().replace(/[\\%_]/g, match => `\\${match}`);
+				query = query.like('search_text', `%${pattern}%`);
+			}
 
-			const { data: faxes, error, count } = await query;
+			const { data, error } = await query;
 
 			if (error) {
 				logger.log('ERROR', 'Failed to retrieve user faxes', {
@@ -197,18 +357,19 @@ export class DatabaseUtils {
 				};
 			}
 
+			const rows = data || [];
+			const faxes = rows.slice(0, limit);
+
 			logger.log('INFO', 'User faxes retrieved successfully', {
 				userId,
 				count: faxes.length,
 				limit,
-				offset
+				hasCursor: !!cursor
 			});
 
 			return {
-				faxes: faxes || [],
-				total: count || faxes.length,
-				limit: parseInt(limit),
-				offset: parseInt(offset)
+				faxes,
+				hasMore: rows.length > limit
 			};
 
 		} catch (error) {
@@ -251,6 +412,67 @@ export class DatabaseUtils {
 		}
 	}
 
+	/**
+	 * Store a polled fax status so it shows in the fax's timeline (GET /v1/fax/{id})
+	 * Snapshots go to fax_webhook_events next to the provider callbacks. The fax's
+	 * original_status is moved to the polled one first, conditional on the value the caller
+	 * read, so only the poll that saw a change stores a snapshot; callers skip polls whose
+	 * status matches the fax's original_status without touching the database.
+	 * @param {Object} fax - Fax record the poll was matched to
+	 * @param {Object} snapshot - Polled status (status, original_status, pages, error_message)
+	 * @param {Object} rawPayload - Fax details returned by the provider
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<boolean>} True if a snapshot was stored
+	 */
+	static async storeStatusSnapshot(fax, snapshot, rawPayload, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			let query = supabase
+				.from('faxes')
+				.update({
+					original_status: snapshot.original_status,
+					updated_at: new Date().toISOString()
+				})
+				.eq('id', fax.id);
+
+			query = fax.original_status ? query.eq('original_status', fax.original_status) : query.is('original_status', null);
+
+			const { data: updated, error: updateError } = await query.select('id').maybeSingle();
+
+			if (updateError) {
+				logger.log('ERROR', 'Failed to record polled fax status', { faxId: fax.provider_fax_id, error: updateError.message });
+				return false;
+			}
+
+			if (!updated) {
+				// Another poll or a webhook changed the status since it was read
+				return false;
+			}
+
+			const { error } = await supabase
+				.from('fax_webhook_events')
+				.insert({
+					event_type: POLLING_SNAPSHOT_EVENT,
+					fax_id: fax.provider_fax_id,
+					data: snapshot,
+					raw_payload: rawPayload,
+					processed_at: new Date().toISOString()
+				});
+
+			if (error) {
+				logger.log('ERROR', 'Failed to store fax status snapshot', { faxId: fax.provider_fax_id, error: error.message });
+				return false;
+			}
+
+			return true;
+		} catch (error) {
+			logger.log('ERROR', 'Error storing fax status snapshot', { faxId: fax.provider_fax_id, error: error.message });
+			return false;
+		}
+	}
+
 	static async recordUsage(usageData, env, logger) {
 		try {
 			if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
@@ -307,6 +529,16 @@ export class DatabaseUtils {
 		}
 	}
 
+	/**
+	 * Save a received fax, once per provider webhook
+	 * Providers retry webhooks, so the insert skips faxes whose webhook_id was already saved
+	 * (unique index); callers only charge, notify and forward when the fax was created.
+	 * @param {Object} receivedFaxData - Received fax details
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<{record: Object|null, created: boolean}|null>} Saved fax (record is null
+	 *          when the webhook was already saved), or null on errors
+	 */
 	static async saveReceivedFax(receivedFaxData, env, logger) {
 		try {
 			if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
@@ -322,6 +554,8 @@ export class DatabaseUtils {
 			const receivedFaxRecord = {
 				webhook_id: receivedFaxData.webhookId,
 				from_number: receivedFaxData.fromNumber,
+				to_number: receivedFaxData.toNumber || null,
+				user_id: receivedFaxData.userId || null,
 				page_count: receivedFaxData.pageCount || 1,
 				media_url: receivedFaxData.mediaUrl,
 				original_media_url: receivedFaxData.originalMediaUrl || null,
@@ -331,9 +565,9 @@ export class DatabaseUtils {
 
 			const { data: recordedReceivedFax, error } = await supabase
 				.from('free_fax_receives')
-				.insert(receivedFaxRecord)
+				.upsert(receivedFaxRecord, { onConflict: 'webhook_id', ignoreDuplicates: true })
 				.select()
-				.single();
+				.maybeSingle();
 
 			if (error) {
 				logger.log('ERROR', 'Failed to save received fax record to database', {
@@ -344,6 +578,13 @@ export class DatabaseUtils {
 				throw error;
 			}
 
+			if (!recordedReceivedFax) {
+				logger.log('INFO', 'Received fax already saved for this webhook', {
+					webhookId: receivedFaxData.webhookId
+				});
+				return { record: null, created: false };
+			}
+
 			logger.log('INFO', 'Received fax record saved successfully to database', {
 				recordId: recordedReceivedFax.id,
 				webhookId: recordedReceivedFax.webhook_id,
@@ -351,7 +592,7 @@ export class DatabaseUtils {
 				pageCount: recordedReceivedFax.page_count
 			});
 
-			return recordedReceivedFax;
+			return { record: recordedReceivedFax, created: true };
 
 		} catch (error) {
 			logger.log('ERROR', 'Error saving received fax record to database', {
@@ -361,6 +602,186 @@ export class DatabaseUtils {
 			return null;
 		}
 	}
+
+	/**
+	 * List the faxes received on a user's numbers, newest first
+	 * @param {string} userId - Owner of the receiving numbers
+	 * @param {Object} options - Filters from parseInboxQuery
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object>} { faxes, hasMore } or { error, message }
+	 */
+	static async listInboxFaxes(userId, options, env, logger) {
+		try {
+			const { limit = 50, cursor, view = 'inbox', unreadOnly = false } = options;
+			const supabase = this.getSupabaseAdminClient(env);
+
+			// One extra row tells us whether there is another page
+			let query = supabase
+				.from('free_fax_receives')
+				.select('id, from_number, to_number, page_count, received_at, read_at, archived_at')
+				.eq('user_id', userId)
+				.order('received_at', { ascending: false })
+				.order('id', { ascending: false })
+				.limit(limit + 1);
+
+			if (cursor) {
+				query = query.or(`received_at.lt."${cursor.receivedAt}",and(received_at.eq."${cursor.receivedAt}",id.lt.${cursor.id})`);
+			}
+			if (view === 'inbox') {
+				query = query.is('archived_at', null);
+			} else if (view === 'archived') {
+				query = query.not('archived_at', 'is', null);
+			}
+			if (unreadOnly) {
+				query = query.is('read_at', null);
+			}
+
+			const { data, error } = await query;
+
+			if (error) {
+				logger.log('ERROR', 'Failed to retrieve inbox faxes', {
+					error: error.message,
+					userId
+				});
+				return {
+					error: "Failed to retrieve received faxes",
+					message: error.message
+				};
+			}
+
+			const rows = data || [];
+			return {
+				faxes: rows.slice(0, limit),
+				hasMore: rows.length > limit
+			};
+
+		} catch (error) {
+			logger.log('ERROR', 'Error retrieving inbox faxes', {
+				error: error.message,
+				userId
+			});
+			return {
+				error: "Failed to retrieve received faxes",
+				message: error.message
+			};
+		}
+	}
+
+	/**
+	 * Get a fax received on one of a user's numbers
+	 * @param {string} receivedFaxId - free_fax_receives record ID
+	 * @param {string} userId - Owner of the receiving number
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Record, or null if not found, not the user's or on errors
+	 */
+	static async getInboxFax(receivedFaxId, userId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('free_fax_receives')
+				.select('*')
+				.eq('id', receivedFaxId)
+				.eq('user_id', userId)
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to retrieve inbox fax', {
+					error: error.message,
+					receivedFaxId
+				});
+				return null;
+			}
+
+			return data || null;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error retrieving inbox fax', {
+				error: error.message,
+				receivedFaxId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Update the read/archived state of a received fax
+	 * @param {string} receivedFaxId - free_fax_receives record ID
+	 * @param {string} userId - Owner of the receiving number
+	 * @param {Object} updates - Columns to update (read_at, archived_at)
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Updated record, or null if not found or on errors
+	 */
+	static async updateInboxFax(receivedFaxId, userId, updates, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('free_fax_receives')
+				.update({ ...updates, updated_at: new Date().toISOString() })
+				.eq('id', receivedFaxId)
+				.eq('user_id', userId)
+				.select('id, from_number, to_number, page_count, received_at, read_at, archived_at')
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to update inbox fax', {
+					error: error.message,
+					receivedFaxId
+				});
+				return null;
+			}
+
+			return data || null;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error updating inbox fax', {
+				error: error.message,
+				receivedFaxId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Delete a received fax record
+	 * @param {string} receivedFaxId - free_fax_receives record ID
+	 * @param {string} userId - Owner of the receiving number
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<boolean>} True if the record was deleted
+	 */
+	static async deleteInboxFax(receivedFaxId, userId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { error } = await supabase
+				.from('free_fax_receives')
+				.delete()
+				.eq('id', receivedFaxId)
+				.eq('user_id', userId);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to delete inbox fax', {
+					error: error.message,
+					receivedFaxId
+				});
+				return false;
+			}
+
+			return true;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error deleting inbox fax', {
+				error: error.message,
+				receivedFaxId
+			});
+			return false;
+		}
+	}
 }
 
 export class FaxDatabaseUtils {
@@ -573,12 +994,25 @@ export class FaxDatabaseUtils {
 			}
 		}
 
-		const hasCredits = totalAvailablePages >= pagesRequired;
-
-		logger.log('INFO', 'Subscription credit check completed', {
-			userId: userId,
+		// Credits reserved by faxes that haven't finished yet are not available
+		const heldCredits = await this.getHeldCredits(userId, env, logger);
+		if (heldCredits === null) {
+			return {
+				hasCredits: false,
+				error: 'Failed to check credit holds',
+				availablePages: 0,
+				subscriptionId: null,
+				creditSource: 'subscription'
+			};
+		}
+		const availablePages = Math.max(totalAvailablePages - heldCredits, 0);
+		const hasCredits = availablePages >= pagesRequired;
+
+		logger.log('INFO', 'Subscription credit check completed', {
+			userId: userId,
 			pagesRequired: pagesRequired,
 			totalAvailablePages: totalAvailablePages,
+			heldCredits: heldCredits,
 			hasCredits: hasCredits,
 			subscriptionCount: subscriptions.length,
 			creditSource: 'subscription'
@@ -586,7 +1020,9 @@ export class FaxDatabaseUtils {
 
 		return {
 			hasCredits: hasCredits,
-			availablePages: totalAvailablePages,
+			availablePages: availablePages,
+			totalCredits: totalAvailablePages,
+			heldCredits: heldCredits,
 			subscriptionId: primarySubscription?.id || null,
 			subscriptions: subscriptions,
 			creditSource: 'subscription',
@@ -640,12 +1076,25 @@ export class FaxDatabaseUtils {
 			}
 		}
 
-		const hasCredits = totalAvailablePages >= pagesRequired;
+		// Credits reserved by faxes that haven't finished yet are not available
+		const heldCredits = await this.getHeldCredits(userId, env, logger);
+		if (heldCredits === null) {
+			return {
+				hasCredits: false,
+				error: 'Failed to check credit holds',
+				availablePages: 0,
+				subscriptionId: null,
+				creditSource: 'free_credits'
+			};
+		}
+		const availablePages = Math.max(totalAvailablePages - heldCredits, 0);
+		const hasCredits = availablePages >= pagesRequired;
 
 		logger.log('INFO', 'Free credit check completed', {
 			userId: userId,
 			pagesRequired: pagesRequired,
 			totalAvailablePages: totalAvailablePages,
+			heldCredits: heldCredits,
 			hasCredits: hasCredits,
 			freeCreditRecords: activeCredits.length,
 			creditSource: 'free_credits'
@@ -653,7 +1102,9 @@ export class FaxDatabaseUtils {
 
 		return {
 			hasCredits: hasCredits,
-			availablePages: totalAvailablePages,
+			availablePages: availablePages,
+			totalCredits: totalAvailablePages,
+			heldCredits: heldCredits,
 			subscriptionId: null,
 			freeCredits: activeCredits,
 			creditSource: 'free_credits',
@@ -1001,4 +1452,1192 @@ export class FaxDatabaseUtils {
 			};
 		}
 	}
-} 
+
+	/**
+	 * Create a broadcast batch that groups the per-recipient fax records
+	 * @param {Object} batchData - Batch data (recipients, pages, creditsRequired, provider, subject)
+	 * @param {string} userId - User ID
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Created batch record or null
+	 */
+	static async createFaxBatch(batchData, userId, env, logger) {
+		try {
+			if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+				logger.log('WARN', 'Supabase not configured, skipping fax batch creation');
+				return null;
+			}
+
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: batch, error } = await supabase
+				.from('fax_batches')
+				.insert({
+					user_id: userId,
+					status: 'queued',
+					recipient_count: batchData.recipients.length,
+					pages: batchData.pages || 0,
+					credits_required: Math.ceil(batchData.creditsRequired || 0),
+					api_provider: batchData.provider || null,
+					subject: batchData.subject || null
+				})
+				.select()
+				.single();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to create fax batch', {
+					error: error.message,
+					code: error.code,
+					userId: userId
+				});
+				return null;
+			}
+
+			logger.log('INFO', 'Fax batch created', {
+				batchId: batch.id,
+				recipientCount: batch.recipient_count,
+				userId: userId
+			});
+
+			return batch;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error creating fax batch', {
+				error: error.message,
+				userId: userId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Get a broadcast batch with its rolled-up status
+	 * @param {string} batchId - Batch ID
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Batch record or null
+	 */
+	static async getFaxBatch(batchId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: batch, error } = await supabase
+				.from('fax_batches')
+				.select('*')
+				.eq('id', batchId)
+				.single();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch fax batch', {
+					error: error.message,
+					batchId: batchId
+				});
+				return null;
+			}
+
+			return batch;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching fax batch', {
+				error: error.message,
+				batchId: batchId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Get scheduled faxes whose send time has passed
+	 * @param {string} nowIso - Current time (ISO string)
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @param {number} limit - Maximum number of faxes to return per run
+	 * @returns {Promise<Array>} Due fax records (oldest first)
+	 */
+	static async getDueScheduledFaxes(nowIso, env, logger, limit = 25) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: faxes, error } = await supabase
+				.from('faxes')
+				.select('id, scheduled_at')
+				.eq('status', 'scheduled')
+				.lte('scheduled_at', nowIso)
+				.order('scheduled_at', { ascending: true })
+				.limit(limit);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch due scheduled faxes', {
+					error: error.message
+				});
+				return [];
+			}
+
+			return faxes || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching due scheduled faxes', {
+				error: error.message
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * Atomically claim a scheduled fax for dispatch (scheduled -> processing)
+	 * Returns null when the fax is no longer scheduled, e.g. it was cancelled or
+	 * another dispatch run claimed it first.
+	 * @param {string} faxId - Fax record ID
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Claimed fax record or null
+	 */
+	static async claimScheduledFax(faxId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: fax, error } = await supabase
+				.from('faxes')
+				.update({
+					status: 'processing',
+					updated_at: new Date().toISOString()
+				})
+				.eq('id', faxId)
+				.eq('status', 'scheduled')
+				.select()
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to claim scheduled fax', {
+					error: error.message,
+					faxId: faxId
+				});
+				return null;
+			}
+
+			if (!fax) {
+				logger.log('INFO', 'Scheduled fax no longer pending, skipping', { faxId: faxId });
+			}
+
+			return fax;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error claiming scheduled fax', {
+				error: error.message,
+				faxId: faxId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Claim an Idempotency-Key for a new send request
+	 * Expired keys are replaced, and so are keys still processing but not updated since
+	 * staleBefore: their request crashed or timed out without finishing. When the key is
+	 * already held, the existing record is returned so the caller can replay its response
+	 * or report the conflict.
+	 * @param {string} userId - User ID
+	 * @param {string} idempotencyKey - Client supplied key
+	 * @param {string} fingerprint - Request fingerprint
+	 * @param {string} expiresAt - Expiry time (ISO string)
+	 * @param {string} staleBefore - End of the processing lease for existing claims (ISO string)
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<{claimed: boolean, record: Object|null}>} Claim result (record is null on database errors)
+	 */
+	static async claimIdempotencyKey(userId, idempotencyKey, fingerprint, expiresAt, staleBefore, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			await supabase
+				.from('fax_idempotency_keys')
+				.delete()
+				.eq('user_id', userId)
+				.eq('idempotency_key', idempotencyKey)
+				.or(`expires_at.lt.${new Date().toISOString()},and(status.eq.processing,updated_at.lt.${staleBefore})`);
+
+			const { data: record, error } = await supabase
+				.from('fax_idempotency_keys')
+				.insert({
+					user_id: userId,
+					idempotency_key: idempotencyKey,
+					request_fingerprint: fingerprint,
+					status: 'processing',
+					expires_at: expiresAt
+				})
+				.select()
+				.single();
+
+			if (!error) {
+				return { claimed: true, record };
+			}
+
+			// 23505 = unique_violation: the key has been used before
+			if (error.code !== '23505') {
+				logger.log('ERROR', 'Failed to claim idempotency key', {
+					error: error.message,
+					code: error.code,
+					userId: userId
+				});
+				return { claimed: false, record: null };
+			}
+
+			const { data: existing, error: fetchError } = await supabase
+				.from('fax_idempotency_keys')
+				.select('*')
+				.eq('user_id', userId)
+				.eq('idempotency_key', idempotencyKey)
+				.maybeSingle();
+
+			if (fetchError) {
+				logger.log('ERROR', 'Failed to fetch idempotency key', {
+					error: fetchError.message,
+					userId: userId
+				});
+				return { claimed: false, record: null };
+			}
+
+			return { claimed: false, record: existing };
+
+		} catch (error) {
+			logger.log('ERROR', 'Error claiming idempotency key', {
+				error: error.message,
+				userId: userId
+			});
+			return { claimed: false, record: null };
+		}
+	}
+
+	/**
+	 * Store the response of the request that claimed an Idempotency-Key
+	 * @param {string} recordId - Idempotency key record ID
+	 * @param {Object} response - Handler response to replay
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<boolean>} True if stored
+	 */
+	static async completeIdempotencyKey(recordId, response, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { error } = await supabase
+				.from('fax_idempotency_keys')
+				.update({
+					status: 'completed',
+					response_status_code: response.statusCode,
+					response_body: response,
+					updated_at: new Date().toISOString()
+				})
+				.eq('id', recordId);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to store idempotent response', {
+					error: error.message,
+					recordId: recordId
+				});
+				return false;
+			}
+
+			return true;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error storing idempotent response', {
+				error: error.message,
+				recordId: recordId
+			});
+			return false;
+		}
+	}
+
+	/**
+	 * Release an Idempotency-Key whose request did not succeed, so the client can retry with it
+	 * @param {string} recordId - Idempotency key record ID
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<boolean>} True if released
+	 */
+	static async releaseIdempotencyKey(recordId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { error } = await supabase
+				.from('fax_idempotency_keys')
+				.delete()
+				.eq('id', recordId);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to release idempotency key', {
+					error: error.message,
+					recordId: recordId
+				});
+				return false;
+			}
+
+			return true;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error releasing idempotency key', {
+				error: error.message,
+				recordId: recordId
+			});
+			return false;
+		}
+	}
+
+	/**
+	 * Get the user's recent faxes carrying the same documents
+	 * Failed and cancelled faxes are ignored, since sending those again is expected.
+	 * @param {string} userId - User ID
+	 * @param {string} documentHash - Document hash
+	 * @param {string} sinceIso - Start of the duplicate window (ISO string)
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Array>} Matching fax records (newest first)
+	 */
+	static async findRecentFaxesByDocumentHash(userId, documentHash, sinceIso, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: faxes, error } = await supabase
+				.from('faxes')
+				.select('id, recipients, status, created_at')
+				.eq('user_id', userId)
+				.eq('document_hash', documentHash)
+				.gte('created_at', sinceIso)
+				.not('status', 'in', '(failed,cancelled)')
+				.order('created_at', { ascending: false });
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch recent faxes by document hash', {
+					error: error.message,
+					userId: userId
+				});
+				return [];
+			}
+
+			return faxes || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching recent faxes by document hash', {
+				error: error.message,
+				userId: userId
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * Sum the credits reserved by the user's open holds
+	 * Holds past their expiry no longer count, even before the cron sweep marks them expired.
+	 * @param {string} userId - User ID
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<number|null>} Held credits, or null on errors so callers don't count reserved credits as available
+	 */
+	static async getHeldCredits(userId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: holds, error } = await supabase
+				.from('credit_holds')
+				.select('credits')
+				.eq('user_id', userId)
+				.eq('status', 'held')
+				.gt('expires_at', new Date().toISOString());
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch credit holds', {
+					error: error.message,
+					userId: userId
+				});
+				return null;
+			}
+
+			return (holds || []).reduce((sum, hold) => sum + (hold.credits || 0), 0);
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching credit holds', {
+				error: error.message,
+				userId: userId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Reserve credits for a submitted fax (see place_credit_hold)
+	 * @param {string} userId - User ID
+	 * @param {number} credits - Credits to reserve
+	 * @param {number} pages - Pages the credits were calculated for
+	 * @param {number} availableCredits - User's balance before holds
+	 * @param {string} expiresAt - Hold expiry (ISO string)
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<{success: boolean, holdId: string|null, error: string|null}>}
+	 *          success with a null holdId means the balance no longer covers the hold
+	 */
+	static async placeCreditHold(userId, credits, pages, availableCredits, expiresAt, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: holdId, error } = await supabase
+				.rpc('place_credit_hold', {
+					p_user_id: userId,
+					p_credits: Math.ceil(credits),
+					p_pages: pages || 0,
+					p_available_credits: Math.floor(availableCredits),
+					p_expires_at: expiresAt
+				});
+
+			if (error) {
+				logger.log('ERROR', 'Failed to place credit hold', {
+					error: error.message,
+					userId: userId,
+					credits: credits
+				});
+				return { success: false, holdId: null, error: error.message };
+			}
+
+			logger.log('INFO', holdId ? 'Credit hold placed' : 'Credit hold refused, balance already held', {
+				userId: userId,
+				holdId: holdId || null,
+				credits: credits
+			});
+
+			return { success: true, holdId: holdId || null, error: null };
+
+		} catch (error) {
+			logger.log('ERROR', 'Error placing credit hold', {
+				error: error.message,
+				userId: userId,
+				credits: credits
+			});
+			return { success: false, holdId: null, error: error.message };
+		}
+	}
+
+	/**
+	 * Convert an open hold into a charge
+	 * @param {string} holdId - Credit hold ID
+	 * @param {number} capturedCredits - Credits actually charged
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Captured hold, or null if it was no longer open
+	 */
+	static async captureCreditHold(holdId, capturedCredits, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: hold, error } = await supabase
+				.from('credit_holds')
+				.update({
+					status: 'captured',
+					captured_credits: capturedCredits,
+					settled_at: new Date().toISOString(),
+					updated_at: new Date().toISOString()
+				})
+				.eq('id', holdId)
+				.eq('status', 'held')
+				.select()
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to capture credit hold', {
+					error: error.message,
+					holdId: holdId
+				});
+				return null;
+			}
+
+			return hold;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error capturing credit hold', {
+				error: error.message,
+				holdId: holdId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Release an open hold without charging it
+	 * @param {string} holdId - Credit hold ID
+	 * @param {string} reason - Why the hold was released (e.g. 'failed', 'cancelled')
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<boolean>} True if an open hold was released
+	 */
+	static async releaseCreditHold(holdId, reason, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: hold, error } = await supabase
+				.from('credit_holds')
+				.update({
+					status: 'released',
+					release_reason: reason,
+					settled_at: new Date().toISOString(),
+					updated_at: new Date().toISOString()
+				})
+				.eq('id', holdId)
+				.eq('status', 'held')
+				.select('id')
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to release credit hold', {
+					error: error.message,
+					holdId: holdId
+				});
+				return false;
+			}
+
+			return !!hold;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error releasing credit hold', {
+				error: error.message,
+				holdId: holdId
+			});
+			return false;
+		}
+	}
+
+	/**
+	 * Get a credit hold
+	 * @param {string} holdId - Credit hold ID
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Hold record or null
+	 */
+	static async getCreditHold(holdId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: hold, error } = await supabase
+				.from('credit_holds')
+				.select('*')
+				.eq('id', holdId)
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch credit hold', {
+					error: error.message,
+					holdId: holdId
+				});
+				return null;
+			}
+
+			return hold;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching credit hold', {
+				error: error.message,
+				holdId: holdId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Get the stored provider events of a fax, oldest first
+	 * Covers webhook callbacks and the cron service's polling snapshots.
+	 * @param {string} providerFaxId - Provider fax ID
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Array>} fax_webhook_events rows ([] on errors)
+	 */
+	static async getFaxEvents(providerFaxId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: events, error } = await supabase
+				.from('fax_webhook_events')
+				.select('event_type, data, raw_payload, processed_at')
+				.eq('fax_id', providerFaxId)
+				.order('processed_at', { ascending: true })
+				.limit(500);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch fax events', {
+					error: error.message,
+					providerFaxId
+				});
+				return [];
+			}
+
+			return events || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching fax events', {
+				error: error.message,
+				providerFaxId
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * Find the user an email-to-fax sender belongs to
+	 * Matches the confirmed sign-up address first, then the fax_email_senders allowlist.
+	 * @param {string} email - Sender address
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<string|null>} User ID, or null for unknown senders and errors
+	 */
+	static async findEmailSenderUser(email, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: userId, error } = await supabase
+				.rpc('find_fax_email_sender', { p_email: email });
+
+			if (error) {
+				logger.log('ERROR', 'Failed to look up email sender', {
+					error: error.message
+				});
+				return null;
+			}
+
+			return userId || null;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error looking up email sender', {
+				error: error.message
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Get the active forwarding rules of a receiving number
+	 * @param {string} faxNumber - Number the fax was received on
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Array>} fax_forwarding_rules rows ([] on errors)
+	 */
+	static async getFaxForwardingRules(faxNumber, env, logger) {
+		try {
+			if (!faxNumber) {
+				return [];
+			}
+
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: rules, error } = await supabase
+				.from('fax_forwarding_rules')
+				.select('id, emails, delivery, time_zone')
+				.eq('fax_number', faxNumber)
+				.eq('is_active', true);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch fax forwarding rules', {
+					error: error.message,
+					faxNumber
+				});
+				return [];
+			}
+
+			return rules || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching fax forwarding rules', {
+				error: error.message,
+				faxNumber
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * Get the user an inbound fax number is assigned to
+	 * @param {string} faxNumber - Number the fax was received on
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Active fax_number_assignments row, or null for shared numbers
+	 * @throws {Error} When the lookup fails, so a received fax isn't saved as shared by mistake
+	 */
+	static async getFaxNumberAssignment(faxNumber, env, logger) {
+		if (!faxNumber) {
+			return null;
+		}
+
+		const supabase = this.getSupabaseAdminClient(env);
+
+		const { data: assignment, error } = await supabase
+			.from('fax_number_assignments')
+			.select('id, user_id, inbound_credits_per_page')
+			.eq('fax_number', faxNumber)
+			.eq('is_active', true)
+			.maybeSingle();
+
+		if (error) {
+			logger.log('ERROR', 'Failed to fetch fax number assignment', {
+				error: error.message,
+				faxNumber
+			});
+			throw new Error(`Failed to fetch fax number assignment: ${error.message}`);
+		}
+
+		return assignment || null;
+	}
+
+	/**
+	 * Record the credits charged for a received fax
+	 * @param {string} receivedFaxId - free_fax_receives record ID
+	 * @param {number} credits - Credits charged
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<boolean>} True if the record was updated
+	 */
+	static async recordInboundCharge(receivedFaxId, credits, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { error } = await supabase
+				.from('free_fax_receives')
+				.update({ credits_charged: credits, updated_at: new Date().toISOString() })
+				.eq('id', receivedFaxId);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to record inbound fax charge', {
+					error: error.message,
+					receivedFaxId
+				});
+				return false;
+			}
+
+			return true;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error recording inbound fax charge', {
+				error: error.message,
+				receivedFaxId
+			});
+			return false;
+		}
+	}
+
+	/**
+	 * List a user's developer webhook endpoints
+	 * @param {string} userId - User ID
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Array>} webhook_endpoints rows, newest first (empty on errors)
+	 */
+	static async listWebhookEndpoints(userId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: endpoints, error } = await supabase
+				.from('webhook_endpoints')
+				.select('id, url, event_types, description, is_active, created_at')
+				.eq('user_id', userId)
+				.order('created_at', { ascending: false });
+
+			if (error) {
+				logger.log('ERROR', 'Failed to list webhook endpoints', {
+					error: error.message,
+					userId
+				});
+				return [];
+			}
+
+			return endpoints || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error listing webhook endpoints', {
+				error: error.message,
+				userId
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * Register a developer webhook endpoint
+	 * @param {string} userId - User ID
+	 * @param {Object} endpoint - Columns from parseWebhookEndpoint, plus the secret
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Created row, or null on errors
+	 */
+	static async createWebhookEndpoint(userId, endpoint, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('webhook_endpoints')
+				.insert({ ...endpoint, user_id: userId })
+				.select()
+				.single();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to create webhook endpoint', {
+					error: error.message,
+					userId
+				});
+				return null;
+			}
+
+			return data;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error creating webhook endpoint', {
+				error: error.message,
+				userId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Get one of a user's webhook endpoints
+	 * @param {string} endpointId - Endpoint ID
+	 * @param {string} userId - Owner
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} webhook_endpoints row, or null if not found or not owned by the user
+	 */
+	static async getWebhookEndpoint(endpointId, userId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('webhook_endpoints')
+				.select('*')
+				.eq('id', endpointId)
+				.eq('user_id', userId)
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch webhook endpoint', {
+					error: error.message,
+					endpointId
+				});
+				return null;
+			}
+
+			return data;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching webhook endpoint', {
+				error: error.message,
+				endpointId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Delete one of a user's webhook endpoints (its delivery log goes with it)
+	 * @param {string} endpointId - Endpoint ID
+	 * @param {string} userId - Owner
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<boolean>} True if an endpoint was deleted
+	 */
+	static async deleteWebhookEndpoint(endpointId, userId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('webhook_endpoints')
+				.delete()
+				.eq('id', endpointId)
+				.eq('user_id', userId)
+				.select('id');
+
+			if (error) {
+				logger.log('ERROR', 'Failed to delete webhook endpoint', {
+					error: error.message,
+					endpointId
+				});
+				return false;
+			}
+
+			return (data || []).length > 0;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error deleting webhook endpoint', {
+				error: error.message,
+				endpointId
+			});
+			return false;
+		}
+	}
+
+	/**
+	 * Get the active endpoints of a user that subscribed to an event
+	 * @param {string} userId - User ID
+	 * @param {string} eventType - Event type, e.g. 'fax.delivered'
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Array>} webhook_endpoints rows (empty on errors)
+	 */
+	static async getSubscribedWebhookEndpoints(userId, eventType, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: endpoints, error } = await supabase
+				.from('webhook_endpoints')
+				.select('id, url, secret')
+				.eq('user_id', userId)
+				.eq('is_active', true)
+				.contains('event_types', [eventType]);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch subscribed webhook endpoints', {
+					error: error.message,
+					userId,
+					eventType
+				});
+				return [];
+			}
+
+			return endpoints || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching subscribed webhook endpoints', {
+				error: error.message,
+				userId,
+				eventType
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * Log the deliveries of an event, one per endpoint
+	 * @param {Array<Object>} deliveries - webhook_deliveries rows to insert
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Array>} Inserted rows (empty on errors)
+	 */
+	static async createWebhookDeliveries(deliveries, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('webhook_deliveries')
+				.insert(deliveries)
+				.select();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to create webhook deliveries', {
+					error: error.message,
+					count: deliveries.length
+				});
+				return [];
+			}
+
+			return data || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error creating webhook deliveries', {
+				error: error.message
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * List the delivery log of an endpoint, newest first
+	 * @param {string} endpointId - Endpoint ID
+	 * @param {number} limit - Maximum rows
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Array>} webhook_deliveries rows (empty on errors)
+	 */
+	static async listWebhookDeliveries(endpointId, limit, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: deliveries, error } = await supabase
+				.from('webhook_deliveries')
+				.select('*')
+				.eq('endpoint_id', endpointId)
+				.order('created_at', { ascending: false })
+				.limit(limit);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to list webhook deliveries', {
+					error: error.message,
+					endpointId
+				});
+				return [];
+			}
+
+			return deliveries || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error listing webhook deliveries', {
+				error: error.message,
+				endpointId
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * Get one of a user's webhook deliveries
+	 * @param {string} deliveryId - Delivery ID
+	 * @param {string} userId - Owner
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} webhook_deliveries row, or null if not found or not owned by the user
+	 */
+	static async getWebhookDelivery(deliveryId, userId, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('webhook_deliveries')
+				.select('*')
+				.eq('id', deliveryId)
+				.eq('user_id', userId)
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch webhook delivery', {
+					error: error.message,
+					deliveryId
+				});
+				return null;
+			}
+
+			return data;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching webhook delivery', {
+				error: error.message,
+				deliveryId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Get pending deliveries whose next attempt is due
+	 * @param {string} nowIso - Current time (ISO string)
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @param {number} [limit] - Maximum deliveries per run
+	 * @returns {Promise<Array>} Due deliveries (id only)
+	 */
+	static async getDueWebhookDeliveries(nowIso, env, logger, limit = 50) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data: deliveries, error } = await supabase
+				.from('webhook_deliveries')
+				.select('id')
+				.eq('status', 'pending')
+				.lte('next_attempt_at', nowIso)
+				.order('next_attempt_at', { ascending: true })
+				.limit(limit);
+
+			if (error) {
+				logger.log('ERROR', 'Failed to fetch due webhook deliveries', {
+					error: error.message
+				});
+				return [];
+			}
+
+			return deliveries || [];
+
+		} catch (error) {
+			logger.log('ERROR', 'Error fetching due webhook deliveries', {
+				error: error.message
+			});
+			return [];
+		}
+	}
+
+	/**
+	 * Atomically claim a delivery for one attempt by pushing its next attempt past the attempt
+	 * Returns null when the delivery isn't due (another run claimed it first) unless forced,
+	 * which manual redeliveries do for failed and delivered deliveries too.
+	 * @param {string} deliveryId - Delivery ID
+	 * @param {string} nowIso - Current time (ISO string)
+	 * @param {string} leaseUntilIso - When the delivery becomes due again if the attempt never finishes
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @param {boolean} [force] - Claim regardless of status and due time
+	 * @returns {Promise<Object|null>} Claimed delivery with its endpoint, or null
+	 */
+	static async claimWebhookDelivery(deliveryId, nowIso, leaseUntilIso, env, logger, force = false) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			let query = supabase
+				.from('webhook_deliveries')
+				.update({ status: 'pending', next_attempt_at: leaseUntilIso })
+				.eq('id', deliveryId);
+
+			if (!force) {
+				query = query.eq('status', 'pending').lte('next_attempt_at', nowIso);
+			}
+
+			const { data, error } = await query
+				.select('*, endpoint:webhook_endpoints(id, url, secret, is_active)')
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to claim webhook delivery', {
+					error: error.message,
+					deliveryId
+				});
+				return null;
+			}
+
+			return data;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error claiming webhook delivery', {
+				error: error.message,
+				deliveryId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Record the outcome of a delivery attempt
+	 * @param {string} deliveryId - Delivery ID
+	 * @param {Object} updates - Columns to update (status, attempt_count, response_status, ...)
+	 * @param {Object} env - Environment variables
+	 * @param {Object} logger - Logger instance
+	 * @returns {Promise<Object|null>} Updated delivery, or null on errors
+	 */
+	static async recordWebhookDeliveryAttempt(deliveryId, updates, env, logger) {
+		try {
+			const supabase = this.getSupabaseAdminClient(env);
+
+			const { data, error } = await supabase
+				.from('webhook_deliveries')
+				.update(updates)
+				.eq('id', deliveryId)
+				.select()
+				.maybeSingle();
+
+			if (error) {
+				logger.log('ERROR', 'Failed to record webhook delivery attempt', {
+					error: error.message,
+					deliveryId
+				});
+				return null;
+			}
+
+			return data;
+
+		} catch (error) {
+			logger.log('ERROR', 'Error recording webhook delivery attempt', {
+				error: error.message,
+				deliveryId
+			});
+			return null;
+		}
+	}
+}
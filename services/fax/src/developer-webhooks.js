@@ -0,0 +1,199 @@
+/**
+ * Developer webhooks (/v1/fax/webhooks)
+ *
+ * Users register HTTPS endpoints for fax and credit events. Each event is POSTed as JSON
+ *
+ *   { "id": <event id>, "type": "fax.delivered", "createdAt": ..., "data": { ... } }
+ *
+ * with an X-SendFax-Signature header "t=<unix seconds>,v1=<hex HMAC-SHA256>" over
+ * "<t>.<raw body>", keyed with the endpoint's secret. Calls that don't answer 2xx are
+ * retried with exponential backoff (1 minute, doubling) up to MAX_DELIVERY_ATTEMPTS.
+ */
+
+import { checkRemoteUrl } from './remote-documents.js';
+import { readPositiveNumber } from './utils.js';
+
+export const DEVELOPER_WEBHOOK_EVENTS = ['fax.queued', 'fax.delivered', 'fax.failed', 'fax.received', 'credits.low'];
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-SendFax-Signature';
+export const MAX_DELIVERY_ATTEMPTS = 8;
+export const DELIVERY_TIMEOUT_MS = 10000;
+export const DEFAULT_LOW_CREDITS_THRESHOLD = 10;
+
+// A delivery being attempted is pushed this far ahead so an overlapping cron run skips it
+export const DELIVERY_LEASE_SECONDS = 120;
+
+const MAX_ENDPOINTS_PER_USER = 10;
+const MAX_DESCRIPTION_LENGTH = 200;
+const BASE_RETRY_DELAY_SECONDS = 60;
+
+/**
+ * Validate the body of POST /v1/fax/webhooks
+ * @param {Object} body - Request body ({ url, events, description })
+ * @param {number} [existingCount] - Endpoints the user already has
+ * @returns {{endpoint: Object|null, error: string|null}} Endpoint columns, or a validation error
+ */
+export function parseWebhookEndpoint(body, existingCount = 0) {
+	if (existingCount >= MAX_ENDPOINTS_PER_USER) {
+		return { endpoint: null, error: `A maximum of ${MAX_ENDPOINTS_PER_USER} webhook endpoints is allowed` };
+	}
+
+	const { url, error: urlError } = checkRemoteUrl(body?.url);
+	if (urlError || url.protocol !== 'https:') {
+		return { endpoint: null, error: 'url must be a public https URL' };
+	}
+
+	const events = body.events;
+	if (!Array.isArray(events) || events.length === 0 || !events.every(event => DEVELOPER_WEBHOOK_EVENTS.includes(event))) {
+		return { endpoint: null, error: `events must be a non-empty array of ${DEVELOPER_WEBHOOK_EVENTS.join(', ')}` };
+	}
+
+	if (body.description !== undefined && body.description !== null && typeof body.description !== 'string') {
+		return { endpoint: null, error: 'description must be a string' };
+	}
+
+	return {
+		endpoint: {
+			url: url.toString(),
+			event_types: [...new Set(events)],
+			description: body.description ? body.description.trim().slice(0, MAX_DESCRIPTION_LENGTH) : null
+		},
+		error: null
+	};
+}
+
+/**
+ * Generate an endpoint signing secret
+ * @returns {string} Secret, e.g. "whsec_3f9a..."
+ */
+export function generateWebhookSecret() {
+	const bytes = crypto.getRandomValues(new Uint8Array(24));
+	return `whsec_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Build the X-SendFax-Signature header of a delivery
+ * @param {string} secret - Endpoint secret
+ * @param {string} rawBody - JSON body exactly as sent
+ * @param {number} timestamp - Unix seconds
+ * @returns {Promise<string>} Header value
+ */
+export async function signWebhookPayload(secret, rawBody, timestamp) {
+	const encoder = new TextEncoder();
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${rawBody}`));
+	const hex = Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+	return `t=${timestamp},v1=${hex}`;
+}
+
+/**
+ * Work out when a failed delivery is tried next
+ * @param {number} attemptCount - Attempts made so far
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Next attempt (ISO string), or null once the attempts are used up
+ */
+export function getNextAttemptAt(attemptCount, now = new Date()) {
+	if (attemptCount >= MAX_DELIVERY_ATTEMPTS) {
+		return null;
+	}
+	const delaySeconds = BASE_RETRY_DELAY_SECONDS * 2 ** (attemptCount - 1);
+	return new Date(now.getTime() + delaySeconds * 1000).toISOString();
+}
+
+/**
+ * Build an event
+ * @param {string} type - One of DEVELOPER_WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {Date} [now] - Event time
+ * @returns {Object} Event payload
+ */
+export function buildWebhookEvent(type, data, now = new Date()) {
+	return {
+		id: crypto.randomUUID(),
+		type,
+		createdAt: now.toISOString(),
+		data
+	};
+}
+
+/**
+ * Event data of a sent fax
+ * @param {Object} fax - Fax record
+ * @param {string} status - Status the event reports
+ * @param {string|null} [failureReason] - Why the fax failed
+ * @returns {Object} Event data
+ */
+export function formatFaxEventData(fax, status, failureReason = null) {
+	return {
+		faxId: fax.id,
+		providerFaxId: fax.provider_fax_id || null,
+		status,
+		recipients: Array.isArray(fax.recipients) ? fax.recipients : [],
+		pages: fax.pages ?? null,
+		failureReason: status === 'failed' ? failureReason || fax.error_message || null : null,
+		completedAt: fax.completed_at || null
+	};
+}
+
+/**
+ * Event data of a received fax; the document is downloaded through the inbox API
+ * @param {Object} receivedFax - free_fax_receives record
+ * @returns {Object} Event data
+ */
+export function formatReceivedFaxEventData(receivedFax) {
+	return {
+		receivedFaxId: receivedFax.id,
+		from: receivedFax.from_number || null,
+		to: receivedFax.to_number || null,
+		pages: receivedFax.page_count ?? null,
+		receivedAt: receivedFax.received_at || null,
+		downloadUrl: `/v1/fax/inbox/${receivedFax.id}/download`
+	};
+}
+
+/**
+ * Read the low credit threshold from the caller environment
+ * @param {Object} env - Caller environment (FAX_LOW_CREDITS_THRESHOLD)
+ * @returns {number} Threshold in credits
+ */
+export function getLowCreditsThreshold(env = {}) {
+	return readPositiveNumber(env.FAX_LOW_CREDITS_THRESHOLD, DEFAULT_LOW_CREDITS_THRESHOLD);
+}
+
+/**
+ * Shape an endpoint for API responses; the secret is only returned when it is created
+ * @param {Object} endpoint - webhook_endpoints record
+ * @returns {Object} Endpoint
+ */
+export function formatWebhookEndpoint(endpoint) {
+	return {
+		id: endpoint.id,
+		url: endpoint.url,
+		events: endpoint.event_types || [],
+		description: endpoint.description || null,
+		isActive: endpoint.is_active !== false,
+		createdAt: endpoint.created_at || null
+	};
+}
+
+/**
+ * Shape a delivery log entry for API responses
+ * @param {Object} delivery - webhook_deliveries record
+ * @returns {Object} Delivery
+ */
+export function formatWebhookDelivery(delivery) {
+	return {
+		id: delivery.id,
+		eventId: delivery.event_id,
+		eventType: delivery.event_type,
+		status: delivery.status,
+		attempts: delivery.attempt_count || 0,
+		responseStatus: delivery.response_status ?? null,
+		lastError: delivery.last_error || null,
+		nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at || null : null,
+		lastAttemptAt: delivery.last_attempt_at || null,
+		deliveredAt: delivery.delivered_at || null,
+		createdAt: delivery.created_at || null,
+		payload: delivery.payload
+	};
+}
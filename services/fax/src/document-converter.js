@@ -0,0 +1,384 @@
+/**
+ * Document conversion for fax transmission
+ *
+ * Providers are only guaranteed to transmit PDFs, and a fax machine prints in black
+ * and white. Images (JPEG, PNG, TIFF) are scaled to the page at fax resolution,
+ * thresholded to 1-bit monochrome and wrapped in a PDF page each; plain text is
+ * typeset onto Letter/A4 pages. PDFs and other formats pass through unchanged.
+ */
+
+import {
+	PDFDocument,
+	StandardFonts,
+	pushGraphicsState,
+	popGraphicsState,
+	concatTransformationMatrix,
+	drawObject
+} from 'pdf-lib';
+import jpeg from 'jpeg-js';
+import UPNG from 'upng-js';
+import UTIF from 'utif2';
+import { isPdf } from './page-count.js';
+import { toDrawableText, wrapText } from './pdf-text.js';
+
+// Page sizes in PDF points (1/72 inch)
+export const PAPER_SIZES = {
+	letter: [612, 792],
+	a4: [595.28, 841.89]
+};
+
+export const DEFAULT_PAPER_SIZE = 'letter';
+
+// Fax "fine" mode is roughly 200 dpi; more detail is thrown away by the machine anyway
+const FAX_DPI = 200;
+const IMAGE_MARGIN = 18;
+const TEXT_MARGIN = 54;
+const TEXT_FONT_SIZE = 10;
+
+// Adaptive threshold: a pixel is black when it is this much darker than its neighbourhood,
+// or darker than DARK_LEVEL outright (so large solid areas don't come out hollow)
+const THRESHOLD_PERCENT = 15;
+const DARK_LEVEL = 96;
+
+// Decoding keeps several copies of an image in memory (decoder buffers, RGBA pixels, the
+// monochrome result), so images are refused well before they could exhaust the Worker's 128 MB.
+// RGBA pixels and the decoders' own buffers take about 8 bytes per pixel.
+const MAX_DECODE_MEMORY_MB = 48;
+const MAX_IMAGE_PIXELS = Math.floor(MAX_DECODE_MEMORY_MB * 1024 * 1024 / 8);
+
+/**
+ * Work out what kind of document a file holds. Magic bytes win over the declared type.
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} [contentType] - Declared MIME type
+ * @param {string} [filename] - Declared file name
+ * @returns {string|null} 'pdf', 'jpeg', 'png', 'tiff', 'text' or null for anything else
+ */
+export function detectDocumentType(bytes, contentType, filename) {
+	if (isPdf(bytes)) return 'pdf';
+	if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+	if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'png';
+	if ((bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 0x2a && bytes[3] === 0x00) ||
+		(bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0x00 && bytes[3] === 0x2a)) return 'tiff';
+
+	const type = (contentType || '').toLowerCase();
+	if (type.startsWith('text/plain') || /\.txt$/i.test(filename || '')) return 'text';
+
+	return null;
+}
+
+/**
+ * Read the EXIF orientation of a JPEG (phones store rotation there instead of rotating pixels)
+ * @param {Uint8Array} bytes - JPEG contents
+ * @returns {number} EXIF orientation (1 when absent)
+ */
+export function readJpegOrientation(bytes) {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	let offset = 2;
+
+	while (offset + 4 <= bytes.length) {
+		if (bytes[offset] !== 0xff) return 1;
+		const marker = bytes[offset + 1];
+		const length = view.getUint16(offset + 2);
+
+		// APP1 with "Exif\0\0"
+		if (marker === 0xe1 && view.getUint32(offset + 4) === 0x45786966) {
+			const tiff = offset + 10;
+			const littleEndian = view.getUint16(tiff) === 0x4949;
+			const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+			const entries = view.getUint16(ifd, littleEndian);
+
+			for (let i = 0; i < entries; i++) {
+				const entry = ifd + 2 + i * 12;
+				if (entry + 12 > bytes.length) break;
+				if (view.getUint16(entry, littleEndian) === 0x0112) {
+					return view.getUint16(entry + 8, littleEndian);
+				}
+			}
+			return 1;
+		}
+
+		// Start of scan: no more metadata
+		if (marker === 0xda) return 1;
+		offset += 2 + length;
+	}
+
+	return 1;
+}
+
+/**
+ * Refuse images whose decoded pixels would not fit in MAX_DECODE_MEMORY_MB
+ * @param {number} pixels - Pixels to decode (all frames together)
+ * @throws {Error} When the image is too large (tooLarge set)
+ */
+function assertDecodableSize(pixels) {
+	if (pixels > MAX_IMAGE_PIXELS) {
+		throw Object.assign(
+			new Error(`image is larger than ${(MAX_IMAGE_PIXELS / 1e6).toFixed(1)} megapixels; send it smaller or as a PDF`),
+			{ tooLarge: true }
+		);
+	}
+}
+
+/**
+ * Decode an image into RGBA frames (multi-page TIFFs have several)
+ * Sizes are checked from the headers before any pixels are decoded.
+ * @param {Uint8Array} bytes - Image contents
+ * @param {string} type - 'jpeg', 'png' or 'tiff'
+ * @returns {Array<{width: number, height: number, data: Uint8Array, orientation: number}>} Frames
+ */
+function decodeImage(bytes, type) {
+	if (type === 'jpeg') {
+		let image;
+		try {
+			image = jpeg.decode(bytes, {
+				useTArray: true,
+				formatAsRGBA: true,
+				maxResolutionInMP: MAX_IMAGE_PIXELS / 1e6,
+				maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+			});
+		} catch (error) {
+			if (/limit exceeded/.test(error.message)) {
+				assertDecodableSize(Infinity);
+			}
+			throw error;
+		}
+		return [{ width: image.width, height: image.height, data: image.data, orientation: readJpegOrientation(bytes) }];
+	}
+
+	const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+	if (type === 'png') {
+		// IHDR is always the first chunk: width and height follow the signature and chunk header
+		if (bytes.byteLength >= 24) {
+			const view = new DataView(buffer);
+			assertDecodableSize(view.getUint32(16) * view.getUint32(20));
+		}
+		const image = UPNG.decode(buffer);
+		return [{ width: image.width, height: image.height, data: new Uint8Array(UPNG.toRGBA8(image)[0]), orientation: 1 }];
+	}
+
+	const ifds = UTIF.decode(buffer).filter(ifd => ifd.t256 && ifd.t257);
+	assertDecodableSize(ifds.reduce((pixels, ifd) => pixels + ifd.t256[0] * ifd.t257[0], 0));
+	return ifds.map(ifd => {
+		UTIF.decodeImage(buffer, ifd);
+		return { width: ifd.width, height: ifd.height, data: new Uint8Array(UTIF.toRGBA8(ifd)), orientation: 1 };
+	});
+}
+
+/**
+ * Scale an image down to fax resolution and convert it to 1-bit monochrome
+ * @param {Object} frame - Decoded RGBA frame
+ * @param {number} maxWidth - Maximum width in pixels
+ * @param {number} maxHeight - Maximum height in pixels
+ * @returns {{width: number, height: number, bits: Uint8Array}} Packed rows, 1 = white
+ */
+export function toMonochrome(frame, maxWidth, maxHeight) {
+	const { width: sourceWidth, height: sourceHeight, data, orientation } = frame;
+	const rotated = orientation === 6 || orientation === 8;
+	const orientedWidth = rotated ? sourceHeight : sourceWidth;
+	const orientedHeight = rotated ? sourceWidth : sourceHeight;
+
+	// Map a pixel of the upright image back to the stored pixels
+	const sourceIndex = (x, y) => {
+		switch (orientation) {
+			case 3: return ((sourceHeight - 1 - y) * sourceWidth + (sourceWidth - 1 - x)) * 4;
+			case 6: return ((sourceHeight - 1 - x) * sourceWidth + y) * 4;
+			case 8: return (x * sourceWidth + (sourceWidth - 1 - y)) * 4;
+			default: return (y * sourceWidth + x) * 4;
+		}
+	};
+
+	const scale = Math.min(maxWidth / orientedWidth, maxHeight / orientedHeight, 1);
+	const width = Math.max(Math.round(orientedWidth * scale), 1);
+	const height = Math.max(Math.round(orientedHeight * scale), 1);
+
+	// Box-filter downscale to grayscale, compositing transparency onto white paper
+	const gray = new Uint8Array(width * height);
+	for (let y = 0; y < height; y++) {
+		const y0 = Math.floor(y / scale);
+		const y1 = Math.min(Math.max(Math.floor((y + 1) / scale), y0 + 1), orientedHeight);
+		for (let x = 0; x < width; x++) {
+			const x0 = Math.floor(x / scale);
+			const x1 = Math.min(Math.max(Math.floor((x + 1) / scale), x0 + 1), orientedWidth);
+			let sum = 0;
+			for (let sy = y0; sy < y1; sy++) {
+				for (let sx = x0; sx < x1; sx++) {
+					const i = sourceIndex(sx, sy);
+					const alpha = data[i + 3] / 255;
+					const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+					sum += luminance * alpha + 255 * (1 - alpha);
+				}
+			}
+			gray[y * width + x] = sum / ((y1 - y0) * (x1 - x0));
+		}
+	}
+
+	// Adaptive (Bradley) threshold copes with the uneven lighting of phone photos
+	const integral = new Uint32Array((width + 1) * (height + 1));
+	for (let y = 0; y < height; y++) {
+		let rowSum = 0;
+		for (let x = 0; x < width; x++) {
+			rowSum += gray[y * width + x];
+			integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+		}
+	}
+
+	const radius = Math.max(Math.floor(Math.max(width, height) / 16), 1);
+	const rowBytes = Math.ceil(width / 8);
+	const bits = new Uint8Array(rowBytes * height).fill(0xff);
+
+	for (let y = 0; y < height; y++) {
+		const top = Math.max(y - radius, 0);
+		const bottom = Math.min(y + radius + 1, height);
+		for (let x = 0; x < width; x++) {
+			const left = Math.max(x - radius, 0);
+			const right = Math.min(x + radius + 1, width);
+			const area = (bottom - top) * (right - left);
+			const windowSum = integral[bottom * (width + 1) + right] - integral[top * (width + 1) + right]
+				- integral[bottom * (width + 1) + left] + integral[top * (width + 1) + left];
+
+			const value = gray[y * width + x];
+			if (value < DARK_LEVEL || value * area * 100 <= windowSum * (100 - THRESHOLD_PERCENT)) {
+				bits[y * rowBytes + (x >> 3)] &= ~(0x80 >> (x & 7));
+			}
+		}
+	}
+
+	return { width, height, bits };
+}
+
+/**
+ * Add a page showing a monochrome image scaled to fit the printable area
+ * @param {PDFDocument} pdf - Target document
+ * @param {Object} image - Result of toMonochrome
+ * @param {Array<number>} pageSize - [width, height] in points
+ */
+function addImagePage(pdf, image, pageSize) {
+	const [pageWidth, pageHeight] = pageSize;
+	const stream = pdf.context.flateStream(image.bits, {
+		Type: 'XObject',
+		Subtype: 'Image',
+		Width: image.width,
+		Height: image.height,
+		ColorSpace: 'DeviceGray',
+		BitsPerComponent: 1
+	});
+	const imageRef = pdf.context.register(stream);
+
+	const page = pdf.addPage(pageSize);
+	const xObjectName = page.node.newXObject('Image', imageRef);
+
+	const availableWidth = pageWidth - IMAGE_MARGIN * 2;
+	const availableHeight = pageHeight - IMAGE_MARGIN * 2;
+	const fit = Math.min(availableWidth / image.width, availableHeight / image.height);
+	const drawWidth = image.width * fit;
+	const drawHeight = image.height * fit;
+
+	page.pushOperators(
+		pushGraphicsState(),
+		concatTransformationMatrix(drawWidth, 0, 0, drawHeight, (pageWidth - drawWidth) / 2, (pageHeight - drawHeight) / 2),
+		drawObject(xObjectName),
+		popGraphicsState()
+	);
+}
+
+/**
+ * Convert images to monochrome PDF pages
+ * @param {Uint8Array} bytes - Image contents
+ * @param {string} type - 'jpeg', 'png' or 'tiff'
+ * @param {Array<number>} pageSize - [width, height] in points
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function imageToPdf(bytes, type, pageSize) {
+	const frames = decodeImage(bytes, type);
+	if (frames.length === 0) {
+		throw new Error('Image contains no pages');
+	}
+
+	const maxWidth = Math.floor((pageSize[0] - IMAGE_MARGIN * 2) / 72 * FAX_DPI);
+	const maxHeight = Math.floor((pageSize[1] - IMAGE_MARGIN * 2) / 72 * FAX_DPI);
+
+	const pdf = await PDFDocument.create();
+	for (const frame of frames) {
+		addImagePage(pdf, toMonochrome(frame, maxWidth, maxHeight), pageSize);
+	}
+
+	return await pdf.save();
+}
+
+/**
+ * Typeset plain text onto as many pages as it needs
+ * @param {Uint8Array} bytes - UTF-8 text
+ * @param {Array<number>} pageSize - [width, height] in points
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+async function textToPdf(bytes, pageSize) {
+	const [pageWidth, pageHeight] = pageSize;
+	const pdf = await PDFDocument.create();
+	const font = await pdf.embedFont(StandardFonts.Courier);
+	const lineHeight = TEXT_FONT_SIZE * 1.3;
+	const linesPerPage = Math.floor((pageHeight - TEXT_MARGIN * 2) / lineHeight);
+
+	const text = toDrawableText(new TextDecoder('utf-8').decode(bytes));
+	const lines = wrapText(text, font, TEXT_FONT_SIZE, pageWidth - TEXT_MARGIN * 2);
+
+	// An empty file still produces one (blank) page
+	for (let start = 0; start < Math.max(lines.length, 1); start += linesPerPage) {
+		const page = pdf.addPage(pageSize);
+		lines.slice(start, start + linesPerPage).forEach((line, index) => {
+			page.drawText(line, {
+				x: TEXT_MARGIN,
+				y: pageHeight - TEXT_MARGIN - TEXT_FONT_SIZE - index * lineHeight,
+				size: TEXT_FONT_SIZE,
+				font
+			});
+		});
+	}
+
+	return await pdf.save();
+}
+
+/**
+ * Convert an uploaded file into a fax-ready PDF when it is an image or plain text
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} options - Conversion options
+ * @param {string} [options.contentType] - Declared MIME type
+ * @param {string} [options.filename] - Declared file name
+ * @param {string} [options.paperSize] - 'letter' (default) or 'a4'
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{bytes: Uint8Array, contentType: string, converted: boolean}>} Document to send
+ * @throws {Error} If an image or text file can't be converted
+ */
+export async function convertDocument(bytes, options = {}, logger) {
+	const type = detectDocumentType(bytes, options.contentType, options.filename);
+
+	if (type === null || type === 'pdf') {
+		return { bytes, contentType: type === 'pdf' ? 'application/pdf' : (options.contentType || 'application/octet-stream'), converted: false };
+	}
+
+	const paperSize = PAPER_SIZES[String(options.paperSize || '').toLowerCase()] ? String(options.paperSize).toLowerCase() : DEFAULT_PAPER_SIZE;
+	const pageSize = PAPER_SIZES[paperSize];
+
+	let pdfBytes;
+	try {
+		pdfBytes = type === 'text' ? await textToPdf(bytes, pageSize) : await imageToPdf(bytes, type, pageSize);
+	} catch (error) {
+		logger.log('ERROR', 'Document conversion failed', {
+			file: options.filename,
+			type,
+			error: error.message
+		});
+		const reason = error.tooLarge ? `: ${error.message}` : '';
+		throw new Error(`${`Unable to convert ${type} document ${options.filename || ''}`.trim()}${reason}`);
+	}
+
+	logger.log('INFO', 'Converted document to PDF', {
+		file: options.filename,
+		type,
+		paperSize,
+		inputSize: bytes.byteLength,
+		outputSize: pdfBytes.byteLength
+	});
+
+	return { bytes: pdfBytes, contentType: 'application/pdf', converted: true };
+}
@@ -0,0 +1,179 @@
+/**
+ * Email-to-fax gateway
+ *
+ * Cloudflare Email Routing delivers mail sent to <fax number>@fax.sendfax.pro to the
+ * fax service's email handler. The attachments become the fax documents and the message
+ * body goes on the cover page; the fax is then sent through sendFax like any API request.
+ *
+ * Senders are identified by their From address, which must pass SPF, DKIM or DMARC
+ * according to the Authentication-Results header added by our own mail server
+ * (FAX_EMAIL_AUTHSERV_ID, default mx.cloudflare.net). Results added by other servers
+ * are ignored since the sender controls them.
+ */
+
+export const DEFAULT_FAX_EMAIL_DOMAIN = 'fax.sendfax.pro';
+export const DEFAULT_AUTHSERV_ID = 'mx.cloudflare.net';
+
+// Cloudflare Email Routing accepts messages up to 25 MiB
+export const MAX_EMAIL_SIZE = 25 * 1024 * 1024;
+export const MAX_EMAIL_ATTACHMENTS = 10;
+export const MAX_COVER_MESSAGE_LENGTH = 2000;
+
+// Mail reaches the fax worker straight from Email Routing, not through the API gateway, so
+// these have to be set on the fax worker itself (wrangler.toml vars and `wrangler secret put`)
+export const EMAIL_GATEWAY_REQUIRED_ENV = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'RESEND_API_KEY'];
+export const EMAIL_GATEWAY_PROVIDER_KEYS = ['TELNYX_API_KEY', 'NOTIFYRE_API_KEY'];
+
+/**
+ * List the settings the email handler needs that are missing from the worker environment
+ * @param {Object} env - Fax worker environment
+ * @returns {Array<string>} Missing variable names (empty when the gateway can run)
+ */
+export function findMissingEmailGatewayEnv(env = {}) {
+	const missing = EMAIL_GATEWAY_REQUIRED_ENV.filter(name => !env[name]);
+	if (!EMAIL_GATEWAY_PROVIDER_KEYS.some(name => env[name])) {
+		missing.push(EMAIL_GATEWAY_PROVIDER_KEYS.join(' or '));
+	}
+	return missing;
+}
+
+/**
+ * Get the fax number an email was addressed to
+ * @param {string} address - Envelope recipient, e.g. "15551230001@fax.sendfax.pro"
+ * @param {string} [domain] - Gateway domain
+ * @returns {string|null} E.164 number, or null if the address isn't a fax address
+ */
+export function parseFaxAddress(address, domain = DEFAULT_FAX_EMAIL_DOMAIN) {
+	const match = String(address || '').trim().toLowerCase().match(/^([^@]+)@(.+)$/);
+	if (!match || match[2] !== domain.toLowerCase()) {
+		return null;
+	}
+
+	// Allow "+15551230001", "1-555-123-0001" and "1.555.123.0001"
+	const localPart = match[1];
+	if (!/^\+?[\d.\-]+$/.test(localPart)) {
+		return null;
+	}
+
+	const digits = localPart.replace(/\D/g, '');
+	return digits.length >= 7 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+/**
+ * Domain of an email address
+ * @param {string} address - Email address
+ * @returns {string} Lowercase domain ('' when there is none)
+ */
+function getDomain(address) {
+	const at = String(address || '').lastIndexOf('@');
+	return at === -1 ? '' : address.slice(at + 1).toLowerCase();
+}
+
+/**
+ * Check that a domain is the sender's domain or one of its parents (relaxed alignment)
+ * @param {string} domain - Authenticated domain
+ * @param {string} senderDomain - Domain of the From address
+ * @returns {boolean} True when aligned
+ */
+function isAligned(domain, senderDomain) {
+	const value = (domain || '').toLowerCase();
+	return !!value && (senderDomain === value || senderDomain.endsWith(`.${value}`));
+}
+
+/**
+ * Check that the From address was authenticated by our mail server
+ * Only the topmost Authentication-Results header is read: it is the one our mail server
+ * prepends, while any header below it came with the message and may be forged.
+ * @param {Array<string>} authenticationResults - Values of the Authentication-Results headers, in message order
+ * @param {string} fromAddress - Address in the From header
+ * @param {string} [authservId] - Identifier of our mail server in those headers
+ * @returns {boolean} True if DMARC passed, or SPF or DKIM passed for the From domain
+ */
+export function isSenderAuthenticated(authenticationResults, fromAddress, authservId = DEFAULT_AUTHSERV_ID) {
+	const senderDomain = getDomain(fromAddress);
+	const [header] = authenticationResults || [];
+	if (!senderDomain || !header) {
+		return false;
+	}
+
+	const [serverId, ...results] = String(header).split(';').map(part => part.trim());
+	if (serverId.split(/\s+/)[0].toLowerCase() !== authservId.toLowerCase()) {
+		return false;
+	}
+
+	for (const result of results) {
+		const [method, ...properties] = result.split(/\s+/);
+		const params = Object.fromEntries(properties.map(property => property.split('=')).filter(pair => pair.length === 2));
+
+		if (method === 'dmarc=pass' && isAligned(params['header.from'], senderDomain)) return true;
+		if (method === 'dkim=pass' && isAligned(params['header.d'] || getDomain(params['header.i']), senderDomain)) return true;
+		if (method === 'spf=pass' && isAligned(getDomain(params['smtp.mailfrom']), senderDomain)) return true;
+	}
+
+	return false;
+}
+
+/**
+ * Turn the body of an email into a cover page message
+ * Signatures (below a "-- " line) and quoted replies are dropped.
+ * @param {Object} email - Parsed email (postal-mime)
+ * @returns {string|null} Message, or null when the body is empty
+ */
+export function getCoverMessage(email) {
+	let text = email.text;
+	if (!text && email.html) {
+		text = email.html
+			.replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+			.replace(/<br\s*\/?>|<\/(p|div|li|tr|h\d)>/gi, '\n')
+			.replace(/<[^>]+>/g, '')
+			.replace(/&nbsp;/g, ' ')
+			.replace(/&amp;/g, '&')
+			.replace(/&lt;/g, '<')
+			.replace(/&gt;/g, '>');
+	}
+
+	const lines = [];
+	for (const line of String(text || '').replace(/\r\n/g, '\n').split('\n')) {
+		if (line === '-- ' || /^On .+ wrote:$/.test(line.trim())) {
+			break;
+		}
+		if (!line.startsWith('>')) {
+			lines.push(line.trimEnd());
+		}
+	}
+
+	const message = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+	return message ? message.slice(0, MAX_COVER_MESSAGE_LENGTH) : null;
+}
+
+/**
+ * Build a /v1/fax/send request body from a parsed email
+ * Images embedded in the body (logos, signatures) aren't faxed; real attachments are.
+ * @param {Object} email - Parsed email (postal-mime, attachments base64 encoded)
+ * @param {string} recipient - Fax number the email was sent to
+ * @returns {Object} Send request body
+ */
+export function buildEmailFaxRequest(email, recipient) {
+	const files = (email.attachments || [])
+		.filter(attachment => attachment.disposition === 'attachment' || !(attachment.related || attachment.contentId))
+		.slice(0, MAX_EMAIL_ATTACHMENTS)
+		.map((attachment, index) => ({
+			data: attachment.content,
+			filename: attachment.filename || `attachment_${index + 1}`,
+			mimeType: attachment.mimeType || 'application/octet-stream'
+		}));
+
+	const request = { recipient, files };
+
+	const subject = (email.subject || '').trim();
+	if (subject) {
+		request.subject = subject.slice(0, 200);
+	}
+
+	const message = getCoverMessage(email);
+	if (message) {
+		request.message = message;
+	}
+
+	return request;
+}
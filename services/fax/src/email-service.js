@@ -0,0 +1,80 @@
+/**
+ * Outgoing email (Resend)
+ *
+ * Used for the replies of the email-to-fax gateway and for forwarding received faxes.
+ * Failures are logged and reported to the caller; they never interrupt fax processing.
+ */
+
+export const DEFAULT_FAX_EMAIL_FROM = 'Send Fax Pro <fax@sendfax.pro>';
+
+export class EmailService {
+	/**
+	 * @param {Object} env - Environment variables (RESEND_API_KEY, optional FAX_EMAIL_FROM)
+	 * @param {Logger} logger - Logger instance
+	 */
+	constructor(env, logger) {
+		this.env = env;
+		this.logger = logger;
+	}
+
+	/**
+	 * Send an email
+	 * @param {Object} email - Email to send
+	 * @param {string|Array<string>} email.to - Recipient address(es)
+	 * @param {string} email.subject - Subject line
+	 * @param {string} email.text - Plain text body
+	 * @param {string} [email.html] - HTML body
+	 * @param {Array<{filename: string, content: string}>} [email.attachments] - Base64 encoded attachments
+	 * @param {string} [email.inReplyTo] - Message-ID of the email being answered
+	 * @returns {Promise<boolean>} True if Resend accepted the email
+	 */
+	async sendEmail({ to, subject, text, html, attachments, inReplyTo }) {
+		try {
+			const resendApiKey = this.env.RESEND_API_KEY;
+			if (!resendApiKey) {
+				this.logger.log('ERROR', 'RESEND_API_KEY is missing, email not sent', { subject });
+				return false;
+			}
+
+			const headers = {};
+			if (inReplyTo) {
+				headers['In-Reply-To'] = inReplyTo;
+				headers['References'] = inReplyTo;
+			}
+
+			const response = await fetch('https://api.resend.com/emails', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'Authorization': `Bearer ${resendApiKey}`
+				},
+				body: JSON.stringify({
+					from: this.env.FAX_EMAIL_FROM || DEFAULT_FAX_EMAIL_FROM,
+					to: Array.isArray(to) ? to : [to],
+					subject,
+					text,
+					...(html ? { html } : {}),
+					...(attachments?.length ? { attachments } : {}),
+					headers
+				})
+			});
+
+			if (!response.ok) {
+				const errorText = await response.text();
+				this.logger.log('ERROR', 'Resend API request failed', {
+					status: response.status,
+					error: errorText
+				});
+				return false;
+			}
+
+			const data = await response.json();
+			this.logger.log('INFO', 'Email sent via Resend', { id: data.id, subject });
+			return true;
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Email sending error', { error: error.message });
+			return false;
+		}
+	}
+}
@@ -0,0 +1,132 @@
+/**
+ * Fax-to-email forwarding of received faxes
+ *
+ * Forwarding rules (fax_forwarding_rules) are kept per receiving number. Each rule emails
+ * the received PDF, as an attachment or as a link to the stored copy, to its addresses.
+ */
+
+import receivedFaxTemplate from './email/received-fax.html';
+
+// Larger faxes are sent as a link, well below Resend's 40 MB message limit
+export const MAX_FORWARD_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export const FORWARDING_DELIVERIES = ['attachment', 'link'];
+
+/**
+ * Escape text for the HTML template
+ * @param {*} value - Value to insert
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Format the receive time in the rule's timezone
+ * @param {string} value - Timestamp
+ * @param {string} [timeZone] - IANA timezone; unknown zones fall back to UTC
+ * @returns {string} Formatted timestamp
+ */
+export function formatReceivedAt(value, timeZone = 'UTC') {
+	const date = new Date(value);
+	if (!value || Number.isNaN(date.getTime())) {
+		return 'Unknown';
+	}
+
+	const options = {
+		year: 'numeric',
+		month: 'short',
+		day: 'numeric',
+		hour: '2-digit',
+		minute: '2-digit',
+		timeZoneName: 'short'
+	};
+	try {
+		return date.toLocaleString('en-US', { ...options, timeZone: timeZone || 'UTC' });
+	} catch {
+		return date.toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+	}
+}
+
+/**
+ * Choose how a rule delivers a fax
+ * Attachments fall back to a link when the PDF is too large or wasn't downloaded.
+ * @param {Object} rule - Forwarding rule
+ * @param {number|null} fileSize - Size of the received PDF in bytes (null when unavailable)
+ * @param {string|null} mediaUrl - Link to the stored PDF
+ * @returns {string|null} 'attachment', 'link', or null when neither is possible
+ */
+export function chooseDelivery(rule, fileSize, mediaUrl) {
+	const canAttach = Number.isFinite(fileSize) && fileSize > 0 && fileSize <= MAX_FORWARD_ATTACHMENT_BYTES;
+	if (rule.delivery !== 'link' && canAttach) {
+		return 'attachment';
+	}
+	return mediaUrl ? 'link' : (canAttach ? 'attachment' : null);
+}
+
+/**
+ * Render the email for a received fax
+ * @param {Object} fax - Received fax
+ * @param {string} fax.fromNumber - Sender fax number
+ * @param {string} [fax.toNumber] - Number the fax was received on
+ * @param {number} fax.pageCount - Pages received
+ * @param {string} fax.receivedAt - Receive time
+ * @param {string} [fax.mediaUrl] - Link to the stored PDF
+ * @param {string} delivery - 'attachment' or 'link'
+ * @param {string} [timeZone] - Timezone of the receive time
+ * @returns {{subject: string, html: string, text: string}} Email content
+ */
+export function renderReceivedFaxEmail(fax, delivery, timeZone = 'UTC') {
+	const from = fax.fromNumber || 'Unknown sender';
+	const pageCount = fax.pageCount || 1;
+	const pages = `${pageCount} ${pageCount === 1 ? 'page' : 'pages'}`;
+	const title = `Fax received from ${from}`;
+	const receivedAt = formatReceivedAt(fax.receivedAt, timeZone);
+
+	const documentText = delivery === 'link'
+		? `Download the fax (PDF): ${fax.mediaUrl}`
+		: 'The fax is attached as a PDF.';
+	const documentHtml = delivery === 'link'
+		? `<a href="${escapeHtml(fax.mediaUrl)}" style="color:#1a56db">Download the fax (PDF)</a>`
+		: escapeHtml(documentText);
+
+	const values = {
+		title: escapeHtml(title),
+		from_number: escapeHtml(from),
+		to_number: escapeHtml(fax.toNumber || 'Unknown'),
+		page_count: escapeHtml(pages),
+		received_at: escapeHtml(receivedAt),
+		document: documentHtml
+	};
+
+	return {
+		subject: `${title} (${pages})`,
+		html: receivedFaxTemplate.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => values[key] ?? placeholder),
+		text: [
+			`${title}.`,
+			'',
+			`From: ${from}`,
+			`To: ${fax.toNumber || 'Unknown'}`,
+			`Pages: ${pageCount}`,
+			`Received: ${receivedAt}`,
+			'',
+			documentText
+		].join('\n')
+	};
+}
+
+/**
+ * Attachment name for a received fax
+ * @param {Object} fax - Received fax
+ * @returns {string} Filename
+ */
+export function getForwardedFaxFilename(fax) {
+	const sender = String(fax.fromNumber || '').replace(/\D/g, '') || 'unknown';
+	const date = new Date(fax.receivedAt);
+	const stamp = !fax.receivedAt || Number.isNaN(date.getTime()) ? 'received' : date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '_');
+	return `fax_${sender}_${stamp}.pdf`;
+}
@@ -0,0 +1,166 @@
+/**
+ * Fax history (GET /v1/fax)
+ *
+ * Query parameters are validated here and turned into the filters understood by
+ * DatabaseUtils.listUserFaxes. Pages are keyset paginated on (created_at, id), newest
+ * first; the cursor handed to the client is that pair of the last fax, base64url encoded.
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+export const MAX_HISTORY_LIMIT = 100;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 50;
+
+export const FAX_HISTORY_STATUSES = ['scheduled', 'queued', 'processing', 'sending', 'delivered', 'failed', 'busy', 'no-answer', 'cancelled'];
+const FAX_HISTORY_PROVIDERS = ['telnyx', 'notifyre'];
+
+/**
+ * Encode the position after a fax as an opaque cursor
+ * @param {Object} fax - Fax record (created_at, id)
+ * @returns {string} Cursor
+ */
+export function encodeHistoryCursor(fax) {
+	const json = JSON.stringify({ createdAt: fax.created_at, id: fax.id });
+	return btoa(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a cursor from encodeHistoryCursor
+ * @param {string} cursor - Cursor
+ * @returns {{createdAt: string, id: string}|null} Position, or null if the cursor is invalid
+ */
+export function decodeHistoryCursor(cursor) {
+	try {
+		const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+		const { createdAt, id } = JSON.parse(atob(base64));
+		if (typeof createdAt !== 'string' || !/^[0-9T:.+\- Z]+$/.test(createdAt) || Number.isNaN(Date.parse(createdAt)) || typeof id !== 'string' || !/^[0-9a-f-]{36}$/i.test(id)) {
+			return null;
+		}
+		return { createdAt, id };
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Clean up the tags of a send request
+ * @param {string|Array<string>|undefined} value - Array of tags, or a comma-separated list (form data)
+ * @returns {Array<string>} Trimmed, de-duplicated tags
+ */
+export function normalizeTags(value) {
+	const raw = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+	const tags = [];
+	for (const item of raw) {
+		const tag = typeof item === 'string' ? item.trim().slice(0, MAX_TAG_LENGTH) : '';
+		if (tag && !tags.includes(tag)) {
+			tags.push(tag);
+		}
+	}
+	return tags.slice(0, MAX_TAGS);
+}
+
+/**
+ * Parse the query string of GET /v1/fax
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{filters: Object|null, error: string|null}} Filters for listUserFaxes, or a validation error
+ */
+export function parseHistoryQuery(params) {
+	const filters = { limit: DEFAULT_HISTORY_LIMIT };
+
+	const limit = params.get('limit');
+	if (limit !== null) {
+		const number = Number(limit);
+		if (!Number.isInteger(number) || number < 1 || number > MAX_HISTORY_LIMIT) {
+			return { filters: null, error: `limit must be between 1 and ${MAX_HISTORY_LIMIT}` };
+		}
+		filters.limit = number;
+	}
+
+	const cursor = params.get('cursor');
+	if (cursor) {
+		filters.cursor = decodeHistoryCursor(cursor);
+		if (!filters.cursor) {
+			return { filters: null, error: 'cursor is invalid' };
+		}
+	}
+
+	const status = params.get('status');
+	if (status) {
+		filters.statuses = status.split(',').map(value => value.trim()).filter(Boolean);
+		const unknown = filters.statuses.filter(value => !FAX_HISTORY_STATUSES.includes(value));
+		if (unknown.length > 0) {
+			return { filters: null, error: `Unknown status: ${unknown.join(', ')}` };
+		}
+	}
+
+	for (const [param, key] of [['from', 'fromDate'], ['to', 'toDate']]) {
+		const value = params.get(param);
+		if (value) {
+			const date = new Date(value);
+			if (Number.isNaN(date.getTime())) {
+				return { filters: null, error: `${param} must be an ISO 8601 date` };
+			}
+			filters[key] = date.toISOString();
+		}
+	}
+
+	if (filters.fromDate && filters.toDate && filters.fromDate > filters.toDate) {
+		return { filters: null, error: 'from must be before to' };
+	}
+
+	const provider = params.get('provider');
+	if (provider) {
+		if (!FAX_HISTORY_PROVIDERS.includes(provider.toLowerCase())) {
+			return { filters: null, error: `provider must be one of ${FAX_HISTORY_PROVIDERS.join(', ')}` };
+		}
+		filters.provider = provider.toLowerCase();
+	}
+
+	const recipient = params.get('recipient')?.trim();
+	if (recipient) {
+		filters.recipient = recipient;
+	}
+
+	const tag = params.get('tag')?.trim();
+	if (tag) {
+		filters.tag = tag;
+	}
+
+	const search = params.get('q')?.trim();
+	if (search) {
+		filters.search = search.slice(0, 100);
+	}
+
+	return { filters, error: null };
+}
+
+/**
+ * Shape a fax record for the history response
+ * @param {Object} fax - Fax record
+ * @returns {Object} History item
+ */
+export function formatHistoryItem(fax) {
+	return {
+		id: fax.id,
+		providerFaxId: fax.provider_fax_id || null,
+		status: fax.status,
+		originalStatus: fax.original_status || null,
+		recipients: fax.recipients || [],
+		senderId: fax.sender_id || null,
+		subject: fax.subject || null,
+		tags: fax.tags || [],
+		pages: fax.pages || 0,
+		documentCount: fax.document_count || 0,
+		cost: fax.cost ?? 0,
+		apiProvider: fax.api_provider || null,
+		batchId: fax.batch_id || null,
+		originalFaxId: fax.original_fax_id || null,
+		attemptNumber: fax.attempt_number || 1,
+		resentFromFaxId: fax.resent_from_fax_id || null,
+		createdAt: fax.created_at,
+		scheduledAt: fax.scheduled_at || null,
+		sentAt: fax.sent_at || null,
+		completedAt: fax.completed_at || null,
+		errorMessage: fax.error_message || null
+	};
+}
@@ -0,0 +1,111 @@
+/**
+ * Fax inbox (GET /v1/fax/inbox)
+ *
+ * Lists the faxes received on the caller's numbers (free_fax_receives rows saved with
+ * their user_id), newest first with keyset pagination on (received_at, id). Stored media
+ * URLs are never returned; documents are downloaded through the inbox API.
+ */
+
+import { DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT, encodeHistoryCursor, decodeHistoryCursor } from './fax-history.js';
+
+export const INBOX_VIEWS = ['inbox', 'archived', 'all'];
+
+/**
+ * Encode the position after a received fax as an opaque cursor
+ * @param {Object} fax - Received fax record (received_at, id)
+ * @returns {string} Cursor
+ */
+export function encodeInboxCursor(fax) {
+	return encodeHistoryCursor({ created_at: fax.received_at, id: fax.id });
+}
+
+/**
+ * Parse the query string of GET /v1/fax/inbox
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{filters: Object|null, error: string|null}} Filters for listInboxFaxes, or a validation error
+ */
+export function parseInboxQuery(params) {
+	const filters = { limit: DEFAULT_HISTORY_LIMIT, view: 'inbox', unreadOnly: false };
+
+	const limit = params.get('limit');
+	if (limit !== null) {
+		const number = Number(limit);
+		if (!Number.isInteger(number) || number < 1 || number > MAX_HISTORY_LIMIT) {
+			return { filters: null, error: `limit must be between 1 and ${MAX_HISTORY_LIMIT}` };
+		}
+		filters.limit = number;
+	}
+
+	const cursor = params.get('cursor');
+	if (cursor) {
+		const position = decodeHistoryCursor(cursor);
+		if (!position) {
+			return { filters: null, error: 'cursor is invalid' };
+		}
+		filters.cursor = { receivedAt: position.createdAt, id: position.id };
+	}
+
+	const view = params.get('view');
+	if (view) {
+		if (!INBOX_VIEWS.includes(view)) {
+			return { filters: null, error: `view must be one of ${INBOX_VIEWS.join(', ')}` };
+		}
+		filters.view = view;
+	}
+
+	const unread = params.get('unread');
+	if (unread !== null) {
+		if (!['true', 'false'].includes(unread)) {
+			return { filters: null, error: 'unread must be true or false' };
+		}
+		filters.unreadOnly = unread === 'true';
+	}
+
+	return { filters, error: null };
+}
+
+/**
+ * Validate the body of POST /v1/fax/inbox/{id}
+ * @param {Object} body - Request body
+ * @param {Date} [now] - Current time
+ * @returns {{updates: Object|null, error: string|null}} Column updates, or a validation error
+ */
+export function parseInboxUpdate(body, now = new Date()) {
+	const updates = {};
+
+	for (const [field, column] of [['read', 'read_at'], ['archived', 'archived_at']]) {
+		if (body?.[field] === undefined) {
+			continue;
+		}
+		if (typeof body[field] !== 'boolean') {
+			return { updates: null, error: `${field} must be true or false` };
+		}
+		updates[column] = body[field] ? now.toISOString() : null;
+	}
+
+	if (Object.keys(updates).length === 0) {
+		return { updates: null, error: 'Nothing to update; send read and/or archived' };
+	}
+
+	return { updates, error: null };
+}
+
+/**
+ * Shape a received fax record for the inbox response
+ * @param {Object} fax - free_fax_receives record
+ * @returns {Object} Inbox item
+ */
+export function formatInboxItem(fax) {
+	return {
+		id: fax.id,
+		from: fax.from_number || null,
+		to: fax.to_number || null,
+		pages: fax.page_count || 1,
+		receivedAt: fax.received_at,
+		read: !!fax.read_at,
+		readAt: fax.read_at || null,
+		archived: !!fax.archived_at,
+		archivedAt: fax.archived_at || null,
+		downloadUrl: `/v1/fax/inbox/${fax.id}/download`
+	};
+}
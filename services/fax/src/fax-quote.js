@@ -0,0 +1,73 @@
+/**
+ * Price quotes (POST /v1/fax/quote)
+ *
+ * A quote prices a fax the way sendFax would, per recipient with calculateFaxCredits,
+ * and compares the total with the balance FaxDatabaseUtils.checkUserCredits reports.
+ * Nothing is sent and no credits are held.
+ */
+
+/**
+ * Parse the page counts a client sends instead of documents
+ * @param {number|Array<number>} value - Total pages, or the pages of each document
+ * @returns {{pages: number, documentCount: number, error: string|null}} Totals, or a validation error
+ */
+export function parseQuotePages(value) {
+	const counts = Array.isArray(value) ? value : [value];
+	if (counts.length === 0 || !counts.every(count => Number.isInteger(count) && count > 0)) {
+		return { pages: 0, documentCount: 0, error: 'pages must be a positive integer or an array of positive integers' };
+	}
+
+	return {
+		pages: counts.reduce((sum, count) => sum + count, 0),
+		documentCount: counts.length,
+		error: null
+	};
+}
+
+/**
+ * Break a credit check down into the balances it was summed from
+ * Paid users spend subscription credits, everyone else spends free credits (signup,
+ * referrals, ads, ...), so only one kind of source is listed.
+ * @param {Object} creditCheck - Result of FaxDatabaseUtils.checkUserCredits
+ * @param {Date} [now] - Current time
+ * @returns {Object} Balance with its sources
+ */
+export function summarizeCreditBalance(creditCheck, now = new Date()) {
+	const sources = [];
+
+	if (creditCheck.creditSource === 'subscription') {
+		for (const subscription of creditCheck.subscriptions || []) {
+			// Subscriptions whose billing period hasn't started yet aren't counted by the check either
+			if (subscription.billing_period_start && new Date(subscription.billing_period_start) > now) {
+				continue;
+			}
+			const credits = subscription.credit_limit - subscription.credits_used;
+			if (credits > 0) {
+				sources.push({
+					source: 'subscription',
+					id: subscription.id,
+					productId: subscription.product_id,
+					credits,
+					expiresAt: subscription.billing_period_end || subscription.expires_at || null
+				});
+			}
+		}
+	} else {
+		for (const credit of creditCheck.freeCredits || []) {
+			sources.push({
+				source: credit.type || 'free_credits',
+				id: credit.id,
+				credits: credit.credit_limit - credit.credits_used,
+				expiresAt: credit.expires_at || null
+			});
+		}
+	}
+
+	return {
+		creditSource: creditCheck.creditSource || null,
+		totalCredits: creditCheck.totalCredits ?? creditCheck.availablePages ?? 0,
+		heldCredits: creditCheck.heldCredits || 0,
+		availableCredits: creditCheck.availablePages || 0,
+		sources
+	};
+}
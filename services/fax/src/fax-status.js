@@ -0,0 +1,54 @@
+/**
+ * Fax status transitions
+ *
+ * Provider webhooks arrive late, out of order and more than once. A status update is only
+ * applied when it moves the fax forward:
+ *
+ *   scheduled -> queued -> processing -> sending -> delivered | failed | busy | no-answer | cancelled
+ *
+ * Steps may be skipped, never revisited, and final statuses are never left. The update itself
+ * is conditional on the status it was checked against (DatabaseUtils.transitionFaxRecord), so
+ * of two concurrent webhooks only one finishes a fax and runs its side effects.
+ */
+
+export const FINAL_FAX_STATUSES = ['delivered', 'failed', 'busy', 'no-answer', 'cancelled'];
+
+// Statuses each status may move to
+export const FAX_STATUS_TRANSITIONS = {
+	scheduled: ['queued', 'processing', 'sending', ...FINAL_FAX_STATUSES],
+	queued: ['processing', 'sending', ...FINAL_FAX_STATUSES],
+	processing: ['sending', ...FINAL_FAX_STATUSES],
+	sending: [...FINAL_FAX_STATUSES],
+	receiving: ['delivered', 'failed'],
+	delivered: [],
+	failed: [],
+	busy: [],
+	'no-answer': [],
+	cancelled: []
+};
+
+/**
+ * Decide whether a status update applies to a fax
+ * Faxes whose current status is missing or unknown (older rows) accept any update.
+ * @param {string|null} currentStatus - Status stored on the fax
+ * @param {string} nextStatus - Status reported by the provider
+ * @returns {{apply: boolean, reason: string|null}} Whether to apply it, with the reason when not
+ */
+export function resolveFaxStatusTransition(currentStatus, nextStatus) {
+	if (!currentStatus || !FAX_STATUS_TRANSITIONS[currentStatus]) {
+		return { apply: true, reason: null };
+	}
+
+	if (currentStatus === nextStatus) {
+		return { apply: false, reason: 'duplicate status' };
+	}
+
+	if (!FAX_STATUS_TRANSITIONS[currentStatus].includes(nextStatus)) {
+		return {
+			apply: false,
+			reason: FINAL_FAX_STATUSES.includes(currentStatus) ? `fax already ${currentStatus}` : 'stale status'
+		};
+	}
+
+	return { apply: true, reason: null };
+}
@@ -0,0 +1,182 @@
+/**
+ * Fax status timeline (GET /v1/fax/{id})
+ *
+ * Turns the provider callbacks stored in fax_webhook_events (and the snapshots stored while
+ * the cron service polls Notifyre) into one ordered list of steps:
+ *
+ *   created -> scheduled -> queued -> media_processed -> sending -> page_progress -> outcome
+ *
+ * where the outcome is delivered, failed, busy, no-answer or cancelled. Each step is listed
+ * once, at its first event (webhooks and polling often report the same status), and page
+ * progress only when the page count goes up.
+ */
+
+export const FINAL_TIMELINE_STEPS = ['delivered', 'failed', 'busy', 'no-answer', 'cancelled'];
+
+// Event types stored for the cron service's Notifyre polling
+export const POLLING_EVENT_PREFIX = 'polling.';
+export const POLLING_SNAPSHOT_EVENT = `${POLLING_EVENT_PREFIX}status`;
+
+// Telnyx event types that name their step directly
+const TELNYX_EVENT_STEPS = {
+	'fax.queued': 'queued',
+	'fax.media.processed': 'media_processed',
+	'fax.sending.started': 'sending',
+	'fax.delivered': 'delivered'
+};
+
+// Standardized statuses stored with every event
+const STATUS_STEPS = {
+	scheduled: 'scheduled',
+	queued: 'queued',
+	processing: 'media_processed',
+	sending: 'sending',
+	delivered: 'delivered',
+	failed: 'failed',
+	busy: 'busy',
+	'no-answer': 'no-answer',
+	cancelled: 'cancelled'
+};
+
+// Provider statuses that say more than their standardized status ('processing' for Notifyre is transmission)
+const ORIGINAL_STATUS_STEPS = {
+	'in progress': 'sending'
+};
+
+/**
+ * Work out the timeline step of a stored event
+ * @param {Object} event - fax_webhook_events row
+ * @returns {string|null} Step, or null for events that don't move the fax along
+ */
+function getEventStep(event) {
+	const data = event.data || {};
+	if (data.ignored) {
+		return null;
+	}
+
+	// fax.failed covers busy and no-answer too; the stored status tells them apart
+	const status = STATUS_STEPS[data.status] || null;
+	if (status && FINAL_TIMELINE_STEPS.includes(status)) {
+		return status;
+	}
+
+	const originalStatus = typeof data.original_status === 'string' ? data.original_status.toLowerCase() : null;
+	return TELNYX_EVENT_STEPS[event.event_type] || ORIGINAL_STATUS_STEPS[originalStatus] || status;
+}
+
+/**
+ * Page count reported with an event, if any
+ * @param {Object} event - fax_webhook_events row
+ * @returns {number|null} Pages
+ */
+function getEventPages(event) {
+	const payload = event.raw_payload?.data?.payload || event.raw_payload?.data || {};
+	const pages = event.data?.pages ?? payload.page_count ?? payload.pages ?? null;
+	return Number.isInteger(pages) && pages > 0 ? pages : null;
+}
+
+/**
+ * Failure reason reported with an event, if any
+ * @param {Object} event - fax_webhook_events row
+ * @returns {string|null} Failure reason
+ */
+function getEventFailureReason(event) {
+	const payload = event.raw_payload?.data?.payload || event.raw_payload?.data || {};
+	return event.data?.error_message || payload.failure_reason || payload.failedMessage || payload.errorMessage || null;
+}
+
+/**
+ * When the event happened: the provider's own timestamp if it sent one, else when we stored it
+ * @param {Object} event - fax_webhook_events row
+ * @returns {string} ISO timestamp
+ */
+function getEventTime(event) {
+	return event.raw_payload?.data?.occurred_at || event.processed_at;
+}
+
+/**
+ * Build the timeline of a fax
+ * @param {Object} fax - Fax record
+ * @param {Array<Object>} events - fax_webhook_events rows for the fax's provider ID
+ * @returns {Array<Object>} Timeline entries, oldest first
+ */
+export function buildFaxTimeline(fax, events = []) {
+	const entries = [{
+		step: 'created',
+		at: fax.created_at,
+		source: 'api',
+		event: null,
+		status: null,
+		pages: fax.pages || null,
+		failureReason: null
+	}];
+
+	if (fax.scheduled_at) {
+		entries.push({ step: 'scheduled', at: fax.created_at, source: 'api', event: null, status: 'scheduled', scheduledAt: fax.scheduled_at, pages: null, failureReason: null });
+	}
+
+	for (const event of events) {
+		const step = getEventStep(event);
+		if (!step) {
+			continue;
+		}
+
+		const pages = getEventPages(event);
+		const isFinal = FINAL_TIMELINE_STEPS.includes(step);
+		const entry = {
+			step,
+			at: getEventTime(event),
+			source: event.event_type?.startsWith(POLLING_EVENT_PREFIX) ? 'polling' : 'webhook',
+			event: event.event_type,
+			status: event.data?.original_status || event.data?.status || null,
+			pages,
+			failureReason: isFinal && step !== 'delivered' ? getEventFailureReason(event) : null
+		};
+
+		// Pages reported while sending are progress; they get their own entry
+		if (!isFinal && pages && step === 'sending') {
+			entries.push({ ...entry, pages: null });
+			entries.push({ ...entry, step: 'page_progress' });
+			continue;
+		}
+
+		entries.push(entry);
+	}
+
+	// Outcomes recorded without a provider event (cancelled through the API, failed at dispatch)
+	const finalStep = STATUS_STEPS[fax.status];
+	if (FINAL_TIMELINE_STEPS.includes(finalStep) && !entries.some(entry => entry.step === finalStep)) {
+		entries.push({
+			step: finalStep,
+			at: fax.completed_at || fax.updated_at || fax.created_at,
+			source: 'api',
+			event: null,
+			status: fax.original_status || fax.status,
+			pages: null,
+			failureReason: finalStep === 'delivered' ? null : (fax.error_message || null)
+		});
+	}
+
+	const ordered = entries
+		.map((entry, index) => ({ entry, index }))
+		.sort((a, b) => (new Date(a.entry.at) - new Date(b.entry.at)) || (a.index - b.index))
+		.map(({ entry }) => entry);
+
+	const seenSteps = new Set();
+	let progressPages = 0;
+	return ordered.filter(entry => {
+		if (entry.step === 'page_progress') {
+			if (entry.pages <= progressPages) {
+				return false;
+			}
+			progressPages = entry.pages;
+			return true;
+		}
+
+		if (seenSteps.has(entry.step)) {
+			return false;
+		}
+		seenSteps.add(entry.step);
+		return true;
+	});
+}
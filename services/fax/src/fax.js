@@ -3,13 +3,73 @@
  */
 
 import { env, WorkerEntrypoint } from "cloudflare:workers";
-import { Logger } from './utils.js';
+import { Logger, FileUtils, mapNotifyreStatus, parseNotifyreWebhook } from './utils.js';
 import { DatabaseUtils, FaxDatabaseUtils } from './database.js';
 import { NotifyreProvider } from './providers/notifyre-provider.js';
 import { TelnyxProvider } from './providers/telnyx-provider.js';
 import { R2Utils } from './r2-utils.js';
 import { NotificationService } from './notifications.js';
-import { digitsOnly, calculateRate, getRateTables, calculateCreditPerPage } from './rates.js';
+import { digitsOnly, toE164, calculateRate, getRateTables, calculateCreditPerPage } from './rates.js';
+import { resolveSendAt } from './scheduling.js';
+import { countFilePages } from './page-count.js';
+import { getRetryPolicy, planRetry } from './retry-policy.js';
+import { parseProviderChain, isRetryableSubmissionError } from './provider-failover.js';
+import { listCoverPageTemplates, getFaxDocumentKey, isCoverPageDocument, COVER_PAGE_FILENAME } from './cover-page.js';
+import { getCreditHoldExpiry, calculateCapturedCredits, RELEASING_STATUSES } from './credit-holds.js';
+import { parseHistoryQuery, formatHistoryItem, encodeHistoryCursor, normalizeTags } from './fax-history.js';
+import { buildFaxTimeline, POLLING_SNAPSHOT_EVENT } from './fax-timeline.js';
+import { resolveFaxStatusTransition } from './fax-status.js';
+import { parseInboxQuery, parseInboxUpdate, formatInboxItem, encodeInboxCursor } from './fax-inbox.js';
+import { generateConfirmationReport, getConfirmationReportKey, CONFIRMATION_REPORT_FILENAME } from './confirmation-report.js';
+import { parseQuotePages, summarizeCreditBalance } from './fax-quote.js';
+import { resolveRemoteDocuments, checkRemoteUrl, assertPublicHost } from './remote-documents.js';
+import PostalMime from 'postal-mime';
+import {
+	DEFAULT_FAX_EMAIL_DOMAIN,
+	DEFAULT_AUTHSERV_ID,
+	MAX_EMAIL_SIZE,
+	parseFaxAddress,
+	isSenderAuthenticated,
+	buildEmailFaxRequest,
+	findMissingEmailGatewayEnv
+} from './email-gateway.js';
+import { EmailService } from './email-service.js';
+import { chooseDelivery, renderReceivedFaxEmail, getForwardedFaxFilename } from './fax-forwarding.js';
+import {
+	getIdempotencyKey,
+	getIdempotencySettings,
+	hashRequestDocuments,
+	buildRequestFingerprint,
+	isDuplicateOverride
+} from './idempotency.js';
+import { verifyTelnyxSignature, verifyNotifyreSignature, TELNYX_SIGNATURE_HEADER, TELNYX_TIMESTAMP_HEADER, NOTIFYRE_SIGNATURE_HEADER } from './webhook-signatures.js';
+import {
+	DEVELOPER_WEBHOOK_EVENTS,
+	WEBHOOK_SIGNATURE_HEADER,
+	DELIVERY_TIMEOUT_MS,
+	DELIVERY_LEASE_SECONDS,
+	parseWebhookEndpoint,
+	generateWebhookSecret,
+	signWebhookPayload,
+	getNextAttemptAt,
+	buildWebhookEvent,
+	formatFaxEventData,
+	formatReceivedFaxEventData,
+	getLowCreditsThreshold,
+	formatWebhookEndpoint,
+	formatWebhookDelivery
+} from './developer-webhooks.js';
+
+// Statuses a fax can still be cancelled from
+const CANCELLABLE_FAX_STATUSES = ['scheduled', 'queued', 'processing', 'sending'];
+
+// 402 message when the balance is enough on paper but already reserved by other faxes
+const CREDITS_HELD_MESSAGE = "Your remaining credits are reserved by faxes that are still being sent";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Deliveries shown by GET /v1/fax/webhooks/{id}/deliveries
+const WEBHOOK_DELIVERY_LOG_LIMIT = 50;
 
 export default class extends WorkerEntrypoint {
 	constructor(ctx, env) {
@@ -26,6 +86,124 @@ export default class extends WorkerEntrypoint {
 		return new Response("Hello from Fax Service");
 	}
 
+	/**
+	 * Email-to-fax gateway: mail to <fax number>@fax.sendfax.pro (Cloudflare Email Routing)
+	 * Senders that can't be verified or aren't users are rejected during the SMTP session,
+	 * so no bounce goes to a forged address. Everything after that is answered by email.
+	 * @param {ForwardableEmailMessage} message - Incoming email
+	 */
+	async email(message) {
+		this.initializeLogger(this.env);
+		const callerEnvObj = this.env;
+		const domain = callerEnvObj.FAX_EMAIL_DOMAIN || DEFAULT_FAX_EMAIL_DOMAIN;
+
+		// Without these every sender lookup fails and would be reported as an unknown sender
+		const missingEnv = findMissingEmailGatewayEnv(callerEnvObj);
+		if (missingEnv.length > 0) {
+			this.logger.log('ERROR', 'Email-to-fax gateway is not configured', { missing: missingEnv });
+			message.setReject('Fax by email is temporarily unavailable, please try again later');
+			return;
+		}
+
+		const recipient = parseFaxAddress(message.to, domain);
+		if (!recipient) {
+			message.setReject(`Unknown fax address; send to <fax number>@${domain}`);
+			return;
+		}
+
+		if (message.rawSize > MAX_EMAIL_SIZE) {
+			message.setReject('Message is too large to fax');
+			return;
+		}
+
+		let email;
+		try {
+			email = await PostalMime.parse(message.raw, { attachmentEncoding: 'base64' });
+		} catch (error) {
+			this.logger.log('WARN', 'Email-to-fax message could not be parsed', { error: error.message });
+			message.setReject('Message could not be read');
+			return;
+		}
+
+		const sender = (email.from?.address || '').trim().toLowerCase();
+		const authenticationResults = (email.headers || [])
+			.filter(header => header.key === 'authentication-results')
+			.map(header => header.value);
+		if (!isSenderAuthenticated(authenticationResults, sender, callerEnvObj.FAX_EMAIL_AUTHSERV_ID || DEFAULT_AUTHSERV_ID)) {
+			this.logger.log('WARN', 'Email-to-fax sender not authenticated', { senderDomain: sender.split('@')[1] || null });
+			message.setReject('Sender address could not be verified (SPF, DKIM or DMARC)');
+			return;
+		}
+
+		const userId = await FaxDatabaseUtils.findEmailSenderUser(sender, callerEnvObj, this.logger);
+		if (!userId) {
+			this.logger.log('WARN', 'Email-to-fax sender is not a user', { senderDomain: sender.split('@')[1] || null });
+			message.setReject('Sender address is not registered with Send Fax Pro');
+			return;
+		}
+
+		const reply = (text) => this.sendEmailGatewayReply(email, sender, text, callerEnvObj);
+
+		try {
+			const requestBody = buildEmailFaxRequest(email, recipient);
+			if (requestBody.files.length === 0) {
+				await reply(`Your email to ${recipient} had no attachments, so nothing was faxed.\n\nAttach the documents to fax (PDF, image or text files). The text of your email is used as the cover page message.`);
+				return;
+			}
+
+			this.logger.log('INFO', 'Email-to-fax request received', {
+				userId,
+				attachments: requestBody.files.length,
+				hasCoverMessage: !!requestBody.message
+			});
+
+			// Mail servers redeliver on errors; the Message-ID keeps a redelivery from faxing twice
+			const headers = { 'Content-Type': 'application/json' };
+			if (email.messageId && /^[\x21-\x7e]{1,240}$/.test(email.messageId)) {
+				headers['Idempotency-Key'] = `email:${email.messageId}`;
+			}
+
+			const request = new Request('https://api.sendfax.pro/v1/fax/send', {
+				method: 'POST',
+				headers,
+				body: JSON.stringify(requestBody)
+			});
+
+			const result = await this.sendFax(request, callerEnvObj, {
+				jwtPayload: { sub: userId, email: sender },
+				emailGateway: { replyTo: sender }
+			});
+
+			// A redelivered email was already answered the first time
+			if (result.idempotentReplay || result.error === 'Request in progress') {
+				return;
+			}
+
+			if (result.statusCode === 200) {
+				await reply([
+					`Your fax to ${recipient} has been submitted.`,
+					'',
+					`Pages: ${result.data.pages}`,
+					`Credits: ${result.data.creditsRequired}`,
+					`Fax ID: ${result.data.id}`,
+					'',
+					"We'll email you again when it has been delivered or if it fails."
+				].join('\n'));
+			} else if (result.statusCode === 409 && result.data?.duplicates) {
+				await reply(`The same documents were faxed to ${recipient} in the last ${result.data.windowMinutes} minutes, so this email was not faxed. Send it from the app if you meant to fax it again.`);
+			} else {
+				await reply(`Your fax to ${recipient} could not be sent: ${result.message || result.error}`);
+			}
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in email-to-fax gateway', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+			await reply(`Your fax to ${recipient} could not be sent because of an internal error. Please try again later.`);
+		}
+	}
+
 	initializeLogger(env) {
 		if (!this.logger) {
 			this.logger = new Logger(env);
@@ -36,6 +214,78 @@ export default class extends WorkerEntrypoint {
 		}
 	}
 
+	/**
+	 * Email service for gateway replies; RESEND_API_KEY may be set on the gateway or on this worker
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {EmailService} Email service
+	 */
+	createEmailService(callerEnvObj) {
+		return new EmailService({
+			RESEND_API_KEY: callerEnvObj?.RESEND_API_KEY || this.env?.RESEND_API_KEY,
+			FAX_EMAIL_FROM: callerEnvObj?.FAX_EMAIL_FROM || this.env?.FAX_EMAIL_FROM
+		}, this.logger);
+	}
+
+	/**
+	 * Answer an email sent to the email-to-fax gateway
+	 * @param {Object} email - Parsed incoming email
+	 * @param {string} sender - Address to answer
+	 * @param {string} text - Reply body
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<boolean>} True if the reply was sent
+	 */
+	async sendEmailGatewayReply(email, sender, text, callerEnvObj) {
+		const subject = (email.subject || '').trim();
+		return await this.createEmailService(callerEnvObj).sendEmail({
+			to: sender,
+			subject: subject ? (/^re:/i.test(subject) ? subject : `Re: ${subject}`) : 'Your fax',
+			text,
+			inReplyTo: email.messageId || undefined
+		});
+	}
+
+	/**
+	 * Email the final outcome of a fax that was sent through the email-to-fax gateway
+	 * @param {Object} fax - Fax record (with email_reply_to)
+	 * @param {string} status - 'delivered' or 'failed'
+	 * @param {string|null} failureReason - Why the fax failed
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<boolean>} True if the email was sent
+	 */
+	async sendFaxStatusEmail(fax, status, failureReason, callerEnvObj) {
+		const recipient = Array.isArray(fax.recipients) ? fax.recipients.join(', ') : 'your recipient';
+		const delivered = status === 'delivered';
+
+		const lines = [
+			delivered
+				? `Your fax to ${recipient} was delivered.`
+				: `Your fax to ${recipient} could not be delivered${failureReason ? `: ${failureReason}` : '.'}`,
+			''
+		];
+		if (fax.subject) {
+			lines.push(`Subject: ${fax.subject}`);
+		}
+		if (fax.pages) {
+			lines.push(`Pages: ${fax.pages}`);
+		}
+		lines.push(`Fax ID: ${fax.id}`, '');
+		lines.push(delivered
+			? 'The confirmation report is available in the app.'
+			: 'No credits were charged for this fax.');
+
+		const sent = await this.createEmailService(callerEnvObj).sendEmail({
+			to: fax.email_reply_to,
+			subject: delivered ? `Fax to ${recipient} delivered` : `Fax to ${recipient} failed`,
+			text: lines.join('\n')
+		});
+
+		this.logger.log(sent ? 'INFO' : 'WARN', sent ? 'Fax status email sent' : 'Fax status email not sent', {
+			faxId: fax.id,
+			status
+		});
+		return sent;
+	}
+
 	/**
 	 * Deduct credits for a delivered fax based on user type
 	 * For paid subscribers: deduct from subscription credits
@@ -45,7 +295,7 @@ export default class extends WorkerEntrypoint {
 	 * @param {string} faxId - Fax ID for reference
 	 * @param {Object} callerEnvObj - Environment variables
 	 * @param {string} provider - Provider name for logging
-	 * @returns {Promise<void>}
+	 * @returns {Promise<boolean>} True if the credits were deducted
 	 */
 	async deductCreditsForDeliveredFax(userId, creditsToDeduct, faxId, callerEnvObj, provider) {
 		try {
@@ -112,8 +362,10 @@ export default class extends WorkerEntrypoint {
 							newCreditsUsed,
 							provider
 						});
+						return true;
 					}
 				}
+				return false;
 			} else {
 				// Free user - deduct from free credits
 				this.logger.log('INFO', 'Deducting credits from free credits', {
@@ -138,6 +390,7 @@ export default class extends WorkerEntrypoint {
 						faxId,
 						provider
 					});
+					return true;
 				} else {
 					this.logger.log('ERROR', 'Failed to deduct free credits', {
 						userId,
@@ -146,6 +399,7 @@ export default class extends WorkerEntrypoint {
 						error: result.error
 					});
 				}
+				return false;
 			}
 		} catch (error) {
 			this.logger.log('ERROR', 'Error deducting credits for delivered fax', {
@@ -154,6 +408,7 @@ export default class extends WorkerEntrypoint {
 				faxId,
 				error: error.message
 			});
+			return false;
 		}
 	}
 
@@ -211,6 +466,46 @@ export default class extends WorkerEntrypoint {
 		}
 	}
 
+	/**
+	 * Send push notification for a fax received on a user's number
+	 * Failures are logged and don't affect webhook processing
+	 * @param {Object} receivedFax - Saved free_fax_receives record (with user_id)
+	 * @param {Object} callerEnvObj - Environment variables
+	 * @returns {Promise<void>}
+	 */
+	async sendFaxReceivedPushNotification(receivedFax, callerEnvObj) {
+		try {
+			if (!this.notificationService) {
+				this.notificationService = new NotificationService(this.logger);
+			}
+
+			// Deep link: sendfaxapp://inbox/{id}
+			const result = await this.notificationService.sendFaxReceivedNotification(callerEnvObj, receivedFax);
+
+			if (result.success) {
+				this.logger.log('INFO', 'Push notification sent for received fax', {
+					receivedFaxId: receivedFax.id,
+					userId: receivedFax.user_id
+				});
+			} else if (result.skipped) {
+				this.logger.log('DEBUG', 'Received fax push notification skipped', {
+					receivedFaxId: receivedFax.id,
+					reason: result.reason
+				});
+			} else {
+				this.logger.log('WARN', 'Failed to send received fax push notification', {
+					receivedFaxId: receivedFax.id,
+					error: result.error
+				});
+			}
+		} catch (error) {
+			this.logger.log('ERROR', 'Error sending received fax push notification', {
+				receivedFaxId: receivedFax?.id,
+				error: error.message
+			});
+		}
+	}
+
 	async parseRequestBody(request) {
 		this.logger.log('DEBUG', 'Starting request body processing');
 
@@ -355,6 +650,21 @@ export default class extends WorkerEntrypoint {
 		return normalizedProvider;
 	}
 
+	/**
+	 * Ordered providers to try for a submission: the selected provider first, then the
+	 * rest of FAX_PROVIDER_CHAIN. Without a chain only the selected provider is used.
+	 * @param {string} primaryProviderName - Provider chosen by getApiProviderName
+	 * @param {Object} caller_env - Caller environment
+	 * @returns {Array<string>} Normalised provider names
+	 */
+	getProviderChain(primaryProviderName, caller_env) {
+		const chain = [primaryProviderName, ...parseProviderChain(caller_env.FAX_PROVIDER_CHAIN)]
+			.map(name => this.normaliseProviderName(name))
+			.filter(Boolean);
+
+		return [...new Set(chain)];
+	}
+
 	async sendFax(request, caller_env, sagContext) {
 		try {
 			// Ensure we have usable objects regardless of whether inputs are strings
@@ -371,12 +681,37 @@ export default class extends WorkerEntrypoint {
 				contentType: request.headers.get('content-type')
 			});
 
-			const requestBody = await this.parseRequestBody(request);
+			let requestBody = await this.parseRequestBody(request);
+
+			// files[].url entries are downloaded first and then handled like uploads
+			try {
+				requestBody = await resolveRemoteDocuments(requestBody, callerEnvObj, this.logger);
+			} catch (error) {
+				return {
+					statusCode: error.statusCode || 400,
+					error: error.statusCode === 413 ? "Documents too large" : "Invalid document",
+					message: error.message,
+					timestamp: new Date().toISOString()
+				};
+			}
 
 			const apiProviderName = await this.getApiProviderName(request, requestBody, callerEnvObj);
 
 			const faxProvider = await this.createFaxProvider(apiProviderName, callerEnvObj);
-			const faxRequest = await faxProvider.prepareFaxRequest(requestBody);
+
+			// Documents are decoded and their pages counted here; unreadable uploads are a client error
+			let faxRequest;
+			try {
+				faxRequest = await faxProvider.prepareFaxRequest(requestBody);
+			} catch (error) {
+				this.logger.log('WARN', 'Invalid fax documents', { error: error.message });
+				return {
+					statusCode: 400,
+					error: "Invalid document",
+					message: error.message,
+					timestamp: new Date().toISOString()
+				};
+			}
 
 			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || sagContextObj.user?.id || null;
 			
@@ -384,178 +719,44 @@ export default class extends WorkerEntrypoint {
 			const documentCount = faxRequest.files?._documentCount || (faxRequest.files?.length || 0) || 1;
 			const totalPages = faxRequest.files?._totalPages || faxRequest.pages || 1;
 			
-			// Get recipient phone number and calculate credits required
-			const recipientNumber = faxRequest.recipients?.[0] || null;
-			const creditCalculation = await this.calculateFaxCredits(
-				recipientNumber,
-				totalPages,
-				callerEnvObj,
-				request
-			);
-			
-			const creditPerPage = creditCalculation.creditPerPage;
-			const creditsRequired = creditCalculation.creditsRequired;
-			const rateInfo = creditCalculation.rateInfo;
-			
-			// Check user credits before sending fax
-			// Note: The database stores credits as pages, so we need to check if availablePages >= creditsRequired
-			// Use caller environment for database operations (contains Supabase configuration)
-			let creditCheck = await FaxDatabaseUtils.checkUserCredits(userId, creditsRequired, callerEnvObj, this.logger);
-			
-			// If user has no active subscriptions, try to create a freemium subscription
-			if (!creditCheck.hasCredits && creditCheck.error === 'No active subscriptions found' && userId) {
-				this.logger.log('INFO', 'No active subscriptions found, attempting to create freemium subscription', {
-					userId: userId
-				});
-				
-				try {
-					// Call the database function to create freemium subscription
-					const { createClient } = await import('@supabase/supabase-js');
-					const supabase = createClient(callerEnvObj.SUPABASE_URL, callerEnvObj.SUPABASE_SERVICE_ROLE_KEY, {
-						auth: {
-							autoRefreshToken: false,
-							persistSession: false
-						}
-					});
-					
-					const { data: freemiumResult, error: freemiumError } = await supabase
-						.rpc('create_freemium_subscription_for_user', { user_uuid: userId });
-					
-					if (freemiumError) {
-						this.logger.log('ERROR', 'Failed to create freemium subscription', {
-							userId: userId,
-							error: freemiumError.message
-						});
-					} else if (freemiumResult && freemiumResult.length > 0 && freemiumResult[0].created) {
-						this.logger.log('INFO', 'Freemium subscription created successfully', {
-							userId: userId,
-							subscriptionId: freemiumResult[0].subscription_id
-						});
-						
-						// Re-check credits after creating freemium subscription
-						creditCheck = await FaxDatabaseUtils.checkUserCredits(userId, creditsRequired, callerEnvObj, this.logger);
-					} else {
-						this.logger.log('INFO', 'Freemium subscription not created (user may already have subscriptions)', {
-							userId: userId
-						});
-					}
-				} catch (error) {
-					this.logger.log('ERROR', 'Error creating freemium subscription', {
-						userId: userId,
-						error: error.message
-					});
-				}
-			}
-			
-			if (!creditCheck.hasCredits) {
-				this.logger.log('WARN', 'Insufficient credits for fax', {
-					userId: userId,
-					pages: totalPages,
-					creditPerPage: creditPerPage,
-					creditsRequired: creditsRequired,
-					availablePages: creditCheck.availablePages,
-					error: creditCheck.error
-				});
-				
-				// Check if user has freemium subscription to provide specific messaging
-				const isFreemiumUser = creditCheck.subscriptions && 
-					creditCheck.subscriptions.some(sub => sub.product_id === 'freemium_monthly');
-				
-				let errorMessage = creditCheck.error || "You don't have enough credits to send this fax";
-				let errorTitle = "Insufficient credits";
-				
-				if (isFreemiumUser) {
-					// For freemium users, check pages (not credits) since they have a page limit
-					if (totalPages > 5) {
-						errorTitle = "Page limit exceeded";
-						errorMessage = `Your free plan allows up to 5 pages per month. You're trying to send ${totalPages} pages. Please upgrade to a paid plan for higher limits.`;
-					} else {
-						errorTitle = "Monthly limit reached";
-						errorMessage = `You've used all 5 free pages for this month. Your limit will reset in 30 days from when you signed up, or upgrade to a paid plan for more pages.`;
-					}
+			// Scheduled delivery: validate send_at up front so a bad value never reaches the provider
+			const sendAt = faxRequest.send_at || faxRequest.sendAt;
+			if (sendAt) {
+				const schedule = resolveSendAt(sendAt, faxRequest.timezone || faxRequest.timeZone);
+				if (schedule.error) {
+					return {
+						statusCode: 400,
+						error: "Invalid send_at",
+						message: schedule.error,
+						timestamp: new Date().toISOString()
+					};
 				}
-				
-				return {
-					statusCode: 402,
-					error: errorTitle,
-					message: errorMessage,
-					data: {
-						pages: totalPages,
-						creditPerPage: creditPerPage,
-						creditsRequired: creditsRequired,
-						availablePages: creditCheck.availablePages,
-						subscriptionId: creditCheck.subscriptionId,
-						isFreemiumUser: isFreemiumUser,
-						upgradeRequired: isFreemiumUser
-					},
-					timestamp: new Date().toISOString()
-				};
+				faxRequest.scheduledAt = schedule.scheduledAt.toISOString();
+				faxRequest.timezone = schedule.timeZone;
 			}
-			
-			this.logger.log('INFO', 'Credit check passed', {
-				userId: userId,
-				pages: totalPages,
-				creditPerPage: creditPerPage,
-				creditsRequired: creditsRequired,
-				availablePages: creditCheck.availablePages,
-				subscriptionId: creditCheck.subscriptionId
-			});
-			
-			let faxResult;
 
-			if (faxProvider.getProviderName() === 'telnyx') {
-				this.logger.log('INFO', 'Using Telnyx custom workflow');
-				faxResult = await faxProvider.sendFaxWithCustomWorkflow(faxRequest, userId, creditsRequired);
-			} else {
-				this.logger.log('INFO', 'Using standard provider workflow');
-				const providerPayload = await faxProvider.buildPayload(faxRequest);
-				faxResult = await faxProvider.sendFax(providerPayload);
-				await this.saveFaxRecordForStandardWorkflow(faxResult, faxRequest, userId, faxProvider.getProviderName(), callerEnvObj, creditsRequired);
-			}
+			faxRequest.tags = normalizeTags(faxRequest.tags);
+			// Only the email gateway sets a reply address; it is never taken from the request body
+			faxRequest.emailReplyTo = sagContextObj.emailGateway?.replyTo || null;
+			faxRequest.documentHash = await hashRequestDocuments(requestBody);
 
-			if (!faxResult.id) {
-				this.logger.log('ERROR', 'Fax provider did not return a valid fax ID');
-				throw new Error('Fax provider did not return a valid fax ID');
+			// Repeats of an Idempotency-Key replay the stored response instead of sending again
+			const idempotency = await this.beginIdempotentRequest(request, faxRequest, userId, callerEnvObj);
+			if (idempotency.response) {
+				return idempotency.response;
 			}
 
-			this.logger.log('INFO', 'Fax submitted successfully', { 
-				faxId: faxResult.id, 
-				friendlyId: faxResult.friendlyId,
-				apiProvider: faxProvider.getProviderName()
-			});
-
-			// Note: Credit usage is NOT updated here - it will be updated when the fax is actually delivered
-			// via webhook handlers. This ensures failed faxes don't count against user's quota.
-			this.logger.log('INFO', 'Fax submitted - usage will be recorded when delivered via webhook', {
-				userId: userId,
-				subscriptionId: creditCheck.subscriptionId,
-				pages: totalPages,
-				creditPerPage: creditPerPage,
-				creditsRequired: creditsRequired
-			});
+			let response;
+			try {
+				response = await this.checkDuplicateFax(faxRequest, userId, callerEnvObj)
+					|| await this.submitPreparedFax(faxProvider, faxRequest, userId, totalPages, documentCount, callerEnvObj, request);
+			} catch (error) {
+				await this.finishIdempotentRequest(idempotency.record, null, callerEnvObj);
+				throw error;
+			}
 
-			return {
-				statusCode: 200,
-				message: "Fax submitted successfully",
-				data: {
-					id: faxResult.id,
-					friendlyId: faxResult.friendlyId,
-					status: faxResult.status || 'queued',
-					originalStatus: faxResult.originalStatus || 'Submitted',
-					message: "Fax is now queued for processing",
-					timestamp: new Date().toISOString(),
-					recipient: faxRequest.recipients?.[0] || 'unknown',
-					pages: totalPages,
-					document_count: documentCount,
-					creditPerPage: creditPerPage,
-					creditsRequired: creditsRequired,
-					creditsUsed: creditsRequired,
-					rateInfo: rateInfo,
-					cost: null,
-					apiProvider: faxProvider.getProviderName(),
-					providerResponse: faxResult.providerResponse
-				}
-			};
+			await this.finishIdempotentRequest(idempotency.record, response, callerEnvObj);
+			return response;
 
 		} catch (error) {
 			this.logger.log('ERROR', 'Error in sendFax', {
@@ -573,700 +774,3036 @@ export default class extends WorkerEntrypoint {
 		}
 	}
 
-	async debug(request, caller_env = "{}", sagContext = "{}") {
-		console.log("[FAX-SERVICE][DEBUG] Caller Environment:", caller_env);
-		console.log("[FAX-SERVICE][DEBUG] SAG Context:", sagContext);
-		console.log("[FAX-SERVICE][DEBUG] Service Environment:", this.env);
+	/**
+	 * Submit a validated fax request: broadcast, scheduled or immediate
+	 * @param {Object} faxProvider - Primary provider instance
+	 * @param {Object} faxRequest - Prepared fax request
+	 * @param {string|null} userId - User ID
+	 * @param {number} totalPages - Pages per recipient
+	 * @param {number} documentCount - Number of documents
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @param {Request} request - Original request (used for lookup caching)
+	 * @returns {Promise<Object>} Handler response
+	 */
+	async submitPreparedFax(faxProvider, faxRequest, userId, totalPages, documentCount, callerEnvObj, request) {
+		// Broadcasts fan out into one fax per recipient, grouped under a batch
+		if ((faxRequest.recipients?.length || 0) > 1) {
+			return await this.sendBroadcastFax(faxProvider, faxRequest, userId, totalPages, documentCount, callerEnvObj, request);
+		}
+
+		// Get recipient phone number and calculate credits required
+		const recipientNumber = faxRequest.recipients?.[0] || null;
+		const creditCalculation = await this.calculateFaxCredits(
+			recipientNumber,
+			totalPages,
+			callerEnvObj,
+			request
+		);
+		
+		const creditPerPage = creditCalculation.creditPerPage;
+		const creditsRequired = creditCalculation.creditsRequired;
+		const rateInfo = creditCalculation.rateInfo;
+		
+		// Check user credits before sending fax
+		// Note: The database stores credits as pages, so we need to check if availablePages >= creditsRequired
+		const creditCheck = await this.ensureUserCredits(userId, creditsRequired, callerEnvObj);
+		
+		if (!creditCheck.hasCredits) {
+			return this.buildInsufficientCreditsResponse(creditCheck, userId, totalPages, creditPerPage, creditsRequired);
+		}
+		
+		this.logger.log('INFO', 'Credit check passed', {
+			userId: userId,
+			pages: totalPages,
+			creditPerPage: creditPerPage,
+			creditsRequired: creditsRequired,
+			availablePages: creditCheck.availablePages,
+			subscriptionId: creditCheck.subscriptionId
+		});
+
+		// Reserve the credits now so concurrent submissions can't spend the same balance
+		const hold = await this.reserveCredits(userId, creditsRequired, totalPages, creditCheck, faxRequest.scheduledAt, callerEnvObj);
+		if (!hold.reserved) {
+			return this.buildInsufficientCreditsResponse({ ...creditCheck, error: CREDITS_HELD_MESSAGE }, userId, totalPages, creditPerPage, creditsRequired);
+		}
+		faxRequest.creditHoldId = hold.holdId;
+
+		let faxResult;
+		let acceptingProvider;
+		try {
+			({ faxResult, faxProvider: acceptingProvider } = await this.submitFaxWithFailover(faxProvider, faxRequest, userId, creditsRequired, callerEnvObj));
+		} catch (error) {
+			await this.releaseFaxCreditHold(hold.holdId, 'submission_failed', callerEnvObj);
+			throw error;
+		}
+
+		this.logger.log('INFO', 'Fax submitted successfully', { 
+			faxId: faxResult.id, 
+			friendlyId: faxResult.friendlyId,
+			apiProvider: acceptingProvider.getProviderName()
+		});
+
+		// Scheduled faxes are queued when they are dispatched
+		if (!faxRequest.scheduledAt) {
+			await this.emitFaxQueuedEvent(userId, faxResult.id, 'provider_fax_id', callerEnvObj);
+		}
+
+		// Note: Credit usage is NOT updated here - the hold is turned into a charge when the fax is actually
+		// delivered via webhook handlers. This ensures failed faxes don't count against user's quota.
+		this.logger.log('INFO', 'Fax submitted - usage will be recorded when delivered via webhook', {
+			userId: userId,
+			subscriptionId: creditCheck.subscriptionId,
+			pages: totalPages,
+			creditPerPage: creditPerPage,
+			creditsRequired: creditsRequired
+		});
 
 		return {
 			statusCode: 200,
-			message: "Debug information logged successfully",
+			message: faxRequest.scheduledAt ? "Fax scheduled successfully" : "Fax submitted successfully",
 			data: {
-				callerEnv: JSON.stringify(caller_env),
-				sagContext: JSON.stringify(sagContext),
-				env: JSON.stringify(this.env),
-				timestamp: new Date().toISOString()
+				id: faxResult.id,
+				friendlyId: faxResult.friendlyId,
+				status: faxResult.status || 'queued',
+				originalStatus: faxResult.originalStatus || 'Submitted',
+				message: faxRequest.scheduledAt ? "Fax will be sent at the scheduled time" : "Fax is now queued for processing",
+				scheduledAt: faxRequest.scheduledAt || null,
+				timestamp: new Date().toISOString(),
+				recipient: faxRequest.recipients?.[0] || 'unknown',
+				pages: totalPages,
+				document_count: documentCount,
+				creditPerPage: creditPerPage,
+				creditsRequired: creditsRequired,
+				creditsUsed: creditsRequired,
+				creditHoldId: hold.holdId,
+				rateInfo: rateInfo,
+				cost: null,
+				apiProvider: acceptingProvider.getProviderName(),
+				providerResponse: faxResult.providerResponse
 			}
 		};
 	}
 
-	async health(request, caller_env, sagContext) {
-		try {
-			
-			this.logger.log('INFO', 'Health check request received');
+	/**
+	 * Start an idempotent send: claim the Idempotency-Key, or answer a repeat of it
+	 * Requests without the header (or without a user to scope it to) are not tracked.
+	 * @param {Request} request - Original request
+	 * @param {Object} faxRequest - Prepared fax request (documentHash set)
+	 * @param {string|null} userId - User ID
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<{record: Object|null, response: Object|null}>} Claimed key record, or the response to return right away
+	 */
+	async beginIdempotentRequest(request, faxRequest, userId, callerEnvObj) {
+		const { key, error } = getIdempotencyKey(request);
 
+		if (error) {
 			return {
-				statusCode: 200,
-				message: "Fax service healthy",
-				data: {
-					service: "fax",
-					timestamp: new Date().toISOString(),
-					version: "2.0.0",
-					currentApiProvider: caller_env?.FAX_PROVIDER || 'notifyre',
-					supportedApiProviders: ['notifyre', 'telnyx'],
-					features: [
-						"send-fax",
-						"webhooks",
-						"multi-api-provider-support"
-					]
+				record: null,
+				response: {
+					statusCode: 400,
+					error: "Invalid Idempotency-Key",
+					message: error,
+					timestamp: new Date().toISOString()
 				}
 			};
-		} catch (error) {
-			if (this.logger) {
-				this.logger.log('ERROR', 'Error in health check:', error);
-			} else {
-				console.error('Error in health check:', error);
-			}
-			return {
-				statusCode: 500,
-				error: "Health check failed",
-				message: error.message
-			};
 		}
-	}
 
-	async healthProtected(request, caller_env, sagContext) {
-		try {
-			
-			this.logger.log('INFO', 'Protected health check request received');
-
-			return {
-				statusCode: 200,
-				message: "Fax service healthy (authenticated)",
-				data: {
-					service: "fax",
-					user: sagContext.jwtPayload || null,
-					timestamp: new Date().toISOString(),
-					version: "2.0.0",
-					authenticated: true,
-					currentApiProvider: caller_env?.FAX_PROVIDER || 'notifyre',
-					supportedApiProviders: ['notifyre', 'telnyx'],
-					features: [
-						"send-fax",
-						"webhooks",
-						"multi-api-provider-support"
-					]
-				}
-			};
-		} catch (error) {
-			if (this.logger) {
-				this.logger.log('ERROR', 'Error in healthProtected:', error);
-			} else {
-				console.error('Error in healthProtected:', error);
-			}
-			return {
-				statusCode: 500,
-				error: "Authenticated health check failed",
-				message: error.message
-			};
+		if (!key || !userId) {
+			return { record: null, response: null };
 		}
-	}
-
-	async uploadFilesToR2(request, caller_env, sagContext) {
-		try {
-			
-
-			this.logger.log('INFO', 'Upload-to-R2 debug endpoint called', {
-				method: request.method,
-				url: request.url,
-				contentType: request.headers.get('content-type')
-			});
-
-			const requestBody = await this.parseRequestBody(request);
-			
-			// Create a temporary provider for request preparation (defaulting to notifyre)
-			const tempProvider = await this.createFaxProvider('notifyre', { NOTIFYRE_API_KEY: 'temp' });
-			const faxRequest = await tempProvider.prepareFaxRequest(requestBody);
-
-			if (!faxRequest.files || faxRequest.files.length === 0) {
-				throw new Error('No files provided in request');
-			}
-
-			const r2Utils = new R2Utils(this.logger, this.env);
-
-			if (!r2Utils.validateConfiguration()) {
-				throw new Error('R2 configuration invalid – check FAX_FILES_BUCKET binding');
-			}
-
-			const uploaded = [];
-			for (let i = 0; i < faxRequest.files.length; i++) {
-				const file = faxRequest.files[i];
-				let buffer;
-				let contentType = 'application/pdf';
 
-				if (file instanceof Blob || (file && typeof file.arrayBuffer === 'function')) {
-					buffer = await file.arrayBuffer();
-					contentType = file.type || contentType;
-				} else if (file instanceof Uint8Array || file instanceof ArrayBuffer) {
-					buffer = file;
-				} else {
-					buffer = new TextEncoder().encode(String(file));
-					contentType = 'text/plain';
-				}
+		const settings = getIdempotencySettings(callerEnvObj);
+		const fingerprint = await buildRequestFingerprint(faxRequest, faxRequest.documentHash);
+		const expiresAt = new Date(Date.now() + settings.ttlHours * 60 * 60 * 1000).toISOString();
+		const staleBefore = new Date(Date.now() - settings.leaseMinutes * 60 * 1000).toISOString();
 
-				const timestamp = Date.now();
-				const filename = `debug/${timestamp}_${i + 1}` + (contentType === 'application/pdf' ? '.pdf' : '');
+		const claim = await FaxDatabaseUtils.claimIdempotencyKey(userId, key, fingerprint, expiresAt, staleBefore, callerEnvObj, this.logger);
 
-				const url = await r2Utils.uploadFile(filename, buffer, contentType);
-				uploaded.push({ filename, url });
-			}
+		if (claim.claimed) {
+			return { record: claim.record, response: null };
+		}
 
-			this.logger.log('INFO', 'Files uploaded to R2 via debug endpoint', { count: uploaded.length });
+		if (!claim.record) {
+			// Don't block sending when the key store is unavailable
+			this.logger.log('WARN', 'Idempotency key store unavailable, sending without replay protection', { userId });
+			return { record: null, response: null };
+		}
 
+		if (claim.record.request_fingerprint !== fingerprint) {
 			return {
-				statusCode: 200,
-				message: 'Files uploaded successfully',
-				data: {
-					fileCount: uploaded.length,
-					files: uploaded,
+				record: null,
+				response: {
+					statusCode: 422,
+					error: "Idempotency key reused",
+					message: "This Idempotency-Key was already used for a different fax request",
 					timestamp: new Date().toISOString()
 				}
 			};
+		}
 
-		} catch (error) {
-			if (this.logger) {
-				this.logger.log('ERROR', 'Upload-to-R2 debug endpoint failed', {
-					error: error.message,
-					stack: error.stack
-				});
-			}
-
+		if (claim.record.status !== 'completed' || !claim.record.response_body) {
 			return {
-				statusCode: 500,
-				error: 'File upload failed',
-				message: error.message
+				record: null,
+				response: {
+					statusCode: 409,
+					error: "Request in progress",
+					message: `A request with this Idempotency-Key is still being processed. If it never finishes, the key can be used again after ${settings.leaseMinutes} minutes`,
+					timestamp: new Date().toISOString()
+				}
 			};
 		}
-	}
 
-	async saveFaxRecordForStandardWorkflow(faxResult, faxRequest, userId, providerName, callerEnvObj, creditsRequired = 0) {
-		try {
-			this.logger.log('DEBUG', 'Saving fax record for standard workflow', {
-				userId: userId || 'anonymous',
-				providerName,
-				creditsRequired
-			});
+		this.logger.log('INFO', 'Replaying idempotent send response', {
+			userId,
+			idempotencyKey: key,
+			faxId: claim.record.response_body.data?.id || null,
+			batchId: claim.record.response_body.data?.batchId || null
+		});
 
-			// Calculate document count and total pages from files
-			const documentCount = faxRequest.files?._documentCount || (faxRequest.files?.length || 0) || 1;
-			const totalPages = faxRequest.files?._totalPages || 1;
+		return {
+			record: null,
+			response: { ...claim.record.response_body, idempotentReplay: true }
+		};
+	}
 
-			const faxDataForSave = {
-				id: faxResult.id,
-				status: faxResult.status || 'queued',
-				originalStatus: faxResult.originalStatus || 'Submitted',
-				recipients: faxRequest.recipients || [],
-				senderId: faxRequest.senderId,
-				subject: faxRequest.subject || faxRequest.message,
-				pages: totalPages,
-				document_count: documentCount,
-				cost: Math.ceil(creditsRequired) || 0,
-				clientReference: faxRequest.clientReference || 'SendFaxPro',
-				sentAt: new Date().toISOString(),
-				completedAt: null,
-				errorMessage: null,
-				providerResponse: faxResult.providerResponse,
-				friendlyId: faxResult.friendlyId,
-				apiProvider: providerName
-			};
+	/**
+	 * Finish an idempotent send. Successful responses are stored for replay; anything else
+	 * releases the key so the client can retry with it.
+	 * @param {Object|null} record - Key record from beginIdempotentRequest
+	 * @param {Object|null} response - Handler response, or null if the send threw
+	 * @param {Object} callerEnvObj - Caller environment
+	 */
+	async finishIdempotentRequest(record, response, callerEnvObj) {
+		if (!record) {
+			return;
+		}
 
-			// Use caller environment for database operations (contains Supabase configuration)
-			const savedFaxRecord = await DatabaseUtils.saveFaxRecord(faxDataForSave, userId, callerEnvObj, this.logger);
+		if (response && response.statusCode >= 200 && response.statusCode < 300) {
+			await FaxDatabaseUtils.completeIdempotencyKey(record.id, response, callerEnvObj, this.logger);
+		} else {
+			await FaxDatabaseUtils.releaseIdempotencyKey(record.id, callerEnvObj, this.logger);
+		}
+	}
 
-			this.logger.log('DEBUG', 'Fax record saved successfully', {
-				faxId: savedFaxRecord?.id,
-				providerName
-			});
+	/**
+	 * Warn about the same documents going to the same recipient again within a few minutes
+	 * @param {Object} faxRequest - Prepared fax request (documentHash set)
+	 * @param {string|null} userId - User ID
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object|null>} 409 response, or null when the fax can be sent
+	 */
+	async checkDuplicateFax(faxRequest, userId, callerEnvObj) {
+		if (!userId || !faxRequest.documentHash || isDuplicateOverride(faxRequest)) {
+			return null;
+		}
 
-			return savedFaxRecord;
+		const { duplicateWindowMinutes } = getIdempotencySettings(callerEnvObj);
+		const since = new Date(Date.now() - duplicateWindowMinutes * 60 * 1000).toISOString();
+		const recentFaxes = await FaxDatabaseUtils.findRecentFaxesByDocumentHash(userId, faxRequest.documentHash, since, callerEnvObj, this.logger);
 
-		} catch (error) {
-			this.logger.log('ERROR', 'Failed to save fax record', {
-				error: error.message,
-				providerName
-			});
+		const recipients = faxRequest.recipients || [];
+		const duplicates = recentFaxes.filter(fax => (fax.recipients || []).some(recipient => recipients.includes(recipient)));
+
+		if (duplicates.length === 0) {
 			return null;
 		}
+
+		this.logger.log('WARN', 'Possible duplicate fax held back', {
+			userId,
+			duplicateFaxIds: duplicates.map(fax => fax.id),
+			windowMinutes: duplicateWindowMinutes
+		});
+
+		return {
+			statusCode: 409,
+			error: "Possible duplicate fax",
+			message: `The same documents were sent to this recipient in the last ${duplicateWindowMinutes} minutes. Send again with allowDuplicate set to true to send anyway.`,
+			data: {
+				windowMinutes: duplicateWindowMinutes,
+				duplicates: duplicates.map(fax => ({
+					id: fax.id,
+					recipients: fax.recipients,
+					status: fax.status,
+					createdAt: fax.created_at
+				}))
+			},
+			timestamp: new Date().toISOString()
+		};
 	}
 
-	async telnyxWebhook(request, caller_env = "{}", sagContext = "{}") {
-		try {
+	/**
+	 * Check the user's credits, creating a freemium subscription on first use
+	 * @param {string|null} userId - User ID
+	 * @param {number} creditsRequired - Credits needed for the submission
+	 * @param {Object} callerEnvObj - Caller environment (contains Supabase configuration)
+	 * @returns {Promise<Object>} Credit check result from FaxDatabaseUtils.checkUserCredits
+	 */
+	async ensureUserCredits(userId, creditsRequired, callerEnvObj) {
+		let creditCheck = await FaxDatabaseUtils.checkUserCredits(userId, creditsRequired, callerEnvObj, this.logger);
+		
+		// If user has no active subscriptions, try to create a freemium subscription
+		if (!creditCheck.hasCredits && creditCheck.error === 'No active subscriptions found' && userId) {
+			this.logger.log('INFO', 'No active subscriptions found, attempting to create freemium subscription', {
+				userId: userId
+			});
 			
-			// Ensure caller_env is an object for downstream DB utils
-			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			try {
+				// Call the database function to create freemium subscription
+				const { createClient } = await import('@supabase/supabase-js');
+				const supabase = createClient(callerEnvObj.SUPABASE_URL, callerEnvObj.SUPABASE_SERVICE_ROLE_KEY, {
+					auth: {
+						autoRefreshToken: false,
+						persistSession: false
+					}
+				});
+				
+				const { data: freemiumResult, error: freemiumError } = await supabase
+					.rpc('create_freemium_subscription_for_user', { user_uuid: userId });
+				
+				if (freemiumError) {
+					this.logger.log('ERROR', 'Failed to create freemium subscription', {
+						userId: userId,
+						error: freemiumError.message
+					});
+				} else if (freemiumResult && freemiumResult.length > 0 && freemiumResult[0].created) {
+					this.logger.log('INFO', 'Freemium subscription created successfully', {
+						userId: userId,
+						subscriptionId: freemiumResult[0].subscription_id
+					});
+					
+					// Re-check credits after creating freemium subscription
+					creditCheck = await FaxDatabaseUtils.checkUserCredits(userId, creditsRequired, callerEnvObj, this.logger);
+				} else {
+					this.logger.log('INFO', 'Freemium subscription not created (user may already have subscriptions)', {
+						userId: userId
+					});
+				}
+			} catch (error) {
+				this.logger.log('ERROR', 'Error creating freemium subscription', {
+					userId: userId,
+					error: error.message
+				});
+			}
+		}
 
-			this.logger.log('INFO', 'Telnyx webhook received (sending events only)');
+		return creditCheck;
+	}
 
-			// Parse JSON body safely
-			const body = await request.json();
+	/**
+	 * Reserve the credits of a fax being submitted
+	 * Anonymous requests aren't reserved, and a failing hold store doesn't block sending.
+	 * @param {string|null} userId - User ID
+	 * @param {number} creditsRequired - Credits to reserve
+	 * @param {number} totalPages - Pages the credits cover
+	 * @param {Object} creditCheck - Passed credit check (totalCredits is the balance before holds)
+	 * @param {string|null} scheduledAt - Scheduled send time, if any
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<{reserved: boolean, holdId: string|null}>} reserved is false when the balance is already held
+	 */
+	async reserveCredits(userId, creditsRequired, totalPages, creditCheck, scheduledAt, callerEnvObj) {
+		if (!userId) {
+			return { reserved: true, holdId: null };
+		}
 
-			const eventType = body?.data?.event_type || 'unknown';
-			// Handle both nested payload structure and direct payload structure
-			const payload = body?.data?.payload || body?.payload || body || {};
-			const telnyxFaxId = payload.fax_id || null;
-			const statusFromPayload = payload.hasOwnProperty('status') ? payload.status : null;
-			const failureReason = payload.hasOwnProperty('failure_reason') ? payload.failure_reason : null;
-			const pageCount = payload.hasOwnProperty('page_count') ? payload.page_count : null;
-			const toNumber = payload.to || null;
+		const availableCredits = creditCheck.totalCredits ?? creditCheck.availablePages ?? 0;
+		const hold = await FaxDatabaseUtils.placeCreditHold(
+			userId,
+			creditsRequired,
+			totalPages,
+			availableCredits,
+			getCreditHoldExpiry(callerEnvObj, scheduledAt),
+			callerEnvObj,
+			this.logger
+		);
+
+		if (!hold.success) {
+			this.logger.log('WARN', 'Credit hold unavailable, submitting without a reservation', {
+				userId,
+				creditsRequired,
+				error: hold.error
+			});
+			return { reserved: true, holdId: null };
+		}
 
-			// Check if this is a fax receiving event and if the 'to' number matches our sender ID
-			const receivingEvents = ['fax.receiving.started', 'fax.media.processing.started', 'fax.received', 'fax.failed'];
-			const isReceivingEvent = receivingEvents.includes(eventType);
-			const isOurNumber = toNumber === callerEnvObj.TELNYX_SENDER_ID;
+		return { reserved: !!hold.holdId, holdId: hold.holdId };
+	}
 
-			if (isReceivingEvent && isOurNumber) {
-				this.logger.log('INFO', 'Fax receiving event detected in main webhook, redirecting to public receive endpoint', {
-					eventType,
-					toNumber,
-					senderId: callerEnvObj.TELNYX_SENDER_ID
-				});
-				// Redirect receiving events to the public endpoint
-				return await this.telnyxFaxReceiveWebhook(request, caller_env, sagContext);
-			}
+	/**
+	 * Release a credit hold, if the fax has one
+	 * @param {string|null} holdId - Credit hold ID
+	 * @param {string} reason - Release reason stored on the hold
+	 * @param {Object} callerEnvObj - Caller environment
+	 */
+	async releaseFaxCreditHold(holdId, reason, callerEnvObj) {
+		if (!holdId) {
+			return;
+		}
 
-			// Only process sending-related events in this webhook
-			if (!telnyxFaxId) {
-				this.logger.log('ERROR', 'Telnyx webhook missing fax_id in payload');
-				return { statusCode: 400, error: 'Invalid webhook payload: missing fax_id' };
-			}
+		const released = await FaxDatabaseUtils.releaseCreditHold(holdId, reason, callerEnvObj, this.logger);
+		this.logger.log('INFO', released ? 'Credit hold released' : 'Credit hold already settled', { holdId, reason });
+	}
 
-			// Create a temporary TelnyxProvider instance to reuse its status mapping helper
-			const tempProvider = new TelnyxProvider('temp', this.logger, { connectionId: 'temp' });
-			// Use failure_reason for status mapping if available (it provides more specific error info),
-			// otherwise use the status field
-			const statusForMapping = failureReason || statusFromPayload;
-			const standardizedStatus = tempProvider.mapStatus(statusForMapping);
+	/**
+	 * Work out the charge for a delivered fax and capture its credit hold
+	 * @param {Object} fax - Delivered fax record
+	 * @param {number|null} deliveredPages - Page count reported by the provider
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<number|null>} Credits to deduct, or null if the hold was already captured
+	 */
+	async captureFaxCreditHold(fax, deliveredPages, callerEnvObj) {
+		// Faxes sent before holds existed are charged their recorded cost
+		const recordedCost = fax.cost !== undefined && fax.cost !== null
+			? Math.ceil(fax.cost)
+			: (deliveredPages || fax.pages || 1);
+
+		const hold = fax.credit_hold_id ? await FaxDatabaseUtils.getCreditHold(fax.credit_hold_id, callerEnvObj, this.logger) : null;
+		if (!hold) {
+			return recordedCost;
+		}
 
-			// Build update data for Supabase - only include fields that exist in the payload
-			const updateData = {
-				status: standardizedStatus,
-				metadata: payload
-			};
+		if (hold.status === 'captured') {
+			this.logger.log('INFO', 'Credit hold already captured, not charging again', {
+				faxId: fax.id,
+				holdId: hold.id
+			});
+			return null;
+		}
 
-			// Only include original_status if status exists in payload
-			if (statusFromPayload !== null) {
-				updateData.original_status = statusFromPayload;
-			}
+		const credits = calculateCapturedCredits(hold, deliveredPages);
 
-			// Always save failure_reason as error_message when status is "failed" and failure_reason exists
-			// Also save it if it exists regardless of status (for edge cases)
-			if (failureReason !== null) {
-				updateData.error_message = failureReason;
-			} else if (standardizedStatus === 'failed' && statusFromPayload === 'failed') {
-				// If status is "failed" but no failure_reason provided, log a warning
-				this.logger.log('WARN', 'Fax status is "failed" but no failure_reason provided in webhook', {
-					faxId: telnyxFaxId,
-					eventType
+		// Released or expired holds still get charged: the fax did go through
+		if (hold.status === 'held') {
+			const captured = await FaxDatabaseUtils.captureCreditHold(hold.id, credits, callerEnvObj, this.logger);
+			if (!captured) {
+				this.logger.log('INFO', 'Credit hold settled concurrently, not charging again', {
+					faxId: fax.id,
+					holdId: hold.id
 				});
+				return null;
 			}
+		}
 
-			// Only include completed_at if status is terminal
-			if (['delivered', 'failed', 'cancelled'].includes(standardizedStatus)) {
-				updateData.completed_at = new Date().toISOString();
-			}
-
-			// Add page count if available and valid in the webhook payload
-			// Don't update page_count to 0 when status is "failed"
-			if (pageCount !== null && pageCount !== undefined && pageCount > 0) {
-				updateData.pages = pageCount;
-			} else if (pageCount === 0 && standardizedStatus !== 'failed') {
-				// Only update to 0 if status is not "failed"
-				updateData.pages = 0;
-			}
+		this.logger.log('INFO', 'Credit hold captured', {
+			faxId: fax.id,
+			holdId: hold.id,
+			heldCredits: hold.credits,
+			chargedCredits: credits,
+			deliveredPages
+		});
 
-			// Update fax record using provider_fax_id as lookup key
-			const updatedFaxRecord = await DatabaseUtils.updateFaxRecord(telnyxFaxId, updateData, callerEnvObj, this.logger, 'provider_fax_id');
+		return credits;
+	}
 
-			// Log updated fax record for debugging
-			this.logger.log('DEBUG', 'Fax record updated from webhook', {
-				telnyxFaxId,
-				hasUpdatedFaxRecord: !!updatedFaxRecord,
-				hasUserId: !!(updatedFaxRecord && updatedFaxRecord.user_id),
-				hasRecipients: !!(updatedFaxRecord && updatedFaxRecord.recipients),
-				recipientsType: updatedFaxRecord?.recipients ? typeof updatedFaxRecord.recipients : 'none',
-				recipientsValue: updatedFaxRecord?.recipients,
-				status: standardizedStatus
-			});
+	/**
+	 * Build the 402 response returned when the user can't cover a submission
+	 * @param {Object} creditCheck - Failed credit check result
+	 * @param {string|null} userId - User ID
+	 * @param {number} totalPages - Pages that would be transmitted
+	 * @param {number|null} creditPerPage - Credit cost per page (null for mixed-rate broadcasts)
+	 * @param {number} creditsRequired - Credits needed for the submission
+	 * @param {Object} extraData - Additional fields for the response data
+	 * @returns {Object} 402 response payload
+	 */
+	buildInsufficientCreditsResponse(creditCheck, userId, totalPages, creditPerPage, creditsRequired, extraData = {}) {
+		this.logger.log('WARN', 'Insufficient credits for fax', {
+			userId: userId,
+			pages: totalPages,
+			creditPerPage: creditPerPage,
+			creditsRequired: creditsRequired,
+			availablePages: creditCheck.availablePages,
+			error: creditCheck.error
+		});
+		
+		// Check if user has freemium subscription to provide specific messaging
+		const isFreemiumUser = creditCheck.subscriptions && 
+			creditCheck.subscriptions.some(sub => sub.product_id === 'freemium_monthly');
+		
+		let errorMessage = creditCheck.error || "You don't have enough credits to send this fax";
+		let errorTitle = "Insufficient credits";
+		
+		if (isFreemiumUser) {
+			// For freemium users, check pages (not credits) since they have a page limit
+			if (totalPages > 5) {
+				errorTitle = "Page limit exceeded";
+				errorMessage = `Your free plan allows up to 5 pages per month. You're trying to send ${totalPages} pages. Please upgrade to a paid plan for higher limits.`;
+			} else {
+				errorTitle = "Monthly limit reached";
+				errorMessage = `You've used all 5 free pages for this month. Your limit will reset in 30 days from when you signed up, or upgrade to a paid plan for more pages.`;
+			}
+		}
+		
+		return {
+			statusCode: 402,
+			error: errorTitle,
+			message: errorMessage,
+			data: {
+				pages: totalPages,
+				creditPerPage: creditPerPage,
+				creditsRequired: creditsRequired,
+				availablePages: creditCheck.availablePages,
+				subscriptionId: creditCheck.subscriptionId,
+				isFreemiumUser: isFreemiumUser,
+				upgradeRequired: isFreemiumUser,
+				...extraData
+			},
+			timestamp: new Date().toISOString()
+		};
+	}
 
-			// Store webhook event for audit/logging
-			await DatabaseUtils.storeWebhookEvent({
-				event: eventType,
-				faxId: telnyxFaxId,
-				processedData: updateData,
-				rawPayload: body
-			}, callerEnvObj, this.logger);
+	/**
+	 * Submit a single-recipient fax request through the provider's workflow
+	 * Stored faxes (scheduled faxes and resends, storedFax set) update their existing record.
+	 * @param {Object} faxProvider - Provider instance
+	 * @param {Object} faxRequest - Prepared fax request (one recipient)
+	 * @param {string|null} userId - User ID
+	 * @param {number} creditsRequired - Credit cost stored on the fax record
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object>} Standardized provider response
+	 */
+	async submitFaxToProvider(faxProvider, faxRequest, userId, creditsRequired, callerEnvObj) {
+		if (faxRequest.scheduledAt) {
+			return await this.scheduleFax(faxProvider, faxRequest, userId, creditsRequired, callerEnvObj);
+		}
 
-			// Record usage if fax was successfully delivered
-			if (standardizedStatus === 'delivered' && updatedFaxRecord && updatedFaxRecord.user_id) {
-				// Use cost from fax record (credit cost), fallback to pageCount if cost is not available
-				const creditsToDeduct = updatedFaxRecord.cost !== undefined && updatedFaxRecord.cost !== null 
-					? Math.ceil(updatedFaxRecord.cost) 
-					: (pageCount || updatedFaxRecord.pages || 1);
-				const finalPageCount = pageCount || updatedFaxRecord.pages || 1;
-				
-				// Record usage in analytics table (using page count for analytics)
-				await DatabaseUtils.recordUsage({
-					userId: updatedFaxRecord.user_id,
-					type: 'fax',
-					unitType: 'page',
-					usageAmount: finalPageCount,
-					timestamp: new Date().toISOString(),
-					metadata: {
-						fax_id: telnyxFaxId,
-						provider: 'telnyx',
-						event_type: eventType,
-						status: standardizedStatus,
-						credits_deducted: creditsToDeduct
-					}
-				}, callerEnvObj, this.logger);
-				
-				// Deduct credits based on user type (paid vs free)
-				await this.deductCreditsForDeliveredFax(
-					updatedFaxRecord.user_id,
-					creditsToDeduct,
-					updatedFaxRecord.id,
-					callerEnvObj,
-					'telnyx'
-				);
-			}
+		let faxResult;
 
-			// Send push notification for terminal statuses (delivered or failed)
-			if (updatedFaxRecord && updatedFaxRecord.user_id && ['delivered', 'failed'].includes(standardizedStatus)) {
-				// Ensure recipients is an array (handle JSONB from database)
-				let recipients = updatedFaxRecord.recipients || [];
-				
-				// Parse if recipients is a JSON string
-				if (typeof recipients === 'string') {
-					try {
-						recipients = JSON.parse(recipients);
-					} catch (e) {
-						this.logger.log('WARN', 'Failed to parse recipients JSON string', {
-							faxId: updatedFaxRecord.id,
-							recipientsString: recipients,
-							error: e.message
-						});
-						recipients = [];
-					}
-				}
-				
-				// Ensure recipients is an array
-				if (!Array.isArray(recipients)) {
-					this.logger.log('WARN', 'Recipients is not an array, converting', {
-						faxId: updatedFaxRecord.id,
-						recipientsType: typeof recipients,
-						recipientsValue: recipients
+		if (faxRequest.storedFax) {
+			faxResult = await this.sendStoredFaxToProvider(faxProvider, faxRequest, callerEnvObj);
+		} else if (faxProvider.getProviderName() === 'telnyx') {
+			this.logger.log('INFO', 'Using Telnyx custom workflow');
+			faxResult = await faxProvider.sendFaxWithCustomWorkflow(faxRequest, userId, creditsRequired);
+		} else {
+			this.logger.log('INFO', 'Using standard provider workflow');
+			const providerPayload = await faxProvider.buildPayload(faxRequest);
+			faxResult = await faxProvider.sendFax(providerPayload);
+			await this.saveFaxRecordForStandardWorkflow(faxResult, faxRequest, userId, faxProvider.getProviderName(), callerEnvObj, creditsRequired);
+		}
+
+		if (!faxResult.id) {
+			this.logger.log('ERROR', 'Fax provider did not return a valid fax ID');
+			throw new Error('Fax provider did not return a valid fax ID');
+		}
+
+		return faxResult;
+	}
+
+	/**
+	 * Submit a fax through the provider chain. A retryable error (see
+	 * isRetryableSubmissionError) moves on to the next provider; anything else, or a
+	 * failure on the last provider, is thrown. Scheduled faxes are only stored, so they
+	 * never fail over here. Later providers get the request without the options that only
+	 * the selected provider understands (its default sender number and cover page template).
+	 * @param {Object} faxProvider - Selected provider instance
+	 * @param {Object} faxRequest - Prepared fax request (one recipient)
+	 * @param {string|null} userId - User ID
+	 * @param {number} creditsRequired - Credit cost stored on the fax record
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<{faxResult: Object, faxProvider: Object}>} Result and the provider that accepted the fax
+	 */
+	async submitFaxWithFailover(faxProvider, faxRequest, userId, creditsRequired, callerEnvObj) {
+		const primaryProviderName = faxProvider.getProviderName();
+		const providerChain = faxRequest.scheduledAt ? [primaryProviderName] : this.getProviderChain(primaryProviderName, callerEnvObj);
+		const attempts = [];
+		const abandonedRecordIds = [];
+		let lastError = null;
+
+		for (let index = 0; index < providerChain.length; index++) {
+			const providerName = providerChain[index];
+			const attemptedAt = new Date().toISOString();
+			let provider = faxProvider;
+			let providerRequest = faxRequest;
+
+			if (index > 0) {
+				try {
+					provider = await this.createFaxProvider(providerName, callerEnvObj);
+				} catch (error) {
+					this.logger.log('WARN', 'Skipping fax provider that could not be created', {
+						apiProvider: providerName,
+						error: error.message
 					});
-					recipients = recipients ? [recipients] : [];
+					attempts.push({ provider: providerName, status: 'skipped', error: error.message, attemptedAt });
+					continue;
 				}
-				
-				// Fallback: if no recipients in database, try to get from webhook payload
-				if (recipients.length === 0) {
-					const toNumber = payload.to || null;
-					if (toNumber) {
-						this.logger.log('INFO', 'Using recipient from webhook payload as fallback', {
-							faxId: updatedFaxRecord.id,
-							toNumber
-						});
-						recipients = [toNumber];
-					}
+
+				// A sender number filled in from the first provider's account isn't valid on another provider
+				if (faxProvider.senderId && faxRequest.senderId === faxProvider.senderId) {
+					providerRequest = { ...providerRequest, senderId: undefined };
+				}
+
+				// Cover page templates are provider specific: Telnyx ones are rendered by the fax service,
+				// Notifyre ones are TemplateNames in the Notifyre account. Others use their default.
+				if (faxRequest.coverPage) {
+					providerRequest = { ...providerRequest, coverPage: undefined };
 				}
-				
-				this.logger.log('INFO', 'Preparing to send push notification from webhook', {
-					faxId: updatedFaxRecord.id,
-					userId: updatedFaxRecord.user_id,
-					status: standardizedStatus,
-					recipientsCount: recipients.length,
-					recipients: recipients,
-					hasErrorMessage: !!updateData.error_message,
-					deepLink: `sendfaxapp://fax/${updatedFaxRecord.id}`
-				});
-				
-				await this.sendFaxStatusPushNotification({
-					id: updatedFaxRecord.id,
-					user_id: updatedFaxRecord.user_id,
-					status: standardizedStatus,
-					recipients: recipients,
-					error_message: updateData.error_message
-				}, callerEnvObj);
-			} else {
-				this.logger.log('DEBUG', 'Skipping push notification from webhook', {
-					hasUpdatedFaxRecord: !!updatedFaxRecord,
-					hasUserId: !!(updatedFaxRecord && updatedFaxRecord.user_id),
-					status: standardizedStatus,
-					isTerminalStatus: ['delivered', 'failed'].includes(standardizedStatus)
-				});
 			}
 
-			this.logger.log('INFO', 'Telnyx webhook processed successfully', { 
-				telnyxFaxId, 
-				eventType,
-				pageCount: pageCount || 'not provided'
-			});
+			try {
+				const faxResult = await this.submitFaxToProvider(provider, providerRequest, userId, creditsRequired, callerEnvObj);
+				attempts.push({ provider: providerName, status: 'accepted', faxId: faxResult.id, attemptedAt });
 
-			return {
-				statusCode: 200,
-				message: 'Webhook processed successfully',
-				data: {
-					faxId: telnyxFaxId,
-					standardizedStatus,
-					timestamp: new Date().toISOString()
+				this.logger.log('INFO', 'Fax provider attempt accepted', {
+					apiProvider: providerName,
+					attempt: index + 1,
+					faxId: faxResult.id
+				});
+
+				if (attempts.length > 1) {
+					await this.recordProviderFailover(faxResult, attempts, abandonedRecordIds, callerEnvObj, faxRequest.storedFax?.request);
 				}
-			};
 
-		} catch (error) {
-			if (this.logger) {
-				this.logger.log('ERROR', 'Error processing Telnyx webhook', {
-					error: error.message,
-					stack: error.stack
+				return { faxResult, faxProvider: provider };
+
+			} catch (error) {
+				const retryable = isRetryableSubmissionError(error);
+				attempts.push({ provider: providerName, status: 'failed', error: error.message, retryable, attemptedAt });
+				lastError = error;
+
+				if (error.faxRecordId) {
+					abandonedRecordIds.push(error.faxRecordId);
+				}
+
+				this.logger.log('WARN', 'Fax provider attempt failed', {
+					apiProvider: providerName,
+					attempt: index + 1,
+					retryable,
+					nextProvider: retryable ? providerChain[index + 1] || null : null,
+					error: error.message
 				});
+
+				if (!retryable) {
+					throw error;
+				}
 			}
-			return {
-				statusCode: 500,
-				error: 'Webhook processing failed',
-				message: error.message
-			};
 		}
+
+		throw lastError || new Error('No fax provider available');
 	}
 
-	async notifyreWebhook(request, caller_env = "{}", sagContext = "{}") {
-		try {
-			// Ensure caller_env is an object for downstream DB utils
-			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+	/**
+	 * Note the provider attempts on the record of the provider that accepted the fax
+	 * and drop the records left behind by providers that failed before it
+	 * @param {Object} faxResult - Result from the accepting provider
+	 * @param {Array<Object>} attempts - Every provider attempt, in order
+	 * @param {Array<string>} abandonedRecordIds - Fax record IDs created by failed attempts
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @param {Object|null} [storedRequest] - Stored request of a scheduled fax or resend, kept for later resends
+	 * @returns {Promise<void>}
+	 */
+	async recordProviderFailover(faxResult, attempts, abandonedRecordIds, callerEnvObj, storedRequest = null) {
+		await DatabaseUtils.updateFaxRecord(faxResult.id, {
+			metadata: {
+				...(faxResult.providerResponse || {}),
+				friendlyId: faxResult.friendlyId || null,
+				provider_attempts: attempts,
+				...(storedRequest ? { scheduled_request: storedRequest } : {})
+			}
+		}, callerEnvObj, this.logger, 'provider_fax_id');
 
-			this.logger.log('INFO', 'Notifyre webhook received');
+		for (const recordId of abandonedRecordIds) {
+			await DatabaseUtils.deleteFaxRecord(recordId, callerEnvObj, this.logger, 'id');
+		}
 
-			// Parse JSON body safely
-			const body = await request.json();
+		this.logger.log('INFO', 'Fax submitted after provider failover', {
+			faxId: faxResult.id,
+			attempts: attempts.map(attempt => `${attempt.provider}:${attempt.status}`)
+		});
+	}
 
-			const eventType = body?.event || 'unknown';
-			const payload = body?.data || {};
-			const notifyreFaxId = payload.id || null;
-			const statusFromPayload = payload.status || null;
-			const pageCount = payload.pages || null;
-			const userId = payload.user_id || null;
+	/**
+	 * Fan a multi-recipient request out into one fax per recipient.
+	 * Every recipient is rated separately, credits are checked once for the whole
+	 * batch, and the children are linked through fax_batches. The batch status is
+	 * rolled up from the children by a database trigger.
+	 * @param {Object} faxProvider - Provider instance
+	 * @param {Object} faxRequest - Prepared fax request with several recipients
+	 * @param {string|null} userId - User ID
+	 * @param {number} totalPages - Pages per recipient
+	 * @param {number} documentCount - Number of documents
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @param {Request} request - Original request (used for lookup caching)
+	 * @returns {Promise<Object>} Broadcast response
+	 */
+	async sendBroadcastFax(faxProvider, faxRequest, userId, totalPages, documentCount, callerEnvObj, request) {
+		// The same number listed twice, however it is formatted, would otherwise be faxed (and charged) twice
+		const recipients = [...new Set(faxRequest.recipients.map(recipient => toE164(recipient) || recipient))];
+		const providerName = faxProvider.getProviderName();
+
+		this.logger.log('INFO', 'Broadcast fax request received', {
+			recipientCount: recipients.length,
+			pages: totalPages,
+			apiProvider: providerName
+		});
 
-			if (!notifyreFaxId) {
-				this.logger.log('ERROR', 'Notifyre webhook missing fax id in payload');
-				return { statusCode: 400, error: 'Invalid webhook payload: missing fax id' };
-			}
+		const quotes = [];
+		for (const recipient of recipients) {
+			const creditCalculation = await this.calculateFaxCredits(recipient, totalPages, callerEnvObj, request);
+			quotes.push({ recipient, ...creditCalculation });
+		}
 
-			// Map Notifyre status to standardized status
-			let standardizedStatus = 'queued';
-			switch (statusFromPayload?.toLowerCase()) {
-				case 'sent':
-				case 'delivered':
-					standardizedStatus = 'delivered';
-					break;
-				case 'failed':
-				case 'error':
-					standardizedStatus = 'failed';
-					break;
-				case 'cancelled':
-					standardizedStatus = 'cancelled';
-					break;
-				case 'processing':
-					standardizedStatus = 'processing';
-					break;
-				default:
-					standardizedStatus = statusFromPayload || 'queued';
-			}
-
-			// Build update data for Supabase
-			const updateData = {
-				status: standardizedStatus,
-				original_status: statusFromPayload,
-				metadata: payload,
-				completed_at: ['delivered', 'failed', 'cancelled'].includes(standardizedStatus) ? new Date().toISOString() : null
-			};
+		const totalCreditsRequired = quotes.reduce((sum, quote) => sum + quote.creditsRequired, 0);
+		const totalPagesSent = totalPages * recipients.length;
 
-			// Add page count if available and valid in the webhook payload
-			if (pageCount !== null && pageCount !== undefined && pageCount > 0) {
-				updateData.pages = pageCount;
-			}
+		const creditCheck = await this.ensureUserCredits(userId, totalCreditsRequired, callerEnvObj);
+
+		if (!creditCheck.hasCredits) {
+			return this.buildInsufficientCreditsResponse(creditCheck, userId, totalPagesSent, null, totalCreditsRequired, {
+				recipients: quotes.map(quote => ({
+					recipient: quote.recipient,
+					creditPerPage: quote.creditPerPage,
+					creditsRequired: quote.creditsRequired
+				}))
+			});
+		}
 
-			// Update fax record using provider_fax_id as lookup key
-			const updatedFaxRecord = await DatabaseUtils.updateFaxRecord(notifyreFaxId, updateData, callerEnvObj, this.logger, 'provider_fax_id');
+		this.logger.log('INFO', 'Credit check passed for broadcast', {
+			userId: userId,
+			recipientCount: recipients.length,
+			creditsRequired: totalCreditsRequired,
+			availablePages: creditCheck.availablePages,
+			subscriptionId: creditCheck.subscriptionId
+		});
 
-			// Store webhook event for audit/logging
-			await DatabaseUtils.storeWebhookEvent({
-				event: eventType,
-				faxId: notifyreFaxId,
-				processedData: updateData,
-				rawPayload: body
-			}, callerEnvObj, this.logger);
+		// One hold per recipient, so each child fax settles its own reservation
+		const holdIds = [];
+		for (const quote of quotes) {
+			const hold = await this.reserveCredits(userId, quote.creditsRequired, totalPages, creditCheck, faxRequest.scheduledAt, callerEnvObj);
+			if (!hold.reserved) {
+				for (const holdId of holdIds) {
+					await this.releaseFaxCreditHold(holdId, 'submission_failed', callerEnvObj);
+				}
+				return this.buildInsufficientCreditsResponse({ ...creditCheck, error: CREDITS_HELD_MESSAGE }, userId, totalPagesSent, null, totalCreditsRequired);
+			}
+			holdIds.push(hold.holdId);
+		}
 
-			// Record usage if fax was successfully delivered
-			if (standardizedStatus === 'delivered' && updatedFaxRecord && updatedFaxRecord.user_id) {
-				// Use cost from fax record (credit cost), fallback to pageCount if cost is not available
-				const creditsToDeduct = updatedFaxRecord.cost !== undefined && updatedFaxRecord.cost !== null 
-					? Math.ceil(updatedFaxRecord.cost) 
-					: (pageCount || updatedFaxRecord.pages || 1);
-				const finalPageCount = pageCount || updatedFaxRecord.pages || 1;
-				
-				// Record usage in analytics table (using page count for analytics)
-				await DatabaseUtils.recordUsage({
-					userId: updatedFaxRecord.user_id,
-					type: 'fax',
-					unitType: 'page',
-					usageAmount: finalPageCount,
-					timestamp: new Date().toISOString(),
-					metadata: {
-						fax_id: notifyreFaxId,
-						provider: 'notifyre',
-						event_type: eventType,
-						status: standardizedStatus,
-						credits_deducted: creditsToDeduct
-					}
-				}, callerEnvObj, this.logger);
-				
-				// Deduct credits based on user type (paid vs free)
-				await this.deductCreditsForDeliveredFax(
-					updatedFaxRecord.user_id,
-					creditsToDeduct,
-					updatedFaxRecord.id,
-					callerEnvObj,
-					'notifyre'
-				);
+		const batch = await FaxDatabaseUtils.createFaxBatch({
+			recipients,
+			pages: totalPages,
+			creditsRequired: totalCreditsRequired,
+			provider: providerName,
+			subject: faxRequest.subject || faxRequest.message || null
+		}, userId, callerEnvObj, this.logger);
+
+		if (!batch) {
+			for (const holdId of holdIds) {
+				await this.releaseFaxCreditHold(holdId, 'submission_failed', callerEnvObj);
 			}
+			throw new Error('Failed to create fax batch');
+		}
 
-			// Send push notification for terminal statuses (delivered or failed)
-			if (updatedFaxRecord && updatedFaxRecord.user_id && ['delivered', 'failed'].includes(standardizedStatus)) {
-				// Ensure recipients is an array (handle JSONB from database)
-				let recipients = updatedFaxRecord.recipients || [];
-				
-				// Parse if recipients is a JSON string
-				if (typeof recipients === 'string') {
-					try {
-						recipients = JSON.parse(recipients);
-					} catch (e) {
-						this.logger.log('WARN', 'Failed to parse recipients JSON string', {
-							faxId: updatedFaxRecord.id,
-							recipientsString: recipients,
-							error: e.message
-						});
-						recipients = [];
-					}
-				}
-				
-				// Ensure recipients is an array
-				if (!Array.isArray(recipients)) {
-					this.logger.log('WARN', 'Recipients is not an array, converting', {
-						faxId: updatedFaxRecord.id,
-						recipientsType: typeof recipients,
-						recipientsValue: recipients
-					});
-					recipients = recipients ? [recipients] : [];
+		const faxes = [];
+		for (const [index, quote] of quotes.entries()) {
+			const childRequest = { ...faxRequest, recipients: [quote.recipient], batchId: batch.id, creditHoldId: holdIds[index] };
+
+			try {
+				const { faxResult, faxProvider: acceptingProvider } = await this.submitFaxWithFailover(faxProvider, childRequest, userId, quote.creditsRequired, callerEnvObj);
+				faxes.push({
+					recipient: quote.recipient,
+					id: faxResult.id,
+					friendlyId: faxResult.friendlyId,
+					status: faxResult.status || 'queued',
+					apiProvider: acceptingProvider.getProviderName(),
+					creditPerPage: quote.creditPerPage,
+					creditsRequired: quote.creditsRequired,
+					rateInfo: quote.rateInfo
+				});
+				if (!faxRequest.scheduledAt) {
+					await this.emitFaxQueuedEvent(userId, faxResult.id, 'provider_fax_id', callerEnvObj);
 				}
-				
-				this.logger.log('INFO', 'Preparing to send push notification from webhook', {
-					faxId: updatedFaxRecord.id,
-					userId: updatedFaxRecord.user_id,
-					status: standardizedStatus,
-					recipientsCount: recipients.length,
-					recipients: recipients
+			} catch (error) {
+				// One bad number shouldn't stop the rest of the broadcast
+				this.logger.log('ERROR', 'Broadcast recipient submission failed', {
+					batchId: batch.id,
+					error: error.message
 				});
-				
-				await this.sendFaxStatusPushNotification({
-					id: updatedFaxRecord.id,
-					user_id: updatedFaxRecord.user_id,
-					status: standardizedStatus,
-					recipients: recipients,
-					error_message: null // Notifyre doesn't provide error message in the same way
-				}, callerEnvObj);
-			} else {
-				this.logger.log('DEBUG', 'Skipping push notification from webhook', {
-					hasUpdatedFaxRecord: !!updatedFaxRecord,
-					hasUserId: !!(updatedFaxRecord && updatedFaxRecord.user_id),
-					status: standardizedStatus,
-					isTerminalStatus: ['delivered', 'failed'].includes(standardizedStatus)
+				await this.releaseFaxCreditHold(holdIds[index], 'submission_failed', callerEnvObj);
+				faxes.push({
+					recipient: quote.recipient,
+					id: null,
+					status: 'failed',
+					creditPerPage: quote.creditPerPage,
+					creditsRequired: quote.creditsRequired,
+					rateInfo: quote.rateInfo,
+					error: error.message
 				});
 			}
+		}
 
-			this.logger.log('INFO', 'Notifyre webhook processed successfully', { 
-				notifyreFaxId, 
-				eventType,
-				pageCount: pageCount || 'not provided'
-			});
-
-			return {
-				statusCode: 200,
-				message: 'Webhook processed successfully',
-				data: {
-					faxId: notifyreFaxId,
-					standardizedStatus,
-					timestamp: new Date().toISOString()
-				}
-			};
+		const acceptedCount = faxes.filter(fax => fax.id).length;
+		const storedBatch = await FaxDatabaseUtils.getFaxBatch(batch.id, callerEnvObj, this.logger);
+
+		const data = {
+			batchId: batch.id,
+			status: storedBatch?.status || (acceptedCount > 0 ? 'queued' : 'failed'),
+			recipientCount: recipients.length,
+			acceptedCount: acceptedCount,
+			failedCount: faxes.length - acceptedCount,
+			pages: totalPages,
+			document_count: documentCount,
+			creditsRequired: totalCreditsRequired,
+			apiProvider: providerName,
+			scheduledAt: faxRequest.scheduledAt || null,
+			faxes: faxes,
+			timestamp: new Date().toISOString()
+		};
 
-		} catch (error) {
-			if (this.logger) {
-				this.logger.log('ERROR', 'Error processing Notifyre webhook', {
-					error: error.message,
-					stack: error.stack
-				});
-			}
+		if (acceptedCount === 0) {
 			return {
 				statusCode: 500,
-				error: 'Webhook processing failed',
-				message: error.message
+				error: "Fax sending failed",
+				message: "None of the broadcast recipients could be submitted",
+				data: data,
+				timestamp: new Date().toISOString()
 			};
 		}
-	}
 
-	async telnyxFaxReceiveWebhook(request, caller_env = "{}", sagContext = "{}") {
-		try {
-			// Ensure caller_env is an object for downstream DB utils
-			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+		this.logger.log('INFO', 'Broadcast submitted - usage will be recorded per fax when delivered via webhook', {
+			batchId: batch.id,
+			acceptedCount: acceptedCount,
+			failedCount: data.failedCount
+		});
 
-			this.logger.log('INFO', 'Processing Telnyx fax receiving webhook (public endpoint)');
+		return {
+			statusCode: 200,
+			message: acceptedCount === recipients.length ? "Broadcast submitted successfully" : "Broadcast partially submitted",
+			data: data
+		};
+	}
 
-			// Parse JSON body safely
-			const body = await request.json();
+	/**
+	 * Store a fax for later delivery instead of submitting it now.
+	 * The documents go to R2 and the prepared request is kept in the record's metadata
+	 * so dispatchScheduledFaxes can send it through the provider workflow when it is due.
+	 * @param {Object} faxProvider - Provider instance that will send the fax
+	 * @param {Object} faxRequest - Prepared fax request with scheduledAt set
+	 * @param {string|null} userId - User ID
+	 * @param {number} creditsRequired - Credit cost stored on the fax record
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object>} Standardized response with status 'scheduled'
+	 */
+	async scheduleFax(faxProvider, faxRequest, userId, creditsRequired, callerEnvObj) {
+		const providerName = faxProvider.getProviderName();
+		const documentCount = faxRequest.files?._documentCount || (faxRequest.files?.length || 0) || 1;
+		const totalPages = faxRequest.files?._totalPages || faxRequest.pages || 1;
+
+		const faxRecord = await DatabaseUtils.saveFaxRecord({
+			status: 'scheduled',
+			originalStatus: 'scheduled',
+			recipients: faxRequest.recipients || [],
+			senderId: faxRequest.senderId,
+			subject: faxRequest.subject || faxRequest.message,
+			pages: totalPages,
+			document_count: documentCount,
+			cost: Math.ceil(creditsRequired) || 0,
+			clientReference: faxRequest.clientReference || 'SendFaxPro',
+			batch_id: faxRequest.batchId || null,
+			scheduled_at: faxRequest.scheduledAt,
+			apiProvider: providerName,
+			documentHash: faxRequest.documentHash || null,
+			creditHoldId: faxRequest.creditHoldId || null,
+			tags: faxRequest.tags || [],
+			emailReplyTo: faxRequest.emailReplyTo || null
+		}, userId, callerEnvObj, this.logger);
+
+		if (!faxRecord?.id) {
+			throw new Error('Failed to save scheduled fax record');
+		}
 
-			const eventType = body?.data?.event_type || 'unknown';
-			const payload = body?.data?.payload || {};
-			const webhookId = body?.data?.id || null;
-			const toNumber = payload.to || null;
-			const fromNumber = payload.from || null;
-			const faxId = payload.fax_id || null;
-			const status = payload.status || null;
-			const failureReason = payload.failure_reason || null;
-			const pageCount = payload.page_count || null;
-			const mediaUrl = payload.media_url || null;
-			const timestamp = body?.data?.occurred_at || new Date().toISOString();
+		const r2Utils = new R2Utils(this.logger, this.env);
+		const documents = [];
+		// Telnyx faxes carry a generated cover page as their first document; Notifyre adds its own when sent
+		const files = providerName === 'telnyx' ? await faxProvider.prependCoverPage(faxRequest) : (faxRequest.files || []);
+
+		for (let i = 0; i < files.length; i++) {
+			const file = files[i];
+			let fileBuffer;
+			if (file && typeof file.arrayBuffer === 'function') {
+				fileBuffer = await file.arrayBuffer();
+			} else if (file?.data) {
+				fileBuffer = Uint8Array.from(atob(file.data), c => c.charCodeAt(0));
+			} else {
+				throw new Error(`Unsupported file format for file ${i + 1}`);
+			}
 
-			// Check if this is a fax.received event with media_url
-			if (eventType === 'fax.received' && mediaUrl) {
-				this.logger.log('INFO', 'Processing fax.received event with media', {
-					eventType,
-					webhookId,
-					fromNumber,
-					pageCount,
-					hasMediaUrl: !!mediaUrl
-				});
+			const contentType = file.type || file.mimeType || 'application/pdf';
+			const key = getFaxDocumentKey(faxRecord.id, file, i);
+			const url = await r2Utils.uploadFile(key, fileBuffer, contentType);
+			documents.push({ key, url, contentType, name: file.name || null });
+		}
 
-				// Download and upload the fax file to R2
-				const r2Utils = new R2Utils(this.logger, this.env);
-				
-				if (!r2Utils.validateConfiguration()) {
-					throw new Error('R2 configuration invalid for fax receiving');
+		await DatabaseUtils.updateFaxRecord(faxRecord.id, {
+			r2_urls: documents.map(doc => doc.url),
+			metadata: {
+				scheduled_request: {
+					provider: providerName,
+					recipients: faxRequest.recipients || [],
+					senderId: faxRequest.senderId || null,
+					subject: faxRequest.subject || null,
+					message: faxRequest.message || null,
+					coverPage: faxRequest.coverPage || null,
+					clientReference: faxRequest.clientReference || null,
+					isHighQuality: faxRequest.isHighQuality || false,
+					timezone: faxRequest.timezone,
+					documents
 				}
+			}
+		}, callerEnvObj, this.logger, 'id');
+
+		this.logger.log('INFO', 'Fax scheduled for later delivery', {
+			faxId: faxRecord.id,
+			scheduledAt: faxRequest.scheduledAt,
+			timezone: faxRequest.timezone,
+			documentCount: documents.length,
+			apiProvider: providerName
+		});
 
-				try {
-					// Download the fax file from Telnyx
-					this.logger.log('INFO', 'Downloading fax file from Telnyx', { mediaUrl });
-					
-					const response = await fetch(mediaUrl);
-					if (!response.ok) {
-						throw new Error(`Failed to download fax file: ${response.status} ${response.statusText}`);
-					}
+		return {
+			id: faxRecord.id,
+			friendlyId: faxRecord.id,
+			status: 'scheduled',
+			originalStatus: 'scheduled',
+			scheduledAt: faxRequest.scheduledAt,
+			providerResponse: null
+		};
+	}
 
-					const fileBuffer = await response.arrayBuffer();
-					
-					// Generate filename for R2 storage
-					const timestamp = Date.now();
-					const filename = `received/${timestamp}_${webhookId}.pdf`;
-					
+	/**
+	 * Dispatch scheduled faxes whose send time has passed.
+	 * Called over RPC by the cron service. Each fax is claimed with a conditional
+	 * update (scheduled -> processing) so a fax cancelled before dispatch, or one
+	 * already picked up by an overlapping run, is skipped.
+	 * @param {string|Object} caller_env - Secrets forwarded by the cron service
+	 * @returns {Promise<Object>} Dispatch summary
+	 */
+	async dispatchScheduledFaxes(caller_env = "{}") {
+		const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+
+		const dueFaxes = await FaxDatabaseUtils.getDueScheduledFaxes(new Date().toISOString(), callerEnvObj, this.logger);
+		const summary = { due: dueFaxes.length, dispatched: 0, failed: 0, skipped: 0 };
+
+		for (const dueFax of dueFaxes) {
+			const fax = await FaxDatabaseUtils.claimScheduledFax(dueFax.id, callerEnvObj, this.logger);
+			if (!fax) {
+				summary.skipped++;
+				continue;
+			}
+
+			const dispatched = await this.dispatchStoredFax(fax, callerEnvObj);
+			if (dispatched) {
+				summary.dispatched++;
+			} else {
+				summary.failed++;
+			}
+		}
+
+		this.logger.log('INFO', 'Scheduled fax dispatch completed', summary);
+
+		return {
+			statusCode: 200,
+			message: 'Scheduled fax dispatch completed',
+			data: summary
+		};
+	}
+
+	/**
+	 * Send a claimed scheduled fax (or a resend) using the request and R2 documents stored with it
+	 * The fax goes through the provider chain like an immediate send (see submitFaxWithFailover);
+	 * a fax that can't be sent is failed through settleFaxStatusUpdate, so its credit hold is
+	 * released and the user hears about it the same way as about a fax the provider failed.
+	 * @param {Object} fax - Fax record (status already moved to processing)
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<boolean>} True if a provider accepted the fax
+	 */
+	async dispatchStoredFax(fax, callerEnvObj) {
+		const storedRequest = fax.metadata?.scheduled_request;
+
+		const markFailed = async (errorMessage) => {
+			try {
+				await this.settleFaxStatusUpdate(fax, {
+					provider: storedRequest?.provider || this.getFaxRecordProvider(fax),
+					providerFaxId: fax.provider_fax_id || null,
+					eventType: 'fax.dispatch_failed',
+					status: 'failed',
+					originalStatus: 'failed',
+					failureReason: errorMessage
+				}, null, callerEnvObj);
+			} catch (error) {
+				this.logger.log('ERROR', 'Failed to record failed fax dispatch', {
+					faxId: fax.id,
+					error: error.message
+				});
+			}
+		};
+
+		try {
+			if (!storedRequest) {
+				throw new Error('Scheduled fax has no stored request');
+			}
+
+			// Credits reserved when the fax was scheduled are still ours; otherwise the balance may have changed
+			const hold = fax.credit_hold_id ? await FaxDatabaseUtils.getCreditHold(fax.credit_hold_id, callerEnvObj, this.logger) : null;
+			const creditCheck = hold?.status === 'held'
+				? { hasCredits: true }
+				: await this.ensureUserCredits(fax.user_id, fax.cost || 0, callerEnvObj);
+			if (!creditCheck.hasCredits) {
+				this.logger.log('WARN', 'Insufficient credits at scheduled send time', {
+					faxId: fax.id,
+					userId: fax.user_id,
+					creditsRequired: fax.cost,
+					availablePages: creditCheck.availablePages
+				});
+				await markFailed('Insufficient credits at scheduled send time');
+				return false;
+			}
+
+			const faxProvider = await this.createFaxProvider(storedRequest.provider, callerEnvObj);
+			const faxRequest = {
+				recipients: storedRequest.recipients,
+				senderId: storedRequest.senderId || undefined,
+				subject: storedRequest.subject || undefined,
+				message: storedRequest.message || undefined,
+				coverPage: storedRequest.coverPage || undefined,
+				clientReference: storedRequest.clientReference || undefined,
+				isHighQuality: storedRequest.isHighQuality,
+				timezone: storedRequest.timezone,
+				storedFax: { record: fax, request: storedRequest }
+			};
+
+			const { faxProvider: acceptingProvider } = await this.submitFaxWithFailover(faxProvider, faxRequest, fax.user_id, fax.cost || 0, callerEnvObj);
+
+			this.logger.log('INFO', 'Scheduled fax dispatched', {
+				faxId: fax.id,
+				scheduledAt: fax.scheduled_at,
+				apiProvider: acceptingProvider.getProviderName()
+			});
+
+			await this.emitFaxQueuedEvent(fax.user_id, fax.id, 'id', callerEnvObj);
+			return true;
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Failed to dispatch scheduled fax', {
+				faxId: fax.id,
+				error: error.message
+			});
+			await markFailed(error.message);
+			return false;
+		}
+	}
+
+	/**
+	 * Send an already stored fax to one provider, updating its existing record
+	 * Telnyx fetches the documents from their R2 URLs, behind a cover page (generated here when
+	 * the fax was stored for a provider that adds its own); other providers are sent the files,
+	 * without a stored Telnyx cover page.
+	 * @param {Object} faxProvider - Provider instance to send with
+	 * @param {Object} faxRequest - Fax request rebuilt from the stored request (storedFax set)
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object>} Standardized provider response
+	 */
+	async sendStoredFaxToProvider(faxProvider, faxRequest, callerEnvObj) {
+		const { record: fax, request: storedRequest } = faxRequest.storedFax;
+		const providerName = faxProvider.getProviderName();
+		const userDocuments = storedRequest.documents.filter(doc => !isCoverPageDocument(doc));
+		let faxResult;
+
+		if (providerName === 'telnyx') {
+			let documents = storedRequest.documents;
+			if (documents.length === userDocuments.length) {
+				const totalPages = await this.countStoredDocumentPages(userDocuments);
+				const coverPage = await this.generateResendCoverPage(storedRequest, totalPages || 1, callerEnvObj);
+				const key = getFaxDocumentKey(fax.id, coverPage, 0);
+				const url = await new R2Utils(this.logger, this.env).uploadFile(key, await coverPage.arrayBuffer(), 'application/pdf');
+				documents = [{ key, url, contentType: 'application/pdf', name: COVER_PAGE_FILENAME }, ...userDocuments];
+			}
+
+			const telnyxResponse = await faxProvider.sendToTelnyx(faxRequest, documents.map(doc => doc.url));
+			await faxProvider.updateFaxRecordWithTelnyxResponse(fax.id, telnyxResponse);
+			faxResult = faxProvider.mapTelnyxResponse(telnyxResponse);
+		} else {
+			const r2Utils = new R2Utils(this.logger, this.env);
+			const files = [];
+			for (const doc of userDocuments) {
+				const storedFile = await r2Utils.getFile(doc.key);
+				if (!storedFile) {
+					throw new Error(`Stored document not found: ${doc.key}`);
+				}
+				files.push(new File([storedFile.data], doc.name || doc.key.split('/').pop(), { type: storedFile.contentType }));
+			}
+
+			const { storedFax, ...providerRequest } = faxRequest;
+			faxResult = await faxProvider.sendFax(await faxProvider.buildPayload({ ...providerRequest, files }));
+
+			await DatabaseUtils.updateFaxRecord(fax.id, {
+				provider_fax_id: faxResult.id,
+				status: faxResult.status || 'queued',
+				original_status: faxResult.originalStatus || 'Submitted',
+				sent_at: new Date().toISOString(),
+				metadata: {
+					...(faxResult.providerResponse || {}),
+					friendlyId: faxResult.friendlyId || null,
+					scheduled_request: storedRequest
+				}
+			}, callerEnvObj, this.logger, 'id');
+		}
+
+		if (providerName !== storedRequest.provider) {
+			await DatabaseUtils.updateFaxRecord(fax.id, { api_provider: providerName }, callerEnvObj, this.logger, 'id');
+		}
+
+		return faxResult;
+	}
+
+	/**
+	 * Rebuild the send request of a fax from the documents it stored in R2.
+	 * Scheduled faxes keep the full request in metadata; Telnyx faxes only keep
+	 * r2_urls because their metadata is replaced by provider responses.
+	 * @param {Object} fax - Fax record
+	 * @returns {Object|null} Stored request, or null if the fax has no stored media
+	 */
+	getStoredFaxRequest(fax) {
+		const scheduledRequest = fax.metadata?.scheduled_request;
+		if (scheduledRequest?.documents?.length) {
+			return scheduledRequest;
+		}
+
+		if (!fax.r2_urls?.length) {
+			return null;
+		}
+
+		const r2Utils = new R2Utils(this.logger, this.env);
+		return {
+			provider: this.getFaxRecordProvider(fax),
+			recipients: fax.recipients || [],
+			senderId: fax.sender_id || null,
+			subject: fax.subject || null,
+			message: null,
+			coverPage: null,
+			clientReference: fax.client_reference || null,
+			isHighQuality: false,
+			documents: fax.r2_urls.map(url => ({
+				key: r2Utils.getKeyFromPublicUrl(url),
+				url,
+				contentType: 'application/pdf',
+				name: null
+			}))
+		};
+	}
+
+	/**
+	 * Count the pages of stored documents, the way uploaded documents are counted
+	 * @param {Array<Object>} documents - Stored documents ({ key, name })
+	 * @returns {Promise<number|null>} Total pages, or null if a document is no longer in R2 or can't be counted
+	 */
+	async countStoredDocumentPages(documents) {
+		const r2Utils = new R2Utils(this.logger, this.env);
+		let totalPages = 0;
+
+		for (const doc of documents) {
+			const storedFile = await r2Utils.getFile(doc.key);
+			if (!storedFile) {
+				return null;
+			}
+			try {
+				totalPages += await countFilePages(new Uint8Array(storedFile.data), undefined, this.logger, doc.name || doc.key);
+			} catch {
+				// Faxes sent before uncountable documents were rejected can hold Word or Excel files
+				return null;
+			}
+		}
+
+		return totalPages;
+	}
+
+	/**
+	 * Generate the cover page of a resent Telnyx fax, for its new recipient and today's date
+	 * @param {Object} resendRequest - Stored request of the resend (without the old cover page)
+	 * @param {number} totalPages - Pages of the user's documents
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<File>} Cover page
+	 */
+	async generateResendCoverPage(resendRequest, totalPages, callerEnvObj) {
+		const faxProvider = await this.createFaxProvider('telnyx', callerEnvObj);
+		const [coverPage] = await faxProvider.prependCoverPage({
+			recipients: resendRequest.recipients,
+			senderId: resendRequest.senderId || undefined,
+			subject: resendRequest.subject || undefined,
+			message: resendRequest.message || undefined,
+			coverPage: resendRequest.coverPage || undefined,
+			timezone: resendRequest.timezone,
+			files: Object.assign([], { _totalPages: totalPages })
+		});
+		return coverPage;
+	}
+
+	/**
+	 * Schedule the next attempt of a fax that ended busy / no-answer.
+	 * The attempt is a new 'scheduled' fax record linked to the first attempt through
+	 * original_fax_id; the cron dispatch job sends it once the backoff has passed.
+	 * @param {Object} fax - Fax record of the attempt that just finished
+	 * @param {Object} retryPlan - Decision from planRetry
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object|null>} New attempt record, or null if no attempt could be scheduled
+	 */
+	async scheduleFaxRetry(fax, retryPlan, callerEnvObj) {
+		const storedRequest = this.getStoredFaxRequest(fax);
+		if (!storedRequest) {
+			this.logger.log('WARN', 'Cannot retry fax without stored documents', {
+				faxId: fax.id,
+				status: fax.status
+			});
+			return null;
+		}
+
+		const originalFaxId = fax.original_fax_id || fax.id;
+		const retryFax = await DatabaseUtils.saveFaxRecord({
+			status: 'scheduled',
+			originalStatus: 'scheduled',
+			recipients: storedRequest.recipients,
+			senderId: storedRequest.senderId,
+			subject: fax.subject,
+			pages: fax.pages,
+			document_count: fax.document_count,
+			cost: fax.cost,
+			clientReference: fax.client_reference,
+			batch_id: fax.batch_id || null,
+			scheduled_at: retryPlan.retryAt.toISOString(),
+			apiProvider: storedRequest.provider,
+			original_fax_id: originalFaxId,
+			attempt_number: retryPlan.nextAttempt,
+			documentHash: fax.document_hash || null,
+			creditHoldId: fax.credit_hold_id || null,
+			tags: fax.tags || [],
+			emailReplyTo: fax.email_reply_to || null
+		}, fax.user_id, callerEnvObj, this.logger);
+
+		if (!retryFax?.id) {
+			this.logger.log('ERROR', 'Failed to save fax retry record', { faxId: fax.id, originalFaxId });
+			return null;
+		}
+
+		await DatabaseUtils.updateFaxRecord(retryFax.id, {
+			r2_urls: storedRequest.documents.map(doc => doc.url),
+			metadata: { scheduled_request: storedRequest }
+		}, callerEnvObj, this.logger, 'id');
+
+		this.logger.log('INFO', 'Fax retry scheduled', {
+			faxId: fax.id,
+			retryFaxId: retryFax.id,
+			originalFaxId,
+			attemptNumber: retryPlan.nextAttempt,
+			retryAt: retryPlan.retryAt.toISOString()
+		});
+
+		return retryFax;
+	}
+
+	/**
+	 * Apply the retry policy to a status reported by a provider webhook
+	 * @param {Object} fax - Updated fax record (may be null)
+	 * @param {string} standardizedStatus - Status from the webhook
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<{retryFax: Object|null, notificationStatus: string|null, errorMessage: string|null}>}
+	 *          notificationStatus is the status to notify the user about, or null while retries are pending
+	 */
+	async applyRetryPolicy(fax, standardizedStatus, callerEnvObj) {
+		const policy = getRetryPolicy(callerEnvObj);
+		if (!fax || !policy.retryableStatuses.includes(standardizedStatus)) {
+			return { retryFax: null, notificationStatus: standardizedStatus, errorMessage: null };
+		}
+
+		const attemptNumber = fax.attempt_number || 1;
+		const retryPlan = planRetry(policy, standardizedStatus, attemptNumber);
+		const retryFax = retryPlan.retry ? await this.scheduleFaxRetry(fax, retryPlan, callerEnvObj) : null;
+
+		if (retryFax) {
+			return { retryFax, notificationStatus: null, errorMessage: null };
+		}
+
+		const outcome = standardizedStatus === 'busy' ? 'Line busy' : standardizedStatus === 'no-answer' ? 'No answer' : `Fax ${standardizedStatus}`;
+		return {
+			retryFax: null,
+			notificationStatus: 'failed',
+			errorMessage: `${outcome} after ${attemptNumber} attempt${attemptNumber === 1 ? '' : 's'}`
+		};
+	}
+
+	/**
+	 * Extract the fax ID from paths like /v1/fax/{id}/cancel
+	 * @param {Request} request - Incoming request
+	 * @returns {string|null} Fax ID
+	 */
+	getFaxIdFromPath(request) {
+		const match = new URL(request.url).pathname.match(/\/v1\/fax\/([^/]+)/);
+		return match ? decodeURIComponent(match[1]) : null;
+	}
+
+	/**
+	 * Look up a fax owned by the user, by record ID or provider fax ID
+	 * (sendFax returns the provider ID, scheduled faxes return the record ID)
+	 * @param {string} faxId - Record ID or provider fax ID
+	 * @param {string} userId - Authenticated user ID
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object|null>} Fax record, or null if not found or not owned by the user
+	 */
+	async findUserFax(faxId, userId, callerEnvObj) {
+		let fax = UUID_PATTERN.test(faxId)
+			? await DatabaseUtils.getFaxRecord(faxId, callerEnvObj, this.logger, 'id')
+			: null;
+
+		if (!fax) {
+			fax = await DatabaseUtils.getFaxRecord(faxId, callerEnvObj, this.logger, 'provider_fax_id');
+		}
+
+		if (!fax || fax.user_id !== userId) {
+			return null;
+		}
+
+		return fax;
+	}
+
+	/**
+	 * Provider that holds a fax record
+	 * @param {Object} fax - Fax record
+	 * @returns {string} Provider name
+	 */
+	getFaxRecordProvider(fax) {
+		// Older rows predate api_provider; only the Telnyx workflow stores R2 URLs
+		return fax.api_provider || fax.metadata?.scheduled_request?.provider || (fax.r2_urls?.length ? 'telnyx' : 'notifyre');
+	}
+
+	/**
+	 * Returns a response when a provider event arrives for a fax we already cancelled.
+	 * Late events must not revive a cancelled fax or charge credits for it.
+	 * @param {Object} existingFax - Current fax record (may be null)
+	 * @param {string} standardizedStatus - Status from the event
+	 * @param {string} eventType - Provider event type
+	 * @param {Object} body - Raw webhook body
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object|null>} Webhook response, or null to continue processing
+	 */
+	async ignoreEventForCancelledFax(existingFax, standardizedStatus, eventType, body, callerEnvObj) {
+		if (existingFax?.status !== 'cancelled' || standardizedStatus === 'cancelled') {
+			return null;
+		}
+
+		return await this.ignoreFaxEvent(existingFax, standardizedStatus, 'fax cancelled', 'fax was cancelled', eventType, body, callerEnvObj);
+	}
+
+	/**
+	 * Returns a response when a provider event would move a fax backwards or repeats its status.
+	 * Only events that pass resolveFaxStatusTransition update the fax and run its side effects.
+	 * @param {Object} existingFax - Current fax record (may be null)
+	 * @param {string} standardizedStatus - Status from the event
+	 * @param {string} eventType - Provider event type
+	 * @param {Object} body - Raw webhook body
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object|null>} Webhook response, or null to continue processing
+	 */
+	async ignoreOutOfOrderFaxEvent(existingFax, standardizedStatus, eventType, body, callerEnvObj) {
+		const transition = resolveFaxStatusTransition(existingFax?.status || null, standardizedStatus);
+		if (!existingFax || transition.apply) {
+			return null;
+		}
+
+		return await this.ignoreFaxEvent(existingFax, standardizedStatus, transition.reason, transition.reason, eventType, body, callerEnvObj);
+	}
+
+	/**
+	 * Store an ignored provider event for the audit trail and build the webhook response
+	 * @param {Object} existingFax - Current fax record
+	 * @param {string} standardizedStatus - Status from the event
+	 * @param {string} reason - Why the event was ignored (stored with the event)
+	 * @param {string} message - Reason given in the response
+	 * @param {string} eventType - Provider event type
+	 * @param {Object} body - Raw webhook body
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object>} Webhook response
+	 */
+	async ignoreFaxEvent(existingFax, standardizedStatus, reason, message, eventType, body, callerEnvObj) {
+		this.logger.log('WARN', 'Ignoring provider status', {
+			faxId: existingFax.id,
+			providerFaxId: existingFax.provider_fax_id,
+			currentStatus: existingFax.status,
+			eventType,
+			standardizedStatus,
+			reason
+		});
+
+		await DatabaseUtils.storeWebhookEvent({
+			event: eventType,
+			faxId: existingFax.provider_fax_id,
+			processedData: { ignored: true, reason, status: standardizedStatus },
+			rawPayload: body
+		}, callerEnvObj, this.logger);
+
+		return {
+			statusCode: 200,
+			message: `Webhook ignored: ${message}`,
+			data: {
+				faxId: existingFax.provider_fax_id,
+				standardizedStatus: existingFax.status,
+				timestamp: new Date().toISOString()
+			}
+		};
+	}
+
+	/**
+	 * Apply a provider status update to a fax
+	 * Known faxes are updated only if nobody changed their status since it was checked, so a
+	 * final status is reached, and its side effects run, once.
+	 * @param {Object|null} existingFax - Fax record the update was checked against
+	 * @param {string} providerFaxId - Provider fax ID (used when the fax wasn't found)
+	 * @param {Object} updateData - Fields to update
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object|null>} Updated fax, or null when nothing was updated
+	 */
+	async applyFaxStatusUpdate(existingFax, providerFaxId, updateData, callerEnvObj) {
+		if (!existingFax) {
+			return await DatabaseUtils.updateFaxRecord(providerFaxId, updateData, callerEnvObj, this.logger, 'provider_fax_id');
+		}
+
+		return await DatabaseUtils.transitionFaxRecord(existingFax.id, existingFax.status || null, updateData, callerEnvObj, this.logger);
+	}
+
+	/**
+	 * List the caller's faxes (GET /v1/fax), newest first with cursor pagination.
+	 * See parseHistoryQuery for the supported filters.
+	 */
+	async listFaxes(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const { filters, error: queryError } = parseHistoryQuery(new URL(request.url).searchParams);
+			if (queryError) {
+				return { statusCode: 400, error: 'Invalid request', message: queryError };
+			}
+
+			const result = await DatabaseUtils.listUserFaxes(userId, filters, callerEnvObj, this.logger);
+			if (result.error) {
+				return {
+					statusCode: 500,
+					error: result.error,
+					message: result.message,
+					timestamp: new Date().toISOString()
+				};
+			}
+
+			const lastFax = result.faxes[result.faxes.length - 1];
+
+			return {
+				statusCode: 200,
+				message: 'Faxes retrieved successfully',
+				data: {
+					faxes: result.faxes.map(fax => formatHistoryItem(fax)),
+					nextCursor: result.hasMore && lastFax ? encodeHistoryCursor(lastFax) : null,
+					hasMore: result.hasMore,
+					limit: filters.limit
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in listFaxes', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to retrieve faxes',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	/**
+	 * Get one of the caller's faxes with its status timeline (GET /v1/fax/{id})
+	 */
+	async getFax(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const faxId = this.getFaxIdFromPath(request);
+			if (!faxId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'Fax ID is required' };
+			}
+
+			const fax = await this.findUserFax(faxId, userId, callerEnvObj);
+			if (!fax) {
+				return { statusCode: 404, error: 'Not found', message: 'Fax not found' };
+			}
+
+			// Scheduled faxes have no provider ID (and no events) until they are dispatched
+			const events = fax.provider_fax_id
+				? await FaxDatabaseUtils.getFaxEvents(fax.provider_fax_id, callerEnvObj, this.logger)
+				: [];
+
+			return {
+				statusCode: 200,
+				message: 'Fax retrieved successfully',
+				data: {
+					fax: formatHistoryItem(fax),
+					timeline: buildFaxTimeline(fax, events)
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in getFax', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to retrieve fax',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	/**
+	 * Generate a fax's confirmation report and store it in R2 next to the fax media.
+	 * Failures are logged and never fail the webhook that triggered the report.
+	 * @param {Object} fax - Fax record in its final state
+	 * @param {Object} outcome - { provider, durationSeconds, failureReason }
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<string|null>} R2 key of the report, or null if none was stored
+	 */
+	async createConfirmationReport(fax, outcome, callerEnvObj) {
+		if (!fax?.id) {
+			return null;
+		}
+
+		try {
+			const r2Utils = new R2Utils(this.logger, this.env);
+
+			// Page one of the transmission (the cover page on Telnyx); Notifyre faxes sent right away keep no media
+			const firstDocument = this.getStoredFaxRequest(fax)?.documents?.[0];
+			const storedFile = firstDocument?.key ? await r2Utils.getFile(firstDocument.key) : null;
+
+			const report = await generateConfirmationReport({
+				result: fax.status === 'delivered' ? 'delivered' : 'failed',
+				failureReason: outcome.failureReason || fax.error_message || null,
+				faxId: fax.id,
+				providerFaxId: fax.provider_fax_id,
+				provider: outcome.provider,
+				sender: fax.sender_id,
+				recipient: Array.isArray(fax.recipients) ? fax.recipients.join(', ') : null,
+				subject: fax.subject,
+				submittedAt: fax.created_at,
+				sentAt: fax.sent_at,
+				completedAt: fax.completed_at || new Date().toISOString(),
+				pages: fax.pages,
+				durationSeconds: outcome.durationSeconds,
+				firstPage: storedFile?.data || null
+			});
+
+			const key = getConfirmationReportKey(fax.id);
+			await r2Utils.uploadFile(key, report, 'application/pdf');
+			await DatabaseUtils.updateFaxRecord(fax.id, {
+				confirmation_report_key: key
+			}, callerEnvObj, this.logger, 'id');
+
+			this.logger.log('INFO', 'Confirmation report stored', {
+				faxId: fax.id,
+				status: fax.status,
+				hasThumbnail: !!storedFile,
+				size: report.byteLength
+			});
+
+			return key;
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Failed to create confirmation report', {
+				faxId: fax.id,
+				error: error.message
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Download the confirmation report of one of the caller's faxes (GET /v1/fax/{id}/confirmation)
+	 */
+	async getConfirmationReport(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const faxId = this.getFaxIdFromPath(request);
+			if (!faxId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'Fax ID is required' };
+			}
+
+			const fax = await this.findUserFax(faxId, userId, callerEnvObj);
+			if (!fax) {
+				return { statusCode: 404, error: 'Not found', message: 'Fax not found' };
+			}
+
+			if (!fax.confirmation_report_key) {
+				return {
+					statusCode: 404,
+					error: 'Not found',
+					message: ['delivered', 'failed'].includes(fax.status)
+						? 'No confirmation report was generated for this fax'
+						: `Confirmation reports are generated once a fax is delivered or failed (fax is ${fax.status})`,
+					data: { id: fax.id, status: fax.status }
+				};
+			}
+
+			const r2Utils = new R2Utils(this.logger, this.env);
+			const report = await r2Utils.getFile(fax.confirmation_report_key);
+			if (!report) {
+				return { statusCode: 404, error: 'Not found', message: 'Confirmation report not found' };
+			}
+
+			return {
+				statusCode: 200,
+				message: 'Confirmation report downloaded successfully',
+				data: {
+					id: fax.id,
+					fileData: FileUtils.arrayBufferToBase64(new Uint8Array(report.data)),
+					filename: `fax_${fax.id}_${CONFIRMATION_REPORT_FILENAME}`,
+					mimeType: 'application/pdf'
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in getConfirmationReport', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to download confirmation report',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	async cancelFax(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const faxId = this.getFaxIdFromPath(request);
+			if (!faxId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'Fax ID is required' };
+			}
+
+			this.logger.log('INFO', 'Cancel fax request received', { faxId, userId });
+
+			const fax = await this.findUserFax(faxId, userId, callerEnvObj);
+			if (!fax) {
+				return { statusCode: 404, error: 'Not found', message: 'Fax not found' };
+			}
+
+			if (fax.status === 'cancelled') {
+				return {
+					statusCode: 200,
+					message: 'Fax already cancelled',
+					data: { id: fax.id, providerFaxId: fax.provider_fax_id, status: 'cancelled' }
+				};
+			}
+
+			if (!CANCELLABLE_FAX_STATUSES.includes(fax.status)) {
+				return {
+					statusCode: 409,
+					error: 'Fax cannot be cancelled',
+					message: `Fax is already ${fax.status}`,
+					data: { id: fax.id, status: fax.status }
+				};
+			}
+
+			// A processing fax without a provider ID is being submitted right now; cancelling it here
+			// would leave the provider fax going out
+			if (fax.status === 'processing' && !fax.provider_fax_id) {
+				return {
+					statusCode: 409,
+					error: 'Fax cannot be cancelled',
+					message: 'Fax is being submitted to the provider, try again shortly',
+					data: { id: fax.id, status: fax.status }
+				};
+			}
+
+			// Scheduled faxes have nothing at the provider yet
+			let providerResult = null;
+			if (fax.provider_fax_id) {
+				const providerName = this.getFaxRecordProvider(fax);
+				const faxProvider = await this.createFaxProvider(providerName, callerEnvObj);
+
+				try {
+					providerResult = await faxProvider.cancelFax(fax.provider_fax_id);
+				} catch (error) {
+					this.logger.log('ERROR', 'Provider rejected fax cancellation', {
+						faxId: fax.id,
+						providerFaxId: fax.provider_fax_id,
+						providerName,
+						error: error.message
+					});
+					return {
+						statusCode: 502,
+						error: 'Fax cancellation failed',
+						message: error.message,
+						data: { id: fax.id, status: fax.status }
+					};
+				}
+			}
+
+			// Only cancel the fax if its status is still the one checked above, so a webhook that
+			// finished it meanwhile isn't overwritten (and its credit hold isn't released twice).
+			// The cancellation goes through the same path as provider updates, which releases the hold.
+			const settled = await this.settleFaxStatusUpdate(fax, {
+				provider: this.getFaxRecordProvider(fax),
+				providerFaxId: fax.provider_fax_id,
+				eventType: 'fax.cancelled',
+				status: 'cancelled',
+				originalStatus: providerResult?.originalStatus || 'cancelled'
+			}, null, callerEnvObj);
+			if (!settled) {
+				this.logger.log('WARN', 'Fax status changed while cancelling', { faxId: fax.id, previousStatus: fax.status });
+				return {
+					statusCode: 409,
+					error: 'Fax cannot be cancelled',
+					message: 'Fax status changed while cancelling, check its status and try again',
+					data: { id: fax.id }
+				};
+			}
+
+			this.logger.log('INFO', 'Fax cancelled', {
+				faxId: fax.id,
+				providerFaxId: fax.provider_fax_id,
+				previousStatus: fax.status
+			});
+
+			return {
+				statusCode: 200,
+				message: 'Fax cancelled successfully',
+				data: {
+					id: fax.id,
+					providerFaxId: fax.provider_fax_id,
+					status: settled.updatedFax.status,
+					previousStatus: fax.status,
+					timestamp: new Date().toISOString()
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in cancelFax', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Fax cancellation failed',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	/**
+	 * Resend a previous fax from the documents stored in R2, optionally to another recipient.
+	 * The resend is a new fax record linked to the original through resent_from_fax_id; it is
+	 * rated and reserved like a new fax (by the pages of the stored documents) and sent through
+	 * the stored fax workflow. Telnyx resends get a new cover page instead of the stored one.
+	 */
+	async resendFax(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const faxId = this.getFaxIdFromPath(request);
+			if (!faxId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'Fax ID is required' };
+			}
+
+			let body = null;
+			try {
+				body = await this.parseRequestBody(request);
+			} catch (error) {
+				return { statusCode: 400, error: 'Invalid request', message: 'Request body must be JSON' };
+			}
+			const options = body && typeof body === 'object' && !(body instanceof FormData) ? body : {};
+
+			const recipients = Array.isArray(options.recipients) ? options.recipients : (options.recipient ? [options.recipient] : []);
+			if (recipients.length > 1) {
+				return { statusCode: 400, error: 'Invalid request', message: 'A fax can only be resent to one recipient' };
+			}
+
+			this.logger.log('INFO', 'Resend fax request received', { faxId, userId, newRecipient: recipients.length > 0 });
+
+			const fax = await this.findUserFax(faxId, userId, callerEnvObj);
+			if (!fax) {
+				return { statusCode: 404, error: 'Not found', message: 'Fax not found' };
+			}
+
+			if (CANCELLABLE_FAX_STATUSES.includes(fax.status)) {
+				return {
+					statusCode: 409,
+					error: 'Fax cannot be resent',
+					message: `Fax is still ${fax.status}`,
+					data: { id: fax.id, status: fax.status }
+				};
+			}
+
+			// The stored cover page names the original recipient and date: only the user's documents
+			// are resent, behind a new cover page, and only their pages are billed
+			const storedRequest = this.getStoredFaxRequest(fax);
+			const documents = (storedRequest?.documents || []).filter(doc => !isCoverPageDocument(doc));
+			const totalPages = documents.length > 0 ? await this.countStoredDocumentPages(documents) : null;
+			if (!totalPages) {
+				return {
+					statusCode: 409,
+					error: 'Fax cannot be resent',
+					message: 'The documents of this fax were not stored. Send it again with its documents instead.',
+					data: { id: fax.id, status: fax.status }
+				};
+			}
+
+			const recipient = String(recipients[0] || storedRequest.recipients?.[0] || '').trim();
+			if (!recipient) {
+				return { statusCode: 400, error: 'Invalid request', message: 'Recipient is required' };
+			}
+
+			const resendRequest = { ...storedRequest, recipients: [recipient], documents };
+			const faxRequest = {
+				recipients: resendRequest.recipients,
+				documentHash: fax.document_hash || null,
+				allowDuplicate: options.allowDuplicate ?? options.allow_duplicate
+			};
+
+			const duplicateResponse = await this.checkDuplicateFax(faxRequest, userId, callerEnvObj);
+			if (duplicateResponse) {
+				return duplicateResponse;
+			}
+
+			const { creditPerPage, creditsRequired, rateInfo } = await this.calculateFaxCredits(recipient, totalPages, callerEnvObj, request);
+
+			const creditCheck = await this.ensureUserCredits(userId, creditsRequired, callerEnvObj);
+			if (!creditCheck.hasCredits) {
+				return this.buildInsufficientCreditsResponse(creditCheck, userId, totalPages, creditPerPage, creditsRequired);
+			}
+
+			// Telnyx faxes carry the cover page as their first document; Notifyre adds its own when sent
+			const coverPage = resendRequest.provider === 'telnyx'
+				? await this.generateResendCoverPage(resendRequest, totalPages, callerEnvObj)
+				: null;
+
+			const hold = await this.reserveCredits(userId, creditsRequired, totalPages, creditCheck, null, callerEnvObj);
+			if (!hold.reserved) {
+				return this.buildInsufficientCreditsResponse({ ...creditCheck, error: CREDITS_HELD_MESSAGE }, userId, totalPages, creditPerPage, creditsRequired);
+			}
+
+			const resendFax = await DatabaseUtils.saveFaxRecord({
+				status: 'processing',
+				originalStatus: 'resending',
+				recipients: resendRequest.recipients,
+				senderId: resendRequest.senderId,
+				subject: fax.subject,
+				pages: totalPages,
+				document_count: fax.document_count,
+				cost: creditsRequired,
+				clientReference: fax.client_reference,
+				apiProvider: resendRequest.provider,
+				documentHash: fax.document_hash || null,
+				creditHoldId: hold.holdId,
+				tags: fax.tags || [],
+				resentFromFaxId: fax.id
+			}, userId, callerEnvObj, this.logger);
+
+			if (!resendFax?.id) {
+				await this.releaseFaxCreditHold(hold.holdId, 'submission_failed', callerEnvObj);
+				throw new Error('Failed to save resent fax record');
+			}
+
+			if (coverPage) {
+				try {
+					const key = getFaxDocumentKey(resendFax.id, coverPage, 0);
+					const url = await new R2Utils(this.logger, this.env).uploadFile(key, await coverPage.arrayBuffer(), 'application/pdf');
+					resendRequest.documents = [{ key, url, contentType: 'application/pdf', name: COVER_PAGE_FILENAME }, ...documents];
+				} catch (error) {
+					await DatabaseUtils.updateFaxRecord(resendFax.id, {
+						status: 'failed',
+						error_message: error.message,
+						completed_at: new Date().toISOString()
+					}, callerEnvObj, this.logger, 'id');
+					await this.releaseFaxCreditHold(hold.holdId, 'submission_failed', callerEnvObj);
+					throw error;
+				}
+			}
+
+			await DatabaseUtils.updateFaxRecord(resendFax.id, {
+				r2_urls: resendRequest.documents.map(doc => doc.url),
+				metadata: { scheduled_request: resendRequest }
+			}, callerEnvObj, this.logger, 'id');
+
+			const dispatched = await this.dispatchStoredFax({
+				...resendFax,
+				user_id: userId,
+				cost: creditsRequired,
+				credit_hold_id: hold.holdId,
+				metadata: { scheduled_request: resendRequest }
+			}, callerEnvObj);
+
+			const sentFax = await DatabaseUtils.getFaxRecord(resendFax.id, callerEnvObj, this.logger, 'id');
+
+			if (!dispatched) {
+				return {
+					statusCode: 502,
+					error: 'Fax resend failed',
+					message: sentFax?.error_message || 'The fax provider did not accept the fax',
+					data: { id: resendFax.id, resentFromFaxId: fax.id, status: 'failed' }
+				};
+			}
+
+			this.logger.log('INFO', 'Fax resent', {
+				faxId: resendFax.id,
+				resentFromFaxId: fax.id,
+				recipientChanged: recipient !== fax.recipients?.[0],
+				apiProvider: sentFax?.api_provider || resendRequest.provider
+			});
+
+			return {
+				statusCode: 200,
+				message: 'Fax resent successfully',
+				data: {
+					id: resendFax.id,
+					providerFaxId: sentFax?.provider_fax_id || null,
+					resentFromFaxId: fax.id,
+					status: sentFax?.status || 'queued',
+					recipient,
+					pages: totalPages,
+					creditPerPage,
+					creditsRequired,
+					creditHoldId: hold.holdId,
+					rateInfo,
+					apiProvider: sentFax?.api_provider || resendRequest.provider,
+					timestamp: new Date().toISOString()
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in resendFax', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Fax resend failed',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	async debug(request, caller_env = "{}", sagContext = "{}") {
+		console.log("[FAX-SERVICE][DEBUG] Caller Environment:", caller_env);
+		console.log("[FAX-SERVICE][DEBUG] SAG Context:", sagContext);
+		console.log("[FAX-SERVICE][DEBUG] Service Environment:", this.env);
+
+		return {
+			statusCode: 200,
+			message: "Debug information logged successfully",
+			data: {
+				callerEnv: JSON.stringify(caller_env),
+				sagContext: JSON.stringify(sagContext),
+				env: JSON.stringify(this.env),
+				timestamp: new Date().toISOString()
+			}
+		};
+	}
+
+	async health(request, caller_env, sagContext) {
+		try {
+			
+			this.logger.log('INFO', 'Health check request received');
+
+			return {
+				statusCode: 200,
+				message: "Fax service healthy",
+				data: {
+					service: "fax",
+					timestamp: new Date().toISOString(),
+					version: "2.0.0",
+					currentApiProvider: caller_env?.FAX_PROVIDER || 'notifyre',
+					supportedApiProviders: ['notifyre', 'telnyx'],
+					features: [
+						"send-fax",
+						"webhooks",
+						"multi-api-provider-support"
+					]
+				}
+			};
+		} catch (error) {
+			if (this.logger) {
+				this.logger.log('ERROR', 'Error in health check:', error);
+			} else {
+				console.error('Error in health check:', error);
+			}
+			return {
+				statusCode: 500,
+				error: "Health check failed",
+				message: error.message
+			};
+		}
+	}
+
+	async healthProtected(request, caller_env, sagContext) {
+		try {
+			
+			this.logger.log('INFO', 'Protected health check request received');
+
+			return {
+				statusCode: 200,
+				message: "Fax service healthy (authenticated)",
+				data: {
+					service: "fax",
+					user: sagContext.jwtPayload || null,
+					timestamp: new Date().toISOString(),
+					version: "2.0.0",
+					authenticated: true,
+					currentApiProvider: caller_env?.FAX_PROVIDER || 'notifyre',
+					supportedApiProviders: ['notifyre', 'telnyx'],
+					features: [
+						"send-fax",
+						"webhooks",
+						"multi-api-provider-support"
+					]
+				}
+			};
+		} catch (error) {
+			if (this.logger) {
+				this.logger.log('ERROR', 'Error in healthProtected:', error);
+			} else {
+				console.error('Error in healthProtected:', error);
+			}
+			return {
+				statusCode: 500,
+				error: "Authenticated health check failed",
+				message: error.message
+			};
+		}
+	}
+
+	/**
+	 * List the cover page templates that can be passed as coverPage
+	 */
+	async listCoverPages(request, caller_env, sagContext) {
+		this.logger.log('INFO', 'Cover page templates requested');
+
+		return {
+			statusCode: 200,
+			message: "Cover pages retrieved successfully",
+			data: {
+				coverPages: listCoverPageTemplates()
+			}
+		};
+	}
+
+	async uploadFilesToR2(request, caller_env, sagContext) {
+		try {
+			
+
+			this.logger.log('INFO', 'Upload-to-R2 debug endpoint called', {
+				method: request.method,
+				url: request.url,
+				contentType: request.headers.get('content-type')
+			});
+
+			const requestBody = await this.parseRequestBody(request);
+			
+			// Create a temporary provider for request preparation (defaulting to notifyre)
+			const tempProvider = await this.createFaxProvider('notifyre', { NOTIFYRE_API_KEY: 'temp' });
+			const faxRequest = await tempProvider.prepareFaxRequest(requestBody);
+
+			if (!faxRequest.files || faxRequest.files.length === 0) {
+				throw new Error('No files provided in request');
+			}
+
+			const r2Utils = new R2Utils(this.logger, this.env);
+
+			if (!r2Utils.validateConfiguration()) {
+				throw new Error('R2 configuration invalid – check FAX_FILES_BUCKET binding');
+			}
+
+			const uploaded = [];
+			for (let i = 0; i < faxRequest.files.length; i++) {
+				const file = faxRequest.files[i];
+				let buffer;
+				let contentType = 'application/pdf';
+
+				if (file instanceof Blob || (file && typeof file.arrayBuffer === 'function')) {
+					buffer = await file.arrayBuffer();
+					contentType = file.type || contentType;
+				} else if (file instanceof Uint8Array || file instanceof ArrayBuffer) {
+					buffer = file;
+				} else {
+					buffer = new TextEncoder().encode(String(file));
+					contentType = 'text/plain';
+				}
+
+				const timestamp = Date.now();
+				const filename = `debug/${timestamp}_${i + 1}` + (contentType === 'application/pdf' ? '.pdf' : '');
+
+				const url = await r2Utils.uploadFile(filename, buffer, contentType);
+				uploaded.push({ filename, url });
+			}
+
+			this.logger.log('INFO', 'Files uploaded to R2 via debug endpoint', { count: uploaded.length });
+
+			return {
+				statusCode: 200,
+				message: 'Files uploaded successfully',
+				data: {
+					fileCount: uploaded.length,
+					files: uploaded,
+					timestamp: new Date().toISOString()
+				}
+			};
+
+		} catch (error) {
+			if (this.logger) {
+				this.logger.log('ERROR', 'Upload-to-R2 debug endpoint failed', {
+					error: error.message,
+					stack: error.stack
+				});
+			}
+
+			return {
+				statusCode: 500,
+				error: 'File upload failed',
+				message: error.message
+			};
+		}
+	}
+
+	async saveFaxRecordForStandardWorkflow(faxResult, faxRequest, userId, providerName, callerEnvObj, creditsRequired = 0) {
+		try {
+			this.logger.log('DEBUG', 'Saving fax record for standard workflow', {
+				userId: userId || 'anonymous',
+				providerName,
+				creditsRequired
+			});
+
+			// Calculate document count and total pages from files
+			const documentCount = faxRequest.files?._documentCount || (faxRequest.files?.length || 0) || 1;
+			const totalPages = faxRequest.files?._totalPages || 1;
+
+			const faxDataForSave = {
+				id: faxResult.id,
+				status: faxResult.status || 'queued',
+				originalStatus: faxResult.originalStatus || 'Submitted',
+				recipients: faxRequest.recipients || [],
+				senderId: faxRequest.senderId,
+				subject: faxRequest.subject || faxRequest.message,
+				pages: totalPages,
+				document_count: documentCount,
+				cost: Math.ceil(creditsRequired) || 0,
+				clientReference: faxRequest.clientReference || 'SendFaxPro',
+				sentAt: new Date().toISOString(),
+				completedAt: null,
+				errorMessage: null,
+				providerResponse: faxResult.providerResponse,
+				friendlyId: faxResult.friendlyId,
+				apiProvider: providerName,
+				batch_id: faxRequest.batchId || null,
+				documentHash: faxRequest.documentHash || null,
+				creditHoldId: faxRequest.creditHoldId || null,
+				tags: faxRequest.tags || [],
+				emailReplyTo: faxRequest.emailReplyTo || null
+			};
+
+			// Use caller environment for database operations (contains Supabase configuration)
+			const savedFaxRecord = await DatabaseUtils.saveFaxRecord(faxDataForSave, userId, callerEnvObj, this.logger);
+
+			this.logger.log('DEBUG', 'Fax record saved successfully', {
+				faxId: savedFaxRecord?.id,
+				providerName
+			});
+
+			return savedFaxRecord;
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Failed to save fax record', {
+				error: error.message,
+				providerName
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Read a Telnyx webhook and check its signature before anything is trusted
+	 * Without TELNYX_PUBLIC_KEY webhooks are rejected, unless ENVIRONMENT is explicitly development.
+	 * @param {Request} request - Webhook request
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<{body: Object|null, rawBody: string|null, response: Object|null}>} Parsed body, or the response rejecting the request
+	 */
+	async readTelnyxWebhook(request, callerEnvObj) {
+		const rawBody = await request.text();
+		const publicKey = callerEnvObj.TELNYX_PUBLIC_KEY || this.env?.TELNYX_PUBLIC_KEY;
+		const unauthorized = { statusCode: 401, error: 'Unauthorized', message: 'Invalid webhook signature' };
+
+		if (publicKey) {
+			const verification = await verifyTelnyxSignature({
+				rawBody,
+				signature: request.headers.get(TELNYX_SIGNATURE_HEADER),
+				timestamp: request.headers.get(TELNYX_TIMESTAMP_HEADER)
+			}, publicKey);
+
+			if (!verification.valid) {
+				this.logger.log('WARN', 'Rejected Telnyx webhook', { reason: verification.error });
+				return { body: null, rawBody, response: unauthorized };
+			}
+		} else if ((callerEnvObj.ENVIRONMENT || this.env?.ENVIRONMENT) === 'development') {
+			// Only local development, where ENVIRONMENT is set explicitly, takes unsigned webhooks
+			this.logger.log('WARN', 'TELNYX_PUBLIC_KEY is missing, Telnyx webhook signature not checked');
+		} else {
+			this.logger.log('ERROR', 'TELNYX_PUBLIC_KEY is missing, Telnyx webhook rejected');
+			return { body: null, rawBody, response: unauthorized };
+		}
+
+		try {
+			return { body: JSON.parse(rawBody), rawBody, response: null };
+		} catch (error) {
+			this.logger.log('ERROR', 'Telnyx webhook body is not valid JSON', { error: error.message });
+			return { body: null, rawBody, response: { statusCode: 400, error: 'Invalid webhook payload' } };
+		}
+	}
+
+	async telnyxWebhook(request, caller_env = "{}", sagContext = "{}") {
+		try {
+			
+			// Ensure caller_env is an object for downstream DB utils
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+
+			this.logger.log('INFO', 'Telnyx webhook received (sending events only)');
+
+			const { body, rawBody, response: rejection } = await this.readTelnyxWebhook(request, callerEnvObj);
+			if (rejection) {
+				return rejection;
+			}
+
+			const eventType = body?.data?.event_type || 'unknown';
+			// Handle both nested payload structure and direct payload structure
+			const payload = body?.data?.payload || body?.payload || body || {};
+			const telnyxFaxId = payload.fax_id || null;
+			const statusFromPayload = payload.hasOwnProperty('status') ? payload.status : null;
+			const failureReason = payload.hasOwnProperty('failure_reason') ? payload.failure_reason : null;
+			const pageCount = payload.hasOwnProperty('page_count') ? payload.page_count : null;
+			const toNumber = payload.to || null;
+
+			// Check if this is a fax receiving event and if the 'to' number matches our sender ID
+			const receivingEvents = ['fax.receiving.started', 'fax.media.processing.started', 'fax.received', 'fax.failed'];
+			const isReceivingEvent = receivingEvents.includes(eventType);
+			const isOurNumber = toNumber === callerEnvObj.TELNYX_SENDER_ID;
+
+			if (isReceivingEvent && isOurNumber) {
+				this.logger.log('INFO', 'Fax receiving event detected in main webhook, redirecting to public receive endpoint', {
+					eventType,
+					toNumber,
+					senderId: callerEnvObj.TELNYX_SENDER_ID
+				});
+				// Redirect receiving events to the public endpoint; the body has been read, so pass a copy
+				const receiveRequest = new Request(request.url, { method: 'POST', headers: request.headers, body: rawBody });
+				return await this.telnyxFaxReceiveWebhook(receiveRequest, caller_env, sagContext);
+			}
+
+			// Only process sending-related events in this webhook
+			if (!telnyxFaxId) {
+				this.logger.log('ERROR', 'Telnyx webhook missing fax_id in payload');
+				return { statusCode: 400, error: 'Invalid webhook payload: missing fax_id' };
+			}
+
+			// Create a temporary TelnyxProvider instance to reuse its status mapping helper
+			const tempProvider = new TelnyxProvider('temp', this.logger, { connectionId: 'temp' });
+			// Use failure_reason for status mapping if available (it provides more specific error info),
+			// otherwise use the status field
+			const statusForMapping = failureReason || statusFromPayload;
+			const standardizedStatus = tempProvider.mapStatus(statusForMapping);
+
+			const existingFax = await DatabaseUtils.getFaxRecord(telnyxFaxId, callerEnvObj, this.logger, 'provider_fax_id');
+			const cancelledResponse = await this.ignoreEventForCancelledFax(existingFax, standardizedStatus, eventType, body, callerEnvObj);
+			if (cancelledResponse) {
+				return cancelledResponse;
+			}
+
+			const outOfOrderResponse = await this.ignoreOutOfOrderFaxEvent(existingFax, standardizedStatus, eventType, body, callerEnvObj);
+			if (outOfOrderResponse) {
+				return outOfOrderResponse;
+			}
+
+			if (failureReason === null && standardizedStatus === 'failed' && statusFromPayload === 'failed') {
+				// If status is "failed" but no failure_reason provided, log a warning
+				this.logger.log('WARN', 'Fax status is "failed" but no failure_reason provided in webhook', {
+					faxId: telnyxFaxId,
+					eventType
+				});
+			}
+
+			const settled = await this.settleFaxStatusUpdate(existingFax, {
+				provider: 'telnyx',
+				providerFaxId: telnyxFaxId,
+				eventType,
+				status: standardizedStatus,
+				originalStatus: statusFromPayload,
+				metadata: payload,
+				pages: pageCount,
+				failureReason,
+				durationSeconds: payload.call_duration_secs ?? null,
+				recipient: toNumber
+			}, body, callerEnvObj);
+			if (!settled) {
+				return await this.ignoreFaxEvent(existingFax, standardizedStatus, 'status changed concurrently', 'status changed concurrently', eventType, body, callerEnvObj);
+			}
+
+			this.logger.log('INFO', 'Telnyx webhook processed successfully', { 
+				telnyxFaxId, 
+				eventType,
+				pageCount: pageCount || 'not provided'
+			});
+
+			return {
+				statusCode: 200,
+				message: 'Webhook processed successfully',
+				data: {
+					faxId: telnyxFaxId,
+					standardizedStatus,
+					retryFaxId: settled.retryFax?.id || null,
+					timestamp: new Date().toISOString()
+				}
+			};
+
+		} catch (error) {
+			if (this.logger) {
+				this.logger.log('ERROR', 'Error processing Telnyx webhook', {
+					error: error.message,
+					stack: error.stack
+				});
+			}
+			return {
+				statusCode: 500,
+				error: 'Webhook processing failed',
+				message: error.message
+			};
+		}
+	}
+
+	/**
+	 * Read a Notifyre webhook and check its signature before anything is trusted
+	 * @param {Request} request - Webhook request
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<{body: Object|null, response: Object|null}>} Parsed body, or the response rejecting the request
+	 */
+	async readNotifyreWebhook(request, callerEnvObj) {
+		const webhookSecret = callerEnvObj.NOTIFYRE_WEBHOOK_SECRET || this.env?.NOTIFYRE_WEBHOOK_SECRET;
+		if (!webhookSecret) {
+			this.logger.log('ERROR', 'NOTIFYRE_WEBHOOK_SECRET is missing, Notifyre webhook rejected');
+			return { body: null, response: { statusCode: 401, error: 'Unauthorized', message: 'Invalid webhook signature' } };
+		}
+
+		const signature = request.headers.get(NOTIFYRE_SIGNATURE_HEADER);
+		const rawBody = await request.text();
+		const { valid, error: signatureError } = await verifyNotifyreSignature({ rawBody, signature }, webhookSecret);
+		if (!valid) {
+			this.logger.log('WARN', 'Rejected Notifyre webhook', { hasSignature: !!signature, reason: signatureError });
+			return { body: null, response: { statusCode: 401, error: 'Unauthorized', message: 'Invalid webhook signature' } };
+		}
+
+		try {
+			return { body: JSON.parse(rawBody), response: null };
+		} catch (error) {
+			this.logger.log('ERROR', 'Notifyre webhook body is not valid JSON', { error: error.message });
+			return { body: null, response: { statusCode: 400, error: 'Invalid webhook payload' } };
+		}
+	}
+
+	/**
+	 * Apply a fax status update and settle its side effects
+	 * Shared by the provider webhooks, the cron service's Notifyre polling and cancellations: the
+	 * update is conditional on the status it was checked against (see applyFaxStatusUpdate), and
+	 * only the caller that applied it runs the retry policy, credit hold release or capture,
+	 * usage and charge, confirmation report, status email, push notification and developer event.
+	 * Callers check the transition first (resolveFaxStatusTransition).
+	 * @param {Object|null} existingFax - Fax record the update was checked against
+	 * @param {Object} statusUpdate - Status to apply
+	 * @param {string} statusUpdate.provider - Provider name ('notifyre', 'telnyx')
+	 * @param {string|null} statusUpdate.providerFaxId - Provider fax ID
+	 * @param {string} statusUpdate.eventType - Event type stored with the update
+	 * @param {string} statusUpdate.status - Standard status
+	 * @param {string} statusUpdate.originalStatus - Status as the provider reported it
+	 * @param {Object} [statusUpdate.metadata] - Provider fax details stored on the fax
+	 * @param {number|null} [statusUpdate.pages] - Page count reported by the provider
+	 * @param {string|null} [statusUpdate.failureReason] - Why the fax failed
+	 * @param {number|null} [statusUpdate.durationSeconds] - Call duration for the confirmation report
+	 * @param {string|null} [statusUpdate.recipient] - Number the provider dialled, notified when the
+	 *        fax has no recipients stored
+	 * @param {Object|null} rawPayload - Provider payload stored in the fax's event log (null for
+	 *        updates without a provider event, e.g. cancellations through the API)
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<{updatedFax: Object|null, retryFax: Object|null, notificationStatus: string|null}|null>}
+	 *          Outcome, or null when the fax's status changed concurrently and nothing was applied
+	 */
+	async settleFaxStatusUpdate(existingFax, statusUpdate, rawPayload, callerEnvObj) {
+		const {
+			provider,
+			providerFaxId,
+			eventType,
+			status: standardizedStatus,
+			originalStatus,
+			metadata,
+			pages: pageCount,
+			failureReason,
+			durationSeconds = null,
+			recipient = null
+		} = statusUpdate;
+
+		const updateData = {
+			status: standardizedStatus,
+			completed_at: ['delivered', 'failed', 'cancelled'].includes(standardizedStatus) ? new Date().toISOString() : null
+		};
+
+		// Keep the last status the provider reported when this update has none
+		if (originalStatus !== null && originalStatus !== undefined) {
+			updateData.original_status = originalStatus;
+		}
+
+		if (metadata) {
+			updateData.metadata = metadata;
+		}
+
+		if (failureReason) {
+			updateData.error_message = failureReason;
+		}
+
+		// Add page count if available and valid
+		if (pageCount !== null && pageCount !== undefined && pageCount > 0) {
+			updateData.pages = pageCount;
+		}
+
+		const updatedFax = await this.applyFaxStatusUpdate(existingFax, providerFaxId, updateData, callerEnvObj);
+		if (existingFax && !updatedFax) {
+			return null;
+		}
+
+		// Store the provider event for audit/logging
+		if (rawPayload) {
+			await DatabaseUtils.storeWebhookEvent({
+				event: eventType,
+				faxId: providerFaxId,
+				processedData: updateData,
+				rawPayload
+			}, callerEnvObj, this.logger);
+		}
+
+		// Busy / no-answer attempts are retried before the user hears about them
+		const { retryFax, notificationStatus, errorMessage: retryErrorMessage } = await this.applyRetryPolicy(updatedFax, standardizedStatus, callerEnvObj);
+
+		// Failed and cancelled faxes give their held credits back; retried faxes keep the hold
+		if (updatedFax?.credit_hold_id && RELEASING_STATUSES.includes(notificationStatus)) {
+			await this.releaseFaxCreditHold(updatedFax.credit_hold_id, notificationStatus, callerEnvObj);
+		}
+
+		// Delivered faxes turn their credit hold into a charge (null when this delivery was already charged)
+		const creditsToDeduct = standardizedStatus === 'delivered' && updatedFax?.user_id
+			? await this.captureFaxCreditHold(updatedFax, pageCount, callerEnvObj)
+			: null;
+
+		// Record usage if fax was successfully delivered
+		if (creditsToDeduct !== null) {
+			const finalPageCount = pageCount || updatedFax.pages || 1;
+			
+			// Record usage in analytics table (using page count for analytics)
+			await DatabaseUtils.recordUsage({
+				userId: updatedFax.user_id,
+				type: 'fax',
+				unitType: 'page',
+				usageAmount: finalPageCount,
+				timestamp: new Date().toISOString(),
+				metadata: {
+					fax_id: providerFaxId,
+					provider,
+					event_type: eventType,
+					status: standardizedStatus,
+					credits_deducted: creditsToDeduct
+				}
+			}, callerEnvObj, this.logger);
+			
+			// Deduct credits based on user type (paid vs free)
+			const charged = await this.deductCreditsForDeliveredFax(
+				updatedFax.user_id,
+				creditsToDeduct,
+				updatedFax.id,
+				callerEnvObj,
+				provider
+			);
+			if (charged) {
+				await this.emitLowCreditsEvent(updatedFax.user_id, creditsToDeduct, callerEnvObj);
+			}
+		}
+
+		// Proof of delivery for the final outcome; attempts that are retried get none
+		if (['delivered', 'failed'].includes(notificationStatus)) {
+			const reportFailureReason = retryErrorMessage || failureReason;
+			await this.createConfirmationReport(updatedFax, {
+				provider,
+				durationSeconds,
+				failureReason: reportFailureReason
+			}, callerEnvObj);
+
+			// Faxes sent by email are answered by email
+			if (updatedFax?.email_reply_to) {
+				await this.sendFaxStatusEmail(updatedFax, notificationStatus, reportFailureReason, callerEnvObj);
+			}
+		}
+
+		// Send push notification for terminal statuses (delivered or failed)
+		if (updatedFax && updatedFax.user_id && ['delivered', 'failed'].includes(notificationStatus)) {
+			// Ensure recipients is an array (handle JSONB from database)
+			let recipients = updatedFax.recipients || [];
+			
+			// Parse if recipients is a JSON string
+			if (typeof recipients === 'string') {
+				try {
+					recipients = JSON.parse(recipients);
+				} catch (e) {
+					this.logger.log('WARN', 'Failed to parse recipients JSON string', {
+						faxId: updatedFax.id,
+						recipientsString: recipients,
+						error: e.message
+					});
+					recipients = [];
+				}
+			}
+			
+			// Ensure recipients is an array
+			if (!Array.isArray(recipients)) {
+				this.logger.log('WARN', 'Recipients is not an array, converting', {
+					faxId: updatedFax.id,
+					recipientsType: typeof recipients,
+					recipientsValue: recipients
+				});
+				recipients = recipients ? [recipients] : [];
+			}
+
+			// Fallback: if no recipients in database, use the number the provider dialled
+			if (recipients.length === 0 && recipient) {
+				recipients = [recipient];
+			}
+			
+			this.logger.log('INFO', 'Preparing to send push notification', {
+				faxId: updatedFax.id,
+				userId: updatedFax.user_id,
+				status: standardizedStatus,
+				recipientsCount: recipients.length,
+				recipients: recipients
+			});
+			
+			await this.sendFaxStatusPushNotification({
+				id: updatedFax.id,
+				user_id: updatedFax.user_id,
+				status: notificationStatus,
+				recipients: recipients,
+				error_message: retryErrorMessage || failureReason
+			}, callerEnvObj);
+		} else {
+			this.logger.log('DEBUG', 'Skipping push notification', {
+				hasUpdatedFaxRecord: !!updatedFax,
+				hasUserId: !!(updatedFax && updatedFax.user_id),
+				status: standardizedStatus,
+				isTerminalStatus: ['delivered', 'failed'].includes(notificationStatus),
+				retryFaxId: retryFax?.id || null
+			});
+		}
+
+		await this.emitFaxStatusEvent(updatedFax, standardizedStatus, notificationStatus, retryErrorMessage || failureReason, callerEnvObj);
+
+		return { updatedFax, retryFax, notificationStatus };
+	}
+
+	async notifyreWebhook(request, caller_env = "{}", sagContext = "{}") {
+		try {
+			// Ensure caller_env is an object for downstream DB utils
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+
+			this.logger.log('INFO', 'Notifyre webhook received');
+
+			const { body, response: rejection } = await this.readNotifyreWebhook(request, callerEnvObj);
+			if (rejection) {
+				return rejection;
+			}
+
+			const {
+				eventType,
+				payload,
+				faxId: notifyreFaxId,
+				status: statusFromPayload,
+				pages: pageCount,
+				failureReason
+			} = parseNotifyreWebhook(body);
+
+			if (!notifyreFaxId) {
+				this.logger.log('ERROR', 'Notifyre webhook missing fax id in payload');
+				return { statusCode: 400, error: 'Invalid webhook payload: missing fax id' };
+			}
+
+			const standardizedStatus = mapNotifyreStatus(statusFromPayload, this.logger);
+
+			const existingFax = await DatabaseUtils.getFaxRecord(notifyreFaxId, callerEnvObj, this.logger, 'provider_fax_id');
+			const cancelledResponse = await this.ignoreEventForCancelledFax(existingFax, standardizedStatus, eventType, body, callerEnvObj);
+			if (cancelledResponse) {
+				return cancelledResponse;
+			}
+
+			const outOfOrderResponse = await this.ignoreOutOfOrderFaxEvent(existingFax, standardizedStatus, eventType, body, callerEnvObj);
+			if (outOfOrderResponse) {
+				return outOfOrderResponse;
+			}
+
+			const settled = await this.settleFaxStatusUpdate(existingFax, {
+				provider: 'notifyre',
+				providerFaxId: notifyreFaxId,
+				eventType,
+				status: standardizedStatus,
+				originalStatus: statusFromPayload,
+				metadata: payload,
+				pages: pageCount,
+				failureReason
+			}, body, callerEnvObj);
+			if (!settled) {
+				return await this.ignoreFaxEvent(existingFax, standardizedStatus, 'status changed concurrently', 'status changed concurrently', eventType, body, callerEnvObj);
+			}
+
+			this.logger.log('INFO', 'Notifyre webhook processed successfully', { 
+				notifyreFaxId, 
+				eventType,
+				pageCount: pageCount || 'not provided'
+			});
+
+			return {
+				statusCode: 200,
+				message: 'Webhook processed successfully',
+				data: {
+					faxId: notifyreFaxId,
+					standardizedStatus,
+					retryFaxId: settled.retryFax?.id || null,
+					timestamp: new Date().toISOString()
+				}
+			};
+
+		} catch (error) {
+			if (this.logger) {
+				this.logger.log('ERROR', 'Error processing Notifyre webhook', {
+					error: error.message,
+					stack: error.stack
+				});
+			}
+			return {
+				statusCode: 500,
+				error: 'Webhook processing failed',
+				message: error.message
+			};
+		}
+	}
+
+	/**
+	 * Apply the fax statuses the cron service polled from Notifyre.
+	 * Called over RPC by the cron service. A polled status that changed is kept as a snapshot for the
+	 * fax's timeline; one that moves the fax forward is applied through settleFaxStatusUpdate,
+	 * like a Notifyre webhook, so polling and webhooks can't both finish (or charge) a fax.
+	 * @param {string|Object} caller_env - Secrets forwarded by the cron service
+	 * @param {Array<Object>} polledFaxes - Faxes returned by Notifyre's fax list
+	 * @returns {Promise<Object>} Polling summary
+	 */
+	async applyPolledFaxStatuses(caller_env = "{}", polledFaxes = []) {
+		const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+		const summary = { polled: polledFaxes.length, updated: 0, unchanged: 0, notFound: 0, errors: 0 };
+
+		for (const faxDetails of polledFaxes) {
+			try {
+				const outcome = await this.applyPolledFaxStatus(faxDetails, callerEnvObj);
+				summary[outcome]++;
+			} catch (error) {
+				summary.errors++;
+				this.logger.log('ERROR', 'Failed to apply polled fax status', {
+					faxId: faxDetails?.id,
+					error: error.message
+				});
+			}
+		}
+
+		this.logger.log('INFO', 'Polled fax statuses applied', summary);
+
+		return {
+			statusCode: 200,
+			message: 'Polled fax statuses applied',
+			data: summary
+		};
+	}
+
+	/**
+	 * Apply one polled Notifyre fax status
+	 * @param {Object} faxDetails - Fax returned by Notifyre's fax list
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<string>} Summary counter to increment: updated, unchanged or notFound
+	 */
+	async applyPolledFaxStatus(faxDetails, callerEnvObj) {
+		const providerFaxId = faxDetails?.id || null;
+		const existingFax = providerFaxId
+			? await DatabaseUtils.getFaxRecord(providerFaxId, callerEnvObj, this.logger, 'provider_fax_id')
+			: null;
+		if (!existingFax) {
+			// Not every fax on the Notifyre account was sent through our system
+			return 'notFound';
+		}
+
+		const standardizedStatus = mapNotifyreStatus(faxDetails.status, this.logger);
+		const failureReason = faxDetails.failedMessage || faxDetails.errorMessage || null;
+
+		const transition = resolveFaxStatusTransition(existingFax.status || null, standardizedStatus);
+		if (!transition.apply) {
+			if (faxDetails.status === existingFax.original_status) {
+				return 'unchanged';
+			}
+			await DatabaseUtils.storeStatusSnapshot(existingFax, {
+				status: standardizedStatus,
+				original_status: faxDetails.status,
+				pages: faxDetails.pages || 1,
+				error_message: failureReason
+			}, faxDetails, callerEnvObj, this.logger);
+			return 'unchanged';
+		}
+
+		const settled = await this.settleFaxStatusUpdate(existingFax, {
+			provider: 'notifyre',
+			providerFaxId,
+			eventType: POLLING_SNAPSHOT_EVENT,
+			status: standardizedStatus,
+			originalStatus: faxDetails.status,
+			metadata: {
+				...faxDetails,
+				pollingTimestamp: new Date().toISOString(),
+				source: 'cron-polling'
+			},
+			pages: faxDetails.pages || null,
+			failureReason
+		}, faxDetails, callerEnvObj);
+
+		return settled ? 'updated' : 'unchanged';
+	}
+
+	async telnyxFaxReceiveWebhook(request, caller_env = "{}", sagContext = "{}") {
+		try {
+			// Ensure caller_env is an object for downstream DB utils
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+
+			this.logger.log('INFO', 'Processing Telnyx fax receiving webhook (public endpoint)');
+
+			const { body, response: rejection } = await this.readTelnyxWebhook(request, callerEnvObj);
+			if (rejection) {
+				return rejection;
+			}
+
+			const eventType = body?.data?.event_type || 'unknown';
+			const payload = body?.data?.payload || {};
+			const webhookId = body?.data?.id || null;
+			const toNumber = payload.to || null;
+			const fromNumber = payload.from || null;
+			const faxId = payload.fax_id || null;
+			const status = payload.status || null;
+			const failureReason = payload.failure_reason || null;
+			const pageCount = payload.page_count || null;
+			const mediaUrl = payload.media_url || null;
+			const timestamp = body?.data?.occurred_at || new Date().toISOString();
+
+			// Check if this is a fax.received event with media_url
+			if (eventType === 'fax.received' && mediaUrl) {
+				this.logger.log('INFO', 'Processing fax.received event with media', {
+					eventType,
+					webhookId,
+					fromNumber,
+					pageCount,
+					hasMediaUrl: !!mediaUrl
+				});
+
+				// Download and upload the fax file to R2
+				const r2Utils = new R2Utils(this.logger, this.env);
+				
+				if (!r2Utils.validateConfiguration()) {
+					throw new Error('R2 configuration invalid for fax receiving');
+				}
+
+				// Numbers assigned to a user receive for that user; other numbers stay shared. A failed
+				// lookup fails the webhook, so the provider retries it instead of the fax being shared.
+				const numberAssignment = await FaxDatabaseUtils.getFaxNumberAssignment(toNumber, callerEnvObj, this.logger);
+
+				try {
+					// Download the fax file from Telnyx
+					this.logger.log('INFO', 'Downloading fax file from Telnyx', { mediaUrl });
+					
+					const response = await fetch(mediaUrl);
+					if (!response.ok) {
+						throw new Error(`Failed to download fax file: ${response.status} ${response.statusText}`);
+					}
+
+					const fileBuffer = await response.arrayBuffer();
+					
+					// Generate filename for R2 storage
+					const timestamp = Date.now();
+					const filename = `received/${timestamp}_${webhookId}.pdf`;
+					
+					// Upload to R2
+					this.logger.log('INFO', 'Uploading fax file to R2', { filename });
+					const r2MediaUrl = await r2Utils.uploadFile(filename, fileBuffer, 'application/pdf');
+					
+					this.logger.log('INFO', 'Fax file uploaded to R2 successfully', { 
+						filename, 
+						r2MediaUrl,
+						originalMediaUrl: mediaUrl
+					});
+
+					// Save to database
+					const receivedFaxData = {
+						webhookId: webhookId,
+						fromNumber: fromNumber,
+						pageCount: pageCount || 1,
+						mediaUrl: r2MediaUrl,
+						originalMediaUrl: mediaUrl,
+						toNumber: toNumber,
+						userId: numberAssignment?.user_id || null,
+						receivedAt: new Date().toISOString(),
+						provider: 'telnyx'
+					};
+
+					// A retried webhook finds its fax already saved and is not charged or forwarded again
+					const saved = await DatabaseUtils.saveReceivedFax(receivedFaxData, callerEnvObj, this.logger);
+					const savedRecord = saved?.created ? saved.record : null;
+					
+					if (savedRecord) {
+						this.logger.log('INFO', 'Received fax record saved to database', {
+							recordId: savedRecord.id,
+							webhookId: savedRecord.webhook_id
+						});
+
+						if (numberAssignment) {
+							await this.chargeInboundFax(numberAssignment, savedRecord, callerEnvObj, 'telnyx');
+							await this.sendFaxReceivedPushNotification({ ...savedRecord, user_id: numberAssignment.user_id }, callerEnvObj);
+							await this.emitDeveloperEvent(numberAssignment.user_id, 'fax.received', formatReceivedFaxEventData(savedRecord), callerEnvObj);
+						}
+
+						// Email the fax to the addresses the receiving number forwards to
+						await this.forwardReceivedFax(callerEnvObj, {
+							...receivedFaxData,
+							recordId: savedRecord.id,
+							fileBuffer
+						});
+
+						// Check if we're in production environment before sending Slack notification
+						const environment = callerEnvObj.ENVIRONMENT || this.env.ENVIRONMENT;
+						
+						// Faxes to a user's own number are private and don't go to the shared channel
+						if (environment === 'prod' && !numberAssignment) {
+							// Send Slack notification for successful fax receive in production
+							await this.sendSlackNotificationForSuccessfulFaxReceive(
+								callerEnvObj,
+								{
+									fromNumber,
+									pageCount,
+									webhookId: savedRecord.webhook_id,
+									recordId: savedRecord.id,
+									provider: 'telnyx'
+								}
+							);
+						}
+					} else if (saved) {
+						this.logger.log('INFO', 'Duplicate fax receiving webhook ignored', { webhookId });
+					} else {
+						this.logger.log('ERROR', 'Failed to save received fax record to database');
+					}
+
+				} catch (downloadError) {
+					this.logger.log('ERROR', 'Failed to process fax file', {
+						error: downloadError.message,
+						mediaUrl
+					});
+					// Continue processing even if file download/upload fails
+				}
+			} else {
+				this.logger.log('INFO', 'Skipping fax processing - not a fax.received event or no media URL', {
+					eventType,
+					hasMediaUrl: !!mediaUrl
+				});
+			}
+
+			// Log the parsed webhook data
+			this.logger.log('INFO', 'Telnyx fax receiving webhook processed', {
+				eventType,
+				webhookId,
+				toNumber,
+				fromNumber,
+				faxId,
+				status,
+				failureReason,
+				pageCount,
+				hasMediaUrl: !!mediaUrl,
+				timestamp
+			});
+
+			return {
+				statusCode: 200,
+				message: 'Fax receiving webhook processed successfully',
+				data: {
+					eventType,
+					webhookId,
+					toNumber,
+					fromNumber,
+					faxId,
+					status,
+					failureReason,
+					pageCount,
+					hasMediaUrl: !!mediaUrl,
+					timestamp: new Date().toISOString()
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error processing Telnyx fax receiving webhook', {
+				error: error.message,
+				stack: error.stack
+			});
+			return {
+				statusCode: 500,
+				error: 'Fax receiving webhook processing failed',
+				message: error.message
+			};
+		}
+	}
+
+
+
+	/**
+	 * General fax receiving webhook (public endpoint) - handles any provider
+	 * @param {Request} request - The HTTP request
+	 * @param {Object} caller_env - Environment variables
+	 * @param {Object} sagContext - Serverless API Gateway context
+	 * @returns {Promise<Object>} Response object
+	 */
+	async generalFaxReceiveWebhook(request, caller_env = "{}", sagContext = "{}") {
+		try {
+			// Ensure caller_env is an object for downstream DB utils
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+
+			this.logger.log('INFO', 'Processing general fax receiving webhook (public endpoint)');
+
+			// Parse JSON body safely
+			const body = await request.json();
+
+			// Try to detect the provider from the webhook payload structure
+			let provider = 'unknown';
+			let eventType = 'unknown';
+			let payload = {};
+			let webhookId = null;
+			let fromNumber = null;
+			let toNumber = null;
+			let faxId = null;
+			let status = null;
+			let pageCount = null;
+			let mediaUrl = null;
+			let timestamp = new Date().toISOString();
+
+			// Detect Telnyx webhook format
+			if (body?.data?.event_type) {
+				provider = 'telnyx';
+				eventType = body.data.event_type;
+				payload = body.data.payload || {};
+				webhookId = body.data.id;
+				fromNumber = payload.from;
+				toNumber = payload.to;
+				faxId = payload.fax_id;
+				status = payload.status;
+				pageCount = payload.page_count;
+				mediaUrl = payload.media_url;
+				timestamp = body.data.occurred_at || timestamp;
+			}
+
+
+			this.logger.log('INFO', 'Detected provider from webhook payload', {
+				provider,
+				eventType,
+				hasMediaUrl: !!mediaUrl
+			});
+
+			// Check if this is a fax receiving event with media
+			const receivingEvents = ['fax.received', 'fax.receiving.started', 'fax.media.processing.started'];
+			if (receivingEvents.includes(eventType) && mediaUrl) {
+				this.logger.log('INFO', 'Processing fax receiving event with media', {
+					provider,
+					eventType,
+					webhookId,
+					fromNumber,
+					pageCount,
+					hasMediaUrl: !!mediaUrl
+				});
+
+				// Download and upload the fax file to R2
+				const r2Utils = new R2Utils(this.logger, this.env);
+				
+				if (!r2Utils.validateConfiguration()) {
+					throw new Error('R2 configuration invalid for fax receiving');
+				}
+
+				// Numbers assigned to a user receive for that user; other numbers stay shared. A failed
+				// lookup fails the webhook, so the provider retries it instead of the fax being shared.
+				const numberAssignment = await FaxDatabaseUtils.getFaxNumberAssignment(toNumber, callerEnvObj, this.logger);
+
+				try {
+					// Download the fax file from provider
+					this.logger.log('INFO', 'Downloading fax file from provider', { mediaUrl, provider });
+					
+					const response = await fetch(mediaUrl);
+					if (!response.ok) {
+						throw new Error(`Failed to download fax file: ${response.status} ${response.statusText}`);
+					}
+
+					const fileBuffer = await response.arrayBuffer();
+					
+					// Generate filename for R2 storage
+					const timestamp = Date.now();
+					const filename = `received/${provider}_${timestamp}_${webhookId}.pdf`;
+					
 					// Upload to R2
 					this.logger.log('INFO', 'Uploading fax file to R2', { filename });
 					const r2MediaUrl = await r2Utils.uploadFile(filename, fileBuffer, 'application/pdf');
@@ -1284,22 +3821,41 @@ export default class extends WorkerEntrypoint {
 						pageCount: pageCount || 1,
 						mediaUrl: r2MediaUrl,
 						originalMediaUrl: mediaUrl,
+						toNumber: toNumber,
+						userId: numberAssignment?.user_id || null,
 						receivedAt: new Date().toISOString(),
-						provider: 'telnyx'
+						provider: provider
 					};
 
-					const savedRecord = await DatabaseUtils.saveReceivedFax(receivedFaxData, callerEnvObj, this.logger);
+					// A retried webhook finds its fax already saved and is not charged or forwarded again
+					const saved = await DatabaseUtils.saveReceivedFax(receivedFaxData, callerEnvObj, this.logger);
+					const savedRecord = saved?.created ? saved.record : null;
 					
 					if (savedRecord) {
 						this.logger.log('INFO', 'Received fax record saved to database', {
 							recordId: savedRecord.id,
-							webhookId: savedRecord.webhook_id
+							webhookId: savedRecord.webhook_id,
+							provider
+						});
+
+						if (numberAssignment) {
+							await this.chargeInboundFax(numberAssignment, savedRecord, callerEnvObj, provider);
+							await this.sendFaxReceivedPushNotification({ ...savedRecord, user_id: numberAssignment.user_id }, callerEnvObj);
+							await this.emitDeveloperEvent(numberAssignment.user_id, 'fax.received', formatReceivedFaxEventData(savedRecord), callerEnvObj);
+						}
+
+						// Email the fax to the addresses the receiving number forwards to
+						await this.forwardReceivedFax(callerEnvObj, {
+							...receivedFaxData,
+							recordId: savedRecord.id,
+							fileBuffer
 						});
 
 						// Check if we're in production environment before sending Slack notification
 						const environment = callerEnvObj.ENVIRONMENT || this.env.ENVIRONMENT;
 						
-						if (environment === 'prod') {
+						// Faxes to a user's own number are private and don't go to the shared channel
+						if (environment === 'prod' && !numberAssignment) {
 							// Send Slack notification for successful fax receive in production
 							await this.sendSlackNotificationForSuccessfulFaxReceive(
 								callerEnvObj,
@@ -1308,272 +3864,831 @@ export default class extends WorkerEntrypoint {
 									pageCount,
 									webhookId: savedRecord.webhook_id,
 									recordId: savedRecord.id,
-									provider: 'telnyx'
+									provider: provider
 								}
 							);
 						}
+					} else if (saved) {
+						this.logger.log('INFO', 'Duplicate fax receiving webhook ignored', { webhookId });
 					} else {
 						this.logger.log('ERROR', 'Failed to save received fax record to database');
 					}
 
-				} catch (downloadError) {
-					this.logger.log('ERROR', 'Failed to process fax file', {
-						error: downloadError.message,
-						mediaUrl
-					});
-					// Continue processing even if file download/upload fails
-				}
-			} else {
-				this.logger.log('INFO', 'Skipping fax processing - not a fax.received event or no media URL', {
-					eventType,
-					hasMediaUrl: !!mediaUrl
-				});
+				} catch (downloadError) {
+					this.logger.log('ERROR', 'Failed to process fax file', {
+						error: downloadError.message,
+						mediaUrl,
+						provider
+					});
+					// Continue processing even if file download/upload fails
+				}
+			} else {
+				this.logger.log('INFO', 'Skipping fax processing - not a receiving event or no media URL', {
+					provider,
+					eventType,
+					hasMediaUrl: !!mediaUrl
+				});
+			}
+
+			// Log the parsed webhook data
+			this.logger.log('INFO', 'General fax receiving webhook processed', {
+				provider,
+				eventType,
+				webhookId,
+				toNumber,
+				fromNumber,
+				faxId,
+				status,
+				pageCount,
+				hasMediaUrl: !!mediaUrl,
+				timestamp
+			});
+
+			return {
+				statusCode: 200,
+				message: 'General fax receiving webhook processed successfully',
+				data: {
+					provider,
+					eventType,
+					webhookId,
+					toNumber,
+					fromNumber,
+					faxId,
+					status,
+					pageCount,
+					hasMediaUrl: !!mediaUrl,
+					timestamp: new Date().toISOString()
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error processing general fax receiving webhook', {
+				error: error.message,
+				stack: error.stack
+			});
+			return {
+				statusCode: 500,
+				error: 'General fax receiving webhook processing failed',
+				message: error.message
+			};
+		}
+	}
+
+	/**
+	 * Get the received fax ID from /v1/fax/inbox/{id} paths
+	 * @param {Request} request - The HTTP request
+	 * @returns {string|null} Received fax ID, or null if missing or not a UUID
+	 */
+	getInboxFaxIdFromPath(request) {
+		const match = new URL(request.url).pathname.match(/\/v1\/fax\/inbox\/([^/]+)/);
+		const id = match ? decodeURIComponent(match[1]) : null;
+		return id && UUID_PATTERN.test(id) ? id : null;
+	}
+
+	/**
+	 * List the faxes received on the caller's numbers (GET /v1/fax/inbox)
+	 * See parseInboxQuery for the supported filters.
+	 */
+	async listInbox(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const { filters, error: queryError } = parseInboxQuery(new URL(request.url).searchParams);
+			if (queryError) {
+				return { statusCode: 400, error: 'Invalid request', message: queryError };
+			}
+
+			const result = await DatabaseUtils.listInboxFaxes(userId, filters, callerEnvObj, this.logger);
+			if (result.error) {
+				return {
+					statusCode: 500,
+					error: result.error,
+					message: result.message,
+					timestamp: new Date().toISOString()
+				};
+			}
+
+			const lastFax = result.faxes[result.faxes.length - 1];
+
+			return {
+				statusCode: 200,
+				message: 'Inbox retrieved successfully',
+				data: {
+					faxes: result.faxes.map(fax => formatInboxItem(fax)),
+					nextCursor: result.hasMore && lastFax ? encodeInboxCursor(lastFax) : null,
+					hasMore: result.hasMore,
+					limit: filters.limit
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in listInbox', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to retrieve inbox',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	/**
+	 * Mark a received fax read/unread or archive/restore it (POST /v1/fax/inbox/{id})
+	 */
+	async updateInboxFax(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const receivedFaxId = this.getInboxFaxIdFromPath(request);
+			if (!receivedFaxId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'A valid fax ID is required' };
+			}
+
+			let body;
+			try {
+				body = await request.json();
+			} catch {
+				return { statusCode: 400, error: 'Invalid request', message: 'Request body must be JSON' };
+			}
+
+			const { updates, error: updateError } = parseInboxUpdate(body);
+			if (updateError) {
+				return { statusCode: 400, error: 'Invalid request', message: updateError };
+			}
+
+			const fax = await DatabaseUtils.updateInboxFax(receivedFaxId, userId, updates, callerEnvObj, this.logger);
+			if (!fax) {
+				return { statusCode: 404, error: 'Not found', message: 'Fax not found' };
+			}
+
+			return {
+				statusCode: 200,
+				message: 'Fax updated successfully',
+				data: formatInboxItem(fax)
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in updateInboxFax', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to update fax',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	/**
+	 * Delete a received fax and its document (DELETE /v1/fax/inbox/{id})
+	 */
+	async deleteInboxFax(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const receivedFaxId = this.getInboxFaxIdFromPath(request);
+			if (!receivedFaxId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'A valid fax ID is required' };
+			}
+
+			const fax = await DatabaseUtils.getInboxFax(receivedFaxId, userId, callerEnvObj, this.logger);
+			if (!fax) {
+				return { statusCode: 404, error: 'Not found', message: 'Fax not found' };
+			}
+
+			// The document goes first so a failure never leaves a file without its record
+			const r2Utils = new R2Utils(this.logger, this.env);
+			if (fax.media_url && !(await r2Utils.deleteFile(r2Utils.getKeyFromPublicUrl(fax.media_url)))) {
+				return { statusCode: 500, error: 'Failed to delete fax', message: 'The fax document could not be deleted', timestamp: new Date().toISOString() };
+			}
+
+			if (!(await DatabaseUtils.deleteInboxFax(receivedFaxId, userId, callerEnvObj, this.logger))) {
+				return { statusCode: 500, error: 'Failed to delete fax', message: 'The fax record could not be deleted', timestamp: new Date().toISOString() };
+			}
+
+			this.logger.log('INFO', 'Inbox fax deleted', { userId, receivedFaxId });
+
+			return {
+				statusCode: 200,
+				message: 'Fax deleted successfully',
+				data: { id: receivedFaxId }
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in deleteInboxFax', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to delete fax',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	/**
+	 * Download a received fax (GET /v1/fax/inbox/{id}/download); unread faxes are marked read
+	 */
+	async downloadInboxFax(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const receivedFaxId = this.getInboxFaxIdFromPath(request);
+			if (!receivedFaxId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'A valid fax ID is required' };
 			}
 
-			// Log the parsed webhook data
-			this.logger.log('INFO', 'Telnyx fax receiving webhook processed', {
-				eventType,
-				webhookId,
-				toNumber,
-				fromNumber,
-				faxId,
-				status,
-				failureReason,
-				pageCount,
-				hasMediaUrl: !!mediaUrl,
-				timestamp
-			});
+			const fax = await DatabaseUtils.getInboxFax(receivedFaxId, userId, callerEnvObj, this.logger);
+			if (!fax) {
+				return { statusCode: 404, error: 'Not found', message: 'Fax not found' };
+			}
+
+			const r2Utils = new R2Utils(this.logger, this.env);
+			const file = fax.media_url ? await r2Utils.getFile(r2Utils.getKeyFromPublicUrl(fax.media_url)) : null;
+			if (!file) {
+				return { statusCode: 404, error: 'Not found', message: 'Fax document not found' };
+			}
+
+			if (!fax.read_at) {
+				await DatabaseUtils.updateInboxFax(receivedFaxId, userId, { read_at: new Date().toISOString() }, callerEnvObj, this.logger);
+			}
 
 			return {
 				statusCode: 200,
-				message: 'Fax receiving webhook processed successfully',
+				message: 'Received fax downloaded successfully',
 				data: {
-					eventType,
-					webhookId,
-					toNumber,
-					fromNumber,
-					faxId,
-					status,
-					failureReason,
-					pageCount,
-					hasMediaUrl: !!mediaUrl,
-					timestamp: new Date().toISOString()
+					id: fax.id,
+					fileData: FileUtils.arrayBufferToBase64(new Uint8Array(file.data)),
+					filename: `received_fax_${fax.id}.pdf`,
+					mimeType: 'application/pdf'
 				}
 			};
 
 		} catch (error) {
-			this.logger.log('ERROR', 'Error processing Telnyx fax receiving webhook', {
-				error: error.message,
-				stack: error.stack
+			this.logger.log('ERROR', 'Error in downloadInboxFax', {
+				errorMessage: error.message,
+				errorStack: error.stack
 			});
+
 			return {
 				statusCode: 500,
-				error: 'Fax receiving webhook processing failed',
-				message: error.message
+				error: 'Failed to download fax',
+				message: error.message,
+				timestamp: new Date().toISOString()
 			};
 		}
 	}
 
+	/**
+	 * Get the endpoint or delivery ID from /v1/fax/webhooks/{id} and /v1/fax/webhooks/deliveries/{id} paths
+	 * @param {Request} request - The HTTP request
+	 * @param {string} [kind] - 'endpoint' or 'delivery'
+	 * @returns {string|null} ID, or null if missing or not a UUID
+	 */
+	getWebhookIdFromPath(request, kind = 'endpoint') {
+		const pattern = kind === 'delivery' ? /\/v1\/fax\/webhooks\/deliveries\/([^/]+)/ : /\/v1\/fax\/webhooks\/([^/]+)/;
+		const match = new URL(request.url).pathname.match(pattern);
+		const id = match ? decodeURIComponent(match[1]) : null;
+		return id && UUID_PATTERN.test(id) ? id : null;
+	}
+
+	/**
+	 * List the caller's webhook endpoints (GET /v1/fax/webhooks)
+	 */
+	async listWebhookEndpoints(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const endpoints = await FaxDatabaseUtils.listWebhookEndpoints(userId, callerEnvObj, this.logger);
+
+			return {
+				statusCode: 200,
+				message: 'Webhook endpoints retrieved successfully',
+				data: {
+					endpoints: endpoints.map(formatWebhookEndpoint),
+					availableEvents: DEVELOPER_WEBHOOK_EVENTS
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in listWebhookEndpoints', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
 
+			return {
+				statusCode: 500,
+				error: 'Failed to list webhook endpoints',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
 
 	/**
-	 * General fax receiving webhook (public endpoint) - handles any provider
-	 * @param {Request} request - The HTTP request
-	 * @param {Object} caller_env - Environment variables
-	 * @param {Object} sagContext - Serverless API Gateway context
-	 * @returns {Promise<Object>} Response object
+	 * Register a webhook endpoint (POST /v1/fax/webhooks)
+	 * The signing secret is only returned here.
 	 */
-	async generalFaxReceiveWebhook(request, caller_env = "{}", sagContext = "{}") {
+	async createWebhookEndpoint(request, caller_env, sagContext) {
 		try {
-			// Ensure caller_env is an object for downstream DB utils
 			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
 
-			this.logger.log('INFO', 'Processing general fax receiving webhook (public endpoint)');
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
 
-			// Parse JSON body safely
-			const body = await request.json();
+			let body;
+			try {
+				body = await request.json();
+			} catch {
+				return { statusCode: 400, error: 'Invalid request', message: 'Request body must be JSON' };
+			}
 
-			// Try to detect the provider from the webhook payload structure
-			let provider = 'unknown';
-			let eventType = 'unknown';
-			let payload = {};
-			let webhookId = null;
-			let fromNumber = null;
-			let toNumber = null;
-			let faxId = null;
-			let status = null;
-			let pageCount = null;
-			let mediaUrl = null;
-			let timestamp = new Date().toISOString();
+			const existingEndpoints = await FaxDatabaseUtils.listWebhookEndpoints(userId, callerEnvObj, this.logger);
+			const { endpoint, error: endpointError } = parseWebhookEndpoint(body, existingEndpoints.length);
+			if (endpointError) {
+				return { statusCode: 400, error: 'Invalid request', message: endpointError };
+			}
 
-			// Detect Telnyx webhook format
-			if (body?.data?.event_type) {
-				provider = 'telnyx';
-				eventType = body.data.event_type;
-				payload = body.data.payload || {};
-				webhookId = body.data.id;
-				fromNumber = payload.from;
-				toNumber = payload.to;
-				faxId = payload.fax_id;
-				status = payload.status;
-				pageCount = payload.page_count;
-				mediaUrl = payload.media_url;
-				timestamp = body.data.occurred_at || timestamp;
+			try {
+				await assertPublicHost(new URL(endpoint.url).hostname.toLowerCase().replace(/\.$/, ''), AbortSignal.timeout(DELIVERY_TIMEOUT_MS));
+			} catch (error) {
+				return { statusCode: 400, error: 'Invalid request', message: `url must be a public https URL (${error.message})` };
 			}
 
+			const secret = generateWebhookSecret();
+			const created = await FaxDatabaseUtils.createWebhookEndpoint(userId, { ...endpoint, secret }, callerEnvObj, this.logger);
+			if (!created) {
+				return { statusCode: 500, error: 'Failed to create webhook endpoint', message: 'The webhook endpoint could not be saved', timestamp: new Date().toISOString() };
+			}
 
-			this.logger.log('INFO', 'Detected provider from webhook payload', {
-				provider,
-				eventType,
-				hasMediaUrl: !!mediaUrl
+			this.logger.log('INFO', 'Webhook endpoint created', { userId, endpointId: created.id, events: endpoint.event_types });
+
+			return {
+				statusCode: 200,
+				message: 'Webhook endpoint created successfully',
+				data: { ...formatWebhookEndpoint(created), secret }
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in createWebhookEndpoint', {
+				errorMessage: error.message,
+				errorStack: error.stack
 			});
 
-			// Check if this is a fax receiving event with media
-			const receivingEvents = ['fax.received', 'fax.receiving.started', 'fax.media.processing.started'];
-			if (receivingEvents.includes(eventType) && mediaUrl) {
-				this.logger.log('INFO', 'Processing fax receiving event with media', {
-					provider,
-					eventType,
-					webhookId,
-					fromNumber,
-					pageCount,
-					hasMediaUrl: !!mediaUrl
-				});
+			return {
+				statusCode: 500,
+				error: 'Failed to create webhook endpoint',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
 
-				// Download and upload the fax file to R2
-				const r2Utils = new R2Utils(this.logger, this.env);
-				
-				if (!r2Utils.validateConfiguration()) {
-					throw new Error('R2 configuration invalid for fax receiving');
-				}
+	/**
+	 * Remove a webhook endpoint and its delivery log (DELETE /v1/fax/webhooks/{id})
+	 */
+	async deleteWebhookEndpoint(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
 
-				try {
-					// Download the fax file from provider
-					this.logger.log('INFO', 'Downloading fax file from provider', { mediaUrl, provider });
-					
-					const response = await fetch(mediaUrl);
-					if (!response.ok) {
-						throw new Error(`Failed to download fax file: ${response.status} ${response.statusText}`);
-					}
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
 
-					const fileBuffer = await response.arrayBuffer();
-					
-					// Generate filename for R2 storage
-					const timestamp = Date.now();
-					const filename = `received/${provider}_${timestamp}_${webhookId}.pdf`;
-					
-					// Upload to R2
-					this.logger.log('INFO', 'Uploading fax file to R2', { filename });
-					const r2MediaUrl = await r2Utils.uploadFile(filename, fileBuffer, 'application/pdf');
-					
-					this.logger.log('INFO', 'Fax file uploaded to R2 successfully', { 
-						filename, 
-						r2MediaUrl,
-						originalMediaUrl: mediaUrl
-					});
+			const endpointId = this.getWebhookIdFromPath(request);
+			if (!endpointId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'A valid webhook endpoint ID is required' };
+			}
 
-					// Save to database
-					const receivedFaxData = {
-						webhookId: webhookId,
-						fromNumber: fromNumber,
-						pageCount: pageCount || 1,
-						mediaUrl: r2MediaUrl,
-						originalMediaUrl: mediaUrl,
-						receivedAt: new Date().toISOString(),
-						provider: provider
-					};
+			if (!(await FaxDatabaseUtils.deleteWebhookEndpoint(endpointId, userId, callerEnvObj, this.logger))) {
+				return { statusCode: 404, error: 'Not found', message: 'Webhook endpoint not found' };
+			}
 
-					const savedRecord = await DatabaseUtils.saveReceivedFax(receivedFaxData, callerEnvObj, this.logger);
-					
-					if (savedRecord) {
-						this.logger.log('INFO', 'Received fax record saved to database', {
-							recordId: savedRecord.id,
-							webhookId: savedRecord.webhook_id,
-							provider
-						});
+			this.logger.log('INFO', 'Webhook endpoint deleted', { userId, endpointId });
 
-						// Check if we're in production environment before sending Slack notification
-						const environment = callerEnvObj.ENVIRONMENT || this.env.ENVIRONMENT;
-						
-						if (environment === 'prod') {
-							// Send Slack notification for successful fax receive in production
-							await this.sendSlackNotificationForSuccessfulFaxReceive(
-								callerEnvObj,
-								{
-									fromNumber,
-									pageCount,
-									webhookId: savedRecord.webhook_id,
-									recordId: savedRecord.id,
-									provider: provider
-								}
-							);
-						}
-					} else {
-						this.logger.log('ERROR', 'Failed to save received fax record to database');
-					}
+			return {
+				statusCode: 200,
+				message: 'Webhook endpoint deleted successfully',
+				data: { id: endpointId }
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in deleteWebhookEndpoint', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to delete webhook endpoint',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	/**
+	 * List the latest deliveries of a webhook endpoint (GET /v1/fax/webhooks/{id}/deliveries)
+	 */
+	async listWebhookDeliveries(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
 
-				} catch (downloadError) {
-					this.logger.log('ERROR', 'Failed to process fax file', {
-						error: downloadError.message,
-						mediaUrl,
-						provider
-					});
-					// Continue processing even if file download/upload fails
-				}
-			} else {
-				this.logger.log('INFO', 'Skipping fax processing - not a receiving event or no media URL', {
-					provider,
-					eventType,
-					hasMediaUrl: !!mediaUrl
-				});
+			const endpointId = this.getWebhookIdFromPath(request);
+			if (!endpointId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'A valid webhook endpoint ID is required' };
 			}
 
-			// Log the parsed webhook data
-			this.logger.log('INFO', 'General fax receiving webhook processed', {
-				provider,
-				eventType,
-				webhookId,
-				toNumber,
-				fromNumber,
-				faxId,
-				status,
-				pageCount,
-				hasMediaUrl: !!mediaUrl,
-				timestamp
-			});
+			const endpoint = await FaxDatabaseUtils.getWebhookEndpoint(endpointId, userId, callerEnvObj, this.logger);
+			if (!endpoint) {
+				return { statusCode: 404, error: 'Not found', message: 'Webhook endpoint not found' };
+			}
+
+			const deliveries = await FaxDatabaseUtils.listWebhookDeliveries(endpointId, WEBHOOK_DELIVERY_LOG_LIMIT, callerEnvObj, this.logger);
 
 			return {
 				statusCode: 200,
-				message: 'General fax receiving webhook processed successfully',
+				message: 'Webhook deliveries retrieved successfully',
 				data: {
-					provider,
-					eventType,
-					webhookId,
-					toNumber,
-					fromNumber,
-					faxId,
-					status,
-					pageCount,
-					hasMediaUrl: !!mediaUrl,
-					timestamp: new Date().toISOString()
+					endpoint: formatWebhookEndpoint(endpoint),
+					deliveries: deliveries.map(formatWebhookDelivery)
 				}
 			};
 
 		} catch (error) {
-			this.logger.log('ERROR', 'Error processing general fax receiving webhook', {
-				error: error.message,
-				stack: error.stack
+			this.logger.log('ERROR', 'Error in listWebhookDeliveries', {
+				errorMessage: error.message,
+				errorStack: error.stack
 			});
+
 			return {
 				statusCode: 500,
-				error: 'General fax receiving webhook processing failed',
-				message: error.message
+				error: 'Failed to list webhook deliveries',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
+	/**
+	 * Send a logged delivery again right away (POST /v1/fax/webhooks/deliveries/{id}/redeliver)
+	 * Delivered and failed deliveries are attempted once more; the original payload and event ID are kept.
+	 */
+	async redeliverWebhook(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const deliveryId = this.getWebhookIdFromPath(request, 'delivery');
+			if (!deliveryId) {
+				return { statusCode: 400, error: 'Invalid request', message: 'A valid delivery ID is required' };
+			}
+
+			if (!(await FaxDatabaseUtils.getWebhookDelivery(deliveryId, userId, callerEnvObj, this.logger))) {
+				return { statusCode: 404, error: 'Not found', message: 'Webhook delivery not found' };
+			}
+
+			const now = new Date();
+			const leaseUntil = new Date(now.getTime() + DELIVERY_LEASE_SECONDS * 1000).toISOString();
+			const claimed = await FaxDatabaseUtils.claimWebhookDelivery(deliveryId, now.toISOString(), leaseUntil, callerEnvObj, this.logger, true);
+			if (!claimed) {
+				return { statusCode: 500, error: 'Failed to redeliver webhook', message: 'The delivery could not be updated', timestamp: new Date().toISOString() };
+			}
+
+			const delivery = await this.attemptWebhookDelivery(claimed, claimed.endpoint, callerEnvObj);
+
+			return {
+				statusCode: 200,
+				message: delivery?.status === 'delivered' ? 'Webhook redelivered successfully' : 'Webhook redelivery failed',
+				data: formatWebhookDelivery(delivery || claimed)
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in redeliverWebhook', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to redeliver webhook',
+				message: error.message,
+				timestamp: new Date().toISOString()
 			};
 		}
 	}
 
 	/**
-	 * Get all received faxes from the last 24 hours (unauthenticated endpoint)
+	 * Send an event to every endpoint of the user subscribed to it
+	 * Each endpoint gets a logged delivery that is attempted in the background (ctx.waitUntil); failed
+	 * attempts are retried by the cron service (dispatchWebhookDeliveries). Errors are logged and never
+	 * fail the caller.
+	 * @param {string} userId - User the event belongs to
+	 * @param {string} type - One of DEVELOPER_WEBHOOK_EVENTS
+	 * @param {Object} data - Event data
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @param {Array<Object>} [endpoints] - Subscribed endpoints, when already looked up
+	 * @returns {Promise<number>} Number of deliveries created
+	 */
+	async emitDeveloperEvent(userId, type, data, callerEnvObj, endpoints = null) {
+		try {
+			if (!userId) {
+				return 0;
+			}
+
+			const subscribed = endpoints || await FaxDatabaseUtils.getSubscribedWebhookEndpoints(userId, type, callerEnvObj, this.logger);
+			if (subscribed.length === 0) {
+				return 0;
+			}
+
+			const event = buildWebhookEvent(type, data);
+			const leaseUntil = new Date(Date.now() + DELIVERY_LEASE_SECONDS * 1000).toISOString();
+			const deliveries = await FaxDatabaseUtils.createWebhookDeliveries(subscribed.map(endpoint => ({
+				endpoint_id: endpoint.id,
+				user_id: userId,
+				event_id: event.id,
+				event_type: type,
+				payload: event,
+				status: 'pending',
+				next_attempt_at: leaseUntil
+			})), callerEnvObj, this.logger);
+
+			// First attempts run once the response is sent, so a slow endpoint can't hold up the webhook
+			// or request that raised the event. Without an execution context the deliveries are left to
+			// dispatchWebhookDeliveries, which picks them up when their lease runs out.
+			if (this.ctx?.waitUntil) {
+				this.ctx.waitUntil(Promise.all(deliveries.map(delivery => this.attemptWebhookDelivery(
+					delivery,
+					subscribed.find(candidate => candidate.id === delivery.endpoint_id),
+					callerEnvObj
+				).catch(error => {
+					this.logger.log('ERROR', 'Error attempting developer webhook delivery', {
+						deliveryId: delivery.id,
+						error: error.message
+					});
+				}))));
+			}
+
+			this.logger.log('INFO', 'Developer webhook event emitted', {
+				userId,
+				eventId: event.id,
+				type,
+				deliveries: deliveries.length
+			});
+
+			return deliveries.length;
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error emitting developer webhook event', {
+				userId,
+				type,
+				error: error.message
+			});
+			return 0;
+		}
+	}
+
+	/**
+	 * POST a delivery to its endpoint and record the outcome
+	 * Anything but a 2xx answer counts as a failure and is scheduled for a retry (see getNextAttemptAt);
+	 * redirects are not followed.
+	 * @param {Object} delivery - webhook_deliveries row
+	 * @param {Object|null} endpoint - Endpoint (id, url, secret, is_active)
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @returns {Promise<Object|null>} Updated delivery, or null if it couldn't be saved
+	 */
+	async attemptWebhookDelivery(delivery, endpoint, callerEnvObj) {
+		const now = new Date();
+		const attemptCount = (delivery.attempt_count || 0) + 1;
+		let responseStatus = null;
+		let lastError = null;
+
+		const urlCheck = endpoint ? checkRemoteUrl(endpoint.url) : null;
+		if (!endpoint || endpoint.is_active === false) {
+			lastError = 'Webhook endpoint is disabled';
+		} else if (urlCheck.error) {
+			lastError = 'Webhook endpoint URL is not allowed';
+		} else {
+			try {
+				const signal = AbortSignal.timeout(DELIVERY_TIMEOUT_MS);
+				// Resolved on every attempt: the host may have been pointed at a private address since it was registered
+				await assertPublicHost(urlCheck.url.hostname.toLowerCase().replace(/\.$/, ''), signal);
+
+				const rawBody = JSON.stringify(delivery.payload);
+				const response = await fetch(endpoint.url, {
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/json',
+						'User-Agent': 'SendFax-Webhooks/1.0',
+						'X-SendFax-Event': delivery.event_type,
+						'X-SendFax-Delivery': delivery.id,
+						[WEBHOOK_SIGNATURE_HEADER]: await signWebhookPayload(endpoint.secret, rawBody, Math.floor(now.getTime() / 1000))
+					},
+					body: rawBody,
+					redirect: 'manual',
+					signal
+				});
+
+				responseStatus = response.status;
+				if (!response.ok) {
+					lastError = `Endpoint responded with HTTP ${response.status}`;
+				}
+			} catch (error) {
+				lastError = error.name === 'TimeoutError' ? 'Endpoint timed out' : error.message;
+			}
+		}
+
+		const delivered = lastError === null;
+		const nextAttemptAt = delivered ? null : getNextAttemptAt(attemptCount, now);
+
+		if (!delivered) {
+			this.logger.log('WARN', 'Developer webhook delivery failed', {
+				deliveryId: delivery.id,
+				endpointId: delivery.endpoint_id,
+				attempt: attemptCount,
+				error: lastError,
+				nextAttemptAt
+			});
+		}
+
+		return FaxDatabaseUtils.recordWebhookDeliveryAttempt(delivery.id, {
+			status: delivered ? 'delivered' : (nextAttemptAt ? 'pending' : 'failed'),
+			attempt_count: attemptCount,
+			response_status: responseStatus,
+			last_error: lastError,
+			last_attempt_at: now.toISOString(),
+			next_attempt_at: nextAttemptAt,
+			delivered_at: delivered ? now.toISOString() : delivery.delivered_at || null
+		}, callerEnvObj, this.logger);
+	}
+
+	/**
+	 * Retry developer webhook deliveries that are due.
+	 * Called over RPC by the cron service. Each delivery is claimed by pushing its next attempt
+	 * ahead (see DELIVERY_LEASE_SECONDS), so overlapping runs don't send it twice.
+	 * @param {string|Object} caller_env - Secrets forwarded by the cron service
+	 * @returns {Promise<Object>} Dispatch summary
+	 */
+	async dispatchWebhookDeliveries(caller_env = "{}") {
+		const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+
+		const now = new Date();
+		const leaseUntil = new Date(now.getTime() + DELIVERY_LEASE_SECONDS * 1000).toISOString();
+		const dueDeliveries = await FaxDatabaseUtils.getDueWebhookDeliveries(now.toISOString(), callerEnvObj, this.logger);
+		const summary = { due: dueDeliveries.length, delivered: 0, failed: 0, skipped: 0 };
+
+		for (const dueDelivery of dueDeliveries) {
+			const delivery = await FaxDatabaseUtils.claimWebhookDelivery(dueDelivery.id, now.toISOString(), leaseUntil, callerEnvObj, this.logger);
+			if (!delivery) {
+				summary.skipped++;
+				continue;
+			}
+
+			const result = await this.attemptWebhookDelivery(delivery, delivery.endpoint, callerEnvObj);
+			if (result?.status === 'delivered') {
+				summary.delivered++;
+			} else {
+				summary.failed++;
+			}
+		}
+
+		this.logger.log('INFO', 'Webhook delivery dispatch completed', summary);
+
+		return {
+			statusCode: 200,
+			message: 'Webhook delivery dispatch completed',
+			data: summary
+		};
+	}
+
+	/**
+	 * Emit fax.queued for a fax a provider has just accepted
+	 * Raised on submission rather than from a webhook: records are created as queued and Telnyx
+	 * reports its queued status as sending, so no webhook ever moves a fax to queued.
+	 * @param {string|null} userId - Owner of the fax
+	 * @param {string} faxId - ID the fax record is looked up by
+	 * @param {string} idType - Column of faxId ('id' or 'provider_fax_id')
+	 * @param {Object} callerEnvObj - Caller environment
+	 */
+	async emitFaxQueuedEvent(userId, faxId, idType, callerEnvObj) {
+		if (!userId) {
+			return;
+		}
+
+		const endpoints = await FaxDatabaseUtils.getSubscribedWebhookEndpoints(userId, 'fax.queued', callerEnvObj, this.logger);
+		if (endpoints.length === 0) {
+			return;
+		}
+
+		const fax = await DatabaseUtils.getFaxRecord(faxId, callerEnvObj, this.logger, idType);
+		if (!fax) {
+			this.logger.log('WARN', 'Queued fax not found, fax.queued not emitted', { faxId, idType });
+			return;
+		}
+
+		await this.emitDeveloperEvent(userId, 'fax.queued', formatFaxEventData(fax, 'queued'), callerEnvObj, endpoints);
+	}
+
+	/**
+	 * Emit fax.delivered or fax.failed for a status update applied from a provider webhook
+	 * @param {Object} fax - Updated fax record
+	 * @param {string} standardizedStatus - Status that was applied
+	 * @param {string} notificationStatus - Final outcome (delivered or failed), if any
+	 * @param {string|null} failureReason - Why the fax failed
+	 * @param {Object} callerEnvObj - Caller environment
+	 */
+	async emitFaxStatusEvent(fax, standardizedStatus, notificationStatus, failureReason, callerEnvObj) {
+		if (!fax?.user_id) {
+			return;
+		}
+
+		if (['delivered', 'failed'].includes(notificationStatus)) {
+			await this.emitDeveloperEvent(fax.user_id, `fax.${notificationStatus}`, formatFaxEventData(fax, notificationStatus, failureReason), callerEnvObj);
+		}
+	}
+
+	/**
+	 * Emit credits.low when a charge takes the user's balance below the threshold
+	 * Only the charge that crosses the threshold raises the event, so it isn't repeated for every fax.
+	 * @param {string} userId - User that was charged
+	 * @param {number} creditsCharged - Credits just deducted
+	 * @param {Object} callerEnvObj - Caller environment (FAX_LOW_CREDITS_THRESHOLD)
+	 */
+	async emitLowCreditsEvent(userId, creditsCharged, callerEnvObj) {
+		const endpoints = await FaxDatabaseUtils.getSubscribedWebhookEndpoints(userId, 'credits.low', callerEnvObj, this.logger);
+		if (endpoints.length === 0) {
+			return;
+		}
+
+		const creditCheck = await FaxDatabaseUtils.checkUserCredits(userId, 0, callerEnvObj, this.logger);
+		const availableCredits = creditCheck?.availablePages ?? 0;
+		const threshold = getLowCreditsThreshold(callerEnvObj);
+		if (availableCredits >= threshold || availableCredits + creditsCharged < threshold) {
+			return;
+		}
+
+		await this.emitDeveloperEvent(userId, 'credits.low', { availableCredits, threshold }, callerEnvObj, endpoints);
+	}
+
+	/**
+	 * Get all received faxes from the last 24 hours, across all users (admins only)
+	 * Admins have role "admin" in their app_metadata, which only the service role can set.
 	 * @param {Request} request - The HTTP request
 	 * @param {Object} caller_env - Environment variables
 	 * @param {Object} sagContext - Serverless API Gateway context
@@ -1585,6 +4700,17 @@ export default class extends WorkerEntrypoint {
 
 			// Parse environment variables
 			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env) : caller_env;
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			if (sagContextObj.jwtPayload?.app_metadata?.role !== 'admin') {
+				this.logger.log('WARN', 'Non-admin attempted to list all received faxes', { userId });
+				return { statusCode: 403, error: 'Forbidden', message: 'Admin access required' };
+			}
 
 			// Get received faxes from the last 24 hours
 			const result = await FaxDatabaseUtils.getReceivedFaxesLast24Hours(callerEnvObj, this.logger);
@@ -1771,6 +4897,93 @@ export default class extends WorkerEntrypoint {
 		return 'Unknown';
 	}
 
+	/**
+	 * Charge the owner of an inbound number for the pages of a received fax
+	 * Received faxes can't be refused, so a fax is kept even when the charge fails.
+	 * @param {Object} assignment - fax_number_assignments row of the receiving number
+	 * @param {Object} receivedFax - Saved free_fax_receives record
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @param {string} provider - Provider name for logging
+	 * @returns {Promise<number>} Credits charged
+	 */
+	async chargeInboundFax(assignment, receivedFax, callerEnvObj, provider) {
+		const credits = (receivedFax.page_count || 1) * (assignment.inbound_credits_per_page || 0);
+		if (credits <= 0) {
+			return 0;
+		}
+
+		const charged = await this.deductCreditsForDeliveredFax(assignment.user_id, credits, receivedFax.id, callerEnvObj, provider);
+		if (!charged) {
+			this.logger.log('WARN', 'Inbound fax could not be charged', {
+				userId: assignment.user_id,
+				receivedFaxId: receivedFax.id,
+				credits
+			});
+			return 0;
+		}
+
+		await FaxDatabaseUtils.recordInboundCharge(receivedFax.id, credits, callerEnvObj, this.logger);
+		await this.emitLowCreditsEvent(assignment.user_id, credits, callerEnvObj);
+		return credits;
+	}
+
+	/**
+	 * Forward a received fax by email according to its number's forwarding rules
+	 * Errors are logged; forwarding never fails the receive webhook.
+	 * @param {Object} callerEnvObj - Caller environment
+	 * @param {Object} receivedFax - Received fax (receivedFaxData plus recordId and the PDF in fileBuffer)
+	 * @returns {Promise<number>} Number of rules the fax was forwarded for
+	 */
+	async forwardReceivedFax(callerEnvObj, receivedFax) {
+		try {
+			const rules = await FaxDatabaseUtils.getFaxForwardingRules(receivedFax.toNumber, callerEnvObj, this.logger);
+			if (rules.length === 0) {
+				return 0;
+			}
+
+			const fileSize = receivedFax.fileBuffer?.byteLength ?? null;
+			const emailService = this.createEmailService(callerEnvObj);
+			let attachmentData = null;
+			let forwarded = 0;
+
+			for (const rule of rules) {
+				const delivery = chooseDelivery(rule, fileSize, receivedFax.mediaUrl);
+				if (!delivery) {
+					this.logger.log('WARN', 'Received fax has neither a PDF nor a link to forward', { ruleId: rule.id, recordId: receivedFax.recordId });
+					continue;
+				}
+
+				const content = renderReceivedFaxEmail(receivedFax, delivery, rule.time_zone);
+				let attachments;
+				if (delivery === 'attachment') {
+					attachmentData = attachmentData || FileUtils.arrayBufferToBase64(new Uint8Array(receivedFax.fileBuffer));
+					attachments = [{ filename: getForwardedFaxFilename(receivedFax), content: attachmentData }];
+				}
+
+				const sent = await emailService.sendEmail({ to: rule.emails, ...content, attachments });
+				if (sent) {
+					forwarded++;
+				}
+
+				this.logger.log(sent ? 'INFO' : 'WARN', sent ? 'Received fax forwarded by email' : 'Received fax could not be forwarded by email', {
+					ruleId: rule.id,
+					recordId: receivedFax.recordId,
+					delivery,
+					recipientCount: rule.emails.length
+				});
+			}
+
+			return forwarded;
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error forwarding received fax by email', {
+				error: error.message,
+				recordId: receivedFax?.recordId
+			});
+			return 0;
+		}
+	}
+
 	/**
 	 * Send Slack notification for successful fax receive in production
 	 * @param {Object} callerEnvObj - Caller environment object
@@ -1987,6 +5200,117 @@ export default class extends WorkerEntrypoint {
 		}
 	}
 
+	/**
+	 * Price a fax without sending it (POST /v1/fax/quote)
+	 * Takes the recipients plus either the documents (as for /v1/fax/send) or their page
+	 * counts, and compares the cost with the caller's balance.
+	 * @param {Request} request - The HTTP request
+	 * @param {Object} caller_env - Environment variables
+	 * @param {Object} sagContext - Serverless API Gateway context
+	 * @returns {Promise<Object>} Response object with the quote
+	 */
+	async quoteFax(request, caller_env, sagContext) {
+		try {
+			const callerEnvObj = typeof caller_env === 'string' ? JSON.parse(caller_env || '{}') : (caller_env || {});
+			const sagContextObj = typeof sagContext === 'string' ? JSON.parse(sagContext || '{}') : (sagContext || {});
+
+			const userId = sagContextObj.jwtPayload?.sub || sagContextObj.jwtPayload?.user_id || null;
+			if (!userId) {
+				return { statusCode: 401, error: 'Unauthorized', message: 'Authentication required' };
+			}
+
+			const requestBody = await this.parseRequestBody(request);
+			if (!requestBody || typeof requestBody !== 'object') {
+				return { statusCode: 400, error: 'Invalid request', message: 'Request body must be JSON or multipart form data' };
+			}
+
+			let recipients;
+			let pages;
+			let documentCount;
+
+			if (!(requestBody instanceof FormData) && requestBody.pages !== undefined) {
+				const pageCounts = parseQuotePages(requestBody.pages);
+				if (pageCounts.error) {
+					return { statusCode: 400, error: 'Invalid request', message: pageCounts.error };
+				}
+				recipients = Array.isArray(requestBody.recipients) ? requestBody.recipients : [requestBody.recipient].filter(Boolean);
+				({ pages, documentCount } = pageCounts);
+			} else {
+				// Documents are fetched and counted exactly as sendFax does it
+				const faxProvider = await this.createFaxProvider(await this.getApiProviderName(request, requestBody, callerEnvObj), callerEnvObj);
+				let faxRequest;
+				try {
+					faxRequest = await faxProvider.prepareFaxRequest(await resolveRemoteDocuments(requestBody, callerEnvObj, this.logger));
+				} catch (error) {
+					return { statusCode: error.statusCode || 400, error: error.statusCode === 413 ? 'Documents too large' : 'Invalid document', message: error.message };
+				}
+				if (!faxRequest.files?.length) {
+					return { statusCode: 400, error: 'Invalid request', message: 'Provide the documents in files or their page counts in pages' };
+				}
+				recipients = faxRequest.recipients || [];
+				pages = faxRequest.files._totalPages || 1;
+				documentCount = faxRequest.files._documentCount || faxRequest.files.length;
+			}
+
+			recipients = [...new Set(recipients.filter(recipient => typeof recipient === 'string' && recipient.trim()).map(recipient => toE164(recipient) || recipient))];
+			if (recipients.length === 0) {
+				return { statusCode: 400, error: 'Invalid request', message: 'At least one recipient is required' };
+			}
+
+			const quotes = [];
+			for (const recipient of recipients) {
+				const { creditPerPage, creditsRequired, rateInfo } = await this.calculateFaxCredits(recipient, pages, callerEnvObj, request);
+				quotes.push({ recipient, creditPerPage, creditsRequired, rateInfo });
+			}
+			const totalCreditsRequired = quotes.reduce((sum, quote) => sum + quote.creditsRequired, 0);
+
+			const creditCheck = await FaxDatabaseUtils.checkUserCredits(userId, totalCreditsRequired, callerEnvObj, this.logger);
+			// A balance that couldn't be read (credits or holds) is not quoted as zero
+			if (creditCheck.error?.startsWith('Failed to check')) {
+				return { statusCode: 500, error: 'Failed to calculate quote', message: creditCheck.error, timestamp: new Date().toISOString() };
+			}
+			const balance = summarizeCreditBalance(creditCheck);
+
+			this.logger.log('INFO', 'Fax quote calculated', {
+				userId,
+				recipientCount: recipients.length,
+				pages,
+				creditsRequired: totalCreditsRequired,
+				availableCredits: balance.availableCredits
+			});
+
+			return {
+				statusCode: 200,
+				message: 'Quote calculated successfully',
+				data: {
+					pages,
+					documentCount,
+					recipients: quotes,
+					totalPages: pages * recipients.length,
+					creditsRequired: totalCreditsRequired,
+					balance,
+					hasCredits: creditCheck.hasCredits,
+					shortfall: Math.max(totalCreditsRequired - balance.availableCredits, 0),
+					// Paid plans top up; free users can only get more by upgrading
+					upgradeRequired: !creditCheck.hasCredits && creditCheck.creditSource !== 'subscription'
+				}
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Error in quoteFax', {
+				errorMessage: error.message,
+				errorStack: error.stack
+			});
+
+			return {
+				statusCode: 500,
+				error: 'Failed to calculate quote',
+				message: error.message,
+				timestamp: new Date().toISOString()
+			};
+		}
+	}
+
 	/**
 	 * Calculate total credits required for a fax
 	 * @param {string} destinationNumber - Recipient phone number
@@ -0,0 +1,128 @@
+/**
+ * Duplicate-send protection for POST /v1/fax/send
+ *
+ * Two layers, both scoped to the calling user:
+ *
+ *   Idempotency-Key header  the first successful response is stored and replayed for any
+ *                           repeat within FAX_IDEMPOTENCY_TTL_HOURS (default 24); a key whose
+ *                           request never finished can be claimed again after
+ *                           FAX_IDEMPOTENCY_LEASE_MINUTES (default 5)
+ *   Document hash           the same documents sent to the same recipient within
+ *                           FAX_DUPLICATE_WINDOW_MINUTES (default 10) are held back with a
+ *                           warning until the client resends with allowDuplicate: true
+ */
+
+import { readPositiveNumber } from './utils.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const DEFAULT_IDEMPOTENCY_TTL_HOURS = 24;
+export const DEFAULT_IDEMPOTENCY_LEASE_MINUTES = 5;
+export const DEFAULT_DUPLICATE_WINDOW_MINUTES = 10;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Read the duplicate protection settings from the caller environment
+ * @param {Object} env - Caller environment
+ * @returns {{ttlHours: number, leaseMinutes: number, duplicateWindowMinutes: number}} Settings
+ */
+export function getIdempotencySettings(env = {}) {
+	return {
+		ttlHours: readPositiveNumber(env.FAX_IDEMPOTENCY_TTL_HOURS, DEFAULT_IDEMPOTENCY_TTL_HOURS),
+		leaseMinutes: readPositiveNumber(env.FAX_IDEMPOTENCY_LEASE_MINUTES, DEFAULT_IDEMPOTENCY_LEASE_MINUTES),
+		duplicateWindowMinutes: readPositiveNumber(env.FAX_DUPLICATE_WINDOW_MINUTES, DEFAULT_DUPLICATE_WINDOW_MINUTES)
+	};
+}
+
+/**
+ * Read and validate the Idempotency-Key header
+ * @param {Request} request - Incoming request
+ * @returns {{key: string|null, error: string|null}} Key (null when absent) or a validation error
+ */
+export function getIdempotencyKey(request) {
+	const value = request.headers?.get?.(IDEMPOTENCY_HEADER);
+	if (value === null || value === undefined) {
+		return { key: null, error: null };
+	}
+
+	const key = value.trim();
+	if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+		return { key: null, error: `${IDEMPOTENCY_HEADER} must be 1-${MAX_KEY_LENGTH} printable ASCII characters without spaces` };
+	}
+
+	return { key, error: null };
+}
+
+/**
+ * SHA-256 as a hex string
+ * @param {Uint8Array|ArrayBuffer|string} data - Data to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Hex(data) {
+	const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+	const digest = await crypto.subtle.digest('SHA-256', bytes);
+	return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash the documents of a send request as uploaded (before any conversion), so the same
+ * file hashes the same whether it arrives as form data or base64 JSON
+ * @param {FormData|Object} requestBody - Parsed request body
+ * @returns {Promise<string|null>} Hex digest, or null when the request has no documents
+ */
+export async function hashRequestDocuments(requestBody) {
+	let files = [];
+	if (requestBody instanceof FormData) {
+		files = requestBody.getAll('files[]');
+	} else if (Array.isArray(requestBody?.files)) {
+		files = requestBody.files;
+	}
+
+	const fileHashes = [];
+	for (const file of files) {
+		if (file && typeof file.arrayBuffer === 'function') {
+			fileHashes.push(await sha256Hex(await file.arrayBuffer()));
+		} else if (typeof file?.data === 'string') {
+			try {
+				fileHashes.push(await sha256Hex(Uint8Array.from(atob(file.data), c => c.charCodeAt(0))));
+			} catch {
+				// Invalid base64 is rejected by prepareFaxRequest; hash the raw text meanwhile
+				fileHashes.push(await sha256Hex(file.data));
+			}
+		}
+	}
+
+	if (fileHashes.length === 0) {
+		return null;
+	}
+
+	return fileHashes.length === 1 ? fileHashes[0] : await sha256Hex(fileHashes.join(':'));
+}
+
+/**
+ * Fingerprint of what a send request asks for; an Idempotency-Key reused with a different
+ * fingerprint is a client bug and is rejected rather than replayed
+ * @param {Object} faxRequest - Prepared fax request
+ * @param {string|null} documentHash - Result of hashRequestDocuments
+ * @returns {Promise<string>} Hex digest
+ */
+export async function buildRequestFingerprint(faxRequest, documentHash) {
+	return await sha256Hex(JSON.stringify({
+		recipients: faxRequest.recipients || [],
+		documentHash: documentHash || null,
+		senderId: faxRequest.senderId || null,
+		coverPage: faxRequest.coverPage || null,
+		message: faxRequest.message || null,
+		sendAt: faxRequest.send_at || faxRequest.sendAt || null
+	}));
+}
+
+/**
+ * Whether the client has confirmed it really wants to send a duplicate
+ * @param {Object} faxRequest - Prepared fax request
+ * @returns {boolean} True when allowDuplicate / allow_duplicate is set
+ */
+export function isDuplicateOverride(faxRequest) {
+	const value = faxRequest.allowDuplicate ?? faxRequest.allow_duplicate;
+	return value === true || value === 'true';
+}
@@ -1,5 +1,5 @@
 /**
- * Push Notification Service for Fax Status Updates
+ * Push Notification Service for Fax Status Updates and Received Faxes
  * Integrates with OneSignal REST API to send push notifications to iOS app users
  */
 
@@ -22,8 +22,11 @@ export class NotificationService {
      * @param {string} notification.title - Notification title
      * @param {string} notification.message - Notification body message
      * @param {string} notification.faxId - Fax ID for deep linking
-     * @param {string} notification.status - Fax status (delivered/failed)
+     * @param {string} notification.status - Fax status (delivered/failed/received)
      * @param {string} notification.recipientNumber - Recipient fax number
+     * @param {string} [notification.type] - Notification type (e.g. fax_received)
+     * @param {string} [notification.senderNumber] - Sender fax number of a received fax
+     * @param {string} [notification.deepLink] - Deep link (defaults to sendfaxapp://fax/{faxId})
      * @returns {Promise<Object>} OneSignal API response
      */
     async sendPushNotification(env, userId, notification) {
@@ -111,7 +114,9 @@ export class NotificationService {
                     fax_id: notification.faxId,
                     status: notification.status,
                     recipient_number: notification.recipientNumber,
-                    deep_link: `sendfaxapp://fax/${notification.faxId}`
+                    deep_link: notification.deepLink || `sendfaxapp://fax/${notification.faxId}`,
+                    ...(notification.type ? { type: notification.type } : {}),
+                    ...(notification.senderNumber ? { sender_number: notification.senderNumber } : {})
                 },
                 // Use SetTo instead of Increase to set badge to 1
                 // This prevents badge count from accumulating incorrectly
@@ -462,6 +467,64 @@ export class NotificationService {
         }
     }
 
+    /**
+     * Send a notification for a fax received on one of the user's numbers
+     * Deep-links to the received fax in the inbox (sendfaxapp://inbox/{id}).
+     * @param {Object} env - Environment variables
+     * @param {Object} receivedFax - free_fax_receives record
+     * @param {string} receivedFax.id - Received fax ID
+     * @param {string} receivedFax.user_id - Owner of the receiving number
+     * @param {string} receivedFax.from_number - Sender fax number
+     * @param {string} [receivedFax.to_number] - Number the fax was received on
+     * @param {number} [receivedFax.page_count] - Pages received
+     * @returns {Promise<Object>} Notification send result
+     */
+    async sendFaxReceivedNotification(env, receivedFax) {
+        try {
+            if (!receivedFax || !receivedFax.id || !receivedFax.user_id) {
+                this.logger.log('WARN', 'Invalid received fax data for notification', {
+                    faxProvided: !!receivedFax,
+                    hasUserId: !!receivedFax?.user_id
+                });
+                return { success: false, error: 'Invalid fax data' };
+            }
+
+            const userPreferences = await this.getUserNotificationPreferences(env, receivedFax.user_id);
+            if (userPreferences && userPreferences.fax_received_enabled === false) {
+                this.logger.log('DEBUG', 'User has disabled received fax notifications', {
+                    userId: receivedFax.user_id,
+                    faxId: receivedFax.id
+                });
+                return { success: false, skipped: true, reason: 'User disabled received fax notifications' };
+            }
+
+            const pages = receivedFax.page_count || 1;
+            const notification = {
+                type: 'fax_received',
+                faxId: receivedFax.id,
+                status: 'received',
+                senderNumber: receivedFax.from_number || null,
+                recipientNumber: receivedFax.to_number || null,
+                deepLink: `sendfaxapp://inbox/${receivedFax.id}`,
+                title: 'Fax Received',
+                message: `You received a ${pages}-page fax from ${this.formatPhoneNumber(receivedFax.from_number)}.`
+            };
+
+            return await this.sendPushNotification(env, receivedFax.user_id, notification);
+
+        } catch (error) {
+            this.logger.log('ERROR', 'Error sending received fax notification', {
+                error: error.message,
+                faxId: receivedFax?.id,
+                userId: receivedFax?.user_id
+            });
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Get user's notification preferences from Supabase
      * @param {Object} env - Environment variables
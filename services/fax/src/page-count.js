@@ -0,0 +1,82 @@
+/**
+ * Server-side page counting for uploaded documents
+ *
+ * Credits are charged per page, so the page count always comes from the document
+ * itself rather than from the client. Images and text are converted to PDF before they
+ * are counted; documents that are still not a PDF can't be counted and are rejected.
+ */
+
+import { PDFDocument } from 'pdf-lib';
+
+// "%PDF-"
+const PDF_MAGIC = [0x25, 0x50, 0x44, 0x46, 0x2d];
+
+/**
+ * Check whether bytes look like a PDF (the header may be preceded by a little junk)
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True if a PDF header is found in the first 1024 bytes
+ */
+export function isPdf(bytes) {
+	const limit = Math.min(bytes.length - PDF_MAGIC.length, 1024);
+	for (let offset = 0; offset <= limit; offset++) {
+		if (PDF_MAGIC.every((byte, i) => bytes[offset + i] === byte)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Count the pages of a PDF
+ * @param {Uint8Array|ArrayBuffer} data - PDF contents
+ * @returns {Promise<number>} Page count
+ * @throws {Error} If the PDF can't be parsed
+ */
+export async function countPdfPages(data) {
+	const pdf = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+	return pdf.getPageCount();
+}
+
+/**
+ * Page count to bill for an uploaded file
+ * @param {Uint8Array} bytes - File contents
+ * @param {number|undefined} declaredPageCount - Page count sent by the client, if any (only compared)
+ * @param {Object} logger - Logger instance
+ * @param {string} fileLabel - File name or index used in log messages
+ * @returns {Promise<number>} Pages in the file
+ * @throws {Error} If the file is not a PDF, or is a PDF that can't be parsed
+ */
+export async function countFilePages(bytes, declaredPageCount, logger, fileLabel) {
+	const declared = typeof declaredPageCount === 'number' && declaredPageCount > 0 ? declaredPageCount : null;
+
+	if (!isPdf(bytes)) {
+		// Word, Excel and other formats would be billed at whatever page count the client declared
+		logger.log('WARN', 'Document pages cannot be counted', { file: fileLabel, declaredPageCount: declared });
+		throw new Error(`Unable to count the pages of document ${fileLabel}; send a PDF, JPEG, PNG, TIFF or text file`);
+	}
+
+	let pageCount;
+	try {
+		pageCount = await countPdfPages(bytes);
+	} catch (error) {
+		logger.log('ERROR', 'Failed to parse PDF for page count', {
+			file: fileLabel,
+			error: error.message
+		});
+		throw new Error(`Unable to read PDF document ${fileLabel}`);
+	}
+
+	if (pageCount < 1) {
+		throw new Error(`PDF document ${fileLabel} has no pages`);
+	}
+
+	if (declared !== null && declared !== pageCount) {
+		logger.log('WARN', 'Client page count does not match document, using counted pages', {
+			file: fileLabel,
+			declaredPageCount: declared,
+			countedPageCount: pageCount
+		});
+	}
+
+	return pageCount;
+}
@@ -0,0 +1,51 @@
+/**
+ * Text helpers for drawing with pdf-lib's standard fonts
+ */
+
+/**
+ * Standard fonts only cover WinAnsi; replace anything else so drawing never throws
+ * @param {*} value - Text to draw
+ * @returns {string} Drawable text
+ */
+export function toDrawableText(value) {
+	return String(value ?? '')
+		.replace(/\r\n?/g, '\n')
+		.replace(/\t/g, '    ')
+		.replace(/[^\n\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+/**
+ * Break text into lines that fit maxWidth
+ * @param {string} text - Text (may contain newlines)
+ * @param {Object} font - Embedded pdf-lib font
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width in points
+ * @returns {Array<string>} Lines
+ */
+export function wrapText(text, font, size, maxWidth) {
+	const lines = [];
+
+	for (const paragraph of text.split('\n')) {
+		let line = '';
+		for (const word of paragraph.split(/ +/)) {
+			const candidate = line ? `${line} ${word}` : word;
+			if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+				line = candidate;
+				continue;
+			}
+			if (line) lines.push(line);
+
+			// Hard-break words that are wider than a whole line
+			line = word;
+			while (font.widthOfTextAtSize(line, size) > maxWidth && line.length > 1) {
+				let cut = line.length - 1;
+				while (cut > 1 && font.widthOfTextAtSize(line.slice(0, cut), size) > maxWidth) cut--;
+				lines.push(line.slice(0, cut));
+				line = line.slice(cut);
+			}
+		}
+		lines.push(line);
+	}
+
+	return lines;
+}
@@ -0,0 +1,50 @@
+/**
+ * Provider failover helpers
+ *
+ * sendFax walks an ordered provider chain (FAX_PROVIDER_CHAIN, e.g. "telnyx,notifyre")
+ * and only moves on to the next provider when a submission fails for a reason that
+ * another provider could plausibly avoid: provider outages, capacity limits and
+ * network failures. Validation errors (bad number, unreadable document) fail fast.
+ */
+
+// Error codes Telnyx returns when it is temporarily unable to take a fax
+const RETRYABLE_ERROR_CODES = ['connection_channel_limit_exceeded', 'service_unavailable'];
+
+// Providers throw "<Provider> API error: <status> <statusText> - ..."
+const HTTP_STATUS_PATTERN = /API error: (\d{3})\b/;
+
+/**
+ * Parse a comma separated provider chain
+ * @param {string|Array} value - Raw FAX_PROVIDER_CHAIN setting
+ * @returns {Array<string>} Provider names in order (not normalised)
+ */
+export function parseProviderChain(value) {
+	if (!value) return [];
+	const items = Array.isArray(value) ? value : String(value).split(',');
+	return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Decide whether a failed submission should be retried with the next provider
+ * @param {Error} error - Error thrown by the provider workflow
+ * @returns {boolean} True if the next provider should be tried
+ */
+export function isRetryableSubmissionError(error) {
+	const message = error?.message || '';
+
+	const statusMatch = message.match(HTTP_STATUS_PATTERN);
+	if (statusMatch) {
+		const status = Number(statusMatch[1]);
+		if (status >= 500 || status === 429) {
+			return true;
+		}
+	}
+
+	const lowerMessage = message.toLowerCase();
+	if (RETRYABLE_ERROR_CODES.some(code => lowerMessage.includes(code))) {
+		return true;
+	}
+
+	// fetch() rejects with a TypeError when the connection itself fails
+	return error instanceof TypeError && /fetch|network|connect/i.test(message);
+}
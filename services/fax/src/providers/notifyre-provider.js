@@ -5,6 +5,8 @@
 
 // Removed BaseFaxProvider dependency – standalone implementation
 import { FileUtils } from '../utils.js';
+import { countFilePages } from '../page-count.js';
+import { convertDocument } from '../document-converter.js';
 
 export class NotifyreProvider {
 	constructor(apiKey, logger) {
@@ -33,6 +35,10 @@ export class NotifyreProvider {
 					faxRequest[key] = value;
 				}
 			}
+
+			if (faxRequest.files) {
+				faxRequest.files = await this.processJsonFiles(faxRequest.files, { paperSize: faxRequest.paperSize });
+			}
 		} else if (typeof requestBody === 'object' && requestBody !== null) {
 			const {
 				recipient,
@@ -59,43 +65,57 @@ export class NotifyreProvider {
 			}
 
 			if (files && Array.isArray(files)) {
-				faxRequest.files = await this.processJsonFiles(files);
+				faxRequest.files = await this.processJsonFiles(files, { paperSize: faxRequest.paperSize });
 			}
 		}
 
 		return faxRequest;
 	}
 
-	async processJsonFiles(files) {
+	async processJsonFiles(files, options = {}) {
 		const processedFiles = [];
 		let totalPages = 0;
 
 		for (let i = 0; i < files.length; i++) {
 			const file = files[i];
+			let buffer;
+			let contentType;
+			let filename;
+			let declaredPageCount;
 
 			if (file.data) {
 				try {
-					const buffer = Uint8Array.from(atob(file.data), c => c.charCodeAt(0));
-					const blob = new Blob([buffer], { type: file.mimeType || 'application/pdf' });
-					processedFiles.push(blob);
-					
-					// Extract page count from file if provided (handle both camelCase and snake_case)
-					const pageCount = file.pageCount || file.page_count;
-					if (pageCount && typeof pageCount === 'number') {
-						totalPages += pageCount;
-					} else {
-						totalPages += 1; // Default to 1 page if not specified
-					}
+					buffer = Uint8Array.from(atob(file.data), c => c.charCodeAt(0));
 				} catch (base64Error) {
 					this.logger.log('ERROR', `Failed to decode base64 for file ${i}`, {
 						error: base64Error.message
 					});
 					throw new Error(`Invalid base64 data for file ${i}`);
 				}
+				contentType = file.mimeType || file.type;
+				filename = file.filename || file.name;
+				// The client's pageCount (camelCase or snake_case) is only a fallback
+				declaredPageCount = file.pageCount || file.page_count;
+			} else {
+				// FormData uploads arrive as File objects
+				buffer = typeof file?.arrayBuffer === 'function' ? new Uint8Array(await file.arrayBuffer()) : new Uint8Array();
+				contentType = file?.type;
+				filename = file?.name;
+			}
+
+			// Images and plain text become monochrome PDF pages before we count and bill them
+			const prepared = await convertDocument(buffer, { contentType, filename, paperSize: options.paperSize }, this.logger);
+
+			if (prepared.converted) {
+				const pdfName = `${(filename || `document_${i + 1}`).replace(/\.[^.]*$/, '')}.pdf`;
+				processedFiles.push(new File([prepared.bytes], pdfName, { type: 'application/pdf' }));
+			} else if (file.data) {
+				processedFiles.push(new Blob([buffer], { type: contentType || 'application/pdf' }));
 			} else {
 				processedFiles.push(file);
-				totalPages += 1; // Default to 1 page for non-base64 files
 			}
+
+			totalPages += await countFilePages(prepared.bytes, prepared.converted ? undefined : declaredPageCount, this.logger, filename || i);
 		}
 
 		// Store total pages and document count in the processed files array metadata
@@ -273,6 +293,25 @@ export class NotifyreProvider {
 		};
 	}
 
+	/**
+	 * Cancel a fax that Notifyre has not finished sending
+	 * @param {string} faxId - Notifyre fax ID
+	 * @returns {object} Standardized response
+	 */
+	async cancelFax(faxId) {
+		this.logger.log('INFO', 'Cancelling fax via Notifyre', { faxId });
+
+		const response = await this.makeRequest(`/fax/send/${encodeURIComponent(faxId)}/cancel`, 'POST', {});
+
+		return {
+			id: faxId,
+			status: 'cancelled',
+			originalStatus: 'Cancelled',
+			timestamp: new Date().toISOString(),
+			providerResponse: response
+		};
+	}
+
 	/**
 	 * Get Notifyre API headers
 	 * @returns {object} Headers for API requests
@@ -6,6 +6,9 @@
 
 import { FileUtils } from '../utils.js';
 import { DatabaseUtils } from '../database.js';
+import { countFilePages } from '../page-count.js';
+import { convertDocument } from '../document-converter.js';
+import { generateCoverPage, resolveCoverPageTemplate, getFaxDocumentKey, COVER_PAGE_FILENAME } from '../cover-page.js';
 
 export class TelnyxProvider {
 	constructor(apiKey, logger, options = {}) {
@@ -38,6 +41,10 @@ export class TelnyxProvider {
 					faxRequest[key] = value;
 				}
 			}
+
+			if (faxRequest.files) {
+				faxRequest.files = await this.processJsonFiles(faxRequest.files, { paperSize: faxRequest.paperSize });
+			}
 		} else if (typeof requestBody === 'object' && requestBody !== null) {
 			const {
 				recipient,
@@ -69,43 +76,57 @@ export class TelnyxProvider {
 			}
 
 			if (files && Array.isArray(files)) {
-				faxRequest.files = await this.processJsonFiles(files);
+				faxRequest.files = await this.processJsonFiles(files, { paperSize: faxRequest.paperSize });
 			}
 		}
 
 		return faxRequest;
 	}
 
-	async processJsonFiles(files) {
+	async processJsonFiles(files, options = {}) {
 		const processedFiles = [];
 		let totalPages = 0;
 
 		for (let i = 0; i < files.length; i++) {
 			const file = files[i];
+			let buffer;
+			let contentType;
+			let filename;
+			let declaredPageCount;
 
 			if (file.data) {
 				try {
-					const buffer = Uint8Array.from(atob(file.data), c => c.charCodeAt(0));
-					const blob = new Blob([buffer], { type: file.mimeType || 'application/pdf' });
-					processedFiles.push(blob);
-					
-					// Extract page count from file if provided (handle both camelCase and snake_case)
-					const pageCount = file.pageCount || file.page_count;
-					if (pageCount && typeof pageCount === 'number') {
-						totalPages += pageCount;
-					} else {
-						totalPages += 1; // Default to 1 page if not specified
-					}
+					buffer = Uint8Array.from(atob(file.data), c => c.charCodeAt(0));
 				} catch (base64Error) {
 					this.logger.log('ERROR', `Failed to decode base64 for file ${i}`, {
 						error: base64Error.message
 					});
 					throw new Error(`Invalid base64 data for file ${i}`);
 				}
+				contentType = file.mimeType || file.type;
+				filename = file.filename || file.name;
+				// The client's pageCount (camelCase or snake_case) is only a fallback
+				declaredPageCount = file.pageCount || file.page_count;
+			} else {
+				// FormData uploads arrive as File objects
+				buffer = typeof file?.arrayBuffer === 'function' ? new Uint8Array(await file.arrayBuffer()) : new Uint8Array();
+				contentType = file?.type;
+				filename = file?.name;
+			}
+
+			// Images and plain text become monochrome PDF pages before we count and bill them
+			const prepared = await convertDocument(buffer, { contentType, filename, paperSize: options.paperSize }, this.logger);
+
+			if (prepared.converted) {
+				const pdfName = `${(filename || `document_${i + 1}`).replace(/\.[^.]*$/, '')}.pdf`;
+				processedFiles.push(new File([prepared.bytes], pdfName, { type: 'application/pdf' }));
+			} else if (file.data) {
+				processedFiles.push(new Blob([buffer], { type: contentType || 'application/pdf' }));
 			} else {
 				processedFiles.push(file);
-				totalPages += 1; // Default to 1 page for non-base64 files
 			}
+
+			totalPages += await countFilePages(prepared.bytes, prepared.converted ? undefined : declaredPageCount, this.logger, filename || i);
 		}
 
 		// Store total pages and document count in the processed files array metadata
@@ -161,15 +182,16 @@ export class TelnyxProvider {
 	 * @returns {object} Standardized response
 	 */
 	async sendFaxWithCustomWorkflow(faxRequest, userId, creditsRequired = 0) {
+		let faxRecord = null;
 		try {
 			this.logger.log('INFO', 'Starting Telnyx custom workflow: Save to Supabase → Upload to R2 → Send fax');
 
 			// Step 1: Create initial fax record in Supabase
-			const faxRecord = await this.createInitialFaxRecord(faxRequest, userId, creditsRequired);
+			faxRecord = await this.createInitialFaxRecord(faxRequest, userId, creditsRequired);
 			this.logger.log('INFO', 'Step 1 complete: Fax record saved to Supabase', { faxId: faxRecord.id });
 
-			// Step 2: Upload files to R2 and get public URLs
-			const mediaUrls = await this.uploadFilesToR2(faxRequest.files, faxRecord.id);
+			// Step 2: Upload files (cover page first) to R2 and get public URLs
+			const mediaUrls = await this.uploadFilesToR2(await this.prependCoverPage(faxRequest), faxRecord.id);
 			this.logger.log('INFO', 'Step 2 complete: Files uploaded to R2', { urlCount: mediaUrls.length });
 
 			// Step 3: Update fax record with R2 URLs
@@ -191,10 +213,48 @@ export class TelnyxProvider {
 				error: error.message,
 				stack: error.stack
 			});
+
+			// Don't leave a half-submitted record behind (it would keep its batch open forever)
+			if (faxRecord?.id) {
+				await DatabaseUtils.updateFaxRecord(faxRecord.id, {
+					status: 'failed',
+					error_message: error.message,
+					completed_at: new Date().toISOString()
+				}, this.env, this.logger, 'id');
+				// Lets provider failover discard the record if another provider accepts the fax
+				error.faxRecordId = faxRecord.id;
+			}
 			throw error;
 		}
 	}
 
+	/**
+	 * Render the cover page and put it in front of the documents.
+	 * Telnyx has no cover page support of its own, so this keeps Telnyx faxes in line
+	 * with the TemplateName cover page Notifyre adds to every fax.
+	 * @param {object} faxRequest - Standardized fax request
+	 * @returns {array} Files with the cover page first
+	 */
+	async prependCoverPage(faxRequest) {
+		const files = faxRequest.files || [];
+		const template = resolveCoverPageTemplate(faxRequest.coverPage);
+
+		const coverPage = await generateCoverPage({
+			template,
+			sender: faxRequest.senderId || this.senderId,
+			recipient: faxRequest.recipients?.[0],
+			subject: faxRequest.subject,
+			message: faxRequest.message,
+			pageCount: files._totalPages,
+			date: faxRequest.scheduledAt ? new Date(faxRequest.scheduledAt) : new Date(),
+			timeZone: faxRequest.timezone
+		});
+
+		this.logger.log('DEBUG', 'Cover page generated', { template, size: coverPage.byteLength });
+
+		return [new File([coverPage], COVER_PAGE_FILENAME, { type: 'application/pdf' }), ...files];
+	}
+
 	/**
 	 * Create initial fax record in Supabase
 	 * @param {object} faxRequest - Standardized fax request
@@ -218,6 +278,12 @@ export class TelnyxProvider {
 			pages: totalPages,
 			document_count: documentCount,
 			cost: Math.ceil(creditsRequired) || 0,
+			batch_id: faxRequest.batchId || null,
+			apiProvider: 'telnyx',
+			documentHash: faxRequest.documentHash || null,
+			creditHoldId: faxRequest.creditHoldId || null,
+			tags: faxRequest.tags || [],
+			emailReplyTo: faxRequest.emailReplyTo || null,
 			created_at: new Date().toISOString()
 		};
 
@@ -250,8 +316,7 @@ export class TelnyxProvider {
 
 			try {
 				// Generate unique filename
-				const timestamp = Date.now();
-				const filename = `fax/${faxId}/document_${i + 1}_${timestamp}.pdf`;
+				const filename = getFaxDocumentKey(faxId, file, i);
 
 				// Convert file to buffer if needed
 				let fileBuffer;
@@ -368,6 +433,44 @@ export class TelnyxProvider {
 		await DatabaseUtils.updateFaxRecord(faxId, updateData, this.env, this.logger, 'id');
 	}
 
+	/**
+	 * Cancel a fax that Telnyx has not finished sending
+	 * @param {string} faxId - Telnyx fax ID
+	 * @returns {object} Standardized response
+	 */
+	async cancelFax(faxId) {
+		this.logger.log('INFO', 'Cancelling fax via Telnyx', { faxId });
+
+		const response = await fetch(`${this.baseUrl}/v2/faxes/${encodeURIComponent(faxId)}/actions/cancel`, {
+			method: 'POST',
+			headers: {
+				'Authorization': `Bearer ${this.apiKey}`,
+				'Content-Type': 'application/json'
+			}
+		});
+
+		if (!response.ok) {
+			const errorText = await response.text();
+			this.logger.log('ERROR', 'Telnyx cancel request failed', {
+				faxId,
+				status: response.status,
+				statusText: response.statusText,
+				error: errorText
+			});
+			throw new Error(`Telnyx API error: ${response.status} ${response.statusText} - ${errorText}`);
+		}
+
+		const responseData = await response.json().catch(() => ({}));
+
+		return {
+			id: faxId,
+			status: 'cancelled',
+			originalStatus: 'canceled',
+			timestamp: new Date().toISOString(),
+			providerResponse: responseData.data || responseData
+		};
+	}
+
 	/**
 	 * Send fax via Telnyx API (standard interface method)
 	 * @param {object} payload - Telnyx-specific payload
@@ -393,7 +496,7 @@ export class TelnyxProvider {
 			'media.processed': 'sending',
 			'delivered': 'delivered',
 			'failed': 'failed',
-			'canceled': 'failed',
+			'canceled': 'cancelled',
 
 			// Error / edge-case statuses reported by Telnyx
 			'receiver_no_answer': 'no-answer',
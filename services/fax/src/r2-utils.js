@@ -66,6 +66,18 @@ export class R2Utils {
 		return `${this.publicUrlBase}/${cleanFilename}`;
 	}
 
+	/**
+	 * Reverse of generatePublicUrl
+	 * @param {string} url - Public URL returned by uploadFile
+	 * @returns {string} Object key in the bucket
+	 */
+	getKeyFromPublicUrl(url) {
+		if (this.publicUrlBase && url.startsWith(`${this.publicUrlBase}/`)) {
+			return url.slice(this.publicUrlBase.length + 1);
+		}
+		return decodeURIComponent(new URL(url).pathname.slice(1));
+	}
+
 	async fileExists(filename) {
 		try {
 			if (!this.bucket) {
@@ -81,6 +93,34 @@ export class R2Utils {
 		}
 	}
 
+	async getFile(filename) {
+		try {
+			if (!this.bucket) {
+				throw new Error('R2 bucket not configured');
+			}
+
+			const object = await this.bucket.get(filename);
+
+			if (!object) {
+				this.logger.log('WARN', 'File not found in R2', { filename });
+				return null;
+			}
+
+			return {
+				data: await object.arrayBuffer(),
+				contentType: object.httpMetadata?.contentType || 'application/pdf',
+				size: object.size
+			};
+
+		} catch (error) {
+			this.logger.log('ERROR', 'Failed to read file from R2', {
+				filename,
+				error: error.message
+			});
+			return null;
+		}
+	}
+
 	async deleteFile(filename) {
 		try {
 			if (!this.bucket) {
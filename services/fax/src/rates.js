@@ -24,6 +24,16 @@ export function digitsOnly(s) {
 	return o;
 }
 
+/**
+ * Normalize a phone number to E.164, so differently formatted copies of a number compare equal
+ * @param {string} s - Phone number as entered, e.g. "+1 555-123-0001"
+ * @returns {string|null} E.164 number ("+15551230001"), or null when it has no digits
+ */
+export function toE164(s) {
+	const digits = digitsOnly(s);
+	return digits ? `+${digits}` : null;
+}
+
 /**
  * Binary search for exact prefix match in sorted array
  * @param {string[]} arr - Sorted array of prefixes
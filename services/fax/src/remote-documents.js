@@ -0,0 +1,516 @@
+/**
+ * Documents sent by URL (files[].url on POST /v1/fax/send)
+ *
+ * Remote documents are downloaded up front and handed to the provider as if they had
+ * been uploaded, so page counting, conversion and the R2 upload path stay the same.
+ * Dropbox and Google Drive share links are rewritten to their direct-download form.
+ *
+ * The fetch is guarded against SSRF: only http(s) on the default ports, no credentials
+ * in the URL, no internal host names, and the host (including every redirect hop) must
+ * resolve to public addresses only. Downloads are capped by size and time:
+ *
+ *   FAX_URL_MAX_BYTES        largest document accepted (default 20 MB)
+ *   FAX_URL_MAX_TOTAL_BYTES  all documents of one request together (default 25 MB), so a
+ *                            request stays well inside the Worker's 128 MB once the documents
+ *                            are encoded and converted
+ *   FAX_URL_TIMEOUT_MS       time allowed for one download, redirects included (default 15000)
+ */
+
+import { FileUtils, readPositiveNumber } from './utils.js';
+import { detectDocumentType } from './document-converter.js';
+
+export const DEFAULT_URL_MAX_BYTES = 20 * 1024 * 1024;
+export const DEFAULT_URL_MAX_TOTAL_BYTES = 25 * 1024 * 1024;
+export const DEFAULT_URL_TIMEOUT_MS = 15000;
+export const MAX_REMOTE_DOCUMENTS = 10;
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const DNS_OVER_HTTPS_URL = 'https://cloudflare-dns.com/dns-query';
+
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.home.arpa'];
+
+// [network, prefix length]
+const BLOCKED_IPV4_RANGES = [
+	['0.0.0.0', 8],
+	['10.0.0.0', 8],
+	['100.64.0.0', 10],
+	['127.0.0.0', 8],
+	['169.254.0.0', 16],
+	['172.16.0.0', 12],
+	['192.0.0.0', 24],
+	['192.0.2.0', 24],
+	['192.168.0.0', 16],
+	['198.18.0.0', 15],
+	['198.51.100.0', 24],
+	['203.0.113.0', 24],
+	['224.0.0.0', 4],
+	['240.0.0.0', 4]
+];
+
+const DOCUMENT_MIME_TYPES = {
+	pdf: 'application/pdf',
+	jpeg: 'image/jpeg',
+	png: 'image/png',
+	tiff: 'image/tiff',
+	text: 'text/plain'
+};
+
+/**
+ * Read the download limits from the caller environment
+ * @param {Object} env - Caller environment
+ * @returns {{maxBytes: number, maxTotalBytes: number, timeoutMs: number}} Limits
+ */
+export function getRemoteDocumentSettings(env = {}) {
+	return {
+		maxBytes: readPositiveNumber(env.FAX_URL_MAX_BYTES, DEFAULT_URL_MAX_BYTES),
+		maxTotalBytes: readPositiveNumber(env.FAX_URL_MAX_TOTAL_BYTES, DEFAULT_URL_MAX_TOTAL_BYTES),
+		timeoutMs: readPositiveNumber(env.FAX_URL_TIMEOUT_MS, DEFAULT_URL_TIMEOUT_MS)
+	};
+}
+
+/**
+ * Rewrite Dropbox and Google Drive share links to their direct-download form
+ * @param {string} url - URL given by the client
+ * @returns {string} URL to download
+ */
+export function normalizeShareUrl(url) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return url;
+	}
+
+	const host = parsed.hostname.toLowerCase();
+
+	// https://www.dropbox.com/scl/fi/<id>/report.pdf?rlkey=...&dl=0
+	if (host === 'dropbox.com' || host === 'www.dropbox.com') {
+		parsed.hostname = 'www.dropbox.com';
+		parsed.searchParams.set('dl', '1');
+		return parsed.toString();
+	}
+
+	// https://drive.google.com/file/d/<id>/view?usp=sharing, .../open?id=<id>, .../uc?id=<id>
+	if (host === 'drive.google.com') {
+		const fileId = parsed.pathname.match(/^\/file\/d\/([^/]+)/)?.[1] || parsed.searchParams.get('id');
+		if (fileId) {
+			const direct = new URL('https://drive.google.com/uc');
+			direct.searchParams.set('export', 'download');
+			direct.searchParams.set('id', fileId);
+			const resourceKey = parsed.searchParams.get('resourcekey');
+			if (resourceKey) {
+				direct.searchParams.set('resourcekey', resourceKey);
+			}
+			return direct.toString();
+		}
+	}
+
+	// Google Docs, Sheets and Slides are exported as PDF
+	if (host === 'docs.google.com') {
+		const match = parsed.pathname.match(/^\/(document|spreadsheets|presentation)\/d\/([^/]+)/);
+		if (match) {
+			const [, kind, fileId] = match;
+			return kind === 'presentation'
+				? `https://docs.google.com/presentation/d/${fileId}/export/pdf`
+				: `https://docs.google.com/${kind}/d/${fileId}/export?format=pdf`;
+		}
+	}
+
+	return parsed.toString();
+}
+
+/**
+ * Convert a dotted IPv4 address to a number
+ * @param {string} address - IPv4 address
+ * @returns {number|null} Address, or null if it isn't IPv4
+ */
+function parseIpv4(address) {
+	const parts = address.split('.');
+	if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+		return null;
+	}
+	return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address (without brackets)
+ * @returns {Array<number>|null} Groups, or null if it isn't IPv6
+ */
+function parseIpv6(address) {
+	if (!address.includes(':')) {
+		return null;
+	}
+
+	let text = address.toLowerCase();
+
+	// Trailing dotted IPv4 (::ffff:10.0.0.1)
+	const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+	if (dotted) {
+		const ipv4 = parseIpv4(dotted[2]);
+		if (ipv4 === null) {
+			return null;
+		}
+		text = `${dotted[1]}${(ipv4 >>> 16).toString(16)}:${(ipv4 & 0xffff).toString(16)}`;
+	}
+
+	const halves = text.split('::');
+	if (halves.length > 2) {
+		return null;
+	}
+
+	const head = halves[0] ? halves[0].split(':') : [];
+	const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+	const missing = 8 - head.length - tail.length;
+	if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) {
+		return null;
+	}
+
+	const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+	if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) {
+		return null;
+	}
+	return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * Check whether an IPv4 number is in a private, loopback or otherwise reserved range
+ * @param {number} ipv4 - Address as a number
+ * @returns {boolean} True if the address must not be fetched
+ */
+function isBlockedIpv4(ipv4) {
+	return BLOCKED_IPV4_RANGES.some(([network, prefix]) => {
+		const size = 2 ** (32 - prefix);
+		return Math.floor(ipv4 / size) === Math.floor(parseIpv4(network) / size);
+	});
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address (IPv6 may be bracketed)
+ * @returns {boolean} True if the address must not be fetched; false for public addresses and non-IPs
+ */
+export function isBlockedAddress(address) {
+	const text = String(address).replace(/^\[|\]$/g, '');
+
+	const ipv4 = parseIpv4(text);
+	if (ipv4 !== null) {
+		return isBlockedIpv4(ipv4);
+	}
+
+	const groups = parseIpv6(text);
+	if (!groups) {
+		return false;
+	}
+
+	const embeddedIpv4 = groups[6] * 65536 + groups[7];
+	const leadingZero = groups.slice(0, 5).every(group => group === 0);
+
+	// :: and ::1
+	if (leadingZero && groups[5] === 0 && groups[6] === 0 && groups[7] <= 1) return true;
+	// IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible (::a.b.c.d)
+	if (leadingZero && (groups[5] === 0xffff || groups[5] === 0)) return isBlockedIpv4(embeddedIpv4);
+	// NAT64 (64:ff9b::a.b.c.d)
+	if (groups[0] === 0x64 && groups[1] === 0xff9b) return isBlockedIpv4(embeddedIpv4);
+	// 6to4 (2002:aabb:ccdd::)
+	if (groups[0] === 0x2002) return isBlockedIpv4(groups[1] * 65536 + groups[2]);
+	// Unique local fc00::/7, link-local fe80::/10, multicast ff00::/8
+	if ((groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 || (groups[0] & 0xff00) === 0xff00) return true;
+	// Documentation 2001:db8::/32
+	return groups[0] === 0x2001 && groups[1] === 0x0db8;
+}
+
+/**
+ * Validate a URL before fetching it
+ * @param {string} url - URL to fetch
+ * @returns {{url: URL|null, error: string|null}} Parsed URL, or why it can't be fetched
+ */
+export function checkRemoteUrl(url) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return { url: null, error: 'Document URL is invalid' };
+	}
+
+	if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+		return { url: null, error: 'Document URL must use http or https' };
+	}
+	if (parsed.username || parsed.password) {
+		return { url: null, error: 'Document URL must not contain credentials' };
+	}
+	if (parsed.port) {
+		return { url: null, error: 'Document URL must use the default port' };
+	}
+
+	const host = parsed.hostname.toLowerCase().replace(/\.$/, '');
+	const isIp = parseIpv4(host) !== null || host.startsWith('[');
+	if (isIp ? isBlockedAddress(host) : (host === 'localhost' || !host.includes('.') || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix)))) {
+		return { url: null, error: 'Document URL points to a private address' };
+	}
+
+	return { url: parsed, error: null };
+}
+
+/**
+ * Resolve a host name and make sure none of its addresses are private
+ * @param {string} hostname - Host to resolve (lower case, without a trailing dot)
+ * @param {AbortSignal} signal - Request deadline
+ * @throws {Error} If the host doesn't resolve or resolves to a private address
+ */
+export async function assertPublicHost(hostname, signal) {
+	if (parseIpv4(hostname) !== null || hostname.startsWith('[')) {
+		return;
+	}
+
+	const addresses = [];
+	for (const type of ['A', 'AAAA']) {
+		const response = await fetch(`${DNS_OVER_HTTPS_URL}?name=${encodeURIComponent(hostname)}&type=${type}`, {
+			headers: { accept: 'application/dns-json' },
+			signal
+		});
+		if (!response.ok) {
+			throw new Error(`Could not resolve ${hostname}`);
+		}
+		const answer = await response.json();
+		for (const record of answer.Answer || []) {
+			// 1 = A, 28 = AAAA; CNAMEs are followed by the resolver
+			if (record.type === 1 || record.type === 28) {
+				addresses.push(record.data);
+			}
+		}
+	}
+
+	if (addresses.length === 0) {
+		throw new Error(`Could not resolve ${hostname}`);
+	}
+	if (addresses.some(isBlockedAddress)) {
+		throw new Error(`${hostname} resolves to a private address`);
+	}
+}
+
+/**
+ * Work out a file name from the response headers or the URL
+ * @param {Response} response - Download response
+ * @param {URL} url - Final URL
+ * @returns {string} File name
+ */
+function getDownloadFilename(response, url) {
+	const disposition = response.headers.get('content-disposition') || '';
+	const encoded = disposition.match(/filename\*\s*=\s*(?:UTF-8|utf-8)''([^;]+)/)?.[1];
+	const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/)?.[1];
+
+	let name = null;
+	try {
+		name = encoded ? decodeURIComponent(encoded) : plain || decodeURIComponent(url.pathname.split('/').pop() || '');
+	} catch {
+		name = plain || null;
+	}
+
+	const cleaned = (name || '').replace(/[\\/]/g, '_').trim();
+	return cleaned || 'document';
+}
+
+/**
+ * Read a response body, giving up once it exceeds the size limit
+ * @param {Response} response - Download response
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Uint8Array>} Body
+ * @throws {Error} If the body is larger than maxBytes (tooLarge set)
+ */
+async function readLimitedBody(response, maxBytes) {
+	const tooLarge = Object.assign(new Error(`Document is larger than ${Math.floor(maxBytes / (1024 * 1024))} MB`), { tooLarge: true });
+
+	const declaredLength = Number(response.headers.get('content-length'));
+	if (Number.isFinite(declaredLength) && declaredLength > maxBytes) {
+		await response.body?.cancel();
+		throw tooLarge;
+	}
+
+	const chunks = [];
+	let total = 0;
+	if (response.body) {
+		const reader = response.body.getReader();
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) {
+				break;
+			}
+			total += value.byteLength;
+			if (total > maxBytes) {
+				await reader.cancel();
+				throw tooLarge;
+			}
+			chunks.push(value);
+		}
+	}
+
+	const bytes = new Uint8Array(total);
+	let offset = 0;
+	for (const chunk of chunks) {
+		bytes.set(chunk, offset);
+		offset += chunk.byteLength;
+	}
+	return bytes;
+}
+
+/**
+ * Download a document
+ * @param {string} url - URL given by the client (share links are normalized)
+ * @param {{maxBytes: number, timeoutMs: number}} settings - Download limits
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{bytes: Uint8Array, filename: string, mimeType: string}>} Document
+ * @throws {Error} With a message for the client when the document can't be used
+ */
+export async function fetchRemoteDocument(url, settings, logger) {
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+	try {
+		let current = normalizeShareUrl(url);
+		let response;
+
+		for (let hop = 0; ; hop++) {
+			const check = checkRemoteUrl(current);
+			if (check.error) {
+				throw new Error(check.error);
+			}
+			await assertPublicHost(check.url.hostname.toLowerCase().replace(/\.$/, ''), controller.signal);
+
+			// Redirects are followed by hand so every hop is checked
+			response = await fetch(check.url.toString(), { redirect: 'manual', signal: controller.signal });
+			if (!REDIRECT_STATUSES.includes(response.status)) {
+				current = check.url;
+				break;
+			}
+
+			const location = response.headers.get('location');
+			await response.body?.cancel();
+			if (!location || hop >= MAX_REDIRECTS) {
+				throw new Error('Document URL redirects too many times');
+			}
+			current = new URL(location, check.url).toString();
+		}
+
+		if (!response.ok) {
+			await response.body?.cancel();
+			throw new Error(`Document URL returned HTTP ${response.status}`);
+		}
+
+		const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+		// Share pages, sign-in pages and Drive's virus scan warning are HTML
+		if (contentType === 'text/html') {
+			await response.body?.cancel();
+			throw new Error('Document URL returned a web page, not a document; check that the link is shared publicly');
+		}
+
+		const bytes = await readLimitedBody(response, settings.maxBytes);
+		const filename = getDownloadFilename(response, current);
+		const type = detectDocumentType(bytes, contentType, filename);
+		if (!type) {
+			throw new Error(`Document URL returned an unsupported file type (${contentType || 'unknown'}); send a PDF, JPEG, PNG, TIFF or text file`);
+		}
+
+		logger.log('INFO', 'Remote document fetched', {
+			host: current.hostname,
+			size: bytes.byteLength,
+			contentType,
+			documentType: type
+		});
+
+		return { bytes, filename, mimeType: DOCUMENT_MIME_TYPES[type] };
+
+	} catch (error) {
+		if (controller.signal.aborted) {
+			throw new Error(`Document URL did not respond within ${Math.round(settings.timeoutMs / 1000)} seconds`);
+		}
+		throw error;
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+/**
+ * Download the files[].url entries of a send request
+ * JSON entries become base64 entries (keeping the client's filename and pageCount);
+ * URL strings in multipart files[] fields become File objects.
+ * @param {FormData|Object|null} requestBody - Parsed request body
+ * @param {Object} env - Caller environment
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<FormData|Object|null>} Request body with every document inline
+ * @throws {Error} With a message for the client when a document can't be fetched; statusCode
+ *         is 413 when the documents together are larger than FAX_URL_MAX_TOTAL_BYTES
+ */
+export async function resolveRemoteDocuments(requestBody, env, logger) {
+	const isForm = requestBody instanceof FormData;
+	const files = isForm ? requestBody.getAll('files[]') : requestBody?.files;
+	if (!Array.isArray(files)) {
+		return requestBody;
+	}
+
+	const getUrl = (file) => (isForm ? (typeof file === 'string' ? file.trim() : null) : (typeof file?.url === 'string' && !file.data ? file.url.trim() : null));
+	const remoteCount = files.filter(getUrl).length;
+	if (remoteCount === 0) {
+		return requestBody;
+	}
+	if (remoteCount > MAX_REMOTE_DOCUMENTS) {
+		throw new Error(`At most ${MAX_REMOTE_DOCUMENTS} documents can be sent by URL`);
+	}
+
+	const settings = getRemoteDocumentSettings(env);
+	const resolved = [];
+	let totalBytes = 0;
+	for (const [index, file] of files.entries()) {
+		const url = getUrl(file);
+		if (!url) {
+			resolved.push(file);
+			continue;
+		}
+
+		// Each download may only use what is left of the request's total
+		const maxBytes = Math.min(settings.maxBytes, settings.maxTotalBytes - totalBytes);
+		let document;
+		try {
+			document = await fetchRemoteDocument(url, { ...settings, maxBytes }, logger);
+		} catch (error) {
+			logger.log('WARN', 'Remote document rejected', { file: index, error: error.message });
+			if (error.tooLarge && maxBytes < settings.maxBytes) {
+				throw Object.assign(
+					new Error(`Documents sent by URL are larger than ${Math.floor(settings.maxTotalBytes / (1024 * 1024))} MB together`),
+					{ statusCode: 413 }
+				);
+			}
+			throw new Error(`File ${index}: ${error.message}`);
+		}
+		totalBytes += document.bytes.byteLength;
+
+		if (isForm) {
+			resolved.push(new File([document.bytes], document.filename, { type: document.mimeType }));
+		} else {
+			const entry = { ...file };
+			delete entry.url;
+			resolved.push({
+				...entry,
+				data: FileUtils.arrayBufferToBase64(document.bytes),
+				filename: file.filename || file.name || document.filename,
+				mimeType: document.mimeType
+			});
+		}
+	}
+
+	if (!isForm) {
+		return { ...requestBody, files: resolved };
+	}
+
+	const form = new FormData();
+	for (const [key, value] of requestBody.entries()) {
+		if (key !== 'files[]') {
+			form.append(key, value);
+		}
+	}
+	for (const file of resolved) {
+		form.append('files[]', file);
+	}
+	return form;
+}
@@ -0,0 +1,89 @@
+/**
+ * Automatic retry policy for unanswered faxes
+ *
+ * When a provider reports a retryable outcome (by default busy / no-answer) the
+ * webhook handlers schedule a new attempt that reuses the documents already stored
+ * in R2. The policy is configured through the caller environment:
+ *
+ *   FAX_RETRY_MAX_ATTEMPTS     total attempts including the first send (default 3)
+ *   FAX_RETRY_BACKOFF_MINUTES  comma separated delays between attempts (default "5,15");
+ *                              the last value is reused when there are more retries than delays
+ *   FAX_RETRY_STATUSES         comma separated statuses that trigger a retry (default "busy,no-answer")
+ */
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+export const DEFAULT_BACKOFF_MINUTES = [5, 15];
+export const DEFAULT_RETRYABLE_STATUSES = ['busy', 'no-answer'];
+
+/**
+ * Split a comma separated setting into trimmed, non-empty values
+ * @param {string|Array} value - Raw setting
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+	const items = Array.isArray(value) ? value : String(value).split(',');
+	return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Read the retry policy from the caller environment
+ * @param {Object} env - Caller environment
+ * @returns {{maxAttempts: number, backoffMinutes: Array<number>, retryableStatuses: Array<string>}} Retry policy
+ */
+export function getRetryPolicy(env = {}) {
+	const maxAttempts = parseInt(env.FAX_RETRY_MAX_ATTEMPTS, 10);
+
+	const backoffMinutes = env.FAX_RETRY_BACKOFF_MINUTES !== undefined && env.FAX_RETRY_BACKOFF_MINUTES !== null
+		? parseList(env.FAX_RETRY_BACKOFF_MINUTES).map(Number).filter(minutes => Number.isFinite(minutes) && minutes >= 0)
+		: [];
+
+	const retryableStatuses = env.FAX_RETRY_STATUSES !== undefined && env.FAX_RETRY_STATUSES !== null
+		? parseList(env.FAX_RETRY_STATUSES).map(status => status.toLowerCase())
+		: DEFAULT_RETRYABLE_STATUSES;
+
+	return {
+		maxAttempts: Number.isInteger(maxAttempts) && maxAttempts >= 1 ? maxAttempts : DEFAULT_MAX_ATTEMPTS,
+		backoffMinutes: backoffMinutes.length ? backoffMinutes : DEFAULT_BACKOFF_MINUTES,
+		retryableStatuses
+	};
+}
+
+/**
+ * Delay before the attempt that follows attemptNumber
+ * @param {Object} policy - Retry policy
+ * @param {number} attemptNumber - Attempt that just finished (1-based)
+ * @returns {number} Delay in minutes
+ */
+export function getRetryDelayMinutes(policy, attemptNumber) {
+	const index = Math.min(Math.max(attemptNumber, 1), policy.backoffMinutes.length) - 1;
+	return policy.backoffMinutes[index];
+}
+
+/**
+ * Decide whether a finished attempt should be retried
+ * @param {Object} policy - Retry policy
+ * @param {string} status - Standardized status of the finished attempt
+ * @param {number} attemptNumber - Attempt that just finished (1-based)
+ * @param {Date} [now] - Current time (injectable for tests)
+ * @returns {{retry: boolean, reason: string|null, nextAttempt: number|null, retryAt: Date|null}} Retry decision
+ */
+export function planRetry(policy, status, attemptNumber, now = new Date()) {
+	const attempt = attemptNumber || 1;
+
+	if (!policy.retryableStatuses.includes(status)) {
+		return { retry: false, reason: 'status_not_retryable', nextAttempt: null, retryAt: null };
+	}
+
+	if (attempt >= policy.maxAttempts) {
+		return { retry: false, reason: 'attempts_exhausted', nextAttempt: null, retryAt: null };
+	}
+
+	const delayMinutes = getRetryDelayMinutes(policy, attempt);
+
+	return {
+		retry: true,
+		reason: null,
+		nextAttempt: attempt + 1,
+		retryAt: new Date(now.getTime() + delayMinutes * 60 * 1000)
+	};
+}
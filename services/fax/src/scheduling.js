@@ -0,0 +1,109 @@
+/**
+ * Scheduled delivery utilities
+ *
+ * Resolves a client supplied send_at (with an optional IANA timezone) into the UTC
+ * instant the fax should be dispatched at. send_at may carry its own offset
+ * ("2025-03-03T09:00:00-05:00") or be a wall-clock time that is interpreted in
+ * the given timezone ("2025-03-03T09:00" + "America/New_York").
+ */
+
+export const MAX_SCHEDULE_DAYS = 90;
+
+// Timestamps that already name their offset don't need a timezone
+const EXPLICIT_OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Check whether a timezone name is known to the runtime
+ * @param {string} timeZone - IANA timezone name (e.g. "Europe/Berlin")
+ * @returns {boolean} True if the timezone can be used
+ */
+export function isValidTimeZone(timeZone) {
+	if (!timeZone || typeof timeZone !== 'string') return false;
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {number} timestamp - UTC milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		hourCycle: 'h23',
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+		hour: '2-digit',
+		minute: '2-digit',
+		second: '2-digit'
+	}).formatToParts(new Date(timestamp));
+
+	const value = (type) => Number(parts.find(part => part.type === type).value);
+	const wallClockAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+	return wallClockAsUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:mm[:ss]"
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date|null} UTC date, or null if the input can't be parsed
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+	const match = LOCAL_DATETIME_PATTERN.exec(localDateTime);
+	if (!match) return null;
+
+	const [, year, month, day, hour, minute, second] = match.map(Number);
+	const wallClock = Date.UTC(year, month - 1, day, hour, minute, second || 0);
+
+	// Second pass corrects the guess when it lands on the other side of a DST change
+	let utc = wallClock - getTimeZoneOffset(wallClock, timeZone);
+	utc = wallClock - getTimeZoneOffset(utc, timeZone);
+
+	return new Date(utc);
+}
+
+/**
+ * Resolve send_at into the UTC dispatch time
+ * @param {string} sendAt - ISO timestamp, with or without offset
+ * @param {string} [timeZone] - IANA timezone for timestamps without an offset (defaults to UTC)
+ * @param {Date} [now] - Current time (injectable for tests)
+ * @returns {{scheduledAt: Date|null, timeZone: string|null, error: string|null}} Resolution result
+ */
+export function resolveSendAt(sendAt, timeZone, now = new Date()) {
+	if (typeof sendAt !== 'string' || !sendAt.trim()) {
+		return { scheduledAt: null, timeZone: null, error: 'send_at must be an ISO 8601 date-time string' };
+	}
+
+	const value = sendAt.trim();
+	const zone = timeZone || 'UTC';
+
+	if (!isValidTimeZone(zone)) {
+		return { scheduledAt: null, timeZone: null, error: `Unknown timezone: ${timeZone}` };
+	}
+
+	const scheduledAt = EXPLICIT_OFFSET_PATTERN.test(value) ? new Date(value) : zonedTimeToUtc(value, zone);
+
+	if (!scheduledAt || isNaN(scheduledAt.getTime())) {
+		return { scheduledAt: null, timeZone: null, error: 'send_at must be an ISO 8601 date-time string' };
+	}
+
+	if (scheduledAt.getTime() <= now.getTime()) {
+		return { scheduledAt: null, timeZone: null, error: 'send_at must be in the future' };
+	}
+
+	if (scheduledAt.getTime() - now.getTime() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+		return { scheduledAt: null, timeZone: null, error: `send_at cannot be more than ${MAX_SCHEDULE_DAYS} days ahead` };
+	}
+
+	return { scheduledAt, timeZone: zone, error: null };
+}
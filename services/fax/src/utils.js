@@ -241,44 +241,6 @@ export class ApiUtils {
  * Webhook utilities
  */
 export class WebhookUtils {
-	/**
-	 * Verify Notifyre webhook signature
-	 * @param {Request} request 
-	 * @param {string} webhookSecret 
-	 * @param {string} signature 
-	 * @param {Logger} logger
-	 * @returns {boolean}
-	 */
-	static async verifyNotifyreSignature(request, webhookSecret, signature, logger) {
-		if (!signature || !webhookSecret) {
-			return false;
-		}
-
-		try {
-			// Implementation depends on Notifyre's signature method
-			// This is a placeholder - check Notifyre docs for exact implementation
-			const body = await request.clone().text();
-			
-			// Typically HMAC-SHA256 based verification
-			const encoder = new TextEncoder();
-			const key = await crypto.subtle.importKey(
-				'raw',
-				encoder.encode(webhookSecret),
-				{ name: 'HMAC', hash: 'SHA-256' },
-				false,
-				['sign']
-			);
-			
-			const signatureBuffer = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
-			const expectedSignature = btoa(String.fromCharCode(...new Uint8Array(signatureBuffer)));
-			
-			return signature === expectedSignature;
-		} catch (error) {
-			logger.log('ERROR', 'Error verifying webhook signature', { error: error.message });
-			return false;
-		}
-	}
-
 	/**
 	 * Validate Supabase webhook secret
 	 * @param {Request} request 
@@ -304,7 +266,8 @@ export const STANDARD_FAX_STATUSES = [
 	'failed',
 	'busy',
 	'no-answer',
-	'cancelled'
+	'cancelled',
+	'scheduled'
 ];
 
 /**
@@ -316,6 +279,17 @@ export function isValidFaxStatus(status) {
 	return STANDARD_FAX_STATUSES.includes(status);
 }
 
+/**
+ * Read a positive number setting
+ * @param {*} value - Raw setting
+ * @param {number} fallback - Value used when the setting is missing or invalid
+ * @returns {number} Setting value
+ */
+export function readPositiveNumber(value, fallback) {
+	const number = Number(value);
+	return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
 /**
  * Re-exports for backward compatibility with existing tests
  */
@@ -323,9 +297,6 @@ export function isValidFaxStatus(status) {
 // Import NotifyreProvider for re-exports
 import { NotifyreProvider } from './providers/notifyre-provider.js';
 
-// Create a temporary provider instance to get the status map
-const tempProvider = new NotifyreProvider('temp', { log: () => {} });
-
 /**
  * Legacy NotifyreApiUtils class for test compatibility
  */
@@ -342,67 +313,107 @@ export class NotifyreApiUtils {
 }
 
 /**
- * Legacy status map export for test compatibility
+ * Notifyre status to standard status
+ * The only copy: Notifyre webhooks and the cron service's polling (applied by
+ * applyPolledFaxStatuses) are both mapped here, so a fax ends up in the same status
+ * whichever reports it first.
  */
-export const NOTIFYRE_STATUS_MAP = (() => {
-	try {
-		return tempProvider.getStatusMap();
-	} catch (error) {
-		// Fallback status map if provider creation fails
-		return {
-			// Initial/Processing States
-			'Preparing': 'queued',
-			'preparing': 'queued',
-			'Queued': 'queued',
-			'queued': 'queued',
-			'In Progress': 'processing',
-			'in progress': 'processing',
-			'Processing': 'processing',
-			'processing': 'processing',
-			'Sending': 'sending',
-			'sending': 'sending',
-			
-			// Success States
-			'Successful': 'delivered',
-			'successful': 'delivered',
-			'Delivered': 'delivered',
-			'delivered': 'delivered',
-			'Sent': 'delivered', // Additional mapping for fax.sent events
-			'sent': 'delivered',
-			
-			// Receiving States
-			'Receiving': 'receiving',
-			'receiving': 'receiving',
-			'Received': 'delivered', // For received faxes
-			'received': 'delivered',
-			
-			// Failure States
-			'Failed': 'failed',
-			'failed': 'failed',
-			'Failed - Busy': 'busy',
-			'failed - busy': 'busy',
-			'Failed - No Answer': 'no-answer',
-			'failed - no answer': 'no-answer',
-			'Failed - Check number and try again': 'failed',
-			'failed - check number and try again': 'failed',
-			'Failed - Connection not a Fax Machine': 'failed',
-			'failed - connection not a fax machine': 'failed',
-			
-			// Cancellation
-			'Cancelled': 'cancelled',
-			'cancelled': 'cancelled',
-			
-			// Additional status codes that may appear in webhooks
-			'Completed': 'delivered',
-			'completed': 'delivered',
-			'Error': 'failed',
-			'error': 'failed',
-			'Timeout': 'failed',
-			'timeout': 'failed',
-			'Rejected': 'failed',
-			'rejected': 'failed',
-			'Aborted': 'cancelled',
-			'aborted': 'cancelled'
-		};
+export const NOTIFYRE_STATUS_MAP = {
+	// Initial/Processing States
+	'Preparing': 'queued',
+	'preparing': 'queued',
+	'Queued': 'queued',
+	'queued': 'queued',
+	'In Progress': 'processing',
+	'in progress': 'processing',
+	'Processing': 'processing',
+	'processing': 'processing',
+	'Sending': 'sending',
+	'sending': 'sending',
+	
+	// Success States
+	'Successful': 'delivered',
+	'successful': 'delivered',
+	'Delivered': 'delivered',
+	'delivered': 'delivered',
+	'Sent': 'delivered', // Additional mapping for fax.sent events
+	'sent': 'delivered',
+	
+	// Receiving States
+	'Receiving': 'receiving',
+	'receiving': 'receiving',
+	'Received': 'delivered', // For received faxes
+	'received': 'delivered',
+	
+	// Failure States
+	'Failed': 'failed',
+	'failed': 'failed',
+	'Failed - Busy': 'busy',
+	'failed - busy': 'busy',
+	'Failed - No Answer': 'no-answer',
+	'failed - no answer': 'no-answer',
+	'Failed - Check number and try again': 'failed',
+	'failed - check number and try again': 'failed',
+	'Failed - Connection not a Fax Machine': 'failed',
+	'failed - connection not a fax machine': 'failed',
+	
+	// Cancellation
+	'Cancelled': 'cancelled',
+	'cancelled': 'cancelled',
+	
+	// Additional status codes that may appear in webhooks
+	'Retry': 'sending', // Notifyre redials on its own; the fax is still being sent
+	'retry': 'sending',
+	'Completed': 'delivered',
+	'completed': 'delivered',
+	'Error': 'failed',
+	'error': 'failed',
+	'Timeout': 'failed',
+	'timeout': 'failed',
+	'Rejected': 'failed',
+	'rejected': 'failed',
+	'Aborted': 'cancelled',
+	'aborted': 'cancelled'
+};
+
+/**
+ * Map a Notifyre status to a standard status
+ * @param {string} notifyreStatus - Status from a Notifyre webhook or API response
+ * @param {Logger} logger - Logger instance
+ * @returns {string} Standard status ('failed' for unknown statuses)
+ */
+export function mapNotifyreStatus(notifyreStatus, logger) {
+	if (!notifyreStatus) {
+		logger.log('WARN', 'Empty status received from Notifyre');
+		return 'failed';
+	}
+
+	const mappedStatus = NOTIFYRE_STATUS_MAP[notifyreStatus] || NOTIFYRE_STATUS_MAP[String(notifyreStatus).toLowerCase()];
+	if (!mappedStatus) {
+		logger.log('WARN', 'Unknown status from Notifyre', { notifyreStatus });
+		return 'failed';
 	}
-})();
+
+	return mappedStatus;
+}
+
+/**
+ * Read the fax details of a Notifyre webhook
+ * Webhooks come as { event, data } or, from Notifyre's current webhooks, as { Event, Payload }
+ * with PascalCase fields; both are read into the field names the polling uses.
+ * @param {Object} body - Webhook body
+ * @returns {{eventType: string, payload: Object, faxId: string|null, status: string|null, pages: number|null, failureReason: string|null}} Fax details
+ */
+export function parseNotifyreWebhook(body) {
+	const payload = body?.data || body?.Payload || body?.payload || {};
+	const pages = payload.pages ?? payload.Pages ?? null;
+
+	return {
+		eventType: body?.event || body?.Event || 'unknown',
+		payload,
+		faxId: payload.id || payload.ID || payload.FaxID || payload.faxId || null,
+		status: payload.status || payload.Status || null,
+		pages: Number.isInteger(pages) && pages > 0 ? pages : null,
+		failureReason: payload.failedMessage || payload.FailedMessage || payload.errorMessage || payload.ErrorMessage || null
+	};
+}
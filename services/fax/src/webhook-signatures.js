@@ -0,0 +1,143 @@
+/**
+ * Provider webhook signatures
+ *
+ * The webhook routes are public, so a webhook is only trusted once its signature checks out.
+ * Telnyx signs `${telnyx-timestamp}|${raw body}` with Ed25519; the public key is shown in the
+ * Telnyx portal (Account Settings > Public Key) and configured as TELNYX_PUBLIC_KEY.
+ * Signatures older than the replay window are rejected even when they are valid.
+ *
+ * Notifyre sends `x-notifyre-signature: t=<Unix seconds>,v=<signature>`, where the signature is
+ * the hex HMAC-SHA256 of `${t}.${raw body}` keyed with the webhook secret from the Notifyre
+ * dashboard (configured as NOTIFYRE_WEBHOOK_SECRET). The same replay window applies.
+ */
+
+export const TELNYX_SIGNATURE_HEADER = 'telnyx-signature-ed25519';
+export const TELNYX_TIMESTAMP_HEADER = 'telnyx-timestamp';
+export const NOTIFYRE_SIGNATURE_HEADER = 'x-notifyre-signature';
+
+// Telnyx's own SDKs accept webhooks up to 5 minutes old
+export const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Decode a base64 string
+ * @param {string} value - Base64 text
+ * @returns {Uint8Array|null} Bytes, or null when the text isn't base64
+ */
+function decodeBase64(value) {
+	try {
+		const binary = atob(String(value).trim());
+		return Uint8Array.from(binary, char => char.charCodeAt(0));
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Decode a hex string
+ * @param {string} value - Hex text
+ * @returns {Uint8Array|null} Bytes, or null when the text isn't hex
+ */
+function decodeHex(value) {
+	const hex = String(value).trim();
+	if (!hex || hex.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(hex)) {
+		return null;
+	}
+	return Uint8Array.from(hex.match(/../g), pair => parseInt(pair, 16));
+}
+
+/**
+ * Check a signing timestamp against the replay window
+ * @param {string} timestamp - Unix seconds
+ * @param {Date} now - Current time
+ * @param {number} toleranceSeconds - Replay window
+ * @returns {boolean} Whether the timestamp is recent enough
+ */
+function isWithinReplayWindow(timestamp, now, toleranceSeconds) {
+	const value = String(timestamp).trim();
+	return /^\d+$/.test(value) && Math.abs(now.getTime() / 1000 - Number(value)) <= toleranceSeconds;
+}
+
+/**
+ * Verify a Telnyx webhook signature
+ * @param {Object} webhook - Signed webhook
+ * @param {string} webhook.rawBody - Request body exactly as received
+ * @param {string|null} webhook.signature - telnyx-signature-ed25519 header (base64)
+ * @param {string|null} webhook.timestamp - telnyx-timestamp header (Unix seconds)
+ * @param {string} publicKey - Telnyx public key (base64)
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Replay window
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<{valid: boolean, error: string|null}>} Result, with the reason when invalid
+ */
+export async function verifyTelnyxSignature({ rawBody, signature, timestamp }, publicKey, options = {}) {
+	const { toleranceSeconds = DEFAULT_SIGNATURE_TOLERANCE_SECONDS, now = new Date() } = options;
+
+	if (!signature || !timestamp) {
+		return { valid: false, error: 'Missing signature headers' };
+	}
+
+	if (!isWithinReplayWindow(timestamp, now, toleranceSeconds)) {
+		return { valid: false, error: 'Timestamp outside the replay window' };
+	}
+
+	const keyBytes = decodeBase64(publicKey);
+	const signatureBytes = decodeBase64(signature);
+	if (!keyBytes || keyBytes.length !== 32) {
+		return { valid: false, error: 'Invalid public key' };
+	}
+	if (!signatureBytes || signatureBytes.length !== 64) {
+		return { valid: false, error: 'Invalid signature' };
+	}
+
+	try {
+		const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'Ed25519' }, false, ['verify']);
+		const signedPayload = new TextEncoder().encode(`${String(timestamp).trim()}|${rawBody}`);
+		const valid = await crypto.subtle.verify({ name: 'Ed25519' }, key, signatureBytes, signedPayload);
+		return valid ? { valid: true, error: null } : { valid: false, error: 'Invalid signature' };
+	} catch {
+		return { valid: false, error: 'Invalid signature' };
+	}
+}
+
+/**
+ * Verify a Notifyre webhook signature
+ * The HMAC is checked with crypto.subtle.verify, which compares in constant time.
+ * @param {Object} webhook - Signed webhook
+ * @param {string} webhook.rawBody - Request body exactly as received
+ * @param {string|null} webhook.signature - x-notifyre-signature header (`t=...,v=...`)
+ * @param {string} secret - Notifyre webhook secret
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Replay window
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<{valid: boolean, error: string|null}>} Result, with the reason when invalid
+ */
+export async function verifyNotifyreSignature({ rawBody, signature }, secret, options = {}) {
+	const { toleranceSeconds = DEFAULT_SIGNATURE_TOLERANCE_SECONDS, now = new Date() } = options;
+
+	if (!signature) {
+		return { valid: false, error: 'Missing signature headers' };
+	}
+
+	const parts = Object.fromEntries(String(signature).split(',').map(part => {
+		const separator = part.indexOf('=');
+		return separator === -1 ? [part.trim(), ''] : [part.slice(0, separator).trim(), part.slice(separator + 1).trim()];
+	}));
+
+	if (!parts.t || !isWithinReplayWindow(parts.t, now, toleranceSeconds)) {
+		return { valid: false, error: 'Timestamp outside the replay window' };
+	}
+
+	const signatureBytes = parts.v ? decodeHex(parts.v) : null;
+	if (!signatureBytes || signatureBytes.length !== 32) {
+		return { valid: false, error: 'Invalid signature' };
+	}
+
+	try {
+		const encoder = new TextEncoder();
+		const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+		const valid = await crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(`${parts.t}.${rawBody}`));
+		return valid ? { valid: true, error: null } : { valid: false, error: 'Invalid signature' };
+	} catch {
+		return { valid: false, error: 'Invalid signature' };
+	}
+}
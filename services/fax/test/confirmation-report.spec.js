@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { generateConfirmationReport, getConfirmationReportKey } from '../src/confirmation-report.js';
+import { generateCoverPage } from '../src/cover-page.js';
+
+const xObjectCount = (pdf) => {
+	const xObjects = pdf.getPage(0).node.Resources().lookup(PDFName.of('XObject'));
+	return xObjects ? xObjects.keys().length : 0;
+};
+
+describe('confirmation report', () => {
+	const details = {
+		result: 'delivered',
+		faxId: '0b8f3a7e-1d2c-4e5f-8a9b-0c1d2e3f4a5b',
+		providerFaxId: 'telnyx-fax-1',
+		provider: 'telnyx',
+		sender: '+18334610414',
+		recipient: '+15551230001',
+		subject: 'Signed contract',
+		submittedAt: '2025-03-03T14:00:00Z',
+		sentAt: '2025-03-03T14:00:05Z',
+		completedAt: '2025-03-03T14:02:10Z',
+		pages: 3,
+		durationSeconds: 125
+	};
+
+	it('should store reports next to the fax media', () => {
+		expect(getConfirmationReportKey('fax-1')).toBe('fax/fax-1/confirmation_report.pdf');
+	});
+
+	it('should render a one page report without a thumbnail', async () => {
+		const pdf = await PDFDocument.load(await generateConfirmationReport(details));
+
+		expect(pdf.getPageCount()).toBe(1);
+		expect(pdf.getTitle()).toBe('Fax transmission confirmation');
+		expect(xObjectCount(pdf)).toBe(0);
+	});
+
+	it('should show page one of the fax as a thumbnail', async () => {
+		const firstPage = await generateCoverPage({ recipient: details.recipient, sender: details.sender });
+		const pdf = await PDFDocument.load(await generateConfirmationReport({ ...details, firstPage }));
+
+		expect(pdf.getPageCount()).toBe(1);
+		expect(xObjectCount(pdf)).toBe(1);
+	});
+
+	it('should still render failed faxes and unreadable documents', async () => {
+		const bytes = await generateConfirmationReport({
+			...details,
+			result: 'failed',
+			failureReason: 'receiver_call_dropped',
+			durationSeconds: null,
+			firstPage: new Uint8Array([1, 2, 3])
+		});
+		const pdf = await PDFDocument.load(bytes);
+
+		expect(pdf.getPageCount()).toBe(1);
+		expect(xObjectCount(pdf)).toBe(0);
+	});
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import {
+	generateCoverPage,
+	resolveCoverPageTemplate,
+	listCoverPageTemplates,
+	getFaxDocumentKey,
+	isCoverPageDocument,
+	COVER_PAGE_TEMPLATES,
+	COVER_PAGE_FILENAME,
+	DEFAULT_COVER_PAGE_TEMPLATE
+} from '../src/cover-page.js';
+
+describe('cover page', () => {
+	const details = {
+		sender: '+18334610414',
+		recipient: '+15551230001',
+		subject: 'Signed contract',
+		message: 'Please find the signed contract attached.',
+		pageCount: 3,
+		date: new Date('2025-03-03T14:00:00Z')
+	};
+
+	it('should render a single page PDF for every template', async () => {
+		for (const template of Object.keys(COVER_PAGE_TEMPLATES)) {
+			const bytes = await generateCoverPage({ ...details, template });
+			const pdf = await PDFDocument.load(bytes);
+			expect(pdf.getPageCount()).toBe(1);
+		}
+	});
+
+	it('should keep very long and non-Latin messages on one page', async () => {
+		const bytes = await generateCoverPage({
+			...details,
+			message: 'Привет 你好 '.repeat(40) + 'x'.repeat(500) + '\n'.repeat(10) + 'word '.repeat(2000)
+		});
+		const pdf = await PDFDocument.load(bytes);
+		expect(pdf.getPageCount()).toBe(1);
+	});
+
+	it('should fall back to the default template for unknown names', () => {
+		expect(resolveCoverPageTemplate('Business')).toBe('business');
+		expect(resolveCoverPageTemplate('TestCoverPage')).toBe(DEFAULT_COVER_PAGE_TEMPLATE);
+		expect(resolveCoverPageTemplate(undefined)).toBe(DEFAULT_COVER_PAGE_TEMPLATE);
+	});
+
+	it('should list the templates with a single default', () => {
+		const templates = listCoverPageTemplates();
+		expect(templates.map(template => template.id)).toEqual(Object.keys(COVER_PAGE_TEMPLATES));
+		expect(templates.filter(template => template.isDefault)).toHaveLength(1);
+	});
+
+	it('should store cover pages under keys that tell them apart from documents', () => {
+		const coverKey = getFaxDocumentKey('fax-1', { name: COVER_PAGE_FILENAME }, 0);
+		const documentKey = getFaxDocumentKey('fax-1', { name: 'contract.pdf' }, 1);
+
+		expect(coverKey).toMatch(/^fax\/fax-1\/cover_page_\d+\.pdf$/);
+		expect(documentKey).toMatch(/^fax\/fax-1\/document_2_\d+\.pdf$/);
+		expect(isCoverPageDocument({ key: coverKey })).toBe(true);
+		expect(isCoverPageDocument({ key: documentKey, name: 'contract.pdf' })).toBe(false);
+		expect(isCoverPageDocument({ key: 'fax/fax-1/document_1_1748779200000.pdf', name: COVER_PAGE_FILENAME })).toBe(true);
+	});
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { getCreditHoldExpiry, calculateCapturedCredits, DEFAULT_CREDIT_HOLD_TTL_HOURS } from '../src/credit-holds.js';
+
+describe('credit holds', () => {
+	const now = new Date('2025-03-03T09:00:00Z');
+
+	it('should expire holds a day after the fax is due by default', () => {
+		expect(DEFAULT_CREDIT_HOLD_TTL_HOURS).toBe(24);
+		expect(getCreditHoldExpiry({}, null, now)).toBe('2025-03-04T09:00:00.000Z');
+		expect(getCreditHoldExpiry({}, '2025-03-10T12:00:00Z', now)).toBe('2025-03-11T12:00:00.000Z');
+	});
+
+	it('should read the hold lifetime from the environment', () => {
+		expect(getCreditHoldExpiry({ FAX_CREDIT_HOLD_TTL_HOURS: '2' }, null, now)).toBe('2025-03-03T11:00:00.000Z');
+		expect(getCreditHoldExpiry({ FAX_CREDIT_HOLD_TTL_HOURS: 'never' }, null, now)).toBe('2025-03-04T09:00:00.000Z');
+	});
+
+	it('should charge pro rata for the delivered pages', () => {
+		expect(calculateCapturedCredits({ credits: 6, pages: 3 }, 2)).toBe(4);
+		expect(calculateCapturedCredits({ credits: 5, pages: 2 }, 1)).toBe(3);
+	});
+
+	it('should never charge more than was held', () => {
+		// Telnyx counts the generated cover page
+		expect(calculateCapturedCredits({ credits: 6, pages: 3 }, 4)).toBe(6);
+	});
+
+	it('should charge the full hold when the delivered pages are unknown', () => {
+		expect(calculateCapturedCredits({ credits: 6, pages: 3 }, null)).toBe(6);
+		expect(calculateCapturedCredits({ credits: 6, pages: 0 }, 2)).toBe(6);
+	});
+});
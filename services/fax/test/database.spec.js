@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { DatabaseUtils } from '../src/database.js';
+import { DatabaseUtils, FaxDatabaseUtils } from '../src/database.js';
 
 // Simple mock query result
 let mockQueryResult = {
@@ -18,13 +18,19 @@ const createAwaitableQueryChain = () => {
 	const chain = {
 		select: vi.fn(() => chain),
 		insert: vi.fn(() => chain),
+		upsert: vi.fn(() => chain),
 		update: vi.fn(() => chain),
+		delete: vi.fn(() => chain),
 		eq: vi.fn(() => chain),
+		or: vi.fn(() => chain),
 		order: vi.fn(() => chain),
 		range: vi.fn(() => chain),
 		gte: vi.fn(() => chain),
 		lte: vi.fn(() => chain),
+		gt: vi.fn(() => chain),
+		is: vi.fn(() => chain),
 		single: vi.fn(() => Promise.resolve(mockQueryResult)),
+		maybeSingle: vi.fn(() => Promise.resolve(mockQueryResult)),
 		then: vi.fn((onFulfilled) => {
 			return Promise.resolve(mockQueryResult).then(onFulfilled);
 		})
@@ -316,6 +322,121 @@ describe('DatabaseUtils', () => {
 
 
 
+	describe('transitionFaxRecord', () => {
+		it('should only update a fax that still has the expected status', async () => {
+			const chain = createAwaitableQueryChain();
+			mockSupabaseClient.from.mockReturnValue(chain);
+			mockQueryResult.data = { id: 'db_123', status: 'delivered' };
+
+			const result = await DatabaseUtils.transitionFaxRecord('db_123', 'sending', { status: 'delivered' }, mockEnv, mockLogger);
+
+			expect(result).toEqual({ id: 'db_123', status: 'delivered' });
+			expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'delivered', updated_at: expect.any(String) }));
+			expect(chain.eq).toHaveBeenCalledWith('id', 'db_123');
+			expect(chain.eq).toHaveBeenCalledWith('status', 'sending');
+		});
+
+		it('should return null when the status changed concurrently', async () => {
+			mockQueryResult.data = null;
+
+			const result = await DatabaseUtils.transitionFaxRecord('db_123', 'sending', { status: 'delivered' }, mockEnv, mockLogger);
+
+			expect(result).toBeNull();
+			expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Fax status changed concurrently, update skipped', {
+				recordId: 'db_123',
+				expectedStatus: 'sending',
+				status: 'delivered'
+			});
+		});
+
+		it('should throw when the update fails rather than report a concurrent change', async () => {
+			mockQueryResult.data = null;
+			mockQueryResult.error = { message: 'connection reset' };
+
+			await expect(DatabaseUtils.transitionFaxRecord('db_123', 'sending', { status: 'delivered' }, mockEnv, mockLogger))
+				.rejects.toThrow('Failed to update fax status: connection reset');
+		});
+	});
+
+	describe('storeStatusSnapshot', () => {
+		const polledFax = { id: 'db_123', provider_fax_id: 'notifyre-fax-8', original_status: 'Sending' };
+		const snapshot = { status: 'sending', original_status: 'Processing', pages: 1, error_message: null };
+
+		it('should store a snapshot when its poll moved the original status', async () => {
+			const chain = createAwaitableQueryChain();
+			mockSupabaseClient.from.mockReturnValue(chain);
+			mockQueryResult.data = { id: 'db_123' };
+
+			const result = await DatabaseUtils.storeStatusSnapshot(polledFax, snapshot, { id: 'notifyre-fax-8' }, mockEnv, mockLogger);
+
+			expect(result).toBe(true);
+			expect(chain.update).toHaveBeenCalledWith(expect.objectContaining({ original_status: 'Processing' }));
+			expect(chain.eq).toHaveBeenCalledWith('original_status', 'Sending');
+			expect(chain.insert).toHaveBeenCalledWith(expect.objectContaining({ fax_id: 'notifyre-fax-8', data: snapshot }));
+		});
+
+		it('should not store a snapshot when the status changed since it was read', async () => {
+			const chain = createAwaitableQueryChain();
+			mockSupabaseClient.from.mockReturnValue(chain);
+			mockQueryResult.data = null;
+
+			const result = await DatabaseUtils.storeStatusSnapshot(polledFax, snapshot, { id: 'notifyre-fax-8' }, mockEnv, mockLogger);
+
+			expect(result).toBe(false);
+			expect(chain.insert).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('getFaxNumberAssignment', () => {
+		it('should return null for numbers without an active assignment', async () => {
+			mockQueryResult.data = null;
+
+			expect(await FaxDatabaseUtils.getFaxNumberAssignment('+15559870002', mockEnv, mockLogger)).toBeNull();
+		});
+
+		it('should throw when the lookup fails rather than treat the number as shared', async () => {
+			mockQueryResult.data = null;
+			mockQueryResult.error = { message: 'connection reset' };
+
+			await expect(FaxDatabaseUtils.getFaxNumberAssignment('+15559870002', mockEnv, mockLogger))
+				.rejects.toThrow('Failed to fetch fax number assignment: connection reset');
+		});
+	});
+
+	describe('saveReceivedFax', () => {
+		const receivedFax = { webhookId: 'evt-1', fromNumber: '+15551230001', toNumber: '+15559870002', pageCount: 2, mediaUrl: 'https://files.example.com/received/evt-1.pdf' };
+
+		beforeEach(() => {
+			vi.spyOn(FaxDatabaseUtils, 'isOwnNumber').mockResolvedValue(false);
+		});
+
+		afterEach(() => {
+			vi.restoreAllMocks();
+		});
+
+		it('should skip webhooks that were already saved', async () => {
+			const chain = createAwaitableQueryChain();
+			mockSupabaseClient.from.mockReturnValue(chain);
+			mockQueryResult.data = { id: 'received-1', webhook_id: 'evt-1' };
+
+			const created = await DatabaseUtils.saveReceivedFax(receivedFax, mockEnv, mockLogger);
+
+			expect(created).toEqual({ record: { id: 'received-1', webhook_id: 'evt-1' }, created: true });
+			expect(chain.upsert).toHaveBeenCalledWith(expect.objectContaining({ webhook_id: 'evt-1' }), { onConflict: 'webhook_id', ignoreDuplicates: true });
+
+			mockQueryResult.data = null;
+			const duplicate = await DatabaseUtils.saveReceivedFax(receivedFax, mockEnv, mockLogger);
+
+			expect(duplicate).toEqual({ record: null, created: false });
+		});
+
+		it('should return null when the fax cannot be saved', async () => {
+			mockQueryResult.error = { message: 'insert failed' };
+
+			expect(await DatabaseUtils.saveReceivedFax(receivedFax, mockEnv, mockLogger)).toBeNull();
+		});
+	});
+
 	describe('storeWebhookEvent', () => {
 		const mockWebhookData = {
 			event: 'fax.delivered',
@@ -377,4 +498,37 @@ describe('DatabaseUtils', () => {
 			});
 		});
 	});
+
+	describe('claimIdempotencyKey', () => {
+		it('should replace expired keys and claims abandoned past the processing lease', async () => {
+			const chain = createAwaitableQueryChain();
+			mockSupabaseClient.from.mockReturnValue(chain);
+			mockQueryResult.data = { id: 'idem-1', status: 'processing' };
+
+			const result = await FaxDatabaseUtils.claimIdempotencyKey('user-1', 'key-1', 'fingerprint', '2025-03-04T09:00:00.000Z', '2025-03-03T08:55:00.000Z', mockEnv, mockLogger);
+
+			expect(result).toEqual({ claimed: true, record: { id: 'idem-1', status: 'processing' } });
+			expect(chain.delete).toHaveBeenCalled();
+			expect(chain.or).toHaveBeenCalledWith(expect.stringContaining('and(status.eq.processing,updated_at.lt.2025-03-03T08:55:00.000Z)'));
+			expect(chain.or).toHaveBeenCalledWith(expect.stringMatching(/^expires_at\.lt\./));
+		});
+	});
+
+	describe('credit holds', () => {
+		it('should report null instead of zero when holds cannot be read', async () => {
+			mockQueryResult.error = { message: 'Connection reset' };
+
+			expect(await FaxDatabaseUtils.getHeldCredits('user-1', mockEnv, mockLogger)).toBeNull();
+		});
+
+		it('should fail the credit check rather than ignore unreadable holds', async () => {
+			mockQueryResult.data = [{ id: 'fc-1', credit_limit: 20, credits_used: 0 }];
+			const holdsSpy = vi.spyOn(FaxDatabaseUtils, 'getHeldCredits').mockResolvedValueOnce(null);
+
+			const result = await FaxDatabaseUtils.checkFreeCredits('user-1', 5, mockEnv, mockLogger);
+
+			expect(result).toEqual(expect.objectContaining({ hasCredits: false, availablePages: 0, error: 'Failed to check credit holds' }));
+			holdsSpy.mockRestore();
+		});
+	});
 }); 
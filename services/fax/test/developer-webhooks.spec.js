@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+	parseWebhookEndpoint,
+	generateWebhookSecret,
+	signWebhookPayload,
+	getNextAttemptAt,
+	formatFaxEventData,
+	formatWebhookEndpoint,
+	getLowCreditsThreshold,
+	MAX_DELIVERY_ATTEMPTS,
+	DEFAULT_LOW_CREDITS_THRESHOLD
+} from '../src/developer-webhooks.js';
+
+describe('developer webhooks', () => {
+	it('should accept public https endpoints with known events', () => {
+		const { endpoint, error } = parseWebhookEndpoint({
+			url: 'https://hooks.example.com/sendfax',
+			events: ['fax.delivered', 'fax.failed', 'fax.delivered'],
+			description: '  Billing system  '
+		});
+
+		expect(error).toBeNull();
+		expect(endpoint).toEqual({
+			url: 'https://hooks.example.com/sendfax',
+			event_types: ['fax.delivered', 'fax.failed'],
+			description: 'Billing system'
+		});
+	});
+
+	it('should reject unsafe URLs, unknown events and too many endpoints', () => {
+		const events = ['fax.delivered'];
+
+		expect(parseWebhookEndpoint({ url: 'http://hooks.example.com', events }).error).toBe('url must be a public https URL');
+		expect(parseWebhookEndpoint({ url: 'https://127.0.0.1/hook', events }).error).toBe('url must be a public https URL');
+		expect(parseWebhookEndpoint({ url: 'https://hooks.example.com', events: ['fax.sent'] }).error).toMatch(/^events must be/);
+		expect(parseWebhookEndpoint({ url: 'https://hooks.example.com', events: [] }).error).toMatch(/^events must be/);
+		expect(parseWebhookEndpoint({ url: 'https://hooks.example.com', events }, 10).error)
+			.toBe('A maximum of 10 webhook endpoints is allowed');
+	});
+
+	it('should sign the timestamp and raw body with the endpoint secret', async () => {
+		const secret = generateWebhookSecret();
+		const rawBody = JSON.stringify({ id: 'evt-1', type: 'fax.delivered' });
+		const header = await signWebhookPayload(secret, rawBody, 1748779200);
+
+		const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+		const expected = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`1748779200.${rawBody}`));
+		const hex = Array.from(new Uint8Array(expected), byte => byte.toString(16).padStart(2, '0')).join('');
+
+		expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+		expect(header).toBe(`t=1748779200,v1=${hex}`);
+	});
+
+	it('should back off exponentially and give up after the last attempt', () => {
+		const now = new Date('2025-06-01T12:00:00Z');
+
+		expect(getNextAttemptAt(1, now)).toBe('2025-06-01T12:01:00.000Z');
+		expect(getNextAttemptAt(3, now)).toBe('2025-06-01T12:04:00.000Z');
+		expect(getNextAttemptAt(MAX_DELIVERY_ATTEMPTS, now)).toBeNull();
+	});
+
+	it('should keep secrets and internal columns out of payloads', () => {
+		const endpoint = formatWebhookEndpoint({ id: 'ep-1', url: 'https://hooks.example.com', event_types: ['fax.failed'], secret: 'whsec_x', user_id: 'user-1' });
+		const data = formatFaxEventData({ id: 'fax-1', user_id: 'user-1', recipients: ['+15551234567'], pages: 2, error_message: 'Busy line' }, 'failed');
+
+		expect(endpoint).not.toHaveProperty('secret');
+		expect(data).not.toHaveProperty('user_id');
+		expect(data.failureReason).toBe('Busy line');
+		expect(formatFaxEventData({ id: 'fax-1', error_message: 'old' }, 'delivered').failureReason).toBeNull();
+	});
+
+	it('should read the low credit threshold from the environment', () => {
+		expect(getLowCreditsThreshold({ FAX_LOW_CREDITS_THRESHOLD: '25' })).toBe(25);
+		expect(getLowCreditsThreshold({ FAX_LOW_CREDITS_THRESHOLD: 'none' })).toBe(DEFAULT_LOW_CREDITS_THRESHOLD);
+		expect(getLowCreditsThreshold()).toBe(DEFAULT_LOW_CREDITS_THRESHOLD);
+	});
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import jpeg from 'jpeg-js';
+import UPNG from 'upng-js';
+import { detectDocumentType, toMonochrome, convertDocument, PAPER_SIZES } from '../src/document-converter.js';
+
+// Gray image with a dark square in the middle
+const createRgba = (width, height) => {
+	const data = new Uint8Array(width * height * 4);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const dark = x > width / 4 && x < width * 3 / 4 && y > height / 4 && y < height * 3 / 4;
+			const i = (y * width + x) * 4;
+			data[i] = data[i + 1] = data[i + 2] = dark ? 20 : 200;
+			data[i + 3] = 255;
+		}
+	}
+	return data;
+};
+
+const createJpeg = (width, height) => new Uint8Array(jpeg.encode({ width, height, data: createRgba(width, height) }, 90).data);
+const createPng = (width, height) => new Uint8Array(UPNG.encode([createRgba(width, height).buffer], width, height, 0));
+
+describe('document converter', () => {
+	const logger = { log: vi.fn() };
+
+	it('should detect document types from their contents', async () => {
+		const pdf = await (await PDFDocument.create()).save();
+		expect(detectDocumentType(pdf)).toBe('pdf');
+		expect(detectDocumentType(createJpeg(8, 8), 'application/pdf')).toBe('jpeg');
+		expect(detectDocumentType(createPng(8, 8))).toBe('png');
+		expect(detectDocumentType(new Uint8Array([0x49, 0x49, 0x2a, 0x00]))).toBe('tiff');
+		expect(detectDocumentType(new TextEncoder().encode('hello'), undefined, 'notes.txt')).toBe('text');
+		expect(detectDocumentType(new TextEncoder().encode('hello'), 'application/msword')).toBeNull();
+	});
+
+	it('should threshold images to black and white', () => {
+		const image = toMonochrome({ width: 16, height: 16, data: createRgba(16, 16), orientation: 1 }, 100, 100);
+		const pixel = (x, y) => (image.bits[y * 2 + (x >> 3)] >> (7 - (x & 7))) & 1;
+
+		expect(image.width).toBe(16);
+		expect(pixel(8, 8)).toBe(0);
+		expect(pixel(0, 0)).toBe(1);
+	});
+
+	it('should scale images down and swap dimensions for rotated photos', () => {
+		const image = toMonochrome({ width: 400, height: 200, data: createRgba(400, 200), orientation: 6 }, 100, 100);
+		expect(image.width).toBe(50);
+		expect(image.height).toBe(100);
+	});
+
+	it('should convert a JPEG to a one page PDF of the requested paper size', async () => {
+		const result = await convertDocument(createJpeg(64, 48), { filename: 'photo.jpg', paperSize: 'a4' }, logger);
+		const pdf = await PDFDocument.load(result.bytes);
+
+		expect(result.converted).toBe(true);
+		expect(result.contentType).toBe('application/pdf');
+		expect(pdf.getPageCount()).toBe(1);
+		expect(pdf.getPage(0).getWidth()).toBeCloseTo(PAPER_SIZES.a4[0]);
+	});
+
+	it('should convert a PNG on Letter paper by default', async () => {
+		const result = await convertDocument(createPng(32, 32), { filename: 'scan.png' }, logger);
+		const pdf = await PDFDocument.load(result.bytes);
+
+		expect(pdf.getPage(0).getHeight()).toBe(PAPER_SIZES.letter[1]);
+	});
+
+	it('should paginate long text files', async () => {
+		const text = Array.from({ length: 150 }, (_, i) => `Line ${i + 1}`).join('\n');
+		const result = await convertDocument(new TextEncoder().encode(text), { contentType: 'text/plain' }, logger);
+		const pdf = await PDFDocument.load(result.bytes);
+
+		expect(pdf.getPageCount()).toBe(3);
+	});
+
+	it('should pass PDFs and unknown files through unchanged', async () => {
+		const pdf = await (await PDFDocument.create()).save();
+		expect(await convertDocument(pdf, {}, logger)).toEqual({ bytes: pdf, contentType: 'application/pdf', converted: false });
+
+		const docx = new Uint8Array([0x50, 0x4b, 0x03, 0x04]);
+		expect((await convertDocument(docx, { contentType: 'application/msword' }, logger)).converted).toBe(false);
+	});
+
+	it('should reject images that fail to decode', async () => {
+		const broken = new Uint8Array([0xff, 0xd8, 0xff, 0x00, 0x01]);
+		await expect(convertDocument(broken, { filename: 'broken.jpg' }, logger)).rejects.toThrow('Unable to convert jpeg document broken.jpg');
+	});
+
+	it('should reject images too large to decode before decoding them', async () => {
+		// Headers claiming 4000 x 4000 pixels in front of a tiny image
+		const png = createPng(8, 8);
+		new DataView(png.buffer).setUint32(16, 4000);
+		new DataView(png.buffer).setUint32(20, 4000);
+		const jpg = createJpeg(8, 8);
+		const sof = jpg.findIndex((byte, i) => byte === 0xff && jpg[i + 1] === 0xc0);
+		new DataView(jpg.buffer).setUint16(sof + 5, 4000);
+		new DataView(jpg.buffer).setUint16(sof + 7, 4000);
+
+		await expect(convertDocument(png, { filename: 'poster.png' }, logger)).rejects.toThrow(/^Unable to convert png document poster.png: image is larger than/);
+		await expect(convertDocument(jpg, { filename: 'poster.jpg' }, logger)).rejects.toThrow(/^Unable to convert jpeg document poster.jpg: image is larger than/);
+		await expect(convertDocument(createPng(64, 64), { filename: 'small.png' }, logger)).resolves.toEqual(expect.objectContaining({ converted: true }));
+	});
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+	parseFaxAddress,
+	isSenderAuthenticated,
+	getCoverMessage,
+	buildEmailFaxRequest,
+	findMissingEmailGatewayEnv,
+	MAX_COVER_MESSAGE_LENGTH
+} from '../src/email-gateway.js';
+
+describe('email gateway', () => {
+	describe('parseFaxAddress', () => {
+		it('should read the fax number from the local part', () => {
+			expect(parseFaxAddress('15551230001@fax.sendfax.pro')).toBe('+15551230001');
+			expect(parseFaxAddress('+1-555-123-0001@FAX.sendfax.pro')).toBe('+15551230001');
+			expect(parseFaxAddress('1.555.123.0001@fax.example.com', 'fax.example.com')).toBe('+15551230001');
+		});
+
+		it('should reject other domains and non-numeric or implausible numbers', () => {
+			expect(parseFaxAddress('15551230001@sendfax.pro')).toBeNull();
+			expect(parseFaxAddress('sales@fax.sendfax.pro')).toBeNull();
+			expect(parseFaxAddress('123@fax.sendfax.pro')).toBeNull();
+			expect(parseFaxAddress('1234567890123456@fax.sendfax.pro')).toBeNull();
+			expect(parseFaxAddress(null)).toBeNull();
+		});
+	});
+
+	describe('isSenderAuthenticated', () => {
+		const from = 'jane@mail.example.com';
+
+		it('should accept aligned DMARC, DKIM or SPF passes from our mail server', () => {
+			expect(isSenderAuthenticated(['mx.cloudflare.net; dmarc=pass header.from=mail.example.com'], from)).toBe(true);
+			expect(isSenderAuthenticated(['mx.cloudflare.net; dkim=pass header.d=example.com'], from)).toBe(true);
+			expect(isSenderAuthenticated(['mx.cloudflare.net; dkim=pass header.i=@example.com'], from)).toBe(true);
+			expect(isSenderAuthenticated(['mx.cloudflare.net; spf=pass smtp.mailfrom=bounces@mail.example.com'], from)).toBe(true);
+		});
+
+		it('should ignore results for other domains and failed checks', () => {
+			expect(isSenderAuthenticated(['mx.cloudflare.net; dkim=pass header.d=mailer.test; spf=fail smtp.mailfrom=jane@mail.example.com'], from)).toBe(false);
+			expect(isSenderAuthenticated(['mx.cloudflare.net; dkim=pass header.d=badexample.com'], from)).toBe(false);
+		});
+
+		it('should ignore results added by other servers', () => {
+			expect(isSenderAuthenticated(['mx.attacker.test; dmarc=pass header.from=mail.example.com'], from)).toBe(false);
+			expect(isSenderAuthenticated(['mx.internal.test; dkim=pass header.d=example.com'], from, 'mx.internal.test')).toBe(true);
+		});
+
+		it('should only trust the topmost header, which our mail server adds', () => {
+			const forged = 'mx.cloudflare.net; dmarc=pass header.from=mail.example.com';
+
+			expect(isSenderAuthenticated(['mx.cloudflare.net; dmarc=fail header.from=mail.example.com; spf=fail', forged], from)).toBe(false);
+			expect(isSenderAuthenticated(['mx.cloudflare.net; spf=none', forged], from)).toBe(false);
+			expect(isSenderAuthenticated([], from)).toBe(false);
+		});
+
+		it('should reject senders without an address', () => {
+			expect(isSenderAuthenticated(['mx.cloudflare.net; dmarc=pass header.from=example.com'], '')).toBe(false);
+		});
+	});
+
+	describe('getCoverMessage', () => {
+		it('should drop signatures and quoted replies', () => {
+			const text = 'Hello,\r\n\r\nPlease sign page 2.\r\n> earlier message\r\n-- \r\nJane Doe\r\nACME';
+			expect(getCoverMessage({ text })).toBe('Hello,\n\nPlease sign page 2.');
+			expect(getCoverMessage({ text: 'Thanks!\nOn Mon, Mar 3, 2025 Bob wrote:\n> hi' })).toBe('Thanks!');
+		});
+
+		it('should fall back to the HTML body', () => {
+			expect(getCoverMessage({ html: '<style>p{}</style><p>Hello &amp; welcome</p><p>Bye</p>' })).toBe('Hello & welcome\nBye');
+		});
+
+		it('should return null for empty bodies and cap long ones', () => {
+			expect(getCoverMessage({ text: '  \n' })).toBeNull();
+			expect(getCoverMessage({ text: 'x'.repeat(5000) })).toHaveLength(MAX_COVER_MESSAGE_LENGTH);
+		});
+	});
+
+	describe('buildEmailFaxRequest', () => {
+		it('should fax attachments but not images embedded in the body', () => {
+			const request = buildEmailFaxRequest({
+				subject: ' Contract ',
+				text: 'See attached',
+				attachments: [
+					{ filename: 'contract.pdf', mimeType: 'application/pdf', disposition: 'attachment', content: 'JVBERg==' },
+					{ filename: 'logo.png', mimeType: 'image/png', disposition: 'inline', contentId: '<logo>', related: true, content: 'iVBORw==' },
+					{ mimeType: 'image/jpeg', disposition: null, content: '/9j/' }
+				]
+			}, '+15551230001');
+
+			expect(request).toEqual({
+				recipient: '+15551230001',
+				files: [
+					{ data: 'JVBERg==', filename: 'contract.pdf', mimeType: 'application/pdf' },
+					{ data: '/9j/', filename: 'attachment_2', mimeType: 'image/jpeg' }
+				],
+				subject: 'Contract',
+				message: 'See attached'
+			});
+		});
+
+		it('should leave out an empty subject and body', () => {
+			expect(buildEmailFaxRequest({ attachments: [] }, '+15551230001')).toEqual({ recipient: '+15551230001', files: [] });
+		});
+	});
+
+	describe('findMissingEmailGatewayEnv', () => {
+		it('should list the settings the worker is missing', () => {
+			const env = { SUPABASE_URL: 'https://x.supabase.co', SUPABASE_SERVICE_ROLE_KEY: 'key', RESEND_API_KEY: 're_key', TELNYX_API_KEY: 'telnyx' };
+
+			expect(findMissingEmailGatewayEnv(env)).toEqual([]);
+			expect(findMissingEmailGatewayEnv({ ...env, TELNYX_API_KEY: undefined, NOTIFYRE_API_KEY: 'notifyre' })).toEqual([]);
+			expect(findMissingEmailGatewayEnv({ SUPABASE_URL: 'https://x.supabase.co' }))
+				.toEqual(['SUPABASE_SERVICE_ROLE_KEY', 'RESEND_API_KEY', 'TELNYX_API_KEY or NOTIFYRE_API_KEY']);
+		});
+	});
+});
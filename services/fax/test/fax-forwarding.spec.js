@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+	chooseDelivery,
+	renderReceivedFaxEmail,
+	formatReceivedAt,
+	getForwardedFaxFilename,
+	MAX_FORWARD_ATTACHMENT_BYTES
+} from '../src/fax-forwarding.js';
+
+describe('fax forwarding', () => {
+	const fax = {
+		fromNumber: '+15551230001',
+		toNumber: '+15559870002',
+		pageCount: 3,
+		receivedAt: '2025-03-03T14:05:00Z',
+		mediaUrl: 'https://files.sendfax.pro/received/1741010700000_evt-1.pdf'
+	};
+
+	describe('chooseDelivery', () => {
+		it('should attach the PDF unless the rule asks for a link', () => {
+			expect(chooseDelivery({ delivery: 'attachment' }, 2048, fax.mediaUrl)).toBe('attachment');
+			expect(chooseDelivery({ delivery: 'link' }, 2048, fax.mediaUrl)).toBe('link');
+		});
+
+		it('should fall back to a link for large or missing PDFs', () => {
+			expect(chooseDelivery({ delivery: 'attachment' }, MAX_FORWARD_ATTACHMENT_BYTES + 1, fax.mediaUrl)).toBe('link');
+			expect(chooseDelivery({ delivery: 'attachment' }, null, fax.mediaUrl)).toBe('link');
+			expect(chooseDelivery({ delivery: 'link' }, 2048, null)).toBe('attachment');
+			expect(chooseDelivery({ delivery: 'attachment' }, null, null)).toBeNull();
+		});
+	});
+
+	describe('renderReceivedFaxEmail', () => {
+		it('should show the sender, page count and receive time', () => {
+			const email = renderReceivedFaxEmail(fax, 'attachment', 'America/New_York');
+
+			expect(email.subject).toBe('Fax received from +15551230001 (3 pages)');
+			expect(email.text).toContain('From: +15551230001');
+			expect(email.text).toContain('Pages: 3');
+			expect(email.text).toContain('Received: Mar 3, 2025, 09:05 AM EST');
+			expect(email.html).toContain('+15551230001');
+			expect(email.html).toContain('3 pages');
+			expect(email.html).toContain('Mar 3, 2025, 09:05 AM EST');
+			expect(email.html).not.toMatch(/\{\{\w+\}\}/);
+		});
+
+		it('should link to the stored PDF for link delivery', () => {
+			const email = renderReceivedFaxEmail(fax, 'link');
+
+			expect(email.text).toContain(`Download the fax (PDF): ${fax.mediaUrl}`);
+			expect(email.html).toContain(`href="${fax.mediaUrl}"`);
+		});
+
+		it('should escape values in the HTML', () => {
+			const email = renderReceivedFaxEmail({ ...fax, fromNumber: '<b>anonymous</b>', pageCount: 1 }, 'attachment');
+
+			expect(email.subject).toBe('Fax received from <b>anonymous</b> (1 page)');
+			expect(email.html).toContain('&lt;b&gt;anonymous&lt;/b&gt;');
+			expect(email.html).not.toContain('<b>anonymous</b>');
+		});
+	});
+
+	describe('formatReceivedAt', () => {
+		it('should fall back to UTC for unknown timezones', () => {
+			expect(formatReceivedAt(fax.receivedAt, 'Mars/Olympus_Mons')).toBe('Mar 3, 2025, 02:05 PM UTC');
+			expect(formatReceivedAt('not a date')).toBe('Unknown');
+		});
+	});
+
+	describe('getForwardedFaxFilename', () => {
+		it('should name the attachment after the sender and receive time', () => {
+			expect(getForwardedFaxFilename(fax)).toBe('fax_15551230001_20250303_140500.pdf');
+			expect(getForwardedFaxFilename({ fromNumber: null, receivedAt: null })).toBe('fax_unknown_received.pdf');
+		});
+	});
+});
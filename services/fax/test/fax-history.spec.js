@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+	parseHistoryQuery,
+	encodeHistoryCursor,
+	decodeHistoryCursor,
+	normalizeTags,
+	formatHistoryItem,
+	DEFAULT_HISTORY_LIMIT
+} from '../src/fax-history.js';
+
+const query = (params) => parseHistoryQuery(new URLSearchParams(params));
+
+describe('fax history', () => {
+	it('should default to the first page of 50 faxes', () => {
+		expect(query('')).toEqual({ filters: { limit: DEFAULT_HISTORY_LIMIT }, error: null });
+	});
+
+	it('should parse every filter', () => {
+		const { filters, error } = query('limit=20&status=failed,busy&from=2025-03-01&to=2025-03-31T23:59:59Z&recipient=%2B15551230001&provider=Telnyx&tag=invoices&q=Contract');
+
+		expect(error).toBeNull();
+		expect(filters).toEqual({
+			limit: 20,
+			statuses: ['failed', 'busy'],
+			fromDate: '2025-03-01T00:00:00.000Z',
+			toDate: '2025-03-31T23:59:59.000Z',
+			recipient: '+15551230001',
+			provider: 'telnyx',
+			tag: 'invoices',
+			search: 'Contract'
+		});
+	});
+
+	it('should reject invalid filters', () => {
+		expect(query('limit=0').error).toMatch(/limit/);
+		expect(query('limit=101').error).toMatch(/limit/);
+		expect(query('status=sent').error).toBe('Unknown status: sent');
+		expect(query('from=yesterday').error).toMatch(/from/);
+		expect(query('from=2025-03-02&to=2025-03-01').error).toBe('from must be before to');
+		expect(query('provider=fax.plus').error).toMatch(/provider/);
+		expect(query('cursor=not-a-cursor').error).toBe('cursor is invalid');
+	});
+
+	it('should round-trip cursors', () => {
+		const fax = { id: '0b8f3a7e-1d2c-4e5f-8a9b-0c1d2e3f4a5b', created_at: '2025-03-03T09:00:00.123456+00:00' };
+		const cursor = encodeHistoryCursor(fax);
+
+		expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+		expect(decodeHistoryCursor(cursor)).toEqual({ createdAt: fax.created_at, id: fax.id });
+		expect(query(`cursor=${cursor}`).filters.cursor).toEqual({ createdAt: fax.created_at, id: fax.id });
+	});
+
+	it('should not accept cursors that could inject filters', () => {
+		const cursor = btoa(JSON.stringify({ createdAt: '2025-03-03),user_id.neq.(x', id: '0b8f3a7e-1d2c-4e5f-8a9b-0c1d2e3f4a5b' }));
+		expect(decodeHistoryCursor(cursor)).toBeNull();
+	});
+
+	it('should normalise tags', () => {
+		expect(normalizeTags([' invoices ', 'invoices', '', 'q1'])).toEqual(['invoices', 'q1']);
+		expect(normalizeTags('invoices, q1')).toEqual(['invoices', 'q1']);
+		expect(normalizeTags(undefined)).toEqual([]);
+		expect(normalizeTags(Array.from({ length: 20 }, (_, i) => `tag${i}`))).toHaveLength(10);
+	});
+
+	it('should include cost, pages, document count and the error message', () => {
+		const item = formatHistoryItem({
+			id: 'fax-1',
+			status: 'failed',
+			recipients: ['+15551230001'],
+			pages: 3,
+			document_count: 2,
+			cost: 6,
+			created_at: '2025-03-03T09:00:00Z',
+			error_message: 'No answer after 3 attempts'
+		});
+
+		expect(item).toEqual(expect.objectContaining({
+			id: 'fax-1',
+			pages: 3,
+			documentCount: 2,
+			cost: 6,
+			tags: [],
+			errorMessage: 'No answer after 3 attempts'
+		}));
+	});
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { parseInboxQuery, parseInboxUpdate, formatInboxItem, encodeInboxCursor } from '../src/fax-inbox.js';
+
+describe('fax inbox', () => {
+	const fax = {
+		id: '3f0c2a9e-5b1d-4c7e-9a2f-6d8e0b1c2a3f',
+		from_number: '+15551230001',
+		to_number: '+15559870002',
+		page_count: 2,
+		media_url: 'https://files.sendfax.pro/received/1741010700000_evt-1.pdf',
+		received_at: '2025-03-03T14:05:00Z',
+		read_at: null,
+		archived_at: '2025-03-04T08:00:00Z'
+	};
+
+	it('should default to the unarchived inbox', () => {
+		expect(parseInboxQuery(new URLSearchParams())).toEqual({
+			filters: { limit: 50, view: 'inbox', unreadOnly: false },
+			error: null
+		});
+	});
+
+	it('should parse the view, unread filter and cursor', () => {
+		const cursor = encodeInboxCursor(fax);
+		const { filters } = parseInboxQuery(new URLSearchParams({ view: 'archived', unread: 'true', limit: '10', cursor }));
+
+		expect(filters).toEqual({
+			limit: 10,
+			view: 'archived',
+			unreadOnly: true,
+			cursor: { receivedAt: fax.received_at, id: fax.id }
+		});
+	});
+
+	it('should reject invalid filters', () => {
+		expect(parseInboxQuery(new URLSearchParams({ view: 'trash' })).error).toMatch(/view/);
+		expect(parseInboxQuery(new URLSearchParams({ unread: 'yes' })).error).toMatch(/unread/);
+		expect(parseInboxQuery(new URLSearchParams({ cursor: 'bogus' })).error).toBe('cursor is invalid');
+		expect(parseInboxQuery(new URLSearchParams({ limit: '0' })).error).toMatch(/limit/);
+	});
+
+	it('should turn read and archived flags into timestamps', () => {
+		const now = new Date('2025-03-05T10:00:00Z');
+
+		expect(parseInboxUpdate({ read: true, archived: false }, now)).toEqual({
+			updates: { read_at: '2025-03-05T10:00:00.000Z', archived_at: null },
+			error: null
+		});
+		expect(parseInboxUpdate({ read: 'yes' }).error).toMatch(/read/);
+		expect(parseInboxUpdate({}).error).toMatch(/Nothing to update/);
+	});
+
+	it('should link to the download endpoint instead of the stored file', () => {
+		const item = formatInboxItem(fax);
+
+		expect(item).toEqual({
+			id: fax.id,
+			from: '+15551230001',
+			to: '+15559870002',
+			pages: 2,
+			receivedAt: fax.received_at,
+			read: false,
+			readAt: null,
+			archived: true,
+			archivedAt: fax.archived_at,
+			downloadUrl: `/v1/fax/inbox/${fax.id}/download`
+		});
+		expect(JSON.stringify(item)).not.toContain(fax.media_url);
+	});
+});
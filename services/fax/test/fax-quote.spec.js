@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuotePages, summarizeCreditBalance } from '../src/fax-quote.js';
+
+describe('fax quotes', () => {
+	describe('parseQuotePages', () => {
+		it('should accept a total or the pages of each document', () => {
+			expect(parseQuotePages(4)).toEqual({ pages: 4, documentCount: 1, error: null });
+			expect(parseQuotePages([3, 2])).toEqual({ pages: 5, documentCount: 2, error: null });
+		});
+
+		it('should reject anything but positive integers', () => {
+			for (const value of [0, -1, 1.5, '3', [], [2, 0], null]) {
+				expect(parseQuotePages(value).error).toMatch(/positive integer/);
+			}
+		});
+	});
+
+	describe('summarizeCreditBalance', () => {
+		const now = new Date('2025-03-03T12:00:00Z');
+
+		it('should list the subscriptions a paid balance comes from', () => {
+			const balance = summarizeCreditBalance({
+				creditSource: 'subscription',
+				availablePages: 130,
+				totalCredits: 150,
+				heldCredits: 20,
+				subscriptions: [
+					{ id: 'sub-1', product_id: 'pro_monthly', credit_limit: 200, credits_used: 50, billing_period_start: '2025-03-01T00:00:00Z', billing_period_end: '2025-04-01T00:00:00Z' },
+					{ id: 'sub-2', product_id: 'pro_monthly', credit_limit: 100, credits_used: 100 },
+					{ id: 'sub-3', product_id: 'pro_monthly', credit_limit: 100, credits_used: 0, billing_period_start: '2025-04-01T00:00:00Z' }
+				]
+			}, now);
+
+			expect(balance).toEqual({
+				creditSource: 'subscription',
+				totalCredits: 150,
+				heldCredits: 20,
+				availableCredits: 130,
+				sources: [{ source: 'subscription', id: 'sub-1', productId: 'pro_monthly', credits: 150, expiresAt: '2025-04-01T00:00:00Z' }]
+			});
+		});
+
+		it('should list free credits by type', () => {
+			const balance = summarizeCreditBalance({
+				creditSource: 'free_credits',
+				availablePages: 0,
+				totalCredits: 4,
+				heldCredits: 4,
+				freeCredits: [
+					{ id: 'fc-1', type: 'signup', credit_limit: 5, credits_used: 2, expires_at: '2025-04-01T00:00:00Z' },
+					{ id: 'fc-2', type: 'referral', credit_limit: 1, credits_used: 0, expires_at: '2025-05-01T00:00:00Z' }
+				]
+			}, now);
+
+			expect(balance.availableCredits).toBe(0);
+			expect(balance.sources).toEqual([
+				{ source: 'signup', id: 'fc-1', credits: 3, expiresAt: '2025-04-01T00:00:00Z' },
+				{ source: 'referral', id: 'fc-2', credits: 1, expiresAt: '2025-05-01T00:00:00Z' }
+			]);
+		});
+	});
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { resolveFaxStatusTransition, FAX_STATUS_TRANSITIONS, FINAL_FAX_STATUSES } from '../src/fax-status.js';
+
+describe('fax status transitions', () => {
+	it('should move faxes forward, skipping steps', () => {
+		expect(resolveFaxStatusTransition('queued', 'sending')).toEqual({ apply: true, reason: null });
+		expect(resolveFaxStatusTransition('queued', 'delivered')).toEqual({ apply: true, reason: null });
+		expect(resolveFaxStatusTransition('scheduled', 'cancelled')).toEqual({ apply: true, reason: null });
+		expect(resolveFaxStatusTransition('sending', 'busy')).toEqual({ apply: true, reason: null });
+	});
+
+	it('should ignore late and repeated statuses', () => {
+		expect(resolveFaxStatusTransition('sending', 'queued')).toEqual({ apply: false, reason: 'stale status' });
+		expect(resolveFaxStatusTransition('sending', 'sending')).toEqual({ apply: false, reason: 'duplicate status' });
+		expect(resolveFaxStatusTransition('delivered', 'delivered')).toEqual({ apply: false, reason: 'duplicate status' });
+		expect(resolveFaxStatusTransition('delivered', 'sending')).toEqual({ apply: false, reason: 'fax already delivered' });
+		expect(resolveFaxStatusTransition('failed', 'delivered')).toEqual({ apply: false, reason: 'fax already failed' });
+	});
+
+	it('should never leave a final status', () => {
+		for (const status of FINAL_FAX_STATUSES) {
+			expect(FAX_STATUS_TRANSITIONS[status]).toEqual([]);
+		}
+	});
+
+	it('should accept any update for faxes without a known status', () => {
+		expect(resolveFaxStatusTransition(null, 'delivered')).toEqual({ apply: true, reason: null });
+		expect(resolveFaxStatusTransition('retrying', 'sending')).toEqual({ apply: true, reason: null });
+	});
+});
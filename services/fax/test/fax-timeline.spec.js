@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { buildFaxTimeline } from '../src/fax-timeline.js';
+
+const telnyxEvent = (eventType, occurredAt, data, payload = {}) => ({
+	event_type: eventType,
+	data,
+	raw_payload: { data: { event_type: eventType, occurred_at: occurredAt, payload: { fax_id: 'telnyx-fax-1', ...payload } } },
+	processed_at: occurredAt
+});
+
+describe('fax timeline', () => {
+	const fax = { id: 'fax-1', status: 'failed', created_at: '2025-03-03T09:00:00Z', completed_at: '2025-03-03T09:03:00Z', pages: 3, error_message: 'receiver_call_dropped' };
+
+	it('should order Telnyx events into the standard steps', () => {
+		const timeline = buildFaxTimeline(fax, [
+			telnyxEvent('fax.sending.started', '2025-03-03T09:00:40Z', { status: 'sending', original_status: 'sending' }),
+			telnyxEvent('fax.queued', '2025-03-03T09:00:05Z', { status: 'sending', original_status: 'queued' }),
+			telnyxEvent('fax.media.processed', '2025-03-03T09:00:20Z', { status: 'sending', original_status: 'media.processed' }),
+			telnyxEvent('fax.failed', '2025-03-03T09:03:00Z', { status: 'failed', original_status: 'failed', error_message: 'receiver_call_dropped', pages: 2 }, { failure_reason: 'receiver_call_dropped' })
+		]);
+
+		expect(timeline.map(entry => entry.step)).toEqual(['created', 'queued', 'media_processed', 'sending', 'failed']);
+		expect(timeline[4]).toEqual(expect.objectContaining({ source: 'webhook', failureReason: 'receiver_call_dropped', pages: 2 }));
+	});
+
+	it('should tell busy and no-answer apart from other failures', () => {
+		const timeline = buildFaxTimeline({ ...fax, status: 'busy' }, [
+			telnyxEvent('fax.failed', '2025-03-03T09:01:00Z', { status: 'busy', original_status: 'failed', error_message: 'user_busy' })
+		]);
+
+		expect(timeline.at(-1)).toEqual(expect.objectContaining({ step: 'busy', failureReason: 'user_busy' }));
+	});
+
+	it('should collapse repeated polling snapshots and show page progress', () => {
+		const snapshot = (at, originalStatus, status, pages) => ({
+			event_type: 'polling.status',
+			data: { status, original_status: originalStatus, pages },
+			raw_payload: { id: 'notifyre-fax-1', status: originalStatus },
+			processed_at: at
+		});
+
+		const timeline = buildFaxTimeline({ ...fax, status: 'delivered', error_message: null }, [
+			snapshot('2025-03-03T09:01:00Z', 'Preparing', 'queued', 1),
+			snapshot('2025-03-03T09:02:00Z', 'In Progress', 'processing', 1),
+			snapshot('2025-03-03T09:03:00Z', 'In Progress', 'processing', 2),
+			snapshot('2025-03-03T09:04:00Z', 'Successful', 'delivered', 3),
+			{ event_type: 'fax.sent', data: { status: 'delivered', original_status: 'Successful', pages: 3 }, raw_payload: { event: 'fax.sent', data: { id: 'notifyre-fax-1' } }, processed_at: '2025-03-03T09:04:10Z' }
+		]);
+
+		expect(timeline.map(entry => [entry.step, entry.pages])).toEqual([
+			['created', 3],
+			['queued', 1],
+			['sending', null],
+			['page_progress', 1],
+			['page_progress', 2],
+			['delivered', 3]
+		]);
+		expect(timeline.at(-1).source).toBe('polling');
+	});
+
+	it('should add outcomes recorded without a provider event', () => {
+		const timeline = buildFaxTimeline({
+			id: 'fax-2',
+			status: 'cancelled',
+			created_at: '2025-03-03T09:00:00Z',
+			scheduled_at: '2025-03-04T09:00:00Z',
+			completed_at: '2025-03-03T10:00:00Z'
+		}, []);
+
+		expect(timeline.map(entry => entry.step)).toEqual(['created', 'scheduled', 'cancelled']);
+		expect(timeline[1].scheduledAt).toBe('2025-03-04T09:00:00Z');
+		expect(timeline[2]).toEqual(expect.objectContaining({ source: 'api', at: '2025-03-03T10:00:00Z' }));
+	});
+
+	it('should skip events ignored for cancelled faxes', () => {
+		const timeline = buildFaxTimeline({ ...fax, status: 'cancelled' }, [
+			telnyxEvent('fax.delivered', '2025-03-03T09:05:00Z', { ignored: true, reason: 'fax cancelled', status: 'delivered' })
+		]);
+
+		expect(timeline.map(entry => entry.step)).toEqual(['created', 'cancelled']);
+	});
+});
@@ -1,5 +1,6 @@
 import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect, beforeAll, vi, beforeEach } from 'vitest';
+import { describe, it, expect, beforeAll, vi, beforeEach, afterEach } from 'vitest';
+import wranglerConfig from '../wrangler.toml?raw';
 
 // Mock Supabase client to avoid ES module issues in tests
 vi.mock('@supabase/supabase-js', () => ({
@@ -24,8 +25,19 @@ vi.mock('../src/database.js', () => ({
 		})),
 		saveFaxRecord: vi.fn().mockResolvedValue({ id: 'saved-fax-123', notifyre_fax_id: 'fax_mock_123' }),
 		updateFaxRecord: vi.fn().mockResolvedValue({ id: 'updated-fax-123' }),
+		transitionFaxRecord: vi.fn().mockResolvedValue({ id: 'updated-fax-123' }),
+		getFaxRecord: vi.fn().mockResolvedValue(null),
+		deleteFaxRecord: vi.fn().mockResolvedValue(true),
+		recordUsage: vi.fn().mockResolvedValue(true),
+		listUserFaxes: vi.fn().mockResolvedValue({ faxes: [], hasMore: false }),
 		
-		storeWebhookEvent: vi.fn().mockResolvedValue(true)
+		storeWebhookEvent: vi.fn().mockResolvedValue(true),
+		storeStatusSnapshot: vi.fn().mockResolvedValue(true),
+		saveReceivedFax: vi.fn().mockResolvedValue(null),
+		listInboxFaxes: vi.fn().mockResolvedValue({ faxes: [], hasMore: false }),
+		getInboxFax: vi.fn().mockResolvedValue(null),
+		updateInboxFax: vi.fn().mockResolvedValue(null),
+		deleteInboxFax: vi.fn().mockResolvedValue(true)
 	},
 	FaxDatabaseUtils: {
 		checkUserCredits: vi.fn().mockResolvedValue({
@@ -44,7 +56,35 @@ vi.mock('../src/database.js', () => ({
 			totalPages: 10,
 			faxCount: 5,
 			faxes: []
-		})
+		}),
+		createFaxBatch: vi.fn().mockResolvedValue({ id: 'batch-123', status: 'queued', recipient_count: 3 }),
+		getFaxBatch: vi.fn().mockResolvedValue({ id: 'batch-123', status: 'queued', recipient_count: 3 }),
+		getDueScheduledFaxes: vi.fn().mockResolvedValue([]),
+		claimScheduledFax: vi.fn().mockResolvedValue(null),
+		claimIdempotencyKey: vi.fn().mockResolvedValue({ claimed: true, record: { id: 'idem-1' } }),
+		completeIdempotencyKey: vi.fn().mockResolvedValue(true),
+		releaseIdempotencyKey: vi.fn().mockResolvedValue(true),
+		findRecentFaxesByDocumentHash: vi.fn().mockResolvedValue([]),
+		placeCreditHold: vi.fn().mockResolvedValue({ success: true, holdId: 'hold-1', error: null }),
+		releaseCreditHold: vi.fn().mockResolvedValue(true),
+		captureCreditHold: vi.fn().mockResolvedValue({ id: 'hold-1', status: 'captured' }),
+		getCreditHold: vi.fn().mockResolvedValue(null),
+		getFaxEvents: vi.fn().mockResolvedValue([]),
+		findEmailSenderUser: vi.fn().mockResolvedValue(null),
+		getFaxForwardingRules: vi.fn().mockResolvedValue([]),
+		getFaxNumberAssignment: vi.fn().mockResolvedValue(null),
+		recordInboundCharge: vi.fn().mockResolvedValue(true),
+		listWebhookEndpoints: vi.fn().mockResolvedValue([]),
+		createWebhookEndpoint: vi.fn().mockImplementation(async (userId, endpoint) => ({ id: 'endpoint-1', user_id: userId, is_active: true, ...endpoint })),
+		getWebhookEndpoint: vi.fn().mockResolvedValue(null),
+		deleteWebhookEndpoint: vi.fn().mockResolvedValue(false),
+		getSubscribedWebhookEndpoints: vi.fn().mockResolvedValue([]),
+		createWebhookDeliveries: vi.fn().mockImplementation(async (rows) => rows.map((row, index) => ({ id: `delivery-${index + 1}`, attempt_count: 0, ...row }))),
+		listWebhookDeliveries: vi.fn().mockResolvedValue([]),
+		getWebhookDelivery: vi.fn().mockResolvedValue(null),
+		getDueWebhookDeliveries: vi.fn().mockResolvedValue([]),
+		claimWebhookDelivery: vi.fn().mockResolvedValue(null),
+		recordWebhookDeliveryAttempt: vi.fn().mockImplementation(async (deliveryId, updates) => ({ id: deliveryId, ...updates }))
 	}
 }));
 
@@ -62,7 +102,10 @@ vi.mock('../src/r2-utils.js', () => ({
 	R2Utils: vi.fn().mockImplementation((logger) => ({
 		logger,
 		validateConfiguration: vi.fn().mockReturnValue(true),
-		uploadFile: vi.fn().mockResolvedValue('https://test.r2.url/file.pdf')
+		uploadFile: vi.fn().mockResolvedValue('https://test.r2.url/file.pdf'),
+		getFile: vi.fn().mockResolvedValue({ data: new Uint8Array([37, 80, 68, 70]).buffer, contentType: 'application/pdf' }),
+		deleteFile: vi.fn().mockResolvedValue(true),
+		getKeyFromPublicUrl: vi.fn().mockImplementation((url) => new URL(url).pathname.slice(1))
 	}))
 }));
 
@@ -79,7 +122,10 @@ vi.mock('../src/providers/telnyx-provider.js', () => ({
 					recipients: requestBody.recipients || (requestBody.recipient ? [requestBody.recipient] : ['+1234567890']),
 					senderId: requestBody.senderId || '',
 					message: requestBody.message || 'Test fax',
-					files: requestBody.files || []
+					files: requestBody.files || [],
+					send_at: requestBody.send_at,
+					timezone: requestBody.timezone,
+					allowDuplicate: requestBody.allowDuplicate
 				};
 			}
 			// Return empty recipients for null/empty request body
@@ -102,6 +148,19 @@ vi.mock('../src/providers/telnyx-provider.js', () => ({
 				status: 'queued'
 			}
 		}),
+		prependCoverPage: vi.fn().mockImplementation(async (faxRequest) => [
+			new File([new Uint8Array([37, 80, 68, 70])], 'cover_page.pdf', { type: 'application/pdf' }),
+			...(faxRequest.files || [])
+		]),
+		sendToTelnyx: vi.fn().mockResolvedValue({ id: 'telnyx-fax-456', status: 'queued' }),
+		updateFaxRecordWithTelnyxResponse: vi.fn().mockResolvedValue(true),
+		mapTelnyxResponse: vi.fn().mockImplementation((telnyxResponse) => ({
+			id: telnyxResponse.id,
+			friendlyId: telnyxResponse.id,
+			status: telnyxResponse.status,
+			originalStatus: telnyxResponse.status,
+			providerResponse: telnyxResponse
+		})),
 		mapStatus: vi.fn().mockImplementation((status) => {
 			// Simple status mapping for tests
 			const statusMap = {
@@ -109,7 +168,9 @@ vi.mock('../src/providers/telnyx-provider.js', () => ({
 				'failed': 'failed',
 				'queued': 'queued',
 				'sending': 'sending',
-				'canceled': 'cancelled'
+				'canceled': 'cancelled',
+				'user_busy': 'busy',
+				'receiver_no_answer': 'no-answer'
 			};
 			return statusMap[status] || 'failed';
 		})
@@ -128,7 +189,10 @@ vi.mock('../src/providers/notifyre-provider.js', () => ({
 					recipients: requestBody.recipients || (requestBody.recipient ? [requestBody.recipient] : ['+1234567890']),
 					senderId: requestBody.senderId || '',
 					message: requestBody.message || 'Test fax',
-					files: requestBody.files || []
+					files: requestBody.files || [],
+					send_at: requestBody.send_at,
+					timezone: requestBody.timezone,
+					allowDuplicate: requestBody.allowDuplicate
 				};
 			}
 			// Return empty recipients for null/empty request body
@@ -150,6 +214,12 @@ vi.mock('../src/providers/notifyre-provider.js', () => ({
 				Documents: []
 			}
 		}),
+		cancelFax: vi.fn().mockResolvedValue({
+			id: 'fax_mock_123',
+			status: 'cancelled',
+			originalStatus: 'Cancelled',
+			providerResponse: { success: true }
+		}),
 		sendFax: vi.fn().mockResolvedValue({
 			id: 'fax_mock_123',
 			friendlyId: 'TEST123',
@@ -172,7 +242,7 @@ vi.mock('../src/providers/notifyre-provider.js', () => ({
 global.fetch = vi.fn();
 
 import FaxService from '../src/fax.js';
-import { DatabaseUtils } from '../src/database.js';
+import { DatabaseUtils, FaxDatabaseUtils } from '../src/database.js';
 import { NotifyreApiUtils } from '../src/utils.js';
 
 describe('Fax Service', () => {
@@ -188,7 +258,8 @@ describe('Fax Service', () => {
 			SUPABASE_URL: 'https://test.supabase.co',
 			SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
 			SUPABASE_WEBHOOK_SECRET: 'test-webhook-secret',
-			LOG_LEVEL: 'DEBUG'
+			LOG_LEVEL: 'DEBUG',
+			ENVIRONMENT: 'development'
 		};
 		
 		mockSagContext = {
@@ -404,67 +475,2310 @@ describe('Fax Service', () => {
 				expect.any(Object) // logger
 			);
 		});
+
+		it('should reject documents linked from a private address', async () => {
+			DatabaseUtils.saveFaxRecord.mockClear();
+			const request = new Request('https://api.sendfax.pro/v1/fax/send', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({
+					recipient: '+1234567890',
+					files: [{ url: 'http://169.254.169.254/latest/meta-data' }]
+				})
+			});
+
+			const result = await faxService.sendFax(request, JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(400);
+			expect(result.error).toBe('Invalid document');
+			expect(result.message).toMatch(/private address/);
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+		});
 	});
 
+	describe('scheduled delivery', () => {
+		const scheduledRequest = (sendAt, timezone) => new Request('https://api.sendfax.pro/v1/fax/send', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				recipient: '+15551230001',
+				message: 'Scheduled fax',
+				send_at: sendAt,
+				timezone,
+				files: [{ filename: 'test.pdf', data: 'U2FtcGxlQmFzZTY0RGF0YQ==', mimeType: 'application/pdf' }]
+			})
+		});
 
+		const storedFax = {
+			id: 'sched-1',
+			user_id: 'test-user-123',
+			cost: 1,
+			status: 'processing',
+			scheduled_at: '2025-03-03T14:00:00.000Z',
+			metadata: {
+				scheduled_request: {
+					provider: 'notifyre',
+					recipients: ['+15551230001'],
+					message: 'Scheduled fax',
+					documents: [{ key: 'fax/sched-1/document_1_1.pdf', url: 'https://test.r2.url/file.pdf', contentType: 'application/pdf' }]
+				}
+			}
+		};
 
-	describe('Provider Selection', () => {
-		it('should default to Notifyre provider when FAX_PROVIDER not set', async () => {
-			const envWithoutProvider = { ...mockEnv };
-			delete envWithoutProvider.FAX_PROVIDER;
-			
-			const provider = await faxService.createFaxProvider('notifyre', envWithoutProvider);
-			expect(provider.getProviderName()).toBe('notifyre');
+		it('should store the fax as scheduled instead of sending it', async () => {
+			const sendAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+			const result = await faxService.sendFax(scheduledRequest(sendAt), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.message).toBe('Fax scheduled successfully');
+			expect(result.data.status).toBe('scheduled');
+			expect(result.data.scheduledAt).toBe(sendAt);
+			expect(DatabaseUtils.saveFaxRecord).toHaveBeenCalledWith(
+				expect.objectContaining({ status: 'scheduled', scheduled_at: sendAt, recipients: ['+15551230001'] }),
+				'test-user-123',
+				mockEnv,
+				expect.any(Object)
+			);
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith(
+				'saved-fax-123',
+				expect.objectContaining({
+					r2_urls: ['https://test.r2.url/file.pdf'],
+					metadata: { scheduled_request: expect.objectContaining({ provider: 'notifyre', timezone: 'UTC' }) }
+				}),
+				mockEnv,
+				expect.any(Object),
+				'id'
+			);
 		});
 
-		it('should use Notifyre provider when FAX_PROVIDER=notifyre', async () => {
-			const envWithNotifyre = { ...mockEnv, FAX_PROVIDER: 'notifyre' };
-			
-			const provider = await faxService.createFaxProvider('notifyre', envWithNotifyre);
-			expect(provider.getProviderName()).toBe('notifyre');
+		it('should reject send_at in the past', async () => {
+			const result = await faxService.sendFax(scheduledRequest('2020-01-01T09:00', 'Europe/Berlin'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(400);
+			expect(result.message).toBe('send_at must be in the future');
 		});
 
-		it('should use Telnyx provider when FAX_PROVIDER=telnyx', async () => {
-			const envWithTelnyx = {
-				...mockEnv,
-				FAX_PROVIDER: 'telnyx',
-				TELNYX_API_KEY: 'test-telnyx-key',
-				TELNYX_CONNECTION_ID: 'test-connection-id',
-				FAX_FILES_BUCKET: { put: vi.fn(), get: vi.fn(), name: 'test-bucket' },
-				CLOUDFLARE_ACCOUNT_ID: 'test-account-id'
-			};
-			
-			const provider = await faxService.createFaxProvider('telnyx', envWithTelnyx);
-			expect(provider.getProviderName()).toBe('telnyx');
+		it('should reject an unknown timezone', async () => {
+			const result = await faxService.sendFax(scheduledRequest('2099-01-01T09:00', 'Nowhere/City'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(400);
+			expect(result.message).toBe('Unknown timezone: Nowhere/City');
 		});
 
-		it('should throw error for unsupported provider', async () => {
-			const envWithUnsupported = { ...mockEnv, FAX_PROVIDER: 'unsupported' };
-			
-			await expect(faxService.createFaxProvider('unsupported', envWithUnsupported))
-				.rejects.toThrow('Unsupported API provider: unsupported');
+		it('should dispatch due faxes and skip ones that are no longer scheduled', async () => {
+			FaxDatabaseUtils.getDueScheduledFaxes.mockResolvedValueOnce([{ id: 'sched-1' }, { id: 'sched-2' }]);
+			FaxDatabaseUtils.claimScheduledFax
+				.mockResolvedValueOnce(storedFax)
+				.mockResolvedValueOnce(null); // cancelled before dispatch
+
+			const result = await faxService.dispatchScheduledFaxes(JSON.stringify(mockEnv));
+
+			expect(result.data).toEqual({ due: 2, dispatched: 1, failed: 0, skipped: 1 });
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith(
+				'sched-1',
+				expect.objectContaining({ provider_fax_id: 'fax_mock_123', status: 'queued' }),
+				mockEnv,
+				expect.any(Object),
+				'id'
+			);
 		});
 
-		it('should throw error when Telnyx API key missing', async () => {
-			const envWithoutKey = { 
-				...mockEnv, 
-				FAX_PROVIDER: 'telnyx',
-				TELNYX_CONNECTION_ID: 'test-connection-id'
-			};
-			
-			await expect(faxService.createFaxProvider('telnyx', envWithoutKey))
-				.rejects.toThrow('API key not found for telnyx provider');
+		it('should fail a scheduled fax when credits no longer cover it, like a fax the provider failed', async () => {
+			FaxDatabaseUtils.getDueScheduledFaxes.mockResolvedValueOnce([{ id: 'sched-1' }]);
+			FaxDatabaseUtils.claimScheduledFax.mockResolvedValueOnce(storedFax);
+			FaxDatabaseUtils.checkUserCredits.mockResolvedValueOnce({ hasCredits: false, availablePages: 0, error: null });
+			DatabaseUtils.transitionFaxRecord.mockImplementationOnce(async (id, expectedStatus, updateData) => ({ ...storedFax, ...updateData }));
+			const reportSpy = vi.spyOn(faxService, 'createConfirmationReport').mockResolvedValue();
+			const pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+			const eventSpy = vi.spyOn(faxService, 'emitDeveloperEvent').mockResolvedValue(1);
+
+			const result = await faxService.dispatchScheduledFaxes(JSON.stringify(mockEnv));
+
+			expect(result.data).toEqual({ due: 1, dispatched: 0, failed: 1, skipped: 0 });
+			expect(DatabaseUtils.transitionFaxRecord).toHaveBeenCalledWith(
+				'sched-1',
+				'processing',
+				expect.objectContaining({ status: 'failed', error_message: 'Insufficient credits at scheduled send time' }),
+				mockEnv,
+				expect.any(Object)
+			);
+			expect(reportSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'sched-1' }), expect.objectContaining({ failureReason: 'Insufficient credits at scheduled send time' }), mockEnv);
+			expect(pushSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'sched-1', status: 'failed' }), mockEnv);
+			expect(eventSpy).toHaveBeenCalledWith('test-user-123', 'fax.failed', expect.objectContaining({ faxId: 'sched-1', status: 'failed' }), mockEnv);
+			[reportSpy, pushSpy, eventSpy].forEach(spy => spy.mockRestore());
 		});
 
-		it('should throw error when Telnyx connection ID missing', async () => {
-			const envWithoutConnectionId = {
-				...mockEnv,
-				FAX_PROVIDER: 'telnyx',
-				TELNYX_API_KEY: 'test-key'
+		it('should send a scheduled fax through the provider chain', async () => {
+			const createFaxProvider = faxService.createFaxProvider.bind(faxService);
+			const failingNotifyre = {
+				getProviderName: () => 'notifyre',
+				buildPayload: vi.fn().mockResolvedValue({}),
+				sendFax: vi.fn().mockRejectedValue(new Error('Notifyre API error: 503 Service Unavailable - {}'))
 			};
-			
-			await expect(faxService.createFaxProvider('telnyx', envWithoutConnectionId))
-				.rejects.toThrow('TELNYX_CONNECTION_ID is required for Telnyx provider');
+			const providerSpy = vi.spyOn(faxService, 'createFaxProvider').mockImplementation(async (providerName, env) => (
+				providerName === 'notifyre' ? failingNotifyre : createFaxProvider(providerName, env)
+			));
+			FaxDatabaseUtils.getDueScheduledFaxes.mockResolvedValueOnce([{ id: 'sched-1' }]);
+			FaxDatabaseUtils.claimScheduledFax.mockResolvedValueOnce(storedFax);
+			DatabaseUtils.saveFaxRecord.mockClear();
+			const chainEnv = { ...mockEnv, FAX_PROVIDER_CHAIN: 'notifyre,telnyx', TELNYX_API_KEY: 'test-telnyx-key', TELNYX_CONNECTION_ID: 'test-connection-id' };
+
+			const result = await faxService.dispatchScheduledFaxes(chainEnv);
+
+			expect(result.data).toEqual({ due: 1, dispatched: 1, failed: 0, skipped: 0 });
+			const telnyxProvider = await providerSpy.mock.results.find((call, index) => providerSpy.mock.calls[index][0] === 'telnyx').value;
+			const [, mediaUrls] = telnyxProvider.sendToTelnyx.mock.calls[0];
+			// Notifyre adds its own cover page, so Telnyx gets one generated for it
+			expect(mediaUrls).toEqual(['https://test.r2.url/file.pdf', 'https://test.r2.url/file.pdf']);
+			expect(telnyxProvider.updateFaxRecordWithTelnyxResponse).toHaveBeenCalledWith('sched-1', expect.objectContaining({ id: 'telnyx-fax-456' }));
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith('sched-1', { api_provider: 'telnyx' }, chainEnv, expect.any(Object), 'id');
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith(
+				'telnyx-fax-456',
+				{ metadata: expect.objectContaining({ scheduled_request: storedFax.metadata.scheduled_request, provider_attempts: expect.any(Array) }) },
+				chainEnv,
+				expect.any(Object),
+				'provider_fax_id'
+			);
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+			providerSpy.mockRestore();
+		});
+	});
+
+	describe('listFaxes', () => {
+		const listRequest = (query = '') => new Request(`https://api.sendfax.pro/v1/fax${query}`, { method: 'GET' });
+
+		beforeEach(() => {
+			DatabaseUtils.listUserFaxes.mockClear();
+		});
+
+		it('should return a page of faxes with a cursor for the next one', async () => {
+			DatabaseUtils.listUserFaxes.mockResolvedValueOnce({
+				faxes: [
+					{ id: '0b8f3a7e-1d2c-4e5f-8a9b-0c1d2e3f4a5b', status: 'delivered', pages: 2, document_count: 1, cost: 2, created_at: '2025-03-03T09:00:00Z' }
+				],
+				hasMore: true
+			});
+
+			const result = await faxService.listFaxes(listRequest('?limit=1&status=delivered&tag=invoices'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.faxes[0]).toEqual(expect.objectContaining({ status: 'delivered', pages: 2, documentCount: 1, cost: 2 }));
+			expect(result.data.hasMore).toBe(true);
+			expect(result.data.nextCursor).toEqual(expect.any(String));
+			expect(DatabaseUtils.listUserFaxes).toHaveBeenCalledWith(
+				'test-user-123',
+				expect.objectContaining({ limit: 1, statuses: ['delivered'], tag: 'invoices' }),
+				mockEnv,
+				expect.any(Object)
+			);
+		});
+
+		it('should not return a cursor on the last page', async () => {
+			const result = await faxService.listFaxes(listRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data).toEqual(expect.objectContaining({ faxes: [], nextCursor: null, hasMore: false }));
+		});
+
+		it('should reject invalid filters', async () => {
+			const result = await faxService.listFaxes(listRequest('?status=sent'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(400);
+			expect(DatabaseUtils.listUserFaxes).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('getFax', () => {
+		const recordId = '0b8f3a7e-1d2c-4e5f-8a9b-0c1d2e3f4a5b';
+		const getRequest = (faxId) => new Request(`https://api.sendfax.pro/v1/fax/${faxId}`, { method: 'GET' });
+
+		beforeEach(() => {
+			DatabaseUtils.getFaxRecord.mockReset();
+			DatabaseUtils.getFaxRecord.mockResolvedValue(null);
+			FaxDatabaseUtils.getFaxEvents.mockClear();
+		});
+
+		it('should return the fax with a timeline built from its stored events', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({
+				id: recordId,
+				user_id: 'test-user-123',
+				status: 'delivered',
+				provider_fax_id: 'telnyx-fax-1',
+				pages: 2,
+				created_at: '2025-03-03T09:00:00Z'
+			});
+			FaxDatabaseUtils.getFaxEvents.mockResolvedValueOnce([
+				{ event_type: 'fax.queued', data: { status: 'sending', original_status: 'queued' }, raw_payload: {}, processed_at: '2025-03-03T09:00:05Z' },
+				{ event_type: 'fax.delivered', data: { status: 'delivered', original_status: 'delivered', pages: 2 }, raw_payload: {}, processed_at: '2025-03-03T09:02:00Z' }
+			]);
+
+			const result = await faxService.getFax(getRequest(recordId), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.fax).toEqual(expect.objectContaining({ id: recordId, status: 'delivered', pages: 2 }));
+			expect(result.data.timeline.map(entry => entry.step)).toEqual(['created', 'queued', 'delivered']);
+			expect(FaxDatabaseUtils.getFaxEvents).toHaveBeenCalledWith('telnyx-fax-1', mockEnv, expect.any(Object));
+		});
+
+		it('should not look up events for a fax that has not reached a provider', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ id: recordId, user_id: 'test-user-123', status: 'scheduled', provider_fax_id: null, created_at: '2025-03-03T09:00:00Z', scheduled_at: '2025-03-04T09:00:00Z' });
+
+			const result = await faxService.getFax(getRequest(recordId), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.timeline.map(entry => entry.step)).toEqual(['created', 'scheduled']);
+			expect(FaxDatabaseUtils.getFaxEvents).not.toHaveBeenCalled();
+		});
+
+		it('should not reveal faxes owned by another user', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ id: recordId, user_id: 'someone-else', status: 'delivered' });
+
+			const result = await faxService.getFax(getRequest(recordId), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(404);
+		});
+	});
+
+	describe('cancelFax', () => {
+		const cancelRequest = (faxId) => new Request(`https://api.sendfax.pro/v1/fax/${faxId}/cancel`, { method: 'POST' });
+		const recordId = '0b8f3a7e-1d2c-4e5f-8a9b-0c1d2e3f4a5b';
+
+		beforeEach(() => {
+			DatabaseUtils.getFaxRecord.mockReset();
+			DatabaseUtils.getFaxRecord.mockResolvedValue(null);
+			DatabaseUtils.updateFaxRecord.mockClear();
+			DatabaseUtils.transitionFaxRecord.mockClear();
+			DatabaseUtils.transitionFaxRecord.mockImplementation(async (id, expectedStatus, updateData) => ({ id, ...updateData }));
+		});
+
+		afterEach(() => {
+			DatabaseUtils.transitionFaxRecord.mockReset();
+			DatabaseUtils.transitionFaxRecord.mockResolvedValue({ id: 'updated-fax-123' });
+		});
+
+		it('should cancel a scheduled fax without calling a provider', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ id: recordId, user_id: 'test-user-123', status: 'scheduled', provider_fax_id: null });
+
+			const result = await faxService.cancelFax(cancelRequest(recordId), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.previousStatus).toBe('scheduled');
+			expect(result.data.status).toBe('cancelled');
+			expect(DatabaseUtils.getFaxRecord).toHaveBeenCalledWith(recordId, mockEnv, expect.any(Object), 'id');
+			expect(DatabaseUtils.transitionFaxRecord).toHaveBeenCalledWith(
+				recordId,
+				'scheduled',
+				expect.objectContaining({ status: 'cancelled' }),
+				mockEnv,
+				expect.any(Object)
+			);
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should not cancel a fax whose status changed meanwhile', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ id: recordId, user_id: 'test-user-123', status: 'scheduled', provider_fax_id: null, credit_hold_id: 'hold-1' });
+			DatabaseUtils.transitionFaxRecord.mockResolvedValueOnce(null);
+			const releaseSpy = vi.spyOn(faxService, 'releaseFaxCreditHold');
+
+			const result = await faxService.cancelFax(cancelRequest(recordId), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(409);
+			expect(releaseSpy).not.toHaveBeenCalled();
+			releaseSpy.mockRestore();
+		});
+
+		it('should refuse to cancel a fax that is being submitted to the provider', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ id: recordId, user_id: 'test-user-123', status: 'processing', provider_fax_id: null });
+
+			const result = await faxService.cancelFax(cancelRequest(recordId), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(409);
+			expect(result.message).toBe('Fax is being submitted to the provider, try again shortly');
+			expect(DatabaseUtils.transitionFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should cancel an in-flight fax at the provider, looked up by provider fax ID', async () => {
+			DatabaseUtils.getFaxRecord.mockImplementation(async (id, env, logger, idType) => (
+				idType === 'provider_fax_id' && id === 'fax_mock_123'
+					? { id: recordId, user_id: 'test-user-123', status: 'sending', provider_fax_id: 'fax_mock_123', api_provider: 'notifyre' }
+					: null
+			));
+
+			const result = await faxService.cancelFax(cancelRequest('fax_mock_123'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data).toEqual(expect.objectContaining({ id: recordId, providerFaxId: 'fax_mock_123', previousStatus: 'sending' }));
+			expect(DatabaseUtils.transitionFaxRecord).toHaveBeenCalledWith(
+				recordId,
+				'sending',
+				expect.objectContaining({ status: 'cancelled', original_status: 'Cancelled' }),
+				mockEnv,
+				expect.any(Object)
+			);
+		});
+
+		it('should refuse to cancel a fax that already finished', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ id: recordId, user_id: 'test-user-123', status: 'delivered', provider_fax_id: 'fax_mock_123' });
+
+			const result = await faxService.cancelFax(cancelRequest(recordId), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(409);
+			expect(DatabaseUtils.transitionFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should not reveal faxes owned by another user', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ id: recordId, user_id: 'someone-else', status: 'queued', provider_fax_id: null });
+
+			const result = await faxService.cancelFax(cancelRequest(recordId), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(404);
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should ignore a late delivery webhook for a cancelled fax', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ id: recordId, user_id: 'test-user-123', status: 'cancelled', provider_fax_id: 'telnyx-fax-999' });
+			const deductSpy = vi.spyOn(faxService, 'deductCreditsForDeliveredFax');
+
+			const request = new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ data: { event_type: 'fax.delivered', payload: { fax_id: 'telnyx-fax-999', status: 'delivered', page_count: 2 } } })
+			});
+
+			const result = await faxService.telnyxWebhook(request, JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.message).toBe('Webhook ignored: fax was cancelled');
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+			expect(deductSpy).not.toHaveBeenCalled();
+			deductSpy.mockRestore();
+		});
+	});
+
+	describe('resendFax', () => {
+		const recordId = '0b8f3a7e-1d2c-4e5f-8a9b-0c1d2e3f4a5b';
+		const resendRequest = (body) => new Request(`https://api.sendfax.pro/v1/fax/${recordId}/resend`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: body ? JSON.stringify(body) : undefined
+		});
+
+		const storedFax = {
+			id: recordId,
+			user_id: 'test-user-123',
+			status: 'failed',
+			provider_fax_id: 'fax_old_456',
+			api_provider: 'notifyre',
+			recipients: ['+15551230001'],
+			subject: 'Contract',
+			pages: 2,
+			document_count: 1,
+			document_hash: 'abc123',
+			r2_urls: ['https://files.example.com/fax/old/document_1.pdf'],
+			metadata: {
+				scheduled_request: {
+					provider: 'notifyre',
+					recipients: ['+15551230001'],
+					senderId: null,
+					subject: 'Contract',
+					documents: [{ key: 'fax/old/document_1.pdf', url: 'https://files.example.com/fax/old/document_1.pdf', contentType: 'application/pdf', name: 'contract.pdf' }]
+				}
+			}
+		};
+
+		const mockFaxRecords = (original) => {
+			DatabaseUtils.getFaxRecord.mockImplementation(async (id, env, logger, idType) => {
+				if (id === recordId && idType === 'id') return original;
+				if (id === 'resent-fax-1') return { id: 'resent-fax-1', status: 'queued', provider_fax_id: 'fax_mock_123' };
+				return null;
+			});
+		};
+
+		let countSpy;
+
+		beforeEach(() => {
+			DatabaseUtils.getFaxRecord.mockReset();
+			DatabaseUtils.saveFaxRecord.mockReset();
+			DatabaseUtils.saveFaxRecord.mockResolvedValue({ id: 'resent-fax-1' });
+			DatabaseUtils.updateFaxRecord.mockClear();
+			FaxDatabaseUtils.placeCreditHold.mockClear();
+			FaxDatabaseUtils.findRecentFaxesByDocumentHash.mockClear();
+			// The mocked R2 files are not real PDFs
+			countSpy = vi.spyOn(faxService, 'countStoredDocumentPages').mockResolvedValue(1);
+		});
+
+		afterEach(() => {
+			countSpy.mockRestore();
+			DatabaseUtils.getFaxRecord.mockReset();
+			DatabaseUtils.getFaxRecord.mockResolvedValue(null);
+			DatabaseUtils.saveFaxRecord.mockResolvedValue({ id: 'saved-fax-123', notifyre_fax_id: 'fax_mock_123' });
+		});
+
+		it('should resend the stored documents to a new recipient as a linked fax', async () => {
+			mockFaxRecords(storedFax);
+
+			const result = await faxService.resendFax(resendRequest({ recipient: '+15551230002' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data).toEqual(expect.objectContaining({
+				id: 'resent-fax-1',
+				providerFaxId: 'fax_mock_123',
+				resentFromFaxId: recordId,
+				recipient: '+15551230002',
+				pages: 1,
+				creditHoldId: 'hold-1'
+			}));
+			expect(DatabaseUtils.saveFaxRecord).toHaveBeenCalledWith(
+				expect.objectContaining({ recipients: ['+15551230002'], resentFromFaxId: recordId, creditHoldId: 'hold-1', cost: result.data.creditsRequired }),
+				'test-user-123',
+				expect.any(Object),
+				expect.any(Object)
+			);
+			expect(FaxDatabaseUtils.placeCreditHold).toHaveBeenCalledWith('test-user-123', result.data.creditsRequired, 1, 100, expect.any(String), expect.any(Object), expect.any(Object));
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith(
+				'resent-fax-1',
+				expect.objectContaining({ r2_urls: storedFax.r2_urls }),
+				expect.any(Object),
+				expect.any(Object),
+				'id'
+			);
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith(
+				'resent-fax-1',
+				expect.objectContaining({ provider_fax_id: 'fax_mock_123' }),
+				expect.any(Object),
+				expect.any(Object),
+				'id'
+			);
+		});
+
+		it('should replace the stored Telnyx cover page with a new one', async () => {
+			const telnyxDocuments = [
+				{ key: 'fax/old/cover_page_1748779200000.pdf', url: 'https://files.example.com/fax/old/cover_page_1748779200000.pdf', contentType: 'application/pdf', name: 'cover_page.pdf' },
+				{ key: 'fax/old/document_2_1748779200000.pdf', url: 'https://files.example.com/fax/old/document_2_1748779200000.pdf', contentType: 'application/pdf', name: 'contract.pdf' }
+			];
+			mockFaxRecords({
+				...storedFax,
+				api_provider: 'telnyx',
+				r2_urls: telnyxDocuments.map(doc => doc.url),
+				metadata: { scheduled_request: { ...storedFax.metadata.scheduled_request, provider: 'telnyx', documents: telnyxDocuments } }
+			});
+
+			const telnyxEnv = { ...mockEnv, TELNYX_API_KEY: 'test-telnyx-key', TELNYX_CONNECTION_ID: 'test-connection-id' };
+
+			const result = await faxService.resendFax(resendRequest({ recipient: '+15551230002' }), telnyxEnv, JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.pages).toBe(1);
+
+			const storedUpdate = DatabaseUtils.updateFaxRecord.mock.calls.find(([id, data]) => id === 'resent-fax-1' && data.r2_urls);
+			const resentDocuments = storedUpdate[1].metadata.scheduled_request.documents;
+			expect(resentDocuments).toHaveLength(2);
+			expect(resentDocuments[0]).toEqual(expect.objectContaining({ name: 'cover_page.pdf', url: 'https://test.r2.url/file.pdf' }));
+			expect(resentDocuments[0].key).toMatch(/^fax\/resent-fax-1\/cover_page_\d+\.pdf$/);
+			expect(resentDocuments[1]).toEqual(telnyxDocuments[1]);
+		});
+
+		it('should resend to the original recipient by default', async () => {
+			mockFaxRecords(storedFax);
+
+			const result = await faxService.resendFax(resendRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.recipient).toBe('+15551230001');
+			expect(FaxDatabaseUtils.findRecentFaxesByDocumentHash).toHaveBeenCalledWith('test-user-123', 'abc123', expect.any(String), expect.any(Object), expect.any(Object));
+		});
+
+		it('should refuse a fax whose documents were not stored', async () => {
+			mockFaxRecords({ ...storedFax, r2_urls: null, metadata: {} });
+
+			const result = await faxService.resendFax(resendRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(409);
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should refuse a fax whose stored documents can\'t be counted', async () => {
+			countSpy.mockRestore();
+			mockFaxRecords(storedFax);
+
+			const result = await faxService.resendFax(resendRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(409);
+			expect(result.error).toBe('Fax cannot be resent');
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should refuse a fax that is still being sent', async () => {
+			mockFaxRecords({ ...storedFax, status: 'sending' });
+
+			const result = await faxService.resendFax(resendRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(409);
+			expect(result.message).toBe('Fax is still sending');
+		});
+
+		it('should only resend to one recipient', async () => {
+			const result = await faxService.resendFax(resendRequest({ recipients: ['+15551230002', '+15551230003'] }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(400);
+			expect(DatabaseUtils.getFaxRecord).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('busy / no-answer retries', () => {
+		const telnyxEvent = (failureReason) => new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ data: { event_type: 'fax.failed', payload: { fax_id: 'telnyx-fax-777', status: 'failed', failure_reason: failureReason } } })
+		});
+
+		const attempt = (overrides = {}) => ({
+			id: 'attempt-1',
+			user_id: 'test-user-123',
+			status: 'busy',
+			recipients: ['+15551230001'],
+			sender_id: '+15550000000',
+			subject: 'Contract',
+			pages: 2,
+			document_count: 1,
+			cost: 2,
+			api_provider: 'telnyx',
+			attempt_number: 1,
+			original_fax_id: null,
+			r2_urls: ['https://test.r2.url/fax/attempt-1/document_1.pdf'],
+			...overrides
+		});
+
+		let pushSpy;
+
+		beforeEach(() => {
+			DatabaseUtils.saveFaxRecord.mockClear();
+			DatabaseUtils.updateFaxRecord.mockReset();
+			DatabaseUtils.updateFaxRecord.mockResolvedValue({ id: 'updated-fax-123' });
+			pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+		});
+
+		afterEach(() => {
+			pushSpy.mockRestore();
+		});
+
+		it('should schedule a new attempt from the stored R2 media without notifying the user', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce(attempt());
+			DatabaseUtils.saveFaxRecord.mockResolvedValueOnce({ id: 'attempt-2' });
+
+			const result = await faxService.telnyxWebhook(telnyxEvent('user_busy'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.standardizedStatus).toBe('busy');
+			expect(result.data.retryFaxId).toBe('attempt-2');
+			expect(DatabaseUtils.saveFaxRecord).toHaveBeenCalledWith(
+				expect.objectContaining({
+					status: 'scheduled',
+					original_fax_id: 'attempt-1',
+					attempt_number: 2,
+					apiProvider: 'telnyx',
+					recipients: ['+15551230001'],
+					scheduled_at: expect.any(String)
+				}),
+				'test-user-123',
+				mockEnv,
+				expect.any(Object)
+			);
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith(
+				'attempt-2',
+				{
+					r2_urls: ['https://test.r2.url/fax/attempt-1/document_1.pdf'],
+					metadata: {
+						scheduled_request: expect.objectContaining({
+							provider: 'telnyx',
+							documents: [expect.objectContaining({ key: 'fax/attempt-1/document_1.pdf', url: 'https://test.r2.url/fax/attempt-1/document_1.pdf' })]
+						})
+					}
+				},
+				mockEnv,
+				expect.any(Object),
+				'id'
+			);
+			expect(pushSpy).not.toHaveBeenCalled();
+		});
+
+		it('should link later attempts to the first attempt', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce(attempt({ id: 'attempt-2', attempt_number: 2, original_fax_id: 'attempt-1' }));
+			DatabaseUtils.saveFaxRecord.mockResolvedValueOnce({ id: 'attempt-3' });
+
+			await faxService.telnyxWebhook(telnyxEvent('receiver_no_answer'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(DatabaseUtils.saveFaxRecord).toHaveBeenCalledWith(
+				expect.objectContaining({ original_fax_id: 'attempt-1', attempt_number: 3 }),
+				'test-user-123',
+				mockEnv,
+				expect.any(Object)
+			);
+			expect(pushSpy).not.toHaveBeenCalled();
+		});
+
+		it('should notify the user once the attempts are exhausted', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce(attempt({ id: 'attempt-3', attempt_number: 3, original_fax_id: 'attempt-1' }));
+
+			const result = await faxService.telnyxWebhook(telnyxEvent('user_busy'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.data.retryFaxId).toBeNull();
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+			expect(pushSpy).toHaveBeenCalledWith(
+				expect.objectContaining({ id: 'attempt-3', status: 'failed', error_message: 'Line busy after 3 attempts' }),
+				mockEnv
+			);
+		});
+
+		it('should notify the user when there is no stored media to retry with', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce(attempt({ api_provider: 'notifyre', r2_urls: null }));
+
+			await faxService.telnyxWebhook(telnyxEvent('user_busy'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+			expect(pushSpy).toHaveBeenCalledWith(
+				expect.objectContaining({ status: 'failed', error_message: 'Line busy after 1 attempt' }),
+				mockEnv
+			);
+		});
+	});
+
+	describe('provider failover', () => {
+		const chainEnv = () => ({ ...mockEnv, FAX_PROVIDER_CHAIN: 'telnyx,notifyre' });
+		const faxRequest = { recipients: ['+15551230001'], senderId: '+18334610414', message: 'Failover fax', files: [] };
+
+		const failingTelnyx = (error) => ({
+			getProviderName: () => 'telnyx',
+			senderId: '+18334610414',
+			sendFaxWithCustomWorkflow: vi.fn().mockRejectedValue(error)
+		});
+
+		beforeEach(() => {
+			DatabaseUtils.saveFaxRecord.mockClear();
+			DatabaseUtils.updateFaxRecord.mockClear();
+			DatabaseUtils.deleteFaxRecord.mockClear();
+		});
+
+		it('should build the chain with the selected provider first', () => {
+			expect(faxService.getProviderChain('notifyre', { FAX_PROVIDER_CHAIN: 'telynx, notifyre' })).toEqual(['notifyre', 'telnyx']);
+			expect(faxService.getProviderChain('telnyx', {})).toEqual(['telnyx']);
+		});
+
+		it('should fall back to the next provider on a retryable error', async () => {
+			const error = Object.assign(new Error('Telnyx API error: 503 Service Unavailable - {}'), { faxRecordId: 'abandoned-record' });
+
+			const { faxResult, faxProvider } = await faxService.submitFaxWithFailover(failingTelnyx(error), faxRequest, 'test-user-123', 2, chainEnv());
+
+			expect(faxProvider.getProviderName()).toBe('notifyre');
+			expect(faxResult.id).toBe('fax_mock_123');
+			expect(DatabaseUtils.saveFaxRecord).toHaveBeenCalledWith(
+				expect.objectContaining({ apiProvider: 'notifyre', senderId: undefined }),
+				'test-user-123',
+				expect.any(Object),
+				expect.any(Object)
+			);
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith(
+				'fax_mock_123',
+				{
+					metadata: expect.objectContaining({
+						provider_attempts: [
+							expect.objectContaining({ provider: 'telnyx', status: 'failed', retryable: true }),
+							expect.objectContaining({ provider: 'notifyre', status: 'accepted', faxId: 'fax_mock_123' })
+						]
+					})
+				},
+				expect.any(Object),
+				expect.any(Object),
+				'provider_fax_id'
+			);
+			expect(DatabaseUtils.deleteFaxRecord).toHaveBeenCalledWith('abandoned-record', expect.any(Object), expect.any(Object), 'id');
+		});
+
+		it('should not pass the Telnyx cover page template on to Notifyre', async () => {
+			const error = new Error('Telnyx API error: 503 Service Unavailable - {}');
+			const submitSpy = vi.spyOn(faxService, 'submitFaxToProvider');
+
+			await faxService.submitFaxWithFailover(failingTelnyx(error), { ...faxRequest, coverPage: 'business' }, 'test-user-123', 2, chainEnv());
+
+			expect(submitSpy).toHaveBeenCalledTimes(2);
+			expect(submitSpy.mock.calls[0][1].coverPage).toBe('business');
+			expect(submitSpy.mock.calls[1][1]).toEqual(expect.objectContaining({ coverPage: undefined, message: 'Failover fax' }));
+			expect(submitSpy.mock.calls[1][0].getProviderName()).toBe('notifyre');
+			submitSpy.mockRestore();
+		});
+
+		it('should not fail over on a non-retryable error', async () => {
+			const error = new Error('Telnyx API error: 422 Unprocessable Entity - invalid number');
+
+			await expect(faxService.submitFaxWithFailover(failingTelnyx(error), faxRequest, 'test-user-123', 2, chainEnv()))
+				.rejects.toThrow('422');
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+			expect(DatabaseUtils.deleteFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should surface the error when no other provider is configured', async () => {
+			const error = new Error('connection_channel_limit_exceeded');
+
+			await expect(faxService.submitFaxWithFailover(failingTelnyx(error), faxRequest, 'test-user-123', 2, { ...mockEnv }))
+				.rejects.toThrow('connection_channel_limit_exceeded');
+		});
+	});
+
+	describe('duplicate-send protection', () => {
+		const sendRequest = (headers = {}, extraBody = {}) => new Request('https://api.sendfax.pro/v1/fax/send', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', ...headers },
+			body: JSON.stringify({
+				recipient: '+15551230001',
+				files: [{ filename: 'a.pdf', data: 'U2FtcGxlQmFzZTY0RGF0YQ==', mimeType: 'application/pdf' }],
+				...extraBody
+			})
+		});
+
+		beforeEach(() => {
+			DatabaseUtils.saveFaxRecord.mockClear();
+			FaxDatabaseUtils.claimIdempotencyKey.mockClear();
+			FaxDatabaseUtils.completeIdempotencyKey.mockClear();
+			FaxDatabaseUtils.releaseIdempotencyKey.mockClear();
+			FaxDatabaseUtils.findRecentFaxesByDocumentHash.mockClear();
+		});
+
+		it('should store the response for a new Idempotency-Key', async () => {
+			const result = await faxService.sendFax(sendRequest({ 'Idempotency-Key': 'key-1' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(FaxDatabaseUtils.claimIdempotencyKey).toHaveBeenCalledWith('test-user-123', 'key-1', expect.stringMatching(/^[0-9a-f]{64}$/), expect.any(String), expect.any(String), expect.any(Object), expect.any(Object));
+			// Claims still processing after the 5 minute lease are abandoned
+			const staleBefore = Date.parse(FaxDatabaseUtils.claimIdempotencyKey.mock.calls[0][4]);
+			expect(Date.now() - staleBefore).toBeGreaterThanOrEqual(5 * 60 * 1000);
+			expect(Date.now() - staleBefore).toBeLessThan(6 * 60 * 1000);
+			expect(FaxDatabaseUtils.completeIdempotencyKey).toHaveBeenCalledWith('idem-1', result, expect.any(Object), expect.any(Object));
+			expect(DatabaseUtils.saveFaxRecord).toHaveBeenCalledWith(
+				expect.objectContaining({ documentHash: expect.stringMatching(/^[0-9a-f]{64}$/) }),
+				'test-user-123',
+				expect.any(Object),
+				expect.any(Object)
+			);
+		});
+
+		it('should replay the stored response for a repeated key without sending', async () => {
+			const first = await faxService.sendFax(sendRequest({ 'Idempotency-Key': 'key-1' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+			const fingerprint = FaxDatabaseUtils.claimIdempotencyKey.mock.calls[0][2];
+			DatabaseUtils.saveFaxRecord.mockClear();
+
+			FaxDatabaseUtils.claimIdempotencyKey.mockResolvedValueOnce({
+				claimed: false,
+				record: { id: 'idem-1', request_fingerprint: fingerprint, status: 'completed', response_body: first }
+			});
+
+			const result = await faxService.sendFax(sendRequest({ 'Idempotency-Key': 'key-1' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result).toEqual({ ...first, idempotentReplay: true });
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should reject a key reused for a different request', async () => {
+			FaxDatabaseUtils.claimIdempotencyKey.mockResolvedValueOnce({
+				claimed: false,
+				record: { id: 'idem-1', request_fingerprint: 'other', status: 'completed', response_body: {} }
+			});
+
+			const result = await faxService.sendFax(sendRequest({ 'Idempotency-Key': 'key-1' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(422);
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should tell a repeat of a request in progress when the key can be used again', async () => {
+			const first = await faxService.sendFax(sendRequest({ 'Idempotency-Key': 'key-1' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+			const fingerprint = FaxDatabaseUtils.claimIdempotencyKey.mock.calls[0][2];
+			expect(first.statusCode).toBe(200);
+
+			FaxDatabaseUtils.claimIdempotencyKey.mockResolvedValueOnce({
+				claimed: false,
+				record: { id: 'idem-1', request_fingerprint: fingerprint, status: 'processing', response_body: null }
+			});
+
+			const result = await faxService.sendFax(sendRequest({ 'Idempotency-Key': 'key-1' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(409);
+			expect(result.error).toBe('Request in progress');
+			expect(result.message).toContain('after 5 minutes');
+		});
+
+		it('should release the key when sending throws', async () => {
+			const submitSpy = vi.spyOn(faxService, 'submitPreparedFax').mockRejectedValueOnce(new Error('Worker exceeded its time limit'));
+
+			const result = await faxService.sendFax(sendRequest({ 'Idempotency-Key': 'key-3' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(500);
+			expect(FaxDatabaseUtils.releaseIdempotencyKey).toHaveBeenCalledWith('idem-1', expect.any(Object), expect.any(Object));
+			expect(FaxDatabaseUtils.completeIdempotencyKey).not.toHaveBeenCalled();
+			submitSpy.mockRestore();
+		});
+
+		it('should hold back the same document sent to the same recipient', async () => {
+			FaxDatabaseUtils.findRecentFaxesByDocumentHash.mockResolvedValueOnce([
+				{ id: 'recent-fax', recipients: ['+15551230001'], status: 'delivered', created_at: '2025-03-03T09:00:00Z' }
+			]);
+
+			const result = await faxService.sendFax(sendRequest({ 'Idempotency-Key': 'key-2' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(409);
+			expect(result.error).toBe('Possible duplicate fax');
+			expect(result.data.duplicates[0].id).toBe('recent-fax');
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+			// The warning is not replayed, so the client can resend with the same key
+			expect(FaxDatabaseUtils.releaseIdempotencyKey).toHaveBeenCalledWith('idem-1', expect.any(Object), expect.any(Object));
+		});
+
+		it('should send a duplicate when the client overrides the warning', async () => {
+			FaxDatabaseUtils.findRecentFaxesByDocumentHash.mockResolvedValueOnce([
+				{ id: 'recent-fax', recipients: ['+15551230001'], status: 'delivered', created_at: '2025-03-03T09:00:00Z' }
+			]);
+
+			const result = await faxService.sendFax(sendRequest({}, { allowDuplicate: true }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(FaxDatabaseUtils.findRecentFaxesByDocumentHash).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('credit holds', () => {
+		const sendRequest = () => new Request('https://api.sendfax.pro/v1/fax/send', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ recipient: '+15551230001', message: 'Held fax' })
+		});
+
+		const telnyxEvent = (status, extra = {}) => new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ data: { event_type: `fax.${status}`, payload: { fax_id: 'telnyx-fax-888', status, ...extra } } })
+		});
+
+		const heldFax = { id: 'fax-record-1', user_id: 'test-user-123', status: 'delivered', pages: 3, cost: 6, credit_hold_id: 'hold-1', recipients: ['+15551230001'] };
+
+		let deductSpy;
+		let pushSpy;
+
+		beforeEach(() => {
+			DatabaseUtils.saveFaxRecord.mockClear();
+			DatabaseUtils.updateFaxRecord.mockReset();
+			DatabaseUtils.updateFaxRecord.mockResolvedValue({ id: 'updated-fax-123' });
+			FaxDatabaseUtils.placeCreditHold.mockClear();
+			FaxDatabaseUtils.releaseCreditHold.mockClear();
+			FaxDatabaseUtils.captureCreditHold.mockClear();
+			deductSpy = vi.spyOn(faxService, 'deductCreditsForDeliveredFax').mockResolvedValue();
+			pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+		});
+
+		afterEach(() => {
+			deductSpy.mockRestore();
+			pushSpy.mockRestore();
+		});
+
+		it('should place a hold and link it to the fax record', async () => {
+			const result = await faxService.sendFax(sendRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.creditHoldId).toBe('hold-1');
+			expect(FaxDatabaseUtils.placeCreditHold).toHaveBeenCalledWith('test-user-123', result.data.creditsRequired, 1, 100, expect.any(String), expect.any(Object), expect.any(Object));
+			expect(DatabaseUtils.saveFaxRecord).toHaveBeenCalledWith(
+				expect.objectContaining({ creditHoldId: 'hold-1' }),
+				'test-user-123',
+				expect.any(Object),
+				expect.any(Object)
+			);
+		});
+
+		it('should refuse the fax when the balance is already held', async () => {
+			FaxDatabaseUtils.placeCreditHold.mockResolvedValueOnce({ success: true, holdId: null, error: null });
+
+			const result = await faxService.sendFax(sendRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(402);
+			expect(result.message).toMatch(/reserved/);
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should release the hold when the submission fails', async () => {
+			const submitSpy = vi.spyOn(faxService, 'submitFaxWithFailover').mockRejectedValueOnce(new Error('Notifyre API error: 400 Bad Request'));
+
+			const result = await faxService.sendFax(sendRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(500);
+			expect(FaxDatabaseUtils.releaseCreditHold).toHaveBeenCalledWith('hold-1', 'submission_failed', expect.any(Object), expect.any(Object));
+			submitSpy.mockRestore();
+		});
+
+		it('should charge the delivered pages when the fax is delivered', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce(heldFax);
+			FaxDatabaseUtils.getCreditHold.mockResolvedValueOnce({ id: 'hold-1', status: 'held', credits: 6, pages: 3 });
+
+			await faxService.telnyxWebhook(telnyxEvent('delivered', { page_count: 2 }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(FaxDatabaseUtils.captureCreditHold).toHaveBeenCalledWith('hold-1', 4, expect.any(Object), expect.any(Object));
+			expect(deductSpy).toHaveBeenCalledWith('test-user-123', 4, 'fax-record-1', expect.any(Object), 'telnyx');
+		});
+
+		it('should not charge a delivery twice', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce(heldFax);
+			FaxDatabaseUtils.getCreditHold.mockResolvedValueOnce({ id: 'hold-1', status: 'captured', credits: 6, pages: 3 });
+
+			await faxService.telnyxWebhook(telnyxEvent('delivered', { page_count: 3 }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(FaxDatabaseUtils.captureCreditHold).not.toHaveBeenCalled();
+			expect(deductSpy).not.toHaveBeenCalled();
+		});
+
+		it('should release the hold when the fax fails', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce({ ...heldFax, status: 'failed' });
+
+			await faxService.telnyxWebhook(telnyxEvent('failed'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(FaxDatabaseUtils.releaseCreditHold).toHaveBeenCalledWith('hold-1', 'failed', expect.any(Object), expect.any(Object));
+			expect(deductSpy).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('confirmation reports', () => {
+		const recordId = '0b8f3a7e-1d2c-4e5f-8a9b-0c1d2e3f4a5b';
+		const getRequest = () => new Request(`https://api.sendfax.pro/v1/fax/${recordId}/confirmation`, { method: 'GET' });
+
+		const telnyxEvent = (eventType, status, extra = {}) => new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ data: { event_type: eventType, payload: { fax_id: 'telnyx-fax-777', status, ...extra } } })
+		});
+
+		const finishedFax = {
+			id: recordId,
+			user_id: 'test-user-123',
+			status: 'delivered',
+			pages: 1,
+			provider_fax_id: 'telnyx-fax-777',
+			recipients: ['+15551230001'],
+			r2_urls: ['https://test.r2.url/fax/document.pdf'],
+			created_at: '2025-03-03T09:00:00Z'
+		};
+
+		let deductSpy;
+		let pushSpy;
+
+		beforeEach(() => {
+			DatabaseUtils.updateFaxRecord.mockReset();
+			DatabaseUtils.updateFaxRecord.mockResolvedValue({ id: 'updated-fax-123' });
+			DatabaseUtils.getFaxRecord.mockReset();
+			DatabaseUtils.getFaxRecord.mockResolvedValue(null);
+			deductSpy = vi.spyOn(faxService, 'deductCreditsForDeliveredFax').mockResolvedValue();
+			pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+		});
+
+		afterEach(() => {
+			deductSpy.mockRestore();
+			pushSpy.mockRestore();
+		});
+
+		it('should store a report when the fax is delivered', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce(finishedFax);
+
+			await faxService.telnyxWebhook(telnyxEvent('fax.delivered', 'delivered', { page_count: 1, call_duration_secs: 42 }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith(
+				recordId,
+				{ confirmation_report_key: `fax/${recordId}/confirmation_report.pdf` },
+				expect.any(Object),
+				expect.any(Object),
+				'id'
+			);
+		});
+
+		it('should not store a report while the fax is still in progress', async () => {
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce({ ...finishedFax, status: 'sending' });
+
+			await faxService.telnyxWebhook(telnyxEvent('fax.sending.started', 'sending'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalledWith(recordId, expect.objectContaining({ confirmation_report_key: expect.any(String) }), expect.anything(), expect.anything(), 'id');
+		});
+
+		it('should download the stored report', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ ...finishedFax, confirmation_report_key: `fax/${recordId}/confirmation_report.pdf` });
+
+			const result = await faxService.getConfirmationReport(getRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data).toEqual({
+				id: recordId,
+				fileData: 'JVBERg==',
+				filename: `fax_${recordId}_confirmation_report.pdf`,
+				mimeType: 'application/pdf'
+			});
+		});
+
+		it('should return 404 until the fax has finished', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ ...finishedFax, status: 'sending' });
+
+			const result = await faxService.getConfirmationReport(getRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(404);
+			expect(result.message).toMatch(/delivered or failed/);
+		});
+	});
+
+	describe('quoteFax', () => {
+		const quoteRequest = (body) => new Request('https://api.sendfax.pro/v1/fax/quote', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(body)
+		});
+
+		beforeEach(() => {
+			FaxDatabaseUtils.checkUserCredits.mockClear();
+			FaxDatabaseUtils.placeCreditHold.mockClear();
+			DatabaseUtils.saveFaxRecord.mockClear();
+		});
+
+		it('should price every recipient against the balance without sending', async () => {
+			FaxDatabaseUtils.checkUserCredits.mockResolvedValueOnce({
+				hasCredits: true,
+				availablePages: 40,
+				totalCredits: 50,
+				heldCredits: 10,
+				creditSource: 'free_credits',
+				freeCredits: [{ id: 'fc-1', type: 'signup', credit_limit: 50, credits_used: 0, expires_at: '2025-04-01T00:00:00Z' }],
+				error: null
+			});
+
+			const result = await faxService.quoteFax(quoteRequest({ recipients: ['+15551230001', '+15551230002', '+15551230001'], pages: [3, 2] }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.recipients).toEqual([
+				{ recipient: '+15551230001', creditPerPage: 1, creditsRequired: 5, rateInfo: null },
+				{ recipient: '+15551230002', creditPerPage: 1, creditsRequired: 5, rateInfo: null }
+			]);
+			expect(result.data).toEqual(expect.objectContaining({ pages: 5, documentCount: 2, totalPages: 10, creditsRequired: 10, hasCredits: true, shortfall: 0, upgradeRequired: false }));
+			expect(result.data.balance).toEqual(expect.objectContaining({ creditSource: 'free_credits', totalCredits: 50, heldCredits: 10, availableCredits: 40 }));
+			expect(FaxDatabaseUtils.checkUserCredits).toHaveBeenCalledWith('test-user-123', 10, expect.any(Object), expect.any(Object));
+			expect(FaxDatabaseUtils.placeCreditHold).not.toHaveBeenCalled();
+			expect(DatabaseUtils.saveFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should flag an upgrade when free credits fall short', async () => {
+			FaxDatabaseUtils.checkUserCredits.mockResolvedValueOnce({
+				hasCredits: false,
+				availablePages: 2,
+				totalCredits: 2,
+				heldCredits: 0,
+				creditSource: 'free_credits',
+				freeCredits: [],
+				error: 'Insufficient free credits'
+			});
+
+			const result = await faxService.quoteFax(quoteRequest({ recipient: '+15551230001', pages: 6 }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data).toEqual(expect.objectContaining({ creditsRequired: 6, hasCredits: false, shortfall: 4, upgradeRequired: true }));
+		});
+
+		it('should not quote a balance that could not be read', async () => {
+			FaxDatabaseUtils.checkUserCredits.mockResolvedValueOnce({
+				hasCredits: false,
+				availablePages: 0,
+				subscriptionId: null,
+				creditSource: 'free_credits',
+				error: 'Failed to check credit holds'
+			});
+
+			const result = await faxService.quoteFax(quoteRequest({ recipient: '+15551230001', pages: 2 }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(500);
+			expect(result.message).toBe('Failed to check credit holds');
+		});
+
+		it('should count the pages of uploaded documents', async () => {
+			const result = await faxService.quoteFax(quoteRequest({
+				recipient: '+15551230001',
+				files: [{ filename: 'test.pdf', data: 'U2FtcGxlQmFzZTY0RGF0YQ==', mimeType: 'application/pdf' }]
+			}), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data).toEqual(expect.objectContaining({ pages: 1, documentCount: 1, creditsRequired: 1 }));
+		});
+
+		it('should require documents or page counts', async () => {
+			const missingPages = await faxService.quoteFax(quoteRequest({ recipient: '+15551230001' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+			const badPages = await faxService.quoteFax(quoteRequest({ recipient: '+15551230001', pages: 0 }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(missingPages.statusCode).toBe(400);
+			expect(badPages.statusCode).toBe(400);
+		});
+	});
+
+	describe('email-to-fax gateway', () => {
+		const authenticated = 'Authentication-Results: mx.cloudflare.net; dkim=pass header.d=example.com; spf=pass smtp.mailfrom=jane@example.com';
+
+		const rawEmail = ({ headers = [authenticated], attachment = true } = {}) => [
+			...headers,
+			'From: Jane <jane@example.com>',
+			'To: 15551230001@fax.sendfax.pro',
+			'Subject: Signed contract',
+			'Message-ID: <abc123@example.com>',
+			'MIME-Version: 1.0',
+			'Content-Type: multipart/mixed; boundary="b1"',
+			'',
+			'--b1',
+			'Content-Type: text/plain; charset=utf-8',
+			'',
+			'Please find the contract attached.',
+			'',
+			'-- ',
+			'Jane',
+			...(attachment ? [
+				'--b1',
+				'Content-Type: application/pdf; name="contract.pdf"',
+				'Content-Disposition: attachment; filename="contract.pdf"',
+				'Content-Transfer-Encoding: base64',
+				'',
+				'JVBERg=='
+			] : []),
+			'--b1--',
+			''
+		].join('\r\n');
+
+		const incomingEmail = (raw, to = '15551230001@fax.sendfax.pro') => ({
+			to,
+			raw,
+			rawSize: raw.length,
+			setReject: vi.fn()
+		});
+
+		// Mail reaches the worker without the gateway's caller_env: it runs on the vars in
+		// wrangler.toml and the secrets listed there for `wrangler secret put`
+		const workerEnv = (environment, { secrets = true } = {}) => {
+			const section = wranglerConfig.split(`[env.${environment}.vars]`)[1].split(/\n\[/)[0];
+			const vars = Object.fromEntries([...section.matchAll(/^(\w+) = "([^"]*)"/gm)].map(([, name, value]) => [name, value]));
+			const secretNames = [...wranglerConfig.matchAll(/^#\s+((?:[A-Z_]+,?\s*)+)$/gm)].flatMap(([, names]) => names.split(/[,\s]+/).filter(Boolean));
+			return { ...vars, ...(secrets ? Object.fromEntries(secretNames.map(name => [name, `test-${name.toLowerCase()}`])) : {}) };
+		};
+
+		let sendFaxSpy;
+		let replySpy;
+
+		beforeEach(() => {
+			faxService.env = workerEnv('prod');
+			FaxDatabaseUtils.findEmailSenderUser.mockReset();
+			FaxDatabaseUtils.findEmailSenderUser.mockResolvedValue('test-user-123');
+			sendFaxSpy = vi.spyOn(faxService, 'sendFax').mockResolvedValue({
+				statusCode: 200,
+				message: 'Fax submitted successfully',
+				data: { id: 'fax-email-1', pages: 1, creditsRequired: 1 }
+			});
+			replySpy = vi.spyOn(faxService, 'sendEmailGatewayReply').mockResolvedValue(true);
+		});
+
+		afterEach(() => {
+			faxService.env = mockEnv;
+			sendFaxSpy.mockRestore();
+			replySpy.mockRestore();
+		});
+
+		it('should run on the fax worker\'s own staging and prod environment', async () => {
+			for (const environment of ['staging', 'prod']) {
+				faxService.env = workerEnv(environment);
+				FaxDatabaseUtils.findEmailSenderUser.mockClear();
+				sendFaxSpy.mockClear();
+				const message = incomingEmail(rawEmail());
+
+				await faxService.email(message);
+
+				expect(message.setReject).not.toHaveBeenCalled();
+				const [, lookupEnv] = FaxDatabaseUtils.findEmailSenderUser.mock.calls[0];
+				expect(lookupEnv.SUPABASE_URL).toMatch(/^https:\/\/\w+\.supabase\.co$/);
+				expect(lookupEnv.SUPABASE_SERVICE_ROLE_KEY).toBeTruthy();
+				const [, sendEnv] = sendFaxSpy.mock.calls[0];
+				expect(sendEnv).toEqual(expect.objectContaining({
+					RESEND_API_KEY: expect.any(String),
+					TELNYX_API_KEY: expect.any(String),
+					TELNYX_CONNECTION_ID: expect.any(String),
+					FAX_PROVIDER_CHAIN: expect.any(String)
+				}));
+			}
+		});
+
+		it('should reject mail while the worker secrets are not set', async () => {
+			faxService.env = workerEnv('prod', { secrets: false });
+			const message = incomingEmail(rawEmail());
+
+			await faxService.email(message);
+
+			expect(message.setReject).toHaveBeenCalledWith(expect.stringContaining('temporarily unavailable'));
+			expect(FaxDatabaseUtils.findEmailSenderUser).not.toHaveBeenCalled();
+			expect(sendFaxSpy).not.toHaveBeenCalled();
+		});
+
+		it('should fax the attachments with the body as the cover message', async () => {
+			const message = incomingEmail(rawEmail());
+
+			await faxService.email(message);
+
+			expect(message.setReject).not.toHaveBeenCalled();
+			expect(FaxDatabaseUtils.findEmailSenderUser).toHaveBeenCalledWith('jane@example.com', expect.any(Object), expect.any(Object));
+
+			const [request, , context] = sendFaxSpy.mock.calls[0];
+			expect(request.headers.get('Idempotency-Key')).toBe('email:<abc123@example.com>');
+			expect(await request.json()).toEqual({
+				recipient: '+15551230001',
+				files: [{ data: 'JVBERg==', filename: 'contract.pdf', mimeType: 'application/pdf' }],
+				subject: 'Signed contract',
+				message: 'Please find the contract attached.'
+			});
+			expect(context).toEqual({
+				jwtPayload: { sub: 'test-user-123', email: 'jane@example.com' },
+				emailGateway: { replyTo: 'jane@example.com' }
+			});
+			expect(replySpy).toHaveBeenCalledWith(expect.any(Object), 'jane@example.com', expect.stringContaining('Fax ID: fax-email-1'), expect.any(Object));
+		});
+
+		it('should reject mail to an address that is not a fax number', async () => {
+			const message = incomingEmail(rawEmail(), 'sales@fax.sendfax.pro');
+
+			await faxService.email(message);
+
+			expect(message.setReject).toHaveBeenCalledWith(expect.stringContaining('Unknown fax address'));
+			expect(sendFaxSpy).not.toHaveBeenCalled();
+		});
+
+		it('should reject senders that were not authenticated by our mail server', async () => {
+			const forged = 'Authentication-Results: mx.attacker.test; dkim=pass header.d=example.com';
+			const message = incomingEmail(rawEmail({ headers: [forged] }));
+
+			await faxService.email(message);
+
+			expect(message.setReject).toHaveBeenCalledWith(expect.stringContaining('could not be verified'));
+			expect(FaxDatabaseUtils.findEmailSenderUser).not.toHaveBeenCalled();
+			expect(sendFaxSpy).not.toHaveBeenCalled();
+		});
+
+		it('should reject senders that are not users', async () => {
+			FaxDatabaseUtils.findEmailSenderUser.mockResolvedValueOnce(null);
+			const message = incomingEmail(rawEmail());
+
+			await faxService.email(message);
+
+			expect(message.setReject).toHaveBeenCalledWith(expect.stringContaining('not registered'));
+			expect(sendFaxSpy).not.toHaveBeenCalled();
+		});
+
+		it('should answer emails without attachments instead of faxing them', async () => {
+			const message = incomingEmail(rawEmail({ attachment: false }));
+
+			await faxService.email(message);
+
+			expect(sendFaxSpy).not.toHaveBeenCalled();
+			expect(replySpy).toHaveBeenCalledWith(expect.any(Object), 'jane@example.com', expect.stringContaining('no attachments'), expect.any(Object));
+		});
+
+		it('should not answer a redelivered email twice', async () => {
+			sendFaxSpy.mockResolvedValueOnce({ statusCode: 200, idempotentReplay: true, data: { id: 'fax-email-1', pages: 1, creditsRequired: 1 } });
+
+			await faxService.email(incomingEmail(rawEmail()));
+
+			expect(replySpy).not.toHaveBeenCalled();
+		});
+
+		it('should email the final status of a fax sent by email', async () => {
+			const statusSpy = vi.spyOn(faxService, 'sendFaxStatusEmail').mockResolvedValue(true);
+			const deductSpy = vi.spyOn(faxService, 'deductCreditsForDeliveredFax').mockResolvedValue();
+			const pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+			const reportSpy = vi.spyOn(faxService, 'createConfirmationReport').mockResolvedValue();
+			DatabaseUtils.updateFaxRecord.mockResolvedValueOnce({
+				id: 'fax-email-1',
+				user_id: 'test-user-123',
+				status: 'delivered',
+				recipients: ['+15551230001'],
+				email_reply_to: 'jane@example.com'
+			});
+
+			await faxService.telnyxWebhook(new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ data: { event_type: 'fax.delivered', payload: { fax_id: 'telnyx-fax-888', status: 'delivered' } } })
+			}), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(statusSpy).toHaveBeenCalledWith(expect.objectContaining({ email_reply_to: 'jane@example.com' }), 'delivered', null, expect.any(Object));
+
+			[statusSpy, deductSpy, pushSpy, reportSpy].forEach(spy => spy.mockRestore());
+		});
+	});
+
+	describe('received fax forwarding', () => {
+		const receiveEvent = () => new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx/receive', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				data: {
+					id: 'evt-received-1',
+					event_type: 'fax.received',
+					payload: { fax_id: 'telnyx-in-1', from: '+15551230001', to: '+15559870002', page_count: 2, media_url: 'https://media.telnyx.test/fax.pdf' }
+				}
+			})
+		});
+
+		let sendEmail;
+		let emailServiceSpy;
+
+		beforeEach(() => {
+			sendEmail = vi.fn().mockResolvedValue(true);
+			emailServiceSpy = vi.spyOn(faxService, 'createEmailService').mockReturnValue({ sendEmail });
+			DatabaseUtils.saveReceivedFax.mockResolvedValue({ record: { id: 'received-1', webhook_id: 'evt-received-1' }, created: true });
+			FaxDatabaseUtils.getFaxForwardingRules.mockReset();
+			FaxDatabaseUtils.getFaxForwardingRules.mockResolvedValue([]);
+			global.fetch.mockResolvedValueOnce(new Response(new Uint8Array([37, 80, 68, 70]), { status: 200 }));
+		});
+
+		afterEach(() => {
+			emailServiceSpy.mockRestore();
+			DatabaseUtils.saveReceivedFax.mockResolvedValue(null);
+		});
+
+		it('should email the PDF to the addresses of the receiving number', async () => {
+			FaxDatabaseUtils.getFaxForwardingRules.mockResolvedValueOnce([
+				{ id: 'rule-1', emails: ['office@example.com', 'jane@example.com'], delivery: 'attachment', time_zone: 'UTC' }
+			]);
+
+			await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			expect(DatabaseUtils.saveReceivedFax).toHaveBeenCalledWith(expect.objectContaining({ toNumber: '+15559870002' }), expect.any(Object), expect.any(Object));
+			expect(FaxDatabaseUtils.getFaxForwardingRules).toHaveBeenCalledWith('+15559870002', expect.any(Object), expect.any(Object));
+			expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+				to: ['office@example.com', 'jane@example.com'],
+				subject: 'Fax received from +15551230001 (2 pages)',
+				attachments: [{ filename: expect.stringMatching(/^fax_15551230001_\d{8}_\d{6}\.pdf$/), content: 'JVBERg==' }]
+			}));
+		});
+
+		it('should send a link for link rules', async () => {
+			FaxDatabaseUtils.getFaxForwardingRules.mockResolvedValueOnce([
+				{ id: 'rule-2', emails: ['office@example.com'], delivery: 'link', time_zone: 'UTC' }
+			]);
+
+			await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			const [email] = sendEmail.mock.calls[0];
+			expect(email.attachments).toBeUndefined();
+			expect(email.text).toContain('Download the fax (PDF): https://test.r2.url/file.pdf');
+		});
+
+		it('should not email numbers without forwarding rules', async () => {
+			const result = await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			expect(result.statusCode).toBe(200);
+			expect(sendEmail).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('inbound number routing', () => {
+		const receiveEvent = (pageCount = 3) => new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx/receive', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				data: {
+					id: 'evt-received-2',
+					event_type: 'fax.received',
+					payload: { fax_id: 'telnyx-in-2', from: '+15551230001', to: '+15559870003', page_count: pageCount, media_url: 'https://media.telnyx.test/fax.pdf' }
+				}
+			})
+		});
+
+		let deductSpy;
+		let receivedPushSpy;
+
+		beforeEach(() => {
+			deductSpy = vi.spyOn(faxService, 'deductCreditsForDeliveredFax').mockResolvedValue(true);
+			receivedPushSpy = vi.spyOn(faxService, 'sendFaxReceivedPushNotification').mockResolvedValue();
+			DatabaseUtils.saveReceivedFax.mockClear();
+			DatabaseUtils.saveReceivedFax.mockResolvedValue({ record: { id: 'received-2', webhook_id: 'evt-received-2', page_count: 3 }, created: true });
+			FaxDatabaseUtils.getFaxNumberAssignment.mockReset();
+			FaxDatabaseUtils.getFaxNumberAssignment.mockResolvedValue(null);
+			FaxDatabaseUtils.recordInboundCharge.mockClear();
+			global.fetch.mockResolvedValueOnce(new Response(new Uint8Array([37, 80, 68, 70]), { status: 200 }));
+		});
+
+		afterEach(() => {
+			deductSpy.mockRestore();
+			receivedPushSpy.mockRestore();
+			DatabaseUtils.saveReceivedFax.mockResolvedValue(null);
+		});
+
+		it('should save the fax for the owner of the number and charge the inbound pages', async () => {
+			FaxDatabaseUtils.getFaxNumberAssignment.mockResolvedValueOnce({ id: 'assignment-1', user_id: 'test-user-123', inbound_credits_per_page: 2 });
+
+			await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			expect(FaxDatabaseUtils.getFaxNumberAssignment).toHaveBeenCalledWith('+15559870003', expect.any(Object), expect.any(Object));
+			expect(DatabaseUtils.saveReceivedFax).toHaveBeenCalledWith(expect.objectContaining({ userId: 'test-user-123', toNumber: '+15559870003' }), expect.any(Object), expect.any(Object));
+			expect(deductSpy).toHaveBeenCalledWith('test-user-123', 6, 'received-2', expect.any(Object), 'telnyx');
+			expect(FaxDatabaseUtils.recordInboundCharge).toHaveBeenCalledWith('received-2', 6, expect.any(Object), expect.any(Object));
+			expect(receivedPushSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'received-2', user_id: 'test-user-123' }), expect.any(Object));
+		});
+
+		it('should not charge numbers with free inbound pages', async () => {
+			FaxDatabaseUtils.getFaxNumberAssignment.mockResolvedValueOnce({ id: 'assignment-1', user_id: 'test-user-123', inbound_credits_per_page: 0 });
+
+			await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			expect(deductSpy).not.toHaveBeenCalled();
+			expect(FaxDatabaseUtils.recordInboundCharge).not.toHaveBeenCalled();
+		});
+
+		it('should not charge, notify or forward a fax again when its webhook is retried', async () => {
+			DatabaseUtils.saveReceivedFax.mockResolvedValueOnce({ record: null, created: false });
+			FaxDatabaseUtils.getFaxNumberAssignment.mockResolvedValueOnce({ id: 'assignment-1', user_id: 'test-user-123', inbound_credits_per_page: 2 });
+			const eventSpy = vi.spyOn(faxService, 'emitDeveloperEvent');
+			const forwardSpy = vi.spyOn(faxService, 'forwardReceivedFax');
+
+			const result = await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			expect(result.statusCode).toBe(200);
+			expect(deductSpy).not.toHaveBeenCalled();
+			expect(FaxDatabaseUtils.recordInboundCharge).not.toHaveBeenCalled();
+			expect(receivedPushSpy).not.toHaveBeenCalled();
+			expect(eventSpy).not.toHaveBeenCalled();
+			expect(forwardSpy).not.toHaveBeenCalled();
+			eventSpy.mockRestore();
+			forwardSpy.mockRestore();
+		});
+
+		it('should keep faxes to unassigned numbers shared', async () => {
+			await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			expect(DatabaseUtils.saveReceivedFax).toHaveBeenCalledWith(expect.objectContaining({ userId: null }), expect.any(Object), expect.any(Object));
+			expect(deductSpy).not.toHaveBeenCalled();
+			expect(receivedPushSpy).not.toHaveBeenCalled();
+		});
+
+		it('should fail the webhook when the number lookup fails, so the provider retries it', async () => {
+			FaxDatabaseUtils.getFaxNumberAssignment.mockRejectedValueOnce(new Error('Failed to fetch fax number assignment: connection reset'));
+
+			const result = await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			expect(result.statusCode).toBe(500);
+			expect(DatabaseUtils.saveReceivedFax).not.toHaveBeenCalled();
+			expect(deductSpy).not.toHaveBeenCalled();
+			// The media download queued in beforeEach was never made
+			global.fetch.mockReset();
+		});
+
+		it('should keep the fax when the charge fails', async () => {
+			deductSpy.mockResolvedValueOnce(false);
+			FaxDatabaseUtils.getFaxNumberAssignment.mockResolvedValueOnce({ id: 'assignment-1', user_id: 'test-user-123', inbound_credits_per_page: 1 });
+
+			const result = await faxService.telnyxFaxReceiveWebhook(receiveEvent(), JSON.stringify(mockEnv), '{}');
+
+			expect(result.statusCode).toBe(200);
+			expect(FaxDatabaseUtils.recordInboundCharge).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('fax inbox', () => {
+		const receivedId = '3f0c2a9e-5b1d-4c7e-9a2f-6d8e0b1c2a3f';
+		const receivedFax = {
+			id: receivedId,
+			user_id: 'test-user-123',
+			from_number: '+15551230001',
+			to_number: '+15559870002',
+			page_count: 2,
+			media_url: 'https://test.r2.url/received/1741010700000_evt-1.pdf',
+			received_at: '2025-03-03T14:05:00Z',
+			read_at: null,
+			archived_at: null
+		};
+		const inboxRequest = (path, init) => new Request(`https://api.sendfax.pro/v1/fax/inbox${path}`, init);
+
+		beforeEach(() => {
+			DatabaseUtils.listInboxFaxes.mockClear();
+			DatabaseUtils.getInboxFax.mockReset();
+			DatabaseUtils.getInboxFax.mockResolvedValue(null);
+			DatabaseUtils.updateInboxFax.mockReset();
+			DatabaseUtils.updateInboxFax.mockResolvedValue(null);
+			DatabaseUtils.deleteInboxFax.mockClear();
+		});
+
+		it('should list the caller\'s received faxes without media URLs', async () => {
+			DatabaseUtils.listInboxFaxes.mockResolvedValueOnce({ faxes: [receivedFax], hasMore: true });
+
+			const result = await faxService.listInbox(inboxRequest('?unread=true'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(DatabaseUtils.listInboxFaxes).toHaveBeenCalledWith('test-user-123', expect.objectContaining({ view: 'inbox', unreadOnly: true }), expect.any(Object), expect.any(Object));
+			expect(result.data.faxes[0]).toEqual(expect.objectContaining({ id: receivedId, read: false, downloadUrl: `/v1/fax/inbox/${receivedId}/download` }));
+			expect(result.data.faxes[0].mediaUrl).toBeUndefined();
+			expect(result.data.nextCursor).toEqual(expect.any(String));
+		});
+
+		it('should require authentication', async () => {
+			const result = await faxService.listInbox(inboxRequest(''), JSON.stringify(mockEnv), '{}');
+
+			expect(result.statusCode).toBe(401);
+		});
+
+		it('should mark a fax read and archive it', async () => {
+			DatabaseUtils.updateInboxFax.mockResolvedValueOnce({ ...receivedFax, read_at: '2025-03-05T10:00:00Z', archived_at: '2025-03-05T10:00:00Z' });
+
+			const result = await faxService.updateInboxFax(inboxRequest(`/${receivedId}`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ read: true, archived: true })
+			}), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(DatabaseUtils.updateInboxFax).toHaveBeenCalledWith(receivedId, 'test-user-123', { read_at: expect.any(String), archived_at: expect.any(String) }, expect.any(Object), expect.any(Object));
+			expect(result.data).toEqual(expect.objectContaining({ read: true, archived: true }));
+		});
+
+		it('should not update faxes of other users', async () => {
+			const result = await faxService.updateInboxFax(inboxRequest(`/${receivedId}`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ read: true })
+			}), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(404);
+		});
+
+		it('should delete the document and the record', async () => {
+			DatabaseUtils.getInboxFax.mockResolvedValueOnce(receivedFax);
+
+			const result = await faxService.deleteInboxFax(inboxRequest(`/${receivedId}`, { method: 'DELETE' }), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(DatabaseUtils.deleteInboxFax).toHaveBeenCalledWith(receivedId, 'test-user-123', expect.any(Object), expect.any(Object));
+		});
+
+		it('should download a fax and mark it read', async () => {
+			DatabaseUtils.getInboxFax.mockResolvedValueOnce(receivedFax);
+
+			const result = await faxService.downloadInboxFax(inboxRequest(`/${receivedId}/download`), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data).toEqual({ id: receivedId, fileData: 'JVBERg==', filename: `received_fax_${receivedId}.pdf`, mimeType: 'application/pdf' });
+			expect(DatabaseUtils.updateInboxFax).toHaveBeenCalledWith(receivedId, 'test-user-123', { read_at: expect.any(String) }, expect.any(Object), expect.any(Object));
+		});
+
+		it('should limit the 24 hour listing of all received faxes to admins', async () => {
+			const anonymous = await faxService.getReceivedFaxesLast24Hours(new Request('https://api.sendfax.pro/v1/fax/received/last-24-hours'), JSON.stringify(mockEnv), '{}');
+			const user = await faxService.getReceivedFaxesLast24Hours(new Request('https://api.sendfax.pro/v1/fax/received/last-24-hours'), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(anonymous.statusCode).toBe(401);
+			expect(user.statusCode).toBe(403);
+		});
+	});
+
+	describe('Telnyx webhook signatures', () => {
+		const rawBody = JSON.stringify({ data: { event_type: 'fax.delivered', payload: { fax_id: 'telnyx-fax-signed', status: 'delivered' } } });
+		const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+		let keyPair;
+		let signedEnv;
+		let deductSpy;
+		let pushSpy;
+		let reportSpy;
+
+		const webhookRequest = (headers = {}, path = '') => new Request(`https://api.sendfax.pro/v1/fax/webhook/telnyx${path}`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', ...headers },
+			body: rawBody
+		});
+
+		const signedHeaders = async (timestamp = String(Math.floor(Date.now() / 1000))) => ({
+			'telnyx-timestamp': timestamp,
+			'telnyx-signature-ed25519': toBase64(await crypto.subtle.sign({ name: 'Ed25519' }, keyPair.privateKey, new TextEncoder().encode(`${timestamp}|${rawBody}`)))
+		});
+
+		beforeEach(async () => {
+			keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+			signedEnv = { ...mockEnv, TELNYX_PUBLIC_KEY: toBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey)) };
+			deductSpy = vi.spyOn(faxService, 'deductCreditsForDeliveredFax').mockResolvedValue(true);
+			pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+			reportSpy = vi.spyOn(faxService, 'createConfirmationReport').mockResolvedValue();
+			DatabaseUtils.getFaxRecord.mockClear();
+			DatabaseUtils.updateFaxRecord.mockClear();
+			DatabaseUtils.saveReceivedFax.mockClear();
+		});
+
+		afterEach(() => {
+			[deductSpy, pushSpy, reportSpy].forEach(spy => spy.mockRestore());
+		});
+
+		it('should process webhooks signed with the configured key', async () => {
+			await faxService.telnyxWebhook(webhookRequest(await signedHeaders()), signedEnv, '{}');
+
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith('telnyx-fax-signed', expect.objectContaining({ status: 'delivered' }), expect.any(Object), expect.any(Object), 'provider_fax_id');
+		});
+
+		it('should reject unsigned webhooks before touching the database', async () => {
+			const result = await faxService.telnyxWebhook(webhookRequest(), signedEnv, '{}');
+
+			expect(result.statusCode).toBe(401);
+			expect(DatabaseUtils.getFaxRecord).not.toHaveBeenCalled();
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should reject stale or forged received fax webhooks', async () => {
+			const stale = await signedHeaders(String(Math.floor(Date.now() / 1000) - 600));
+			const staleResult = await faxService.telnyxFaxReceiveWebhook(webhookRequest(stale, '/receive'), signedEnv, '{}');
+
+			const forged = { ...(await signedHeaders()), 'telnyx-signature-ed25519': toBase64(new Uint8Array(64)) };
+			const forgedResult = await faxService.telnyxFaxReceiveWebhook(webhookRequest(forged, '/receive'), signedEnv, '{}');
+
+			expect(staleResult.statusCode).toBe(401);
+			expect(forgedResult.statusCode).toBe(401);
+			expect(DatabaseUtils.saveReceivedFax).not.toHaveBeenCalled();
+		});
+
+		it('should reject unsigned webhooks outside development when no key is configured', async () => {
+			for (const environment of ['prod', 'staging']) {
+				const result = await faxService.telnyxWebhook(webhookRequest(), { ...mockEnv, ENVIRONMENT: environment }, '{}');
+
+				expect(result.statusCode).toBe(401);
+			}
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Notifyre webhook', () => {
+		const webhookSecret = 'notifyre-test-secret';
+		let signedEnv;
+		let pushSpy;
+		let reportSpy;
+
+		const sign = async (rawBody, secret = webhookSecret, timestamp = Math.floor(Date.now() / 1000)) => {
+			const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+			const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${rawBody}`));
+			return `t=${timestamp},v=${Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+		};
+
+		const webhookRequest = (rawBody, headers = {}) => new Request('https://api.sendfax.pro/v1/fax/webhook/notifyre', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', ...headers },
+			body: rawBody
+		});
+
+		beforeEach(() => {
+			signedEnv = { ...mockEnv, NOTIFYRE_WEBHOOK_SECRET: webhookSecret };
+			pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+			reportSpy = vi.spyOn(faxService, 'createConfirmationReport').mockResolvedValue();
+			DatabaseUtils.getFaxRecord.mockClear();
+			DatabaseUtils.updateFaxRecord.mockClear();
+		});
+
+		afterEach(() => {
+			pushSpy.mockRestore();
+			reportSpy.mockRestore();
+		});
+
+		it('should map signed webhooks with the polling status map', async () => {
+			const rawBody = JSON.stringify({
+				Event: 'fax_sent',
+				Payload: { FaxID: 'notifyre-fax-1', Status: 'Failed - Check number and try again', FailedMessage: 'Not a fax machine' }
+			});
+
+			const result = await faxService.notifyreWebhook(webhookRequest(rawBody, { 'x-notifyre-signature': await sign(rawBody) }), signedEnv, '{}');
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.standardizedStatus).toBe('failed');
+			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledWith('notifyre-fax-1', expect.objectContaining({
+				status: 'failed',
+				original_status: 'Failed - Check number and try again',
+				error_message: 'Not a fax machine'
+			}), expect.any(Object), expect.any(Object), 'provider_fax_id');
+		});
+
+		it('should reject webhooks with a missing or wrong signature', async () => {
+			const rawBody = JSON.stringify({ event: 'fax.sent', data: { id: 'notifyre-fax-2', status: 'Successful' } });
+
+			const unsigned = await faxService.notifyreWebhook(webhookRequest(rawBody), signedEnv, '{}');
+			const forged = await faxService.notifyreWebhook(webhookRequest(rawBody, { 'x-notifyre-signature': await sign(rawBody, 'other-secret') }), signedEnv, '{}');
+
+			const replayed = await faxService.notifyreWebhook(webhookRequest(rawBody, { 'x-notifyre-signature': await sign(rawBody, webhookSecret, Math.floor(Date.now() / 1000) - 3600) }), signedEnv, '{}');
+
+			expect(unsigned.statusCode).toBe(401);
+			expect(forged.statusCode).toBe(401);
+			expect(replayed.statusCode).toBe(401);
+			expect(DatabaseUtils.getFaxRecord).not.toHaveBeenCalled();
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should reject webhooks when no secret is configured', async () => {
+			const rawBody = JSON.stringify({ event: 'fax.sent', data: { id: 'notifyre-fax-3', status: 'Successful' } });
+
+			const result = await faxService.notifyreWebhook(webhookRequest(rawBody, { 'x-notifyre-signature': await sign(rawBody) }), { ...mockEnv }, '{}');
+
+			expect(result.statusCode).toBe(401);
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('fax status transitions', () => {
+		const telnyxEvent = (eventType, status) => new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ data: { event_type: eventType, payload: { fax_id: 'telnyx-fax-555', status, page_count: 2 } } })
+		});
+
+		const storedFax = (status) => ({ id: 'fax-record-5', user_id: 'test-user-123', status, pages: 2, provider_fax_id: 'telnyx-fax-555', recipients: ['+15551230001'] });
+
+		let deductSpy;
+		let pushSpy;
+		let reportSpy;
+
+		beforeEach(() => {
+			deductSpy = vi.spyOn(faxService, 'deductCreditsForDeliveredFax').mockResolvedValue(true);
+			pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+			reportSpy = vi.spyOn(faxService, 'createConfirmationReport').mockResolvedValue();
+			DatabaseUtils.updateFaxRecord.mockClear();
+			DatabaseUtils.transitionFaxRecord.mockClear();
+			DatabaseUtils.recordUsage.mockClear();
+			DatabaseUtils.storeWebhookEvent.mockClear();
+		});
+
+		afterEach(() => {
+			[deductSpy, pushSpy, reportSpy].forEach(spy => spy.mockRestore());
+			DatabaseUtils.getFaxRecord.mockResolvedValue(null);
+		});
+
+		it('should finish a fax once and run its side effects', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce(storedFax('sending'));
+			DatabaseUtils.transitionFaxRecord.mockResolvedValueOnce(storedFax('delivered'));
+
+			const result = await faxService.telnyxWebhook(telnyxEvent('fax.delivered', 'delivered'), JSON.stringify(mockEnv), '{}');
+
+			expect(result.statusCode).toBe(200);
+			expect(DatabaseUtils.transitionFaxRecord).toHaveBeenCalledWith('fax-record-5', 'sending', expect.objectContaining({ status: 'delivered' }), expect.any(Object), expect.any(Object));
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+			expect(DatabaseUtils.recordUsage).toHaveBeenCalledTimes(1);
+			expect(deductSpy).toHaveBeenCalledTimes(1);
+			expect(pushSpy).toHaveBeenCalledTimes(1);
+		});
+
+		it('should not let a late sending event overwrite a delivered fax', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce(storedFax('delivered'));
+
+			const result = await faxService.telnyxWebhook(telnyxEvent('fax.sending.started', 'sending'), JSON.stringify(mockEnv), '{}');
+
+			expect(result.message).toBe('Webhook ignored: fax already delivered');
+			expect(DatabaseUtils.transitionFaxRecord).not.toHaveBeenCalled();
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+			expect(DatabaseUtils.storeWebhookEvent).toHaveBeenCalledWith(expect.objectContaining({
+				processedData: { ignored: true, reason: 'fax already delivered', status: 'sending' }
+			}), expect.any(Object), expect.any(Object));
+		});
+
+		it('should not charge a redelivered delivered webhook again', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce(storedFax('delivered'));
+
+			const result = await faxService.telnyxWebhook(telnyxEvent('fax.delivered', 'delivered'), JSON.stringify(mockEnv), '{}');
+
+			expect(result.message).toBe('Webhook ignored: duplicate status');
+			expect(DatabaseUtils.recordUsage).not.toHaveBeenCalled();
+			expect(deductSpy).not.toHaveBeenCalled();
+			expect(pushSpy).not.toHaveBeenCalled();
+		});
+
+		it('should skip side effects when a concurrent webhook finished the fax first', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce(storedFax('sending'));
+			DatabaseUtils.transitionFaxRecord.mockResolvedValueOnce(null);
+
+			const result = await faxService.telnyxWebhook(telnyxEvent('fax.delivered', 'delivered'), JSON.stringify(mockEnv), '{}');
+
+			expect(result.message).toBe('Webhook ignored: status changed concurrently');
+			expect(DatabaseUtils.recordUsage).not.toHaveBeenCalled();
+			expect(deductSpy).not.toHaveBeenCalled();
+			expect(pushSpy).not.toHaveBeenCalled();
+		});
+
+		it('should answer a failed status update with an error so the provider retries', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce(storedFax('sending'));
+			DatabaseUtils.transitionFaxRecord.mockRejectedValueOnce(new Error('Failed to update fax status: connection reset'));
+
+			const result = await faxService.telnyxWebhook(telnyxEvent('fax.delivered', 'delivered'), JSON.stringify(mockEnv), '{}');
+
+			expect(result.statusCode).toBe(500);
+			expect(DatabaseUtils.storeWebhookEvent).not.toHaveBeenCalled();
+			expect(DatabaseUtils.recordUsage).not.toHaveBeenCalled();
+			expect(deductSpy).not.toHaveBeenCalled();
+			expect(pushSpy).not.toHaveBeenCalled();
+		});
+
+		it('should apply the same rules to Notifyre webhooks', async () => {
+			const rawBody = JSON.stringify({ event: 'fax.sent', data: { id: 'notifyre-fax-5', status: 'Sending' } });
+			const key = await crypto.subtle.importKey('raw', new TextEncoder().encode('notifyre-secret'), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+			const timestamp = Math.floor(Date.now() / 1000);
+			const hmac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${rawBody}`));
+			const signature = `t=${timestamp},v=${Array.from(new Uint8Array(hmac), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ ...storedFax('failed'), provider_fax_id: 'notifyre-fax-5' });
+
+			const result = await faxService.notifyreWebhook(new Request('https://api.sendfax.pro/v1/fax/webhook/notifyre', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'x-notifyre-signature': signature },
+				body: rawBody
+			}), { ...mockEnv, NOTIFYRE_WEBHOOK_SECRET: 'notifyre-secret' }, '{}');
+
+			expect(result.message).toBe('Webhook ignored: fax already failed');
+			expect(DatabaseUtils.transitionFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should apply polled Notifyre statuses through the same transitions', async () => {
+			const polledFax = { ...storedFax('sending'), provider_fax_id: 'notifyre-fax-7' };
+			DatabaseUtils.getFaxRecord.mockImplementation(async (id) => (id === 'notifyre-fax-7' ? polledFax : null));
+			DatabaseUtils.transitionFaxRecord.mockResolvedValueOnce({ ...polledFax, status: 'delivered' });
+			DatabaseUtils.storeStatusSnapshot.mockClear();
+
+			const result = await faxService.applyPolledFaxStatuses(JSON.stringify(mockEnv), [
+				{ id: 'notifyre-fax-7', status: 'Successful', pages: 2 },
+				{ id: 'not-ours', status: 'Successful', pages: 1 }
+			]);
+
+			expect(result.data).toEqual({ polled: 2, updated: 1, unchanged: 0, notFound: 1, errors: 0 });
+			expect(DatabaseUtils.transitionFaxRecord).toHaveBeenCalledWith('fax-record-5', 'sending', expect.objectContaining({ status: 'delivered', original_status: 'Successful' }), expect.any(Object), expect.any(Object));
+			expect(DatabaseUtils.updateFaxRecord).not.toHaveBeenCalled();
+			expect(deductSpy).toHaveBeenCalledTimes(1);
+			expect(pushSpy).toHaveBeenCalledTimes(1);
+			expect(DatabaseUtils.storeStatusSnapshot).not.toHaveBeenCalled();
+		});
+
+		it('should only snapshot polled statuses that change nothing', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ ...storedFax('delivered'), provider_fax_id: 'notifyre-fax-8' });
+			DatabaseUtils.storeStatusSnapshot.mockClear();
+
+			const result = await faxService.applyPolledFaxStatuses(JSON.stringify(mockEnv), [{ id: 'notifyre-fax-8', status: 'Successful', pages: 2 }]);
+
+			expect(result.data).toEqual(expect.objectContaining({ updated: 0, unchanged: 1 }));
+			expect(DatabaseUtils.storeStatusSnapshot).toHaveBeenCalledWith(expect.objectContaining({ provider_fax_id: 'notifyre-fax-8' }), expect.objectContaining({ status: 'delivered', original_status: 'Successful' }), expect.any(Object), expect.any(Object), expect.any(Object));
+			expect(DatabaseUtils.transitionFaxRecord).not.toHaveBeenCalled();
+			expect(DatabaseUtils.storeWebhookEvent).not.toHaveBeenCalled();
+			expect(deductSpy).not.toHaveBeenCalled();
+		});
+
+		it('should not write anything for a polled status the fax already has', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ ...storedFax('delivered'), original_status: 'Successful', provider_fax_id: 'notifyre-fax-8' });
+			DatabaseUtils.storeStatusSnapshot.mockClear();
+
+			const result = await faxService.applyPolledFaxStatuses(JSON.stringify(mockEnv), [{ id: 'notifyre-fax-8', status: 'Successful', pages: 2 }]);
+
+			expect(result.data).toEqual(expect.objectContaining({ updated: 0, unchanged: 1 }));
+			expect(DatabaseUtils.storeStatusSnapshot).not.toHaveBeenCalled();
+			expect(DatabaseUtils.transitionFaxRecord).not.toHaveBeenCalled();
+		});
+
+		it('should not charge a polled delivery that a webhook applied first', async () => {
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce({ ...storedFax('sending'), provider_fax_id: 'notifyre-fax-9' });
+			DatabaseUtils.transitionFaxRecord.mockResolvedValueOnce(null);
+
+			const result = await faxService.applyPolledFaxStatuses(JSON.stringify(mockEnv), [{ id: 'notifyre-fax-9', status: 'Successful', pages: 2 }]);
+
+			expect(result.data).toEqual(expect.objectContaining({ updated: 0, unchanged: 1 }));
+			expect(DatabaseUtils.recordUsage).not.toHaveBeenCalled();
+			expect(deductSpy).not.toHaveBeenCalled();
+			expect(pushSpy).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('developer webhooks', () => {
+		const endpoint = { id: 'endpoint-1', url: 'https://hooks.example.com/sendfax', secret: 'whsec_test', is_active: true };
+		const deliveryId = '3f2b6c1e-8a4d-4e2f-9b1a-7c5d2e8f0a11';
+
+		const hookCalls = () => global.fetch.mock.calls.filter(([url]) => String(url) === endpoint.url);
+		// Endpoint hosts are resolved over DNS-over-HTTPS before every request
+		const stubHookFetch = (answer, addresses = ['93.184.216.34']) => global.fetch.mockImplementation(async (url) => {
+			const parsed = new URL(url);
+			if (parsed.hostname === 'cloudflare-dns.com') {
+				const type = parsed.searchParams.get('type');
+				const records = addresses.filter(address => (type === 'AAAA') === address.includes(':'));
+				return Response.json({ Answer: records.map(data => ({ type: type === 'AAAA' ? 28 : 1, data })) });
+			}
+			return answer();
+		});
+		let backgroundTasks;
+
+		beforeEach(() => {
+			FaxDatabaseUtils.createWebhookDeliveries.mockClear();
+			FaxDatabaseUtils.recordWebhookDeliveryAttempt.mockClear();
+			FaxDatabaseUtils.claimWebhookDelivery.mockClear();
+			global.fetch.mockClear();
+			backgroundTasks = [];
+			faxService.ctx = { waitUntil: vi.fn(promise => backgroundTasks.push(promise)) };
+		});
+
+		afterEach(() => {
+			FaxDatabaseUtils.getSubscribedWebhookEndpoints.mockResolvedValue([]);
+			delete faxService.ctx;
+		});
+
+		it('should return the signing secret only when an endpoint is created', async () => {
+			const request = () => new Request('https://api.sendfax.pro/v1/fax/webhooks', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ url: endpoint.url, events: ['fax.delivered', 'fax.failed'] })
+			});
+
+			stubHookFetch(() => new Response('Not found', { status: 404 }));
+
+			const created = await faxService.createWebhookEndpoint(request(), mockEnv, mockSagContext);
+			const unauthenticated = await faxService.createWebhookEndpoint(request(), mockEnv, {});
+
+			expect(created.statusCode).toBe(200);
+			expect(created.data).toMatchObject({ id: 'endpoint-1', url: endpoint.url, events: ['fax.delivered', 'fax.failed'] });
+			expect(created.data.secret).toMatch(/^whsec_/);
+			expect(FaxDatabaseUtils.createWebhookEndpoint).toHaveBeenCalledWith('test-user-123', expect.objectContaining({ secret: created.data.secret }), expect.any(Object), expect.any(Object));
+			expect(unauthenticated.statusCode).toBe(401);
+		});
+
+		it('should refuse endpoints whose host resolves to a private address', async () => {
+			stubHookFetch(() => new Response('ok', { status: 200 }), ['10.0.0.5']);
+			FaxDatabaseUtils.createWebhookEndpoint.mockClear();
+
+			const result = await faxService.createWebhookEndpoint(new Request('https://api.sendfax.pro/v1/fax/webhooks', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ url: endpoint.url, events: ['fax.failed'] })
+			}), mockEnv, mockSagContext);
+
+			expect(result.statusCode).toBe(400);
+			expect(result.message).toMatch(/private address/);
+			expect(FaxDatabaseUtils.createWebhookEndpoint).not.toHaveBeenCalled();
+		});
+
+		it('should not deliver to an endpoint that now resolves to a private address', async () => {
+			const delivery = { id: 'delivery-c', endpoint_id: endpoint.id, event_type: 'fax.failed', payload: { id: 'event-3' }, attempt_count: 0 };
+			stubHookFetch(() => new Response('ok', { status: 200 }), ['169.254.169.254']);
+
+			await faxService.attemptWebhookDelivery(delivery, endpoint, mockEnv);
+
+			expect(hookCalls()).toHaveLength(0);
+			expect(FaxDatabaseUtils.recordWebhookDeliveryAttempt).toHaveBeenCalledWith('delivery-c', expect.objectContaining({
+				status: 'pending',
+				last_error: 'hooks.example.com resolves to a private address'
+			}), expect.any(Object), expect.any(Object));
+		});
+
+		it('should POST a signed fax.delivered event when a fax is delivered', async () => {
+			const deductSpy = vi.spyOn(faxService, 'deductCreditsForDeliveredFax').mockResolvedValue(false);
+			const pushSpy = vi.spyOn(faxService, 'sendFaxStatusPushNotification').mockResolvedValue();
+			const reportSpy = vi.spyOn(faxService, 'createConfirmationReport').mockResolvedValue();
+			const fax = { id: 'fax-record-7', user_id: 'test-user-123', status: 'sending', pages: 2, provider_fax_id: 'telnyx-fax-777', recipients: ['+15551230001'] };
+			DatabaseUtils.getFaxRecord.mockResolvedValueOnce(fax);
+			DatabaseUtils.transitionFaxRecord.mockResolvedValueOnce({ ...fax, status: 'delivered' });
+			FaxDatabaseUtils.getSubscribedWebhookEndpoints.mockImplementation(async (userId, eventType) => eventType === 'fax.delivered' ? [endpoint] : []);
+			stubHookFetch(() => new Response('ok', { status: 200 }));
+
+			await faxService.telnyxWebhook(new Request('https://api.sendfax.pro/v1/fax/webhook/telnyx', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ data: { event_type: 'fax.delivered', payload: { fax_id: 'telnyx-fax-777', status: 'delivered', page_count: 2 } } })
+			}), JSON.stringify(mockEnv), '{}');
+			await Promise.all(backgroundTasks);
+
+			[deductSpy, pushSpy, reportSpy].forEach(spy => spy.mockRestore());
+			DatabaseUtils.getFaxRecord.mockResolvedValue(null);
+
+			expect(hookCalls()).toHaveLength(1);
+			const [, options] = hookCalls()[0];
+			const event = JSON.parse(options.body);
+			expect(event).toMatchObject({ type: 'fax.delivered', data: { faxId: 'fax-record-7', status: 'delivered', recipients: ['+15551230001'] } });
+			expect(options.headers['X-SendFax-Event']).toBe('fax.delivered');
+
+			const [, timestamp, signature] = options.headers['X-SendFax-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+			const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(endpoint.secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+			const signatureBytes = Uint8Array.from(signature.match(/../g), byte => parseInt(byte, 16));
+			expect(await crypto.subtle.verify('HMAC', key, signatureBytes, new TextEncoder().encode(`${timestamp}.${options.body}`))).toBe(true);
+
+			expect(FaxDatabaseUtils.recordWebhookDeliveryAttempt).toHaveBeenCalledWith('delivery-1', expect.objectContaining({
+				status: 'delivered',
+				attempt_count: 1,
+				response_status: 200
+			}), expect.any(Object), expect.any(Object));
+		});
+
+		it('should schedule a retry when the endpoint does not answer 2xx', async () => {
+			FaxDatabaseUtils.getSubscribedWebhookEndpoints.mockResolvedValueOnce([endpoint]);
+			stubHookFetch(() => new Response('unavailable', { status: 503 }));
+
+			await faxService.emitDeveloperEvent('test-user-123', 'fax.failed', { faxId: 'fax-record-8' }, mockEnv);
+			await Promise.all(backgroundTasks);
+
+			const [, updates] = FaxDatabaseUtils.recordWebhookDeliveryAttempt.mock.calls[0];
+			expect(updates).toMatchObject({ status: 'pending', attempt_count: 1, response_status: 503, last_error: 'Endpoint responded with HTTP 503' });
+			expect(new Date(updates.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+		});
+
+		it('should log deliveries without waiting for the endpoint', async () => {
+			FaxDatabaseUtils.getSubscribedWebhookEndpoints.mockResolvedValueOnce([endpoint]);
+			let answerHook;
+			stubHookFetch(() => new Promise(resolve => { answerHook = resolve; }));
+
+			const created = await faxService.emitDeveloperEvent('test-user-123', 'fax.queued', { faxId: 'fax-record-9' }, mockEnv);
+
+			expect(created).toBe(1);
+			expect(FaxDatabaseUtils.createWebhookDeliveries).toHaveBeenCalledWith([
+				expect.objectContaining({ endpoint_id: endpoint.id, event_type: 'fax.queued', status: 'pending' })
+			], expect.any(Object), expect.any(Object));
+			expect(faxService.ctx.waitUntil).toHaveBeenCalledTimes(1);
+			expect(FaxDatabaseUtils.recordWebhookDeliveryAttempt).not.toHaveBeenCalled();
+
+			await vi.waitFor(() => expect(answerHook).toBeTypeOf('function'));
+			answerHook(new Response('ok', { status: 200 }));
+			await Promise.all(backgroundTasks);
+			expect(FaxDatabaseUtils.recordWebhookDeliveryAttempt).toHaveBeenCalledWith('delivery-1', expect.objectContaining({ status: 'delivered' }), expect.any(Object), expect.any(Object));
+		});
+
+		it('should leave deliveries to the cron service without an execution context', async () => {
+			delete faxService.ctx;
+			FaxDatabaseUtils.getSubscribedWebhookEndpoints.mockResolvedValueOnce([endpoint]);
+
+			const created = await faxService.emitDeveloperEvent('test-user-123', 'fax.queued', { faxId: 'fax-record-9' }, mockEnv);
+
+			expect(created).toBe(1);
+			expect(hookCalls()).toHaveLength(0);
+			expect(FaxDatabaseUtils.createWebhookDeliveries.mock.calls[0][0][0].next_attempt_at).toEqual(expect.any(String));
+		});
+
+		it('should emit credits.low only for the charge that crosses the threshold', async () => {
+			const emitSpy = vi.spyOn(faxService, 'emitDeveloperEvent').mockResolvedValue(1);
+			FaxDatabaseUtils.getSubscribedWebhookEndpoints.mockResolvedValue([endpoint]);
+			FaxDatabaseUtils.checkUserCredits.mockResolvedValueOnce({ hasCredits: true, availablePages: 8 });
+			FaxDatabaseUtils.checkUserCredits.mockResolvedValueOnce({ hasCredits: true, availablePages: 6 });
+
+			await faxService.emitLowCreditsEvent('test-user-123', 4, mockEnv);
+			await faxService.emitLowCreditsEvent('test-user-123', 2, mockEnv);
+
+			expect(emitSpy).toHaveBeenCalledTimes(1);
+			expect(emitSpy).toHaveBeenCalledWith('test-user-123', 'credits.low', { availableCredits: 8, threshold: 10 }, mockEnv, [endpoint]);
+			emitSpy.mockRestore();
+		});
+
+		it('should emit fax.queued when a provider accepts a fax, but not when it is only scheduled', async () => {
+			const sendRequest = (sendAt) => new Request('https://api.sendfax.pro/v1/fax/send', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ recipient: '+15551230001', message: 'Queued fax', ...(sendAt ? { send_at: sendAt } : {}) })
+			});
+			FaxDatabaseUtils.getSubscribedWebhookEndpoints.mockImplementation(async (userId, eventType) => eventType === 'fax.queued' ? [endpoint] : []);
+			DatabaseUtils.getFaxRecord.mockImplementation(async (id, env, logger, idType) => (
+				idType === 'provider_fax_id' && id === 'fax_mock_123'
+					? { id: 'fax-record-10', user_id: 'test-user-123', provider_fax_id: 'fax_mock_123', status: 'queued', recipients: ['+15551230001'], pages: 1 }
+					: null
+			));
+			const emitSpy = vi.spyOn(faxService, 'emitDeveloperEvent').mockResolvedValue(1);
+
+			const sent = await faxService.sendFax(sendRequest(), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+			const scheduled = await faxService.sendFax(sendRequest(new Date(Date.now() + 60 * 60 * 1000).toISOString()), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(sent.statusCode).toBe(200);
+			expect(scheduled.data.status).toBe('scheduled');
+			expect(emitSpy).toHaveBeenCalledTimes(1);
+			expect(emitSpy).toHaveBeenCalledWith('test-user-123', 'fax.queued', expect.objectContaining({
+				faxId: 'fax-record-10',
+				providerFaxId: 'fax_mock_123',
+				status: 'queued'
+			}), expect.any(Object), [endpoint]);
+			emitSpy.mockRestore();
+			DatabaseUtils.getFaxRecord.mockReset();
+			DatabaseUtils.getFaxRecord.mockResolvedValue(null);
+		});
+
+		it('should redeliver a logged delivery on request', async () => {
+			const delivery = { id: deliveryId, endpoint_id: endpoint.id, user_id: 'test-user-123', event_type: 'fax.failed', payload: { id: 'event-1', type: 'fax.failed' }, status: 'failed', attempt_count: 8 };
+			FaxDatabaseUtils.getWebhookDelivery.mockResolvedValueOnce(delivery);
+			FaxDatabaseUtils.claimWebhookDelivery.mockResolvedValueOnce({ ...delivery, status: 'pending', endpoint });
+			stubHookFetch(() => new Response('ok', { status: 200 }));
+
+			const result = await faxService.redeliverWebhook(
+				new Request(`https://api.sendfax.pro/v1/fax/webhooks/deliveries/${deliveryId}/redeliver`, { method: 'POST' }),
+				mockEnv,
+				mockSagContext
+			);
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data).toMatchObject({ id: deliveryId, status: 'delivered', attempts: 9 });
+			expect(FaxDatabaseUtils.claimWebhookDelivery).toHaveBeenCalledWith(deliveryId, expect.any(String), expect.any(String), expect.any(Object), expect.any(Object), true);
+			expect(JSON.parse(hookCalls()[0][1].body)).toEqual(delivery.payload);
+		});
+
+		it('should retry due deliveries from the cron service and skip claimed ones', async () => {
+			FaxDatabaseUtils.getDueWebhookDeliveries.mockResolvedValueOnce([{ id: 'delivery-a' }, { id: 'delivery-b' }]);
+			FaxDatabaseUtils.claimWebhookDelivery
+				.mockResolvedValueOnce({ id: 'delivery-a', event_type: 'fax.queued', payload: { id: 'event-2' }, attempt_count: 2, endpoint })
+				.mockResolvedValueOnce(null);
+			stubHookFetch(() => new Response(null, { status: 204 }));
+
+			const result = await faxService.dispatchWebhookDeliveries(mockEnv);
+
+			expect(result.data).toEqual({ due: 2, delivered: 1, failed: 0, skipped: 1 });
+		});
+	});
+
+	describe('sendFax broadcast', () => {
+		const broadcastRequest = (recipients) => new Request('https://api.sendfax.pro/v1/fax/send', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				recipients,
+				message: 'Broadcast fax'
+			})
+		});
+
+		it('should fan out one fax per recipient under a batch', async () => {
+			const recipients = ['+15551230001', '+15551230002', '+15551230003'];
+
+			const result = await faxService.sendFax(broadcastRequest(recipients), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.batchId).toBe('batch-123');
+			expect(result.data.recipientCount).toBe(3);
+			expect(result.data.acceptedCount).toBe(3);
+			expect(result.data.faxes.map(fax => fax.recipient)).toEqual(recipients);
+			expect(result.data.faxes.every(fax => fax.id === 'fax_mock_123' && fax.creditsRequired === 1)).toBe(true);
+			expect(result.data.creditsRequired).toBe(3);
+
+			// One aggregate credit check covering every recipient
+			expect(FaxDatabaseUtils.checkUserCredits).toHaveBeenCalledWith('test-user-123', 3, mockEnv, expect.any(Object));
+
+			for (const recipient of recipients) {
+				expect(DatabaseUtils.saveFaxRecord).toHaveBeenCalledWith(
+					expect.objectContaining({ recipients: [recipient], batch_id: 'batch-123' }),
+					'test-user-123',
+					mockEnv,
+					expect.any(Object)
+				);
+			}
+		});
+
+		it('should fax a number listed in several formats only once', async () => {
+			const result = await faxService.sendFax(broadcastRequest(['+1 555-123-0001', '+15551230001', '1 (555) 123-0002']), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.recipientCount).toBe(2);
+			expect(result.data.faxes.map(fax => fax.recipient)).toEqual(['+15551230001', '+15551230002']);
+			expect(result.data.creditsRequired).toBe(2);
+		});
+
+		it('should not create a batch when credits do not cover every recipient', async () => {
+			FaxDatabaseUtils.createFaxBatch.mockClear();
+			FaxDatabaseUtils.checkUserCredits.mockResolvedValueOnce({
+				hasCredits: false,
+				availablePages: 1,
+				subscriptionId: 'test-subscription-id',
+				subscriptions: [],
+				error: null
+			});
+
+			const result = await faxService.sendFax(broadcastRequest(['+15551230001', '+15551230002']), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(402);
+			expect(result.data.creditsRequired).toBe(2);
+			expect(result.data.recipients).toHaveLength(2);
+			expect(FaxDatabaseUtils.createFaxBatch).not.toHaveBeenCalled();
+		});
+
+		it('should report per-recipient failures without aborting the batch', async () => {
+			const { NotifyreProvider } = await import('../src/providers/notifyre-provider.js');
+			NotifyreProvider.mockImplementationOnce((apiKey, logger) => ({
+				apiKey,
+				logger,
+				getProviderName: () => 'notifyre',
+				prepareFaxRequest: vi.fn().mockResolvedValue({
+					recipients: ['+15551230001', '+15551230002'],
+					message: 'Broadcast fax',
+					files: []
+				}),
+				buildPayload: vi.fn().mockResolvedValue({}),
+				sendFax: vi.fn()
+					.mockRejectedValueOnce(new Error('Invalid fax number'))
+					.mockResolvedValueOnce({ id: 'fax_mock_456', status: 'queued' })
+			}));
+
+			const result = await faxService.sendFax(broadcastRequest(['+15551230001', '+15551230002']), JSON.stringify(mockEnv), JSON.stringify(mockSagContext));
+
+			expect(result.statusCode).toBe(200);
+			expect(result.message).toBe('Broadcast partially submitted');
+			expect(result.data.failedCount).toBe(1);
+			expect(result.data.faxes[0]).toEqual(expect.objectContaining({ id: null, status: 'failed', error: 'Invalid fax number' }));
+			expect(result.data.faxes[1]).toEqual(expect.objectContaining({ id: 'fax_mock_456', status: 'queued' }));
+		});
+	});
+
+
+
+	describe('Provider Selection', () => {
+		it('should default to Notifyre provider when FAX_PROVIDER not set', async () => {
+			const envWithoutProvider = { ...mockEnv };
+			delete envWithoutProvider.FAX_PROVIDER;
+			
+			const provider = await faxService.createFaxProvider('notifyre', envWithoutProvider);
+			expect(provider.getProviderName()).toBe('notifyre');
+		});
+
+		it('should use Notifyre provider when FAX_PROVIDER=notifyre', async () => {
+			const envWithNotifyre = { ...mockEnv, FAX_PROVIDER: 'notifyre' };
+			
+			const provider = await faxService.createFaxProvider('notifyre', envWithNotifyre);
+			expect(provider.getProviderName()).toBe('notifyre');
+		});
+
+		it('should use Telnyx provider when FAX_PROVIDER=telnyx', async () => {
+			const envWithTelnyx = {
+				...mockEnv,
+				FAX_PROVIDER: 'telnyx',
+				TELNYX_API_KEY: 'test-telnyx-key',
+				TELNYX_CONNECTION_ID: 'test-connection-id',
+				FAX_FILES_BUCKET: { put: vi.fn(), get: vi.fn(), name: 'test-bucket' },
+				CLOUDFLARE_ACCOUNT_ID: 'test-account-id'
+			};
+			
+			const provider = await faxService.createFaxProvider('telnyx', envWithTelnyx);
+			expect(provider.getProviderName()).toBe('telnyx');
+		});
+
+		it('should throw error for unsupported provider', async () => {
+			const envWithUnsupported = { ...mockEnv, FAX_PROVIDER: 'unsupported' };
+			
+			await expect(faxService.createFaxProvider('unsupported', envWithUnsupported))
+				.rejects.toThrow('Unsupported API provider: unsupported');
+		});
+
+		it('should throw error when Telnyx API key missing', async () => {
+			const envWithoutKey = { 
+				...mockEnv, 
+				FAX_PROVIDER: 'telnyx',
+				TELNYX_CONNECTION_ID: 'test-connection-id'
+			};
+			
+			await expect(faxService.createFaxProvider('telnyx', envWithoutKey))
+				.rejects.toThrow('API key not found for telnyx provider');
+		});
+
+		it('should throw error when Telnyx connection ID missing', async () => {
+			const envWithoutConnectionId = {
+				...mockEnv,
+				FAX_PROVIDER: 'telnyx',
+				TELNYX_API_KEY: 'test-key'
+			};
+			
+			await expect(faxService.createFaxProvider('telnyx', envWithoutConnectionId))
+				.rejects.toThrow('TELNYX_CONNECTION_ID is required for Telnyx provider');
+		});
+	});
+
+	describe('listCoverPages', () => {
+		it('should list the generated cover page templates', async () => {
+			const request = new Request('https://api.sendfax.pro/v1/fax/coverpages', { method: 'GET' });
+			const result = await faxService.listCoverPages(request, mockEnv, mockSagContext);
+
+			expect(result.statusCode).toBe(200);
+			expect(result.data.coverPages.map(coverPage => coverPage.id)).toEqual(['standard', 'business', 'minimal']);
 		});
 	});
 
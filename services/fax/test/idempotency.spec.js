@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+	getIdempotencyKey,
+	getIdempotencySettings,
+	hashRequestDocuments,
+	buildRequestFingerprint,
+	isDuplicateOverride,
+	DEFAULT_IDEMPOTENCY_TTL_HOURS,
+	DEFAULT_IDEMPOTENCY_LEASE_MINUTES,
+	DEFAULT_DUPLICATE_WINDOW_MINUTES
+} from '../src/idempotency.js';
+
+const requestWithKey = (key) => new Request('https://api.sendfax.pro/v1/fax/send', {
+	method: 'POST',
+	headers: key === undefined ? {} : { 'Idempotency-Key': key }
+});
+
+describe('idempotency', () => {
+	it('should read the Idempotency-Key header', () => {
+		expect(getIdempotencyKey(requestWithKey(' abc-123 '))).toEqual({ key: 'abc-123', error: null });
+		expect(getIdempotencyKey(requestWithKey())).toEqual({ key: null, error: null });
+	});
+
+	it('should reject malformed keys', () => {
+		expect(getIdempotencyKey(requestWithKey('has space')).error).toMatch(/Idempotency-Key/);
+		expect(getIdempotencyKey(requestWithKey('x'.repeat(256))).error).toMatch(/Idempotency-Key/);
+	});
+
+	it('should read settings with defaults', () => {
+		expect(getIdempotencySettings({})).toEqual({
+			ttlHours: DEFAULT_IDEMPOTENCY_TTL_HOURS,
+			leaseMinutes: DEFAULT_IDEMPOTENCY_LEASE_MINUTES,
+			duplicateWindowMinutes: DEFAULT_DUPLICATE_WINDOW_MINUTES
+		});
+		expect(getIdempotencySettings({ FAX_IDEMPOTENCY_TTL_HOURS: '48', FAX_IDEMPOTENCY_LEASE_MINUTES: '2', FAX_DUPLICATE_WINDOW_MINUTES: 'soon' })).toEqual({
+			ttlHours: 48,
+			leaseMinutes: 2,
+			duplicateWindowMinutes: DEFAULT_DUPLICATE_WINDOW_MINUTES
+		});
+	});
+
+	it('should hash the same document the same way for JSON and form uploads', async () => {
+		const bytes = new TextEncoder().encode('%PDF-1.7 test document');
+		const formData = new FormData();
+		formData.append('files[]', new File([bytes], 'a.pdf', { type: 'application/pdf' }));
+
+		const jsonHash = await hashRequestDocuments({ files: [{ data: btoa('%PDF-1.7 test document') }] });
+		const formHash = await hashRequestDocuments(formData);
+
+		expect(jsonHash).toMatch(/^[0-9a-f]{64}$/);
+		expect(formHash).toBe(jsonHash);
+		expect(await hashRequestDocuments({ files: [{ data: btoa('other') }] })).not.toBe(jsonHash);
+		expect(await hashRequestDocuments({ recipient: '+15551230001' })).toBeNull();
+	});
+
+	it('should fingerprint recipients, documents and options', async () => {
+		const base = await buildRequestFingerprint({ recipients: ['+15551230001'], message: 'hi' }, 'hash');
+
+		expect(await buildRequestFingerprint({ recipients: ['+15551230001'], message: 'hi', allowDuplicate: true }, 'hash')).toBe(base);
+		expect(await buildRequestFingerprint({ recipients: ['+15551230002'], message: 'hi' }, 'hash')).not.toBe(base);
+		expect(await buildRequestFingerprint({ recipients: ['+15551230001'], message: 'hi' }, 'other')).not.toBe(base);
+	});
+
+	it('should accept boolean and form values for allowDuplicate', () => {
+		expect(isDuplicateOverride({ allowDuplicate: true })).toBe(true);
+		expect(isDuplicateOverride({ allow_duplicate: 'true' })).toBe(true);
+		expect(isDuplicateOverride({ allowDuplicate: 'false' })).toBe(false);
+		expect(isDuplicateOverride({})).toBe(false);
+	});
+});
@@ -393,6 +393,61 @@ describe('NotificationService', () => {
         });
     });
 
+    describe('sendFaxReceivedNotification', () => {
+        const receivedFax = {
+            id: 'received-123',
+            user_id: 'user-456',
+            from_number: '+12125551234',
+            to_number: '+13105550000',
+            page_count: 3
+        };
+
+        beforeEach(() => {
+            const mockHeaders = new Headers();
+            mockHeaders.set('content-type', 'application/json');
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                statusText: 'OK',
+                headers: mockHeaders,
+                json: () => Promise.resolve({ id: 'notification-123', recipients: 1 })
+            });
+        });
+
+        it('should deep-link to the received fax in the inbox', async () => {
+            const result = await notificationService.sendFaxReceivedNotification(mockEnv, receivedFax);
+
+            expect(result.success).toBe(true);
+            const requestBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(requestBody.headings.en).toBe('Fax Received');
+            expect(requestBody.contents.en).toBe('You received a 3-page fax from +1 (212) 555-1234.');
+            expect(requestBody.data).toEqual({
+                fax_id: 'received-123',
+                status: 'received',
+                recipient_number: '+13105550000',
+                deep_link: 'sendfaxapp://inbox/received-123',
+                type: 'fax_received',
+                sender_number: '+12125551234'
+            });
+        });
+
+        it('should respect the received fax preference', async () => {
+            vi.spyOn(notificationService, 'getUserNotificationPreferences').mockResolvedValueOnce({ fax_received_enabled: false });
+
+            const result = await notificationService.sendFaxReceivedNotification(mockEnv, receivedFax);
+
+            expect(result.skipped).toBe(true);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should return error for received faxes without an owner', async () => {
+            const result = await notificationService.sendFaxReceivedNotification(mockEnv, { ...receivedFax, user_id: null });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Invalid fax data');
+        });
+    });
+
     describe('formatPhoneNumber', () => {
         it('should format US phone numbers correctly', () => {
             const formatted = notificationService.formatPhoneNumber('+12125551234');
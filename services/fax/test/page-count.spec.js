@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import { isPdf, countPdfPages, countFilePages } from '../src/page-count.js';
+
+const createPdf = async (pageCount) => {
+	const pdf = await PDFDocument.create();
+	for (let i = 0; i < pageCount; i++) pdf.addPage();
+	return await pdf.save();
+};
+
+describe('page count', () => {
+	const logger = { log: vi.fn() };
+
+	it('should detect PDFs by their header', async () => {
+		expect(isPdf(await createPdf(1))).toBe(true);
+		expect(isPdf(new TextEncoder().encode('hello'))).toBe(false);
+	});
+
+	it('should count PDF pages', async () => {
+		expect(await countPdfPages(await createPdf(4))).toBe(4);
+	});
+
+	it('should use the counted pages over the declared count', async () => {
+		expect(await countFilePages(await createPdf(2), 7, logger, 'doc.pdf')).toBe(2);
+		expect(logger.log).toHaveBeenCalledWith('WARN', expect.any(String), expect.objectContaining({ declaredPageCount: 7, countedPageCount: 2 }));
+	});
+
+	it('should reject files it cannot count instead of trusting the declared count', async () => {
+		const docx = new Uint8Array([0x50, 0x4b, 0x03, 0x04]);
+		await expect(countFilePages(docx, 1, logger, 'report.docx')).rejects.toThrow('Unable to count the pages of document report.docx');
+		await expect(countFilePages(docx, undefined, logger, 'report.docx')).rejects.toThrow(/send a PDF/);
+	});
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { parseProviderChain, isRetryableSubmissionError } from '../src/provider-failover.js';
+
+describe('provider failover', () => {
+	describe('parseProviderChain', () => {
+		it('should split and trim a comma separated chain', () => {
+			expect(parseProviderChain('telnyx, notifyre,')).toEqual(['telnyx', 'notifyre']);
+			expect(parseProviderChain(undefined)).toEqual([]);
+		});
+	});
+
+	describe('isRetryableSubmissionError', () => {
+		it('should retry provider 5xx and rate limit responses', () => {
+			expect(isRetryableSubmissionError(new Error('Telnyx API error: 503 Service Unavailable - {}'))).toBe(true);
+			expect(isRetryableSubmissionError(new Error('Notifyre API error: 500 Internal Server Error - URL: https://api.notifyre.com/fax/send'))).toBe(true);
+			expect(isRetryableSubmissionError(new Error('Telnyx API error: 429 Too Many Requests - {}'))).toBe(true);
+		});
+
+		it('should retry Telnyx capacity errors', () => {
+			expect(isRetryableSubmissionError(new Error('Telnyx API error: 403 Forbidden - {"errors":[{"code":"connection_channel_limit_exceeded"}]}'))).toBe(true);
+			expect(isRetryableSubmissionError(new Error('SERVICE_UNAVAILABLE'))).toBe(true);
+		});
+
+		it('should retry network failures', () => {
+			expect(isRetryableSubmissionError(new TypeError('fetch failed'))).toBe(true);
+		});
+
+		it('should not retry request errors', () => {
+			expect(isRetryableSubmissionError(new Error('Telnyx API error: 422 Unprocessable Entity - invalid number'))).toBe(false);
+			expect(isRetryableSubmissionError(new Error('At least one recipient is required for Telnyx'))).toBe(false);
+			expect(isRetryableSubmissionError(null)).toBe(false);
+		});
+	});
+});
@@ -71,4 +71,31 @@ describe('R2Utils (public-URL mode)', () => {
   it('validateConfiguration passes with bucket and public URL', () => {
     expect(r2Utils.validateConfiguration()).toBe(true);
   });
+
+  it('getFile returns stored bytes and content type', async () => {
+    const bytes = new Uint8Array([37, 80, 68, 70]);
+    mockBucket.get = vi.fn().mockResolvedValue({
+      size: bytes.byteLength,
+      httpMetadata: { contentType: 'application/pdf' },
+      arrayBuffer: () => Promise.resolve(bytes.buffer)
+    });
+
+    const file = await r2Utils.getFile('fax/1/document_1.pdf');
+
+    expect(mockBucket.get).toHaveBeenCalledWith('fax/1/document_1.pdf');
+    expect(new Uint8Array(file.data)).toEqual(bytes);
+    expect(file.contentType).toBe('application/pdf');
+  });
+
+  it('getFile returns null for a missing object', async () => {
+    mockBucket.get = vi.fn().mockResolvedValue(null);
+
+    expect(await r2Utils.getFile('missing.pdf')).toBeNull();
+  });
+
+  it('getKeyFromPublicUrl reverses generatePublicUrl', () => {
+    const url = r2Utils.generatePublicUrl('fax/1/document_1.pdf');
+
+    expect(r2Utils.getKeyFromPublicUrl(url)).toBe('fax/1/document_1.pdf');
+  });
 });
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { getRetryPolicy, getRetryDelayMinutes, planRetry, DEFAULT_MAX_ATTEMPTS, DEFAULT_BACKOFF_MINUTES, DEFAULT_RETRYABLE_STATUSES } from '../src/retry-policy.js';
+
+describe('retry policy', () => {
+	const now = new Date('2025-03-01T12:00:00Z');
+
+	describe('getRetryPolicy', () => {
+		it('should fall back to the defaults', () => {
+			expect(getRetryPolicy({})).toEqual({
+				maxAttempts: DEFAULT_MAX_ATTEMPTS,
+				backoffMinutes: DEFAULT_BACKOFF_MINUTES,
+				retryableStatuses: DEFAULT_RETRYABLE_STATUSES
+			});
+		});
+
+		it('should read the policy from the environment', () => {
+			expect(getRetryPolicy({
+				FAX_RETRY_MAX_ATTEMPTS: '5',
+				FAX_RETRY_BACKOFF_MINUTES: '1, 10,60',
+				FAX_RETRY_STATUSES: 'Busy'
+			})).toEqual({ maxAttempts: 5, backoffMinutes: [1, 10, 60], retryableStatuses: ['busy'] });
+		});
+
+		it('should ignore invalid values', () => {
+			const policy = getRetryPolicy({ FAX_RETRY_MAX_ATTEMPTS: 'zero', FAX_RETRY_BACKOFF_MINUTES: 'soon' });
+			expect(policy.maxAttempts).toBe(DEFAULT_MAX_ATTEMPTS);
+			expect(policy.backoffMinutes).toEqual(DEFAULT_BACKOFF_MINUTES);
+		});
+
+		it('should allow disabling retries for every status', () => {
+			expect(getRetryPolicy({ FAX_RETRY_STATUSES: '' }).retryableStatuses).toEqual([]);
+		});
+	});
+
+	describe('getRetryDelayMinutes', () => {
+		it('should reuse the last delay once the schedule runs out', () => {
+			const policy = { maxAttempts: 5, backoffMinutes: [5, 15], retryableStatuses: ['busy'] };
+			expect(getRetryDelayMinutes(policy, 1)).toBe(5);
+			expect(getRetryDelayMinutes(policy, 2)).toBe(15);
+			expect(getRetryDelayMinutes(policy, 4)).toBe(15);
+		});
+	});
+
+	describe('planRetry', () => {
+		const policy = { maxAttempts: 3, backoffMinutes: [5, 15], retryableStatuses: ['busy', 'no-answer'] };
+
+		it('should schedule the next attempt after the backoff', () => {
+			expect(planRetry(policy, 'busy', 1, now)).toEqual({
+				retry: true,
+				reason: null,
+				nextAttempt: 2,
+				retryAt: new Date('2025-03-01T12:05:00Z')
+			});
+			expect(planRetry(policy, 'no-answer', 2, now).retryAt).toEqual(new Date('2025-03-01T12:15:00Z'));
+		});
+
+		it('should stop once the attempts are exhausted', () => {
+			expect(planRetry(policy, 'busy', 3, now)).toEqual(expect.objectContaining({ retry: false, reason: 'attempts_exhausted' }));
+		});
+
+		it('should not retry other statuses', () => {
+			expect(planRetry(policy, 'failed', 1, now)).toEqual(expect.objectContaining({ retry: false, reason: 'status_not_retryable' }));
+		});
+	});
+});
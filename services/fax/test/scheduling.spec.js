@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { resolveSendAt, zonedTimeToUtc, isValidTimeZone, MAX_SCHEDULE_DAYS } from '../src/scheduling.js';
+
+describe('scheduling', () => {
+	const now = new Date('2025-03-01T12:00:00Z');
+
+	describe('zonedTimeToUtc', () => {
+		it('should convert wall-clock time in a timezone to UTC', () => {
+			expect(zonedTimeToUtc('2025-03-03T09:00', 'America/New_York').toISOString()).toBe('2025-03-03T14:00:00.000Z');
+			expect(zonedTimeToUtc('2025-03-03T09:00:00', 'Asia/Tokyo').toISOString()).toBe('2025-03-03T00:00:00.000Z');
+		});
+
+		it('should apply daylight saving time offsets', () => {
+			// New York switches to EDT (UTC-4) on 2025-03-09
+			expect(zonedTimeToUtc('2025-03-10T09:00', 'America/New_York').toISOString()).toBe('2025-03-10T13:00:00.000Z');
+		});
+
+		it('should return null for unparseable input', () => {
+			expect(zonedTimeToUtc('next tuesday', 'UTC')).toBeNull();
+		});
+	});
+
+	describe('isValidTimeZone', () => {
+		it('should accept IANA names and reject unknown ones', () => {
+			expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+			expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+			expect(isValidTimeZone(null)).toBe(false);
+		});
+	});
+
+	describe('resolveSendAt', () => {
+		it('should use the offset embedded in send_at', () => {
+			const result = resolveSendAt('2025-03-03T09:00:00-05:00', 'Asia/Tokyo', now);
+			expect(result.error).toBeNull();
+			expect(result.scheduledAt.toISOString()).toBe('2025-03-03T14:00:00.000Z');
+		});
+
+		it('should interpret send_at without offset in the given timezone', () => {
+			const result = resolveSendAt('2025-03-03T09:00', 'Europe/London', now);
+			expect(result.error).toBeNull();
+			expect(result.scheduledAt.toISOString()).toBe('2025-03-03T09:00:00.000Z');
+			expect(result.timeZone).toBe('Europe/London');
+		});
+
+		it('should default to UTC when no timezone is given', () => {
+			const result = resolveSendAt('2025-03-03T09:00', undefined, now);
+			expect(result.scheduledAt.toISOString()).toBe('2025-03-03T09:00:00.000Z');
+			expect(result.timeZone).toBe('UTC');
+		});
+
+		it('should reject times in the past', () => {
+			expect(resolveSendAt('2025-03-01T11:59:00Z', null, now).error).toBe('send_at must be in the future');
+		});
+
+		it('should reject times too far ahead', () => {
+			const farAhead = new Date(now.getTime() + (MAX_SCHEDULE_DAYS + 1) * 24 * 60 * 60 * 1000).toISOString();
+			expect(resolveSendAt(farAhead, null, now).error).toMatch(/cannot be more than/);
+		});
+
+		it('should reject unknown timezones and malformed dates', () => {
+			expect(resolveSendAt('2025-03-03T09:00', 'Nowhere/City', now).error).toBe('Unknown timezone: Nowhere/City');
+			expect(resolveSendAt('tomorrow', 'UTC', now).error).toBe('send_at must be an ISO 8601 date-time string');
+			expect(resolveSendAt(42, 'UTC', now).error).toBe('send_at must be an ISO 8601 date-time string');
+		});
+	});
+});
@@ -1,4 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
 import { TelnyxProvider } from '../src/providers/telnyx-provider.js';
 
 // Mock DatabaseUtils
@@ -79,6 +80,68 @@ describe('TelnyxProvider', () => {
 		});
 	});
 
+	describe('processJsonFiles', () => {
+		const pdfBase64 = async (pageCount) => {
+			const pdf = await PDFDocument.create();
+			for (let i = 0; i < pageCount; i++) pdf.addPage();
+			const bytes = await pdf.save();
+			return btoa(String.fromCharCode(...bytes));
+		};
+
+		it('should count PDF pages instead of trusting the client', async () => {
+			const files = await telnyxProvider.processJsonFiles([
+				{ filename: 'a.pdf', data: await pdfBase64(3), mimeType: 'application/pdf', pageCount: 1 },
+				{ filename: 'b.pdf', data: await pdfBase64(2), mimeType: 'application/pdf' }
+			]);
+
+			expect(files._totalPages).toBe(5);
+			expect(files._documentCount).toBe(2);
+			expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'Client page count does not match document, using counted pages', expect.objectContaining({
+				file: 'a.pdf',
+				declaredPageCount: 1,
+				countedPageCount: 3
+			}));
+		});
+
+		it('should count pages of FormData uploads', async () => {
+			const pdf = await PDFDocument.create();
+			pdf.addPage();
+			pdf.addPage();
+			const formData = new FormData();
+			formData.append('recipients[]', '+15551230001');
+			formData.append('files[]', new File([await pdf.save()], 'upload.pdf', { type: 'application/pdf' }));
+
+			const faxRequest = await telnyxProvider.prepareFaxRequest(formData);
+
+			expect(faxRequest.files._totalPages).toBe(2);
+		});
+
+		it('should reject a corrupt PDF', async () => {
+			await expect(telnyxProvider.processJsonFiles([
+				{ filename: 'broken.pdf', data: btoa('%PDF-1.7 not really a pdf'), mimeType: 'application/pdf' }
+			])).rejects.toThrow('Unable to read PDF document broken.pdf');
+		});
+
+		it('should reject documents whose pages cannot be counted', async () => {
+			await expect(telnyxProvider.processJsonFiles([
+				{ filename: 'report.docx', data: btoa('PK\x03\x04word/document.xml'), mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', pageCount: 1 }
+			])).rejects.toThrow('Unable to count the pages of document report.docx');
+		});
+
+		it('should convert text uploads to PDF and bill the converted pages', async () => {
+			const text = Array.from({ length: 60 }, (_, i) => `Line ${i + 1}`).join('\n');
+			const files = await telnyxProvider.processJsonFiles([
+				{ filename: 'notes.txt', data: btoa(text), mimeType: 'text/plain', pageCount: 9 }
+			], { paperSize: 'a4' });
+
+			expect(files._totalPages).toBe(2);
+			expect(files[0].name).toBe('notes.pdf');
+			expect(files[0].type).toBe('application/pdf');
+			const pdf = await PDFDocument.load(await files[0].arrayBuffer());
+			expect(pdf.getPage(0).getWidth()).toBeCloseTo(595.28);
+		});
+	});
+
 	describe('buildPayload', () => {
 		it('should build valid Telnyx payload', async () => {
 			const faxRequest = {
@@ -162,7 +225,11 @@ describe('TelnyxProvider', () => {
 				mockLogger
 			);
 
-			expect(mockR2Utils.uploadFile).toHaveBeenCalled();
+			// Generated cover page is uploaded as the first document
+			expect(mockR2Utils.uploadFile).toHaveBeenCalledTimes(2);
+			expect(mockR2Utils.uploadFile.mock.calls[0][0]).toMatch(/^fax\/saved-fax-123\/cover_page_\d+\.pdf$/);
+			expect(mockR2Utils.uploadFile.mock.calls[1][0]).toMatch(/^fax\/saved-fax-123\/document_2_/);
+			expect(new TextDecoder().decode(new Uint8Array(mockR2Utils.uploadFile.mock.calls[0][1]).slice(0, 5))).toBe('%PDF-');
 
 			expect(DatabaseUtils.updateFaxRecord).toHaveBeenCalledTimes(2); // R2 URLs + Telnyx response
 
@@ -471,6 +538,45 @@ describe('TelnyxProvider', () => {
 		});
 	});
 
+	describe('cancelFax', () => {
+		it('should call the Telnyx cancel action', async () => {
+			global.fetch.mockResolvedValueOnce({
+				ok: true,
+				json: () => Promise.resolve({ data: { result: 'ok' } })
+			});
+
+			const result = await telnyxProvider.cancelFax('telnyx-fax-123');
+
+			expect(global.fetch).toHaveBeenCalledWith(
+				'https://api.telnyx.com/v2/faxes/telnyx-fax-123/actions/cancel',
+				{
+					method: 'POST',
+					headers: {
+						'Authorization': 'Bearer test-api-key',
+						'Content-Type': 'application/json'
+					}
+				}
+			);
+			expect(result).toEqual(expect.objectContaining({
+				id: 'telnyx-fax-123',
+				status: 'cancelled',
+				providerResponse: { result: 'ok' }
+			}));
+		});
+
+		it('should throw when Telnyx refuses the cancellation', async () => {
+			global.fetch.mockResolvedValueOnce({
+				ok: false,
+				status: 422,
+				statusText: 'Unprocessable Entity',
+				text: () => Promise.resolve('Fax cannot be cancelled')
+			});
+
+			await expect(telnyxProvider.cancelFax('telnyx-fax-123'))
+				.rejects.toThrow('Telnyx API error: 422 Unprocessable Entity - Fax cannot be cancelled');
+		});
+	});
+
 	describe('mapStatus', () => {
 		it('should map Telnyx statuses to standard statuses', () => {
 			expect(telnyxProvider.mapStatus('queued')).toBe('sending');
@@ -478,7 +584,7 @@ describe('TelnyxProvider', () => {
 			expect(telnyxProvider.mapStatus('media.processed')).toBe('sending');
 			expect(telnyxProvider.mapStatus('delivered')).toBe('delivered');
 			expect(telnyxProvider.mapStatus('failed')).toBe('failed');
-			expect(telnyxProvider.mapStatus('canceled')).toBe('failed');
+			expect(telnyxProvider.mapStatus('canceled')).toBe('cancelled');
 			expect(telnyxProvider.mapStatus('unknown')).toBe('failed');
 		});
 	});
@@ -4,7 +4,10 @@ import {
 	FileUtils, 
 	NotifyreApiUtils, 
 	WebhookUtils,
-	NOTIFYRE_STATUS_MAP 
+	NOTIFYRE_STATUS_MAP,
+	mapNotifyreStatus,
+	parseNotifyreWebhook,
+	readPositiveNumber
 } from '../src/utils.js';
 
 // Mock Supabase client
@@ -392,68 +395,6 @@ describe('Utils Module', () => {
 			};
 		});
 
-		describe('verifyNotifyreSignature', () => {
-			beforeEach(() => {
-				global.crypto.subtle.importKey.mockResolvedValue('mock-key');
-				global.crypto.subtle.sign.mockResolvedValue(new ArrayBuffer(32));
-				global.btoa.mockReturnValue('mock-signature');
-			});
-
-			it('should return false if signature or secret is missing', async () => {
-				const mockRequest = { clone: () => ({ text: () => Promise.resolve('body') }) };
-				
-				let result = await WebhookUtils.verifyNotifyreSignature(mockRequest, '', 'signature', mockLogger);
-				expect(result).toBe(false);
-
-				result = await WebhookUtils.verifyNotifyreSignature(mockRequest, 'secret', '', mockLogger);
-				expect(result).toBe(false);
-			});
-
-			it('should verify webhook signature correctly', async () => {
-				const mockRequest = { 
-					clone: () => ({ 
-						text: () => Promise.resolve('webhook-body') 
-					}) 
-				};
-
-				const result = await WebhookUtils.verifyNotifyreSignature(
-					mockRequest, 
-					'webhook-secret', 
-					'mock-signature', 
-					mockLogger
-				);
-
-				expect(result).toBe(true);
-				expect(crypto.subtle.importKey).toHaveBeenCalledWith(
-					'raw',
-					expect.any(Uint8Array),
-					{ name: 'HMAC', hash: 'SHA-256' },
-					false,
-					['sign']
-				);
-			});
-
-			it('should handle signature verification errors', async () => {
-				const mockRequest = { 
-					clone: () => ({ 
-						text: () => Promise.reject(new Error('Request error')) 
-					}) 
-				};
-
-				const result = await WebhookUtils.verifyNotifyreSignature(
-					mockRequest, 
-					'webhook-secret', 
-					'signature', 
-					mockLogger
-				);
-
-				expect(result).toBe(false);
-				expect(mockLogger.log).toHaveBeenCalledWith('ERROR', 'Error verifying webhook signature', {
-					error: 'Request error'
-				});
-			});
-		});
-
 		describe('validateSupabaseWebhookSecret', () => {
 			it('should validate correct webhook secret', () => {
 				const mockRequest = {
@@ -548,6 +489,8 @@ describe('Utils Module', () => {
 				'cancelled': 'cancelled',
 				
 				// Additional status codes that may appear in webhooks
+				'Retry': 'sending', // Notifyre redials on its own; the fax is still being sent
+				'retry': 'sending',
 				'Completed': 'delivered',
 				'completed': 'delivered',
 				'Error': 'failed',
@@ -592,5 +535,39 @@ describe('Utils Module', () => {
 			expect(NOTIFYRE_STATUS_MAP['Received']).toBe('delivered');
 			expect(NOTIFYRE_STATUS_MAP['received']).toBe('delivered');
 		});
+
+		it('should map statuses like the cron polling, ignoring case', () => {
+			const logger = { log: vi.fn() };
+
+			expect(mapNotifyreStatus('Failed - Busy', logger)).toBe('busy');
+			expect(mapNotifyreStatus('FAILED - NO ANSWER', logger)).toBe('no-answer');
+			expect(mapNotifyreStatus('Retry', logger)).toBe('sending');
+			expect(mapNotifyreStatus('Something new', logger)).toBe('failed');
+			expect(mapNotifyreStatus(null, logger)).toBe('failed');
+		});
+	});
+
+	describe('parseNotifyreWebhook', () => {
+		it('should read both webhook payload shapes', () => {
+			expect(parseNotifyreWebhook({
+				event: 'fax.sent',
+				data: { id: 'fax_123', status: 'Successful', pages: 2 }
+			})).toEqual(expect.objectContaining({ eventType: 'fax.sent', faxId: 'fax_123', status: 'Successful', pages: 2, failureReason: null }));
+
+			expect(parseNotifyreWebhook({
+				Event: 'fax_sent',
+				Payload: { FaxID: 'fax_456', Status: 'Failed - Busy', Pages: 0, FailedMessage: 'Line busy' }
+			})).toEqual(expect.objectContaining({ eventType: 'fax_sent', faxId: 'fax_456', status: 'Failed - Busy', pages: null, failureReason: 'Line busy' }));
+		});
+	});
+
+	describe('readPositiveNumber', () => {
+		it('should read positive numbers and fall back otherwise', () => {
+			expect(readPositiveNumber('25', 10)).toBe(25);
+			expect(readPositiveNumber(0.5, 10)).toBe(0.5);
+			expect(readPositiveNumber('none', 10)).toBe(10);
+			expect(readPositiveNumber(-1, 10)).toBe(10);
+			expect(readPositiveNumber(undefined, 10)).toBe(10);
+		});
 	});
-}); 
+});
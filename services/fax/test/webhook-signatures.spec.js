@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { verifyTelnyxSignature, verifyNotifyreSignature, DEFAULT_SIGNATURE_TOLERANCE_SECONDS } from '../src/webhook-signatures.js';
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+describe('webhook signatures', () => {
+	const rawBody = JSON.stringify({ data: { event_type: 'fax.delivered', payload: { fax_id: 'telnyx-fax-1' } } });
+	const now = new Date('2025-06-01T12:00:00Z');
+	const timestamp = String(now.getTime() / 1000);
+
+	let keyPair;
+	let publicKey;
+
+	const sign = async (payload, privateKey = keyPair.privateKey) => toBase64(
+		await crypto.subtle.sign({ name: 'Ed25519' }, privateKey, new TextEncoder().encode(payload))
+	);
+
+	beforeAll(async () => {
+		keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+		publicKey = toBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+	});
+
+	it('should accept a webhook signed with the Telnyx key', async () => {
+		const signature = await sign(`${timestamp}|${rawBody}`);
+
+		expect(await verifyTelnyxSignature({ rawBody, signature, timestamp }, publicKey, { now })).toEqual({ valid: true, error: null });
+	});
+
+	it('should reject missing headers and tampered bodies', async () => {
+		const signature = await sign(`${timestamp}|${rawBody}`);
+
+		expect(await verifyTelnyxSignature({ rawBody, signature: null, timestamp }, publicKey, { now }))
+			.toEqual({ valid: false, error: 'Missing signature headers' });
+		expect(await verifyTelnyxSignature({ rawBody: rawBody.replace('delivered', 'failed'), signature, timestamp }, publicKey, { now }))
+			.toEqual({ valid: false, error: 'Invalid signature' });
+		expect(await verifyTelnyxSignature({ rawBody, signature: 'not base64!', timestamp }, publicKey, { now }))
+			.toEqual({ valid: false, error: 'Invalid signature' });
+	});
+
+	it('should reject signatures made with another key', async () => {
+		const otherKeys = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+		const signature = await sign(`${timestamp}|${rawBody}`, otherKeys.privateKey);
+
+		expect((await verifyTelnyxSignature({ rawBody, signature, timestamp }, publicKey, { now })).valid).toBe(false);
+		expect(await verifyTelnyxSignature({ rawBody, signature, timestamp }, 'c2hvcnQ=', { now }))
+			.toEqual({ valid: false, error: 'Invalid public key' });
+	});
+
+	it('should reject replays outside the tolerance window', async () => {
+		const staleTimestamp = String(now.getTime() / 1000 - DEFAULT_SIGNATURE_TOLERANCE_SECONDS - 1);
+		const signature = await sign(`${staleTimestamp}|${rawBody}`);
+
+		expect(await verifyTelnyxSignature({ rawBody, signature, timestamp: staleTimestamp }, publicKey, { now }))
+			.toEqual({ valid: false, error: 'Timestamp outside the replay window' });
+		expect((await verifyTelnyxSignature({ rawBody, signature, timestamp: staleTimestamp }, publicKey, { now, toleranceSeconds: 600 })).valid)
+			.toBe(true);
+		expect((await verifyTelnyxSignature({ rawBody, signature, timestamp: 'yesterday' }, publicKey, { now })).valid).toBe(false);
+	});
+
+	describe('Notifyre', () => {
+		const secret = 'notifyre-test-secret';
+		const notifyreBody = JSON.stringify({ Event: 'fax_sent', Payload: { FaxID: 'notifyre-fax-1', Status: 'Successful' } });
+
+		const signNotifyre = async (payload, signingSecret = secret) => {
+			const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(signingSecret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+			const hmac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+			return Array.from(new Uint8Array(hmac), byte => byte.toString(16).padStart(2, '0')).join('');
+		};
+
+		it('should accept a webhook signed with the webhook secret', async () => {
+			const signature = `t=${timestamp},v=${await signNotifyre(`${timestamp}.${notifyreBody}`)}`;
+
+			expect(await verifyNotifyreSignature({ rawBody: notifyreBody, signature }, secret, { now })).toEqual({ valid: true, error: null });
+		});
+
+		it('should reject missing headers, tampered bodies and other secrets', async () => {
+			const hmac = await signNotifyre(`${timestamp}.${notifyreBody}`);
+			const signature = `t=${timestamp},v=${hmac}`;
+
+			expect(await verifyNotifyreSignature({ rawBody: notifyreBody, signature: null }, secret, { now }))
+				.toEqual({ valid: false, error: 'Missing signature headers' });
+			expect(await verifyNotifyreSignature({ rawBody: notifyreBody.replace('Successful', 'Failed'), signature }, secret, { now }))
+				.toEqual({ valid: false, error: 'Invalid signature' });
+			expect(await verifyNotifyreSignature({ rawBody: notifyreBody, signature }, 'other-secret', { now }))
+				.toEqual({ valid: false, error: 'Invalid signature' });
+			expect(await verifyNotifyreSignature({ rawBody: notifyreBody, signature: `t=${timestamp},v=${hmac.slice(2)}` }, secret, { now }))
+				.toEqual({ valid: false, error: 'Invalid signature' });
+			expect(await verifyNotifyreSignature({ rawBody: notifyreBody, signature: hmac }, secret, { now }))
+				.toEqual({ valid: false, error: 'Timestamp outside the replay window' });
+		});
+
+		it('should reject replays outside the tolerance window', async () => {
+			const staleTimestamp = String(now.getTime() / 1000 - DEFAULT_SIGNATURE_TOLERANCE_SECONDS - 1);
+			const signature = `t=${staleTimestamp},v=${await signNotifyre(`${staleTimestamp}.${notifyreBody}`)}`;
+
+			expect(await verifyNotifyreSignature({ rawBody: notifyreBody, signature }, secret, { now }))
+				.toEqual({ valid: false, error: 'Timestamp outside the replay window' });
+			expect((await verifyNotifyreSignature({ rawBody: notifyreBody, signature }, secret, { now, toleranceSeconds: 600 })).valid)
+				.toBe(true);
+		});
+	});
+});
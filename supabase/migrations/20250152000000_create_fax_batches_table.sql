@@ -0,0 +1,110 @@
+-- Create fax_batches table for multi-recipient broadcasts
+-- A broadcast is fanned out into one faxes row per recipient; the batch groups them
+-- and carries a status rolled up from its children.
+CREATE TABLE IF NOT EXISTS fax_batches (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'sending', 'delivered', 'partially_delivered', 'failed', 'cancelled')),
+    recipient_count INTEGER NOT NULL CHECK (recipient_count > 0),
+    delivered_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    pages INTEGER NOT NULL DEFAULT 0,
+    credits_required INTEGER NOT NULL DEFAULT 0,
+    api_provider VARCHAR(50),
+    subject TEXT,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Link each fax to its broadcast batch
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES fax_batches(id) ON DELETE SET NULL;
+
+-- Create indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_fax_batches_user_id ON fax_batches(user_id);
+CREATE INDEX IF NOT EXISTS idx_fax_batches_status ON fax_batches(status);
+CREATE INDEX IF NOT EXISTS idx_faxes_batch_id ON faxes(batch_id);
+
+-- Enable Row Level Security
+ALTER TABLE fax_batches ENABLE ROW LEVEL SECURITY;
+
+-- Users can only read their own batches
+CREATE POLICY "Users can view own fax batches"
+ON fax_batches
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+-- Allow full access only to service role
+CREATE POLICY "Service role full access"
+ON fax_batches
+FOR ALL
+TO service_role
+USING (true) WITH CHECK (true);
+
+-- ============================================================================
+-- Function: Roll up child fax statuses into the batch status
+-- delivered           - every recipient delivered
+-- partially_delivered - all recipients finished, some delivered
+-- failed / cancelled  - all recipients finished, none delivered
+-- sending / queued    - at least one recipient still in flight
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.roll_up_fax_batch_status()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_total INTEGER;
+    v_delivered INTEGER;
+    v_cancelled INTEGER;
+    v_finished INTEGER;
+    v_in_flight INTEGER;
+    v_status VARCHAR(30);
+BEGIN
+    IF NEW.batch_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT
+        COUNT(*),
+        COUNT(*) FILTER (WHERE status::text = 'delivered'),
+        COUNT(*) FILTER (WHERE status::text = 'cancelled'),
+        COUNT(*) FILTER (WHERE status::text IN ('delivered', 'failed', 'busy', 'no-answer', 'cancelled')),
+        COUNT(*) FILTER (WHERE status::text IN ('processing', 'sending'))
+    INTO v_total, v_delivered, v_cancelled, v_finished, v_in_flight
+    FROM faxes
+    WHERE batch_id = NEW.batch_id;
+
+    IF v_finished < v_total THEN
+        v_status := CASE WHEN v_in_flight > 0 OR v_finished > 0 THEN 'sending' ELSE 'queued' END;
+    ELSIF v_delivered = v_total THEN
+        v_status := 'delivered';
+    ELSIF v_delivered > 0 THEN
+        v_status := 'partially_delivered';
+    ELSIF v_cancelled = v_total THEN
+        v_status := 'cancelled';
+    ELSE
+        v_status := 'failed';
+    END IF;
+
+    UPDATE fax_batches
+    SET
+        status = v_status,
+        delivered_count = v_delivered,
+        failed_count = v_finished - v_delivered,
+        completed_at = CASE WHEN v_finished = v_total THEN COALESCE(completed_at, NOW()) ELSE NULL END,
+        updated_at = NOW()
+    WHERE id = NEW.batch_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_roll_up_fax_batch_status
+    AFTER INSERT OR UPDATE OF status ON faxes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.roll_up_fax_batch_status();
+
+-- Add comments
+COMMENT ON TABLE fax_batches IS 'Multi-recipient broadcasts; each recipient is a separate row in faxes linked by batch_id';
+COMMENT ON COLUMN fax_batches.status IS 'Status rolled up from the child faxes by roll_up_fax_batch_status()';
+COMMENT ON COLUMN faxes.batch_id IS 'Broadcast batch this fax belongs to (NULL for single-recipient faxes)';
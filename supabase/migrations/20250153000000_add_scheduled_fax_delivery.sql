@@ -0,0 +1,17 @@
+-- Add scheduled delivery support to faxes
+-- A fax sent with send_at is stored with status 'scheduled' and dispatched by the
+-- cron service once scheduled_at has passed.
+
+-- Add the new status value
+ALTER TYPE fax_status ADD VALUE IF NOT EXISTS 'scheduled';
+
+-- Add the column
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMPTZ;
+
+-- Partial index so the dispatch job only scans pending scheduled faxes
+CREATE INDEX IF NOT EXISTS idx_faxes_scheduled_at_pending
+    ON faxes(scheduled_at)
+    WHERE scheduled_at IS NOT NULL;
+
+-- Add comment
+COMMENT ON COLUMN faxes.scheduled_at IS 'UTC time a scheduled fax should be dispatched (NULL for faxes sent immediately)';
@@ -0,0 +1,18 @@
+-- Add api_provider column to faxes table
+-- Records which provider (notifyre, telnyx) holds the fax, so follow-up calls
+-- such as cancellation go to the right API
+
+-- Add the column
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS api_provider VARCHAR(50);
+
+-- Backfill existing rows: only the Telnyx workflow stores R2 URLs
+UPDATE faxes
+SET api_provider = CASE WHEN r2_urls IS NOT NULL THEN 'telnyx' ELSE 'notifyre' END
+WHERE api_provider IS NULL
+AND provider_fax_id IS NOT NULL;
+
+-- Create an index for better query performance
+CREATE INDEX IF NOT EXISTS idx_faxes_api_provider ON faxes(api_provider);
+
+-- Add comment
+COMMENT ON COLUMN faxes.api_provider IS 'Fax provider that accepted the fax (notifyre or telnyx)';
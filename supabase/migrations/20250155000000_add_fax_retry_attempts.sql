@@ -0,0 +1,76 @@
+-- Add automatic retry attempts to faxes
+-- A busy / no-answer fax is retried by inserting a new 'scheduled' fax row that reuses
+-- the documents in R2. Every attempt points at the first attempt through original_fax_id.
+
+-- Add the columns
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS original_fax_id UUID REFERENCES faxes(id) ON DELETE SET NULL;
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS attempt_number INTEGER NOT NULL DEFAULT 1 CHECK (attempt_number >= 1);
+
+-- Index for listing the attempts of a fax
+CREATE INDEX IF NOT EXISTS idx_faxes_original_fax_id
+    ON faxes(original_fax_id)
+    WHERE original_fax_id IS NOT NULL;
+
+-- ============================================================================
+-- Function: Roll up child fax statuses into the batch status
+-- Retry attempts share the batch_id of the first attempt, so only the latest
+-- attempt of each recipient is counted.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.roll_up_fax_batch_status()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_total INTEGER;
+    v_delivered INTEGER;
+    v_cancelled INTEGER;
+    v_finished INTEGER;
+    v_in_flight INTEGER;
+    v_status VARCHAR(30);
+BEGIN
+    IF NEW.batch_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT
+        COUNT(*),
+        COUNT(*) FILTER (WHERE status::text = 'delivered'),
+        COUNT(*) FILTER (WHERE status::text = 'cancelled'),
+        COUNT(*) FILTER (WHERE status::text IN ('delivered', 'failed', 'busy', 'no-answer', 'cancelled')),
+        COUNT(*) FILTER (WHERE status::text IN ('processing', 'sending'))
+    INTO v_total, v_delivered, v_cancelled, v_finished, v_in_flight
+    FROM faxes f
+    WHERE f.batch_id = NEW.batch_id
+      AND NOT EXISTS (
+          SELECT 1
+          FROM faxes retry
+          WHERE retry.original_fax_id = COALESCE(f.original_fax_id, f.id)
+            AND retry.attempt_number > f.attempt_number
+      );
+
+    IF v_finished < v_total THEN
+        v_status := CASE WHEN v_in_flight > 0 OR v_finished > 0 THEN 'sending' ELSE 'queued' END;
+    ELSIF v_delivered = v_total THEN
+        v_status := 'delivered';
+    ELSIF v_delivered > 0 THEN
+        v_status := 'partially_delivered';
+    ELSIF v_cancelled = v_total THEN
+        v_status := 'cancelled';
+    ELSE
+        v_status := 'failed';
+    END IF;
+
+    UPDATE fax_batches
+    SET
+        status = v_status,
+        delivered_count = v_delivered,
+        failed_count = v_finished - v_delivered,
+        completed_at = CASE WHEN v_finished = v_total THEN COALESCE(completed_at, NOW()) ELSE NULL END,
+        updated_at = NOW()
+    WHERE id = NEW.batch_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Add comments
+COMMENT ON COLUMN faxes.original_fax_id IS 'First attempt of a retried fax (NULL for first attempts)';
+COMMENT ON COLUMN faxes.attempt_number IS 'Attempt number, 1 for the first send and incremented for each automatic retry';
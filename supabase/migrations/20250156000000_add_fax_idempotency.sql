@@ -0,0 +1,47 @@
+-- Add duplicate-send protection to POST /v1/fax/send
+-- fax_idempotency_keys stores the first successful response for an Idempotency-Key so a
+-- retried request replays it instead of submitting (and charging for) the fax again.
+-- faxes.document_hash lets the fax service spot the same documents sent to the same
+-- recipient a few minutes apart.
+CREATE TABLE IF NOT EXISTS fax_idempotency_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_fingerprint VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'completed')),
+    response_status_code INTEGER,
+    response_body JSONB,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (user_id, idempotency_key)
+);
+
+-- Index for purging expired keys
+CREATE INDEX IF NOT EXISTS idx_fax_idempotency_keys_expires_at ON fax_idempotency_keys(expires_at);
+
+-- Hash of the submitted documents
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS document_hash VARCHAR(64);
+
+-- Index for the recent duplicate lookup
+CREATE INDEX IF NOT EXISTS idx_faxes_user_document_hash
+    ON faxes(user_id, document_hash, created_at DESC)
+    WHERE document_hash IS NOT NULL;
+
+-- Enable Row Level Security
+ALTER TABLE fax_idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- Only the fax service reads and writes idempotency keys
+CREATE POLICY "Service role full access"
+ON fax_idempotency_keys
+FOR ALL
+TO service_role
+USING (true) WITH CHECK (true);
+
+-- Add comments
+COMMENT ON TABLE fax_idempotency_keys IS 'Idempotency-Key values seen on POST /v1/fax/send and the response replayed for repeats';
+COMMENT ON COLUMN fax_idempotency_keys.request_fingerprint IS 'SHA-256 of recipients, documents and options; a key reused with a different request is rejected';
+COMMENT ON COLUMN fax_idempotency_keys.status IS 'processing while the first request is in flight, completed once its response is stored';
+COMMENT ON COLUMN fax_idempotency_keys.updated_at IS 'A key still processing and not updated for FAX_IDEMPOTENCY_LEASE_MINUTES is treated as abandoned and can be claimed again';
+COMMENT ON COLUMN faxes.document_hash IS 'SHA-256 of the submitted documents, used to warn about duplicate sends';
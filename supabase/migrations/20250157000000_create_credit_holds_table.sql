@@ -0,0 +1,122 @@
+-- Create credit_holds table for credit reservations
+-- Credits are only deducted when a fax is delivered, so without a reservation a user
+-- could submit several faxes at once whose total exceeds their balance. Every submitted
+-- fax now places a hold for its credit cost; held credits are excluded from the
+-- available balance until the hold is captured (delivered), released (failed /
+-- cancelled) or expired by the cron sweep.
+CREATE TABLE IF NOT EXISTS credit_holds (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    credits INTEGER NOT NULL CHECK (credits >= 0),
+    pages INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'held'
+        CHECK (status IN ('held', 'captured', 'released', 'expired')),
+    captured_credits INTEGER,
+    release_reason TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    settled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Link each fax (and its retry attempts) to the hold that reserves its credits
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS credit_hold_id UUID REFERENCES credit_holds(id) ON DELETE SET NULL;
+
+-- Create indexes for the balance calculation and the expiry sweep
+CREATE INDEX IF NOT EXISTS idx_credit_holds_user_active ON credit_holds(user_id) WHERE status = 'held';
+CREATE INDEX IF NOT EXISTS idx_credit_holds_expires_at_active ON credit_holds(expires_at) WHERE status = 'held';
+CREATE INDEX IF NOT EXISTS idx_faxes_credit_hold_id ON faxes(credit_hold_id) WHERE credit_hold_id IS NOT NULL;
+
+-- Enable Row Level Security
+ALTER TABLE credit_holds ENABLE ROW LEVEL SECURITY;
+
+-- Users can only read their own holds
+CREATE POLICY "Users can view own credit holds"
+ON credit_holds
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+-- Allow full access only to service role
+CREATE POLICY "Service role full access"
+ON credit_holds
+FOR ALL
+TO service_role
+USING (true) WITH CHECK (true);
+
+-- ============================================================================
+-- Function: Place a credit hold if the balance covers it
+-- p_available_credits is the user's balance before holds. Holds are summed under a
+-- per-user advisory lock so concurrent submissions can't both pass.
+-- Returns the hold ID, or NULL when the balance left after existing holds is too low.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.place_credit_hold(
+    p_user_id UUID,
+    p_credits INTEGER,
+    p_pages INTEGER,
+    p_available_credits INTEGER,
+    p_expires_at TIMESTAMPTZ
+)
+RETURNS UUID AS $$
+DECLARE
+    held_credits INTEGER;
+    new_id UUID;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('credit_holds:' || p_user_id::text));
+
+    SELECT COALESCE(SUM(credits), 0)
+    INTO held_credits
+    FROM public.credit_holds
+    WHERE user_id = p_user_id
+      AND status = 'held'
+      AND expires_at > NOW();
+
+    IF p_available_credits - held_credits < p_credits THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.credit_holds (user_id, credits, pages, status, expires_at)
+    VALUES (p_user_id, p_credits, p_pages, 'held', p_expires_at)
+    RETURNING id INTO new_id;
+
+    RETURN new_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.place_credit_hold(UUID, INTEGER, INTEGER, INTEGER, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.place_credit_hold(UUID, INTEGER, INTEGER, INTEGER, TIMESTAMPTZ) TO service_role;
+
+-- ============================================================================
+-- Function: Expire holds that were never captured or released
+-- Called by the cron service. Returns the number of holds expired.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.expire_credit_holds()
+RETURNS INTEGER AS $$
+DECLARE
+    expired_count INTEGER;
+BEGIN
+    UPDATE public.credit_holds
+    SET status = 'expired',
+        release_reason = 'expired',
+        settled_at = NOW(),
+        updated_at = NOW()
+    WHERE status = 'held'
+      AND expires_at <= NOW();
+
+    GET DIAGNOSTICS expired_count = ROW_COUNT;
+    RETURN expired_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.expire_credit_holds() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.expire_credit_holds() TO service_role;
+
+-- Add comments
+COMMENT ON TABLE credit_holds IS 'Credits reserved by submitted faxes until they are delivered, fail or are cancelled';
+COMMENT ON COLUMN credit_holds.credits IS 'Credits reserved (the fax cost at submission time)';
+COMMENT ON COLUMN credit_holds.pages IS 'Pages the reservation was calculated for, used to charge per delivered page';
+COMMENT ON COLUMN credit_holds.captured_credits IS 'Credits actually charged when the fax was delivered';
+COMMENT ON COLUMN credit_holds.expires_at IS 'Holds still open after this time are expired by the cron sweep and no longer reduce the balance';
+COMMENT ON COLUMN faxes.credit_hold_id IS 'Credit hold reserving the cost of this fax (shared by retry attempts)';
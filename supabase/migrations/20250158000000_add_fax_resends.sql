@@ -0,0 +1,15 @@
+-- Add fax resends
+-- POST /v1/fax/{id}/resend sends the documents of an earlier fax again, optionally to a
+-- different recipient, without uploading them a second time. The new fax row points at
+-- the fax it was resent from.
+
+-- Add the column
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS resent_from_fax_id UUID REFERENCES faxes(id) ON DELETE SET NULL;
+
+-- Index for listing the resends of a fax
+CREATE INDEX IF NOT EXISTS idx_faxes_resent_from_fax_id
+    ON faxes(resent_from_fax_id)
+    WHERE resent_from_fax_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN faxes.resent_from_fax_id IS 'Fax whose stored documents were resent to create this fax (NULL for new uploads)';
@@ -0,0 +1,37 @@
+-- Add fax history filters and search for GET /v1/fax
+-- tags are free-form labels set when the fax is sent. search_text is kept in sync by
+-- Postgres from the subject and recipients so the history can be searched with one
+-- indexed LIKE.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- ============================================================================
+-- Function: Text used to search a fax
+-- faxes.recipients is a JSONB array of numbers; anything else adds no recipients.
+-- Generated columns need an IMMUTABLE function, so the flattening is wrapped here.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.fax_search_text(p_subject TEXT, p_recipients JSONB)
+RETURNS TEXT AS $$
+    SELECT lower(COALESCE(p_subject, '') || ' ' || COALESCE(
+        CASE WHEN jsonb_typeof(p_recipients) = 'array' THEN
+            (SELECT string_agg(recipient, ' ') FROM jsonb_array_elements_text(p_recipients) AS recipient)
+        END,
+        ''
+    ));
+$$ LANGUAGE sql IMMUTABLE
+SET search_path = public;
+
+-- Add the columns
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS search_text TEXT
+    GENERATED ALWAYS AS (public.fax_search_text(subject, recipients)) STORED;
+
+-- Indexes for the history listing, its filters and search
+CREATE INDEX IF NOT EXISTS idx_faxes_user_created_at_id ON faxes(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_faxes_tags ON faxes USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_faxes_recipients ON faxes USING GIN (recipients);
+CREATE INDEX IF NOT EXISTS idx_faxes_search_text_trgm ON faxes USING GIN (search_text gin_trgm_ops);
+
+-- Add comments
+COMMENT ON COLUMN faxes.tags IS 'Labels set by the sender, used to filter the fax history';
+COMMENT ON COLUMN faxes.search_text IS 'Lower-cased subject and recipients, searched by GET /v1/fax?q=';
@@ -0,0 +1,9 @@
+-- Add transmission confirmation reports
+-- When a fax is delivered or finally fails, the fax service renders a confirmation report
+-- PDF (proof of delivery) and stores it in R2 next to the fax media.
+
+-- Add the column
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS confirmation_report_key TEXT;
+
+-- Add comments
+COMMENT ON COLUMN faxes.confirmation_report_key IS 'R2 key of the transmission confirmation report, downloaded through GET /v1/fax/{id}/confirmation';
@@ -0,0 +1,93 @@
+-- Add the email-to-fax gateway
+-- Mail sent to <fax number>@fax.sendfax.pro is faxed on behalf of the user the sender
+-- address belongs to: the address they signed up with, or an extra address support
+-- has allowlisted for them (e.g. a shared office mailbox). Status replies are emailed
+-- to the sender, so the address is kept on the fax record.
+
+-- Extra sender addresses, managed by support (service role only)
+CREATE TABLE IF NOT EXISTS fax_email_senders (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    email TEXT NOT NULL CHECK (email = lower(email)),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- An address can only send for one user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fax_email_senders_email ON fax_email_senders(email);
+CREATE INDEX IF NOT EXISTS idx_fax_email_senders_user_id ON fax_email_senders(user_id);
+
+-- Address that receives the status replies of a fax sent by email
+ALTER TABLE faxes ADD COLUMN IF NOT EXISTS email_reply_to TEXT;
+
+-- Enable Row Level Security
+ALTER TABLE fax_email_senders ENABLE ROW LEVEL SECURITY;
+
+-- Users can see the extra addresses allowed to send for them
+CREATE POLICY "Users can view own fax email senders"
+ON fax_email_senders
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+-- Allow full access only to service role
+CREATE POLICY "Service role full access"
+ON fax_email_senders
+FOR ALL
+TO service_role
+USING (true) WITH CHECK (true);
+
+-- ============================================================================
+-- Function: Find the user an email sender belongs to
+-- The confirmed sign-up address wins over the allowlist. Returns NULL for unknown senders.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.find_fax_email_sender(p_email TEXT)
+RETURNS UUID AS $$
+DECLARE
+    sender_id UUID;
+BEGIN
+    SELECT id
+    INTO sender_id
+    FROM auth.users
+    WHERE lower(email) = lower(trim(p_email))
+      AND email_confirmed_at IS NOT NULL
+    LIMIT 1;
+
+    IF sender_id IS NULL THEN
+        SELECT user_id
+        INTO sender_id
+        FROM public.fax_email_senders
+        WHERE email = lower(trim(p_email));
+    END IF;
+
+    RETURN sender_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.find_fax_email_sender(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.find_fax_email_sender(TEXT) TO service_role;
+
+-- ============================================================================
+-- Trigger: Forget the reply address when a fax is anonymized
+-- anonymize_user() detaches faxes from the deleted user; the sender address is
+-- personal data too.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.clear_fax_email_reply_to()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.user_id IS NULL AND OLD.user_id IS NOT NULL THEN
+        NEW.email_reply_to := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_clear_fax_email_reply_to ON faxes;
+CREATE TRIGGER trigger_clear_fax_email_reply_to
+    BEFORE UPDATE OF user_id ON faxes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.clear_fax_email_reply_to();
+
+-- Add comments
+COMMENT ON TABLE fax_email_senders IS 'Extra email addresses allowed to send faxes by email for a user';
+COMMENT ON COLUMN faxes.email_reply_to IS 'Sender of a fax submitted by email; delivery and failure replies go to this address';
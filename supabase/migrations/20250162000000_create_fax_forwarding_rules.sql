@@ -0,0 +1,40 @@
+-- Add fax-to-email forwarding of received faxes
+-- A forwarding rule emails every fax received on a number to one or more addresses,
+-- with the PDF attached or as a link to the stored copy. Rules are managed by support
+-- (service role only), like own_numbers.
+
+CREATE TABLE IF NOT EXISTS fax_forwarding_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    fax_number TEXT NOT NULL, -- Receiving number in E.164 format (e.g., +15551230001)
+    emails TEXT[] NOT NULL CHECK (cardinality(emails) BETWEEN 1 AND 10),
+    delivery TEXT NOT NULL DEFAULT 'attachment' CHECK (delivery IN ('attachment', 'link')),
+    time_zone TEXT NOT NULL DEFAULT 'UTC', -- Timezone of the receive time in the email
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fax_forwarding_rules_fax_number ON fax_forwarding_rules(fax_number) WHERE is_active;
+
+-- Number a fax was received on, used to find its forwarding rules
+ALTER TABLE free_fax_receives ADD COLUMN IF NOT EXISTS to_number TEXT;
+CREATE INDEX IF NOT EXISTS idx_free_fax_receives_to_number ON free_fax_receives(to_number);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE fax_forwarding_rules ENABLE ROW LEVEL SECURITY;
+
+-- Only allow service role to access this table
+CREATE POLICY "Service role only" ON fax_forwarding_rules
+    FOR ALL
+    USING (auth.role() = 'service_role')
+    WITH CHECK (auth.role() = 'service_role');
+
+CREATE TRIGGER update_fax_forwarding_rules_updated_at
+    BEFORE UPDATE ON fax_forwarding_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE fax_forwarding_rules IS 'Email addresses that faxes received on a number are forwarded to';
+COMMENT ON COLUMN fax_forwarding_rules.delivery IS 'attachment (PDF attached, links above 10 MB) or link (link to the stored PDF)';
+COMMENT ON COLUMN free_fax_receives.to_number IS 'Number the fax was received on';
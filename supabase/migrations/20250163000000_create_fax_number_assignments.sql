@@ -0,0 +1,57 @@
+-- Add per-user inbound fax numbers
+-- A number assigned to a user receives faxes for that user: they are saved against the
+-- user and inbound pages can be charged. Faxes to unassigned numbers stay shared, as
+-- before. Assignments are managed by support (service role).
+
+CREATE TABLE IF NOT EXISTS fax_number_assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    fax_number TEXT NOT NULL UNIQUE, -- Inbound number (DID) in E.164 format (e.g., +15551230001)
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    inbound_credits_per_page INTEGER NOT NULL DEFAULT 0 CHECK (inbound_credits_per_page >= 0),
+    is_active BOOLEAN DEFAULT true,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fax_number_assignments_user_id ON fax_number_assignments(user_id);
+
+-- Owner of a received fax (NULL for shared numbers) and the credits charged for it
+ALTER TABLE free_fax_receives ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE free_fax_receives ADD COLUMN IF NOT EXISTS credits_charged INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_free_fax_receives_user_id ON free_fax_receives(user_id, received_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE fax_number_assignments ENABLE ROW LEVEL SECURITY;
+
+-- Users can see the numbers assigned to them
+CREATE POLICY "Users can view own fax numbers"
+ON fax_number_assignments
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+-- Allow full access only to service role
+CREATE POLICY "Service role full access"
+ON fax_number_assignments
+FOR ALL
+TO service_role
+USING (true) WITH CHECK (true);
+
+-- Users can see the faxes received on their numbers
+CREATE POLICY "Users can view own received faxes"
+ON free_fax_receives
+FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_fax_number_assignments_updated_at
+    BEFORE UPDATE ON fax_number_assignments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE fax_number_assignments IS 'Inbound fax numbers assigned to users';
+COMMENT ON COLUMN fax_number_assignments.inbound_credits_per_page IS 'Credits charged per received page (0 = free)';
+COMMENT ON COLUMN free_fax_receives.user_id IS 'User the receiving number is assigned to; NULL for shared numbers';
+COMMENT ON COLUMN free_fax_receives.credits_charged IS 'Credits charged for receiving the fax';
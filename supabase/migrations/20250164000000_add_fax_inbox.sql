@@ -0,0 +1,15 @@
+-- Add the personal fax inbox
+-- Faxes received on a user's numbers (free_fax_receives.user_id) are listed in the
+-- user's inbox, where they can be marked read, archived or deleted.
+
+ALTER TABLE free_fax_receives ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE free_fax_receives ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- Inbox listing: a user's faxes that aren't archived, newest first
+CREATE INDEX IF NOT EXISTS idx_free_fax_receives_inbox
+    ON free_fax_receives(user_id, received_at DESC, id DESC)
+    WHERE archived_at IS NULL;
+
+-- Add comments
+COMMENT ON COLUMN free_fax_receives.read_at IS 'When the owner marked the fax as read (NULL = unread)';
+COMMENT ON COLUMN free_fax_receives.archived_at IS 'When the owner archived the fax (NULL = in the inbox)';
@@ -0,0 +1,6 @@
+-- Add the "fax received" push notification preference
+-- Users are notified when a fax arrives on one of their numbers unless they turn it off.
+
+ALTER TABLE user_notification_settings ADD COLUMN IF NOT EXISTS fax_received_enabled BOOLEAN DEFAULT true;
+
+COMMENT ON COLUMN user_notification_settings.fax_received_enabled IS 'Push notification when a fax is received on one of the user''s numbers';
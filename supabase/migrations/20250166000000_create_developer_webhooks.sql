@@ -0,0 +1,73 @@
+-- Add developer webhooks
+-- Users register HTTPS endpoints that are called when their faxes are queued, delivered
+-- or fail, when a fax arrives on their number and when their credits run low. Every call
+-- is logged in webhook_deliveries; failed calls are retried with exponential backoff by
+-- the cron service and can be redelivered by hand.
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    event_types TEXT[] NOT NULL, -- e.g. {fax.delivered,fax.failed}
+    secret TEXT NOT NULL, -- HMAC-SHA256 signing secret, shown once when the endpoint is created
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user_id ON webhook_endpoints(user_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL, -- Shared by the deliveries of one event, so receivers can deduplicate
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    response_status INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Enable Row Level Security
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Endpoints hold signing secrets and are only managed through the fax service
+CREATE POLICY "Service role full access"
+ON webhook_endpoints
+FOR ALL
+TO service_role
+USING (true) WITH CHECK (true);
+
+CREATE POLICY "Service role full access"
+ON webhook_deliveries
+FOR ALL
+TO service_role
+USING (true) WITH CHECK (true);
+
+CREATE TRIGGER update_webhook_endpoints_updated_at
+    BEFORE UPDATE ON webhook_endpoints
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_deliveries_updated_at
+    BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE webhook_endpoints IS 'HTTPS endpoints users registered for fax and credit events';
+COMMENT ON COLUMN webhook_endpoints.event_types IS 'Subscribed events: fax.queued, fax.delivered, fax.failed, fax.received, credits.low';
+COMMENT ON TABLE webhook_deliveries IS 'Delivery log of developer webhook events';
+COMMENT ON COLUMN webhook_deliveries.next_attempt_at IS 'When the cron service tries a pending delivery next';
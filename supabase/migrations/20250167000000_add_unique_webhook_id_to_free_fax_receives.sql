@@ -0,0 +1,13 @@
+-- Save each received fax once
+-- Telnyx retries fax.received webhooks it considers undelivered, so the same webhook can arrive
+-- twice. The fax service inserts with ON CONFLICT (webhook_id) DO NOTHING and only charges,
+-- notifies and forwards when a new row was created.
+
+-- Keep the first copy of faxes that were already saved more than once
+DELETE FROM free_fax_receives duplicate
+USING free_fax_receives original
+WHERE duplicate.webhook_id = original.webhook_id
+  AND (duplicate.created_at, duplicate.id) > (original.created_at, original.id);
+
+DROP INDEX IF EXISTS idx_free_fax_receives_webhook_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_free_fax_receives_webhook_id ON free_fax_receives(webhook_id);
@@ -0,0 +1,36 @@
+-- Fax history search (20250159000000_add_fax_history_search.sql)
+-- Run with `supabase test db` against a database with the migrations applied.
+BEGIN;
+SELECT plan(5);
+
+SELECT has_function('public', 'fax_search_text', ARRAY['text', 'jsonb']);
+
+SELECT is(
+    public.fax_search_text('Signed Contract', '["+15551230001", "+15551230002"]'::jsonb),
+    'signed contract +15551230001 +15551230002',
+    'subject and recipients are lower-cased and joined'
+);
+
+SELECT is(
+    public.fax_search_text(NULL, NULL),
+    ' ',
+    'a fax without subject or recipients has empty search text'
+);
+
+SELECT is(
+    public.fax_search_text('Contract', '"+15551230001"'::jsonb),
+    'contract ',
+    'recipients that are not an array are left out'
+);
+
+INSERT INTO public.faxes (id, subject, recipients)
+VALUES ('7d1e2f3a-4b5c-4d6e-8f90-a1b2c3d4e5f6', 'Invoice', '["+15551230003"]'::jsonb);
+
+SELECT is(
+    (SELECT search_text FROM public.faxes WHERE id = '7d1e2f3a-4b5c-4d6e-8f90-a1b2c3d4e5f6'),
+    'invoice +15551230003',
+    'search_text is generated from the faxes row'
+);
+
+SELECT * FROM finish();
+ROLLBACK;